@@ -7,7 +7,35 @@ import Report from './components/Report';
 import MembraneEditor from './components/MembraneEditor';
 import DesignGuidelines from './components/DesignGuidelines';
 import ValidationBanner from './components/ValidationBanner';
-import { calculateSystem } from './utils/calculatorService';
+import Normalization from './components/Normalization';
+import { calculateEnergyRecoverySystem, calculateTwoPassSystem, calculateBypassBlend, applyChemicalDose, getDosingChemical, checkScalingLimits, DEFAULT_SCALING_LIMITS, BAR_TO_PSI } from './utils/calculatorService';
+import { resolveMembrane, migrateMembranes, findEditedCatalogCopies, getArea, getAValue, DEFAULT_MEMBRANE_ID } from './engines/membraneEngine';
+import { calculateEnergyBalance, calculateMonthlyCost, calculateAgingFactors, PUMP_LIBRARY, DEFAULT_PUMP_MODELS, getPumpEfficiency, calculateWaterSaturations, calculateStiffDavisIndex, selectScalingIndex, calculateSaltSaturations, speciateCarbonateIons } from './engines/calculationEngine';
+
+const EMPTY_OPERATING_DATA = { fileName: '', rows: [], importErrors: [], baselineDate: '', pressureUnit: '', tdsFactor: 0.67, thresholds: {} };
+
+// Point a saved design at the ids its edited catalog membranes were kept under (findEditedCatalogCopies)
+const renameDesignMembranes = (config, renames) => {
+  if (renames.length === 0) return config;
+  const rename = (id) => renames.find(r => r.id.toLowerCase() === String(id || '').toLowerCase())?.renamedTo || id;
+  const renameStages = (stages) => (Array.isArray(stages)
+    ? stages.map(stage => (stage ? {
+        ...stage,
+        membraneModel: rename(stage.membraneModel),
+        ...(Array.isArray(stage.elementMembranes) ? { elementMembranes: stage.elementMembranes.map(id => (id ? rename(id) : id)) } : {})
+      } : stage))
+    : stages);
+  return {
+    ...config,
+    membraneModel: rename(config.membraneModel),
+    stages: renameStages(config.stages),
+    pass2Stages: renameStages(config.pass2Stages)
+  };
+};
+
+const describeRenamedMembranes = (renames) => (renames.length > 0
+  ? `Edited catalog membranes of this project were kept as project membranes: ${renames.map(r => `${r.id} → ${r.renamedTo}`).join(', ')}`
+  : '');
 
 const App = () => {
   const [activeTab, setActiveTab] = useState('dashboard');
@@ -34,6 +62,7 @@ const App = () => {
     averageFlux: 15.0,
     permeateFlow: 0, // train permeate flow in selected unit
     numTrains: 1,
+    concRecyclePercent: 0, // % of final concentrate returned to HP pump suction
 
     // Array specification
     stage1Vessels: 4,
@@ -61,12 +90,55 @@ const App = () => {
     fluxDeclinePerYear: 5,
     foulingFactor: 1,
     spIncreasePerYear: 7,
+    agingYears: 5, // projection runs years 0..agingYears
+    agingMode: 'constant-flux', // constant-flux | constant-pressure
 
     // Chemical (as per IMSDesign "Pass 1")
     chemical: 'None',
     chemicalConcentration: 100, // %
     chemicalDose: 0,
     doseUnit: 'mg/l', // mg/l | lb/hr | kg/hr
+    doseTargetParameter: 'ph', // ph | lsi - Solve target for acid/caustic dose
+    doseTargetValue: '',
+    scalingAntiscalant: true, // selects the default concentrate scaling limits
+    scalingLimits: null, // user overrides of DEFAULT_SCALING_LIMITS
+    envelopeMinTemp: '', // °C; the design point is the water analysis temperature
+    envelopeMaxTemp: '',
+    envelopeExtraTemps: '', // comma-separated °C
+    boronLimit: '', // mg/L B in the product, solved with caustic
+
+    // Pass 2 (fed by pass 1 permeate)
+    pass2Enabled: false,
+    pass2Recovery: 85,
+    pass2Stages: [
+      { membraneModel: 'cpa3', elementsPerVessel: 6, vessels: 2 }
+    ],
+    interpassCausticDose: 0, // mg/L NaOH (100%)
+    pass2ConcRecycle: true, // return pass 2 concentrate to pass 1 feed
+    pass2FeedSource: 'all', // 'all' | 'rear' (split-partial: front permeate bypasses pass 2)
+
+    // Raw-water bypass blended into the product
+    bypassEnabled: false,
+    bypassTargetParameter: 'tds', // 'tds' | 'hardness' | ion key
+    bypassTargetValue: 500, // mg/L (hardness as CaCO3)
+
+    // Energy recovery device on the pass 1 brine
+    erdType: 'none', // 'none' | 'px' | 'turbo' | 'pelton'
+    erdEfficiency: 95, // %
+    erdLeakage: 2, // % of brine flow (PX lubrication)
+    erdMixing: 6, // % volumetric mixing (PX)
+    erdBoosterEfficiency: 80, // %
+
+    // Pumps & motors (pressures in display units)
+    hpPumpModel: 'hp-multistage',
+    boosterPumpModel: 'booster-inline',
+    feedPumpModel: 'feed-end-suction',
+    hpPumpRatedFlow: '', // blank = sized at duty (BEP)
+    motorClass: 'IE3',
+    vfdEnabled: true,
+    pretreatmentLoss: 0, // media/UF filter loss
+    cartridgeFilterLoss: 0, // cartridge filter dP
+    hpSuctionPressure: 0,
 
     // Economics
     energyCostPerKwh: 0.12
@@ -74,28 +146,8 @@ const App = () => {
 
   // --- 1. STATE MANAGEMENT ---
   const [snapshots, setSnapshots] = useState([]); 
-  const [membranes, setMembranes] = useState([
-    { id: 'espa2ld', name: 'ESPA2-LD-4040', area: 80, areaM2: 7.43, aValue: 4.43, rejection: 99.6, monoRejection: 96.0, divalentRejection: 99.7, silicaRejection: 98.0, boronRejection: 90.0, alkalinityRejection: 99.5, co2Rejection: 0.0, kFb: 0.315, dpExponent: 1.75, type: 'Brackish' },
-    { id: 'cpa3', name: 'CPA3', area: 400, areaM2: 37.16, aValue: 3.16, rejection: 99.7, monoRejection: 98.0, divalentRejection: 99.9, silicaRejection: 99.0, boronRejection: 92.0, alkalinityRejection: 99.8, co2Rejection: 0.0, kFb: 0.38, dpExponent: 1.75, type: 'Brackish' },
-    { id: 'swc5ld', name: 'SWC5-LD', area: 400, areaM2: 37.16, aValue: 1.6, rejection: 99.3, monoRejection: 98.0, divalentRejection: 99.8, silicaRejection: 99.0, boronRejection: 92.0, alkalinityRejection: 99.7, co2Rejection: 0.0, kFb: 0.35, dpExponent: 1.75, type: 'Seawater' },
-    { 
-      id: 'lfc3ld4040',
-      name: 'LFC3-LD-8040',
-      area: 400,
-      areaM2: 37.16,
-      aValue: 3.16,
-      rejection: 99.3,
-      monoRejection: 92.0,
-      divalentRejection: 99.95,
-      silicaRejection: 99.95,
-      boronRejection: 99.9,
-      alkalinityRejection: 99.985,
-      co2Rejection: 0.0,
-      kFb: 0.315,
-      dpExponent: 1.75,
-      type: 'Low Fouling'
-    }
-  ]); 
+  // The project's own membranes; catalog models come from the membrane registry
+  const [membranes, setMembranes] = useState([]);
   
   const [projectNotes, setProjectNotes] = useState(""); 
   const createProjectId = () => `proj_${Date.now()}`;
@@ -116,6 +168,8 @@ const App = () => {
 
   const [pretreatment, setPretreatment] = useState({ antiscalantDose: 3.5, sbsDose: 2.0 });
   const [postTreatment, setPostTreatment] = useState({ causticDose: 2.0 });
+  // Plant operating log and normalization settings, saved with the project
+  const [operatingData, setOperatingData] = useState(EMPTY_OPERATING_DATA);
   
   const applyTdsProfile = (tdsValue) => {
   const tds = Number(tdsValue) || 0;
@@ -140,6 +194,44 @@ const App = () => {
   const [projection, setProjection] = useState({ 
     fluxGFD: 0, pumpPressure: 0, monthlyEnergyCost: 0, permeateFlow: 0 
   });
+  // Solver runs started from the Design tab are not project data: each keeps a key of the
+  // inputs it ran on and is shown (and printed) only while those inputs are unchanged
+  const [designRuns, setDesignRuns] = useState({});
+  const designRunKeys = useMemo(() => {
+    // The maximum recovery does not depend on the recovery or feed pressure it replaces
+    const { recovery, feedPressure, ...arrayInputs } = projection.calcInputs || {};
+    const scalingLimits = systemConfig.scalingLimits
+      || DEFAULT_SCALING_LIMITS[systemConfig.scalingAntiscalant === false ? 'none' : 'antiscalant'];
+    const envelopeTemps = [systemConfig.envelopeMinTemp, waterData.temp, systemConfig.envelopeMaxTemp, systemConfig.envelopeExtraTemps];
+    return {
+      maxRecovery: JSON.stringify({ arrayInputs, scalingLimits }),
+      envelope: JSON.stringify({
+        calcInputs: projection.calcInputs,
+        pass2Inputs: projection.pass2Inputs,
+        hpPumpModel: systemConfig.hpPumpModel,
+        envelopeTemps,
+        scalingLimits
+      }),
+      aging: JSON.stringify({
+        calcInputs: projection.calcInputs,
+        pass2Inputs: projection.pass2Inputs,
+        energyOptions: projection.energyOptions,
+        years: systemConfig.agingYears,
+        mode: systemConfig.agingMode
+      })
+    };
+  }, [projection, systemConfig.scalingLimits, systemConfig.scalingAntiscalant, systemConfig.hpPumpModel,
+    systemConfig.envelopeMinTemp, systemConfig.envelopeMaxTemp, systemConfig.envelopeExtraTemps, waterData.temp,
+    systemConfig.agingYears, systemConfig.agingMode]);
+  const designRunResults = useMemo(() => Object.fromEntries(
+    Object.entries(designRuns)
+      .filter(([kind, run]) => run.key === designRunKeys[kind])
+      .map(([kind, run]) => [kind, run.result])
+  ), [designRuns, designRunKeys]);
+  const recordDesignRun = useCallback((kind, result) => {
+    setDesignRuns(runs => ({ ...runs, [kind]: { key: designRunKeys[kind], result } }));
+  }, [designRunKeys]);
+
   const [recentProjects, setRecentProjects] = useState([]);
   const [selectedProjectIds, setSelectedProjectIds] = useState([]);
   
@@ -180,9 +272,12 @@ const App = () => {
           const stageVessels = Number(stage.vessels) || 0;
           const stageElementsPerVessel = Number(stage.elementsPerVessel) || 0;
           totalElements += stageVessels * stageElementsPerVessel;
-          const stageMembrane = membranes.find(m => m.id === stage.membraneModel) || membranes[0];
-          const stageArea = stage.membraneModel === 'espa2ld' ? 80 : (Number(stageMembrane?.area) || 400);
-          totalArea_ft2 += stageVessels * stageElementsPerVessel * stageArea;
+          // Hybrid vessels may mix element sizes, so area is summed per position
+          for (let p = 0; p < stageElementsPerVessel; p++) {
+            const positionId = stage.elementMembranes?.[p] || stage.membraneModel;
+            const positionMembrane = resolveMembrane(positionId, membranes) || resolveMembrane(DEFAULT_MEMBRANE_ID);
+            totalArea_ft2 += stageVessels * getArea(positionMembrane) / 0.09290304;
+          }
         }
       }
     } else {
@@ -191,16 +286,9 @@ const App = () => {
     }
     
     // Get membrane area - use first stage's membrane if stages array exists, otherwise use membraneModel
-    let activeMem;
-    if (systemConfig.stages && systemConfig.stages.length > 0 && systemConfig.stages[0]) {
-      activeMem = membranes.find(m => m.id === systemConfig.stages[0].membraneModel) || membranes[0];
-    } else {
-      activeMem = membranes.find(m => m.id === systemConfig.membraneModel) || membranes[0];
-    }
-    
-    // Ensure we have a valid membrane with area
     const activeMemId = systemConfig.stages?.[0]?.membraneModel || systemConfig.membraneModel;
-    const membraneArea = activeMemId === 'espa2ld' ? 80 : (Number(activeMem?.area) || 400);
+    const activeMem = resolveMembrane(activeMemId, membranes) || resolveMembrane(DEFAULT_MEMBRANE_ID);
+    const membraneArea = getArea(activeMem) / 0.09290304;
     if (totalArea_ft2 === 0) {
       totalArea_ft2 = totalElements * membraneArea;
     }
@@ -208,104 +296,64 @@ const App = () => {
 
     const currentGpmConst = 0.0556 * (membraneArea / 400);
 
-    let perTrainProduct_m3h = 0;
-    const feedPressureInput = Number(systemConfig.feedPressure);
-
     const activeStages = systemConfig.stages?.slice(0, pass1Stages) || [];
     const totalStageVessels = activeStages.reduce((sum, stage) => sum + (Number(stage?.vessels) || 0), 0);
 
-    if (feedPressureInput > 0) {
-        // SOLVE FOR RECOVERY based on Feed Pressure
-        // Qp = Area * A * (P_feed - 0.5*dP - P_perm - Pi_avg)
-        // Pi_avg depends on R. We iterate.
-        const P_feed_bar = isGpm ? feedPressureInput / 14.5038 : feedPressureInput;
-        // Calculate Pi_feed (Osmotic Pressure of feed)
-        const ions = {
-            ca: Number(waterData.ca) || 0,
-            mg: Number(waterData.mg) || 0,
-            na: Number(waterData.na) || 0,
-            k: Number(waterData.k) || 0,
-            sr: Number(waterData.sr) || 0,
-            ba: Number(waterData.ba) || 0,
-            hco3: Number(waterData.hco3) || 0,
-            so4: Number(waterData.so4) || 0,
-            cl: Number(waterData.cl) || 0,
-            no3: Number(waterData.no3) || 0,
-            sio2: Number(waterData.sio2) || 0,
-            po4: Number(waterData.po4) || 0,
-            f: Number(waterData.f) || 0,
-            b: Number(waterData.b) || 0,
-            co2: Number(waterData.co2) || 0,
-            co3: Number(waterData.co3) || 0,
-            nh4: Number(waterData.nh4) || 0
-        };
-        const feedTDS = Object.values(ions).reduce((sum, v) => sum + v, 0);
-        const piFeed_bar = 0.00078 * feedTDS;
-        
-        // Flow-dependent dP (Standardized to match calculatorService)
-        const nominalFlow = 12; 
-        const perVesselFeed = perTrainFeed_m3h / (totalStageVessels || 1);
-        const flowFactor = Math.pow(Math.max(perVesselFeed, 0.01) / nominalFlow, 1.5);
-        const is4040 = membraneArea < 150; // ft2
-        const vesselDeltaP_bar = (Number(systemConfig.elementsPerVessel) || 7) * (is4040 ? 1.33 : 0.23) * flowFactor;
-
-        // Use the recovery from systemConfig as the starting point (defaults to 0.525 as requested)
-        let currentR = (Number(systemConfig.recovery) || 52.5) / 100;
-        for (let iter = 0; iter < 10; iter++) {
-            const cfLogMean = currentR > 0.01 ? -Math.log(1 - Math.min(currentR, 0.99)) / currentR : 1;
-            const piEff_bar = piFeed_bar * Math.pow(cfLogMean, 0.5);
-            
-            // Per user rule: Display P_feed = P_input + P_perm
-            // Effective P_feed for calculation is just P_input
-            // NDP = (P_input + P_perm) - 0.5*dP - P_perm - Pi_eff = P_input - 0.5*dP - Pi_eff
-            const netDrivingPressure = Math.max(P_feed_bar - (0.5 * vesselDeltaP_bar) - piEff_bar, 0);
-            
-            const A_lmh_bar = Number(activeMem?.aValue) || 2.95;
-            const Max_flux = (activeMem?.id === 'cpa3') ? 51.8 : 48.5;
-            const Qp_lmh = Math.min(A_lmh_bar * netDrivingPressure, Max_flux);
-            const Qp_m3h = (Qp_lmh * totalArea_m2) / 1000;
-            perTrainProduct_m3h = Qp_m3h;
-            currentR = perTrainFeed_m3h > 0 ? perTrainProduct_m3h / perTrainFeed_m3h : 0.5;
-            currentR = Math.min(Math.max(currentR, 0.01), 0.95);
-        }
-        recoveryPct = currentR * 100;
-    } else {
-        // NORMAL MODE: Calculate Permeate Flow from Recovery and Feed Flow
-        perTrainProduct_m3h = perTrainFeed_m3h * (recoveryPct / 100);
+    // Chemical usage (basis: train feed flow)
+    const dose = Number(systemConfig.chemicalDose) || 0;
+    const concPct = Math.min(Math.max(Number(systemConfig.chemicalConcentration) || 100, 1), 100);
+    let chemicalActive_kg_hr = 0;
+    if (systemConfig.doseUnit === 'mg/l') {
+      // mg/L * m3/h -> kg/h
+      chemicalActive_kg_hr = (dose * perTrainFeed_m3h) / 1000;
+    } else if (systemConfig.doseUnit === 'lb/hr') {
+      chemicalActive_kg_hr = dose * 0.45359237;
+    } else if (systemConfig.doseUnit === 'kg/hr') {
+      chemicalActive_kg_hr = dose;
     }
+    const chemicalSolution_kg_hr = chemicalActive_kg_hr / (concPct / 100);
 
-    const recovery = recoveryPct / 100;
-    const trainPermeateInput = perTrainProduct_m3h / unitFactor;
-    const totalProduct_m3h = perTrainProduct_m3h * trains;
-
-    const perTrainConc_m3h = perTrainFeed_m3h - perTrainProduct_m3h;
+    // Acid or caustic in Pass 1 changes the feed analysis everything downstream sees
+    const rawFeedIons = {
+      ca: Number(waterData.ca) || 0,
+      mg: Number(waterData.mg) || 0,
+      na: Number(waterData.na) || 0,
+      k: Number(waterData.k) || 0,
+      sr: Number(waterData.sr) || 0,
+      ba: Number(waterData.ba) || 0,
+      hco3: Number(waterData.hco3) || 0,
+      so4: Number(waterData.so4) || 0,
+      cl: Number(waterData.cl) || 0,
+      no3: Number(waterData.no3) || 0,
+      sio2: Number(waterData.sio2) || 0,
+      po4: Number(waterData.po4) || 0,
+      f: Number(waterData.f) || 0,
+      b: Number(waterData.b) || 0,
+      co2: Number(waterData.co2) || 0,
+      co3: Number(waterData.co3) || 0,
+      nh4: Number(waterData.nh4) || 0
+    };
+    const rawFeedPh = Number(waterData.ph) || 7.0;
+    const feedTempC = Number(waterData.temp) || 25;
+    const phChemical = getDosingChemical(systemConfig.chemical);
+    const chemicalDoseMgL = perTrainFeed_m3h > 0 ? (chemicalActive_kg_hr * 1000) / perTrainFeed_m3h : 0;
+    // Without a pH chemical the entered feed pH stands and the analysis is only speciated at it
+    const treatedFeed = applyChemicalDose(rawFeedIons, {
+      chemical: phChemical ? systemConfig.chemical : null,
+      doseMgL: chemicalDoseMgL,
+      ph: phChemical ? rawFeedPh : (Number(systemConfig.feedPh) || rawFeedPh),
+      tempC: feedTempC
+    });
 
-    const calcResults = calculateSystem({
+    const systemInputs = {
       feedFlow: trainFeedInput,
       recovery: recoveryPct,
       vessels: totalStageVessels || Number(systemConfig.stage1Vessels) || 1,
       elementsPerVessel: Number(systemConfig.elementsPerVessel) || 0,
-      feedPH: Number(systemConfig.feedPh) || Number(waterData.ph) || 7.0,
+      feedPH: treatedFeed.ph,
       tempF: (Number(waterData.temp) * 9 / 5) + 32,
-      feedIons: {
-        ca: Number(waterData.ca) || 0,
-        mg: Number(waterData.mg) || 0,
-        na: Number(waterData.na) || 0,
-        k: Number(waterData.k) || 0,
-        sr: Number(waterData.sr) || 0,
-        ba: Number(waterData.ba) || 0,
-        hco3: Number(waterData.hco3) || 0,
-        so4: Number(waterData.so4) || 0,
-        cl: Number(waterData.cl) || 0,
-        no3: Number(waterData.no3) || 0,
-        sio2: Number(waterData.sio2) || 0,
-        po4: Number(waterData.po4) || 0,
-        f: Number(waterData.f) || 0,
-        b: Number(waterData.b) || 0,
-        co2: Number(waterData.co2) || 0,
-        co3: Number(waterData.co3) || 0,
-        nh4: Number(waterData.nh4) || 0
-      },
+      feedIons: treatedFeed.ions,
+      waterType: waterData.waterType,
       stages: activeStages,
       membranes,
       flowUnit: unit,
@@ -317,8 +365,50 @@ const App = () => {
       membraneModel: systemConfig.membraneModel,
       permeatePressure: systemConfig.permeatePressure,
       feedPressure: systemConfig.feedPressure,
-      numTrains: systemConfig.numTrains
-    });
+      numTrains: systemConfig.numTrains,
+      concRecyclePercent: Number(systemConfig.concRecyclePercent) || 0,
+      erd: {
+        type: systemConfig.erdType || 'none',
+        efficiency: Number(systemConfig.erdEfficiency) || 0,
+        leakagePercent: Number(systemConfig.erdLeakage) || 0,
+        mixingPercent: Number(systemConfig.erdMixing) || 0,
+        // Same pump efficiencies as the energy balance: the selected models at their best efficiency point,
+        // unless an ERD booster efficiency is entered
+        hpPumpEfficiency: (PUMP_LIBRARY[systemConfig.hpPumpModel] || PUMP_LIBRARY[DEFAULT_PUMP_MODELS.hp]).bepEfficiency * 100,
+        boosterEfficiency: Number(systemConfig.erdBoosterEfficiency) > 0
+          ? Number(systemConfig.erdBoosterEfficiency)
+          : getPumpEfficiency(systemConfig.boosterPumpModel || DEFAULT_PUMP_MODELS.booster) * 100
+      }
+    };
+
+    // Two-pass designs solve pass 1 inside the recycle loop, so its results replace the single-pass run.
+    // A second pass without vessels is not simulated: the design stays single-pass.
+    const hasPass2Vessels = (systemConfig.pass2Stages || []).some(s => Number(s?.vessels) > 0);
+    const pass2Inputs = systemConfig.pass2Enabled && hasPass2Vessels
+      ? {
+          stages: systemConfig.pass2Stages,
+          recovery: Number(systemConfig.pass2Recovery) || 85,
+          causticDose: Number(systemConfig.interpassCausticDose) || 0,
+          concRecycle: systemConfig.pass2ConcRecycle !== false,
+          feedSource: systemConfig.pass2FeedSource || 'all'
+        }
+      : null;
+    const twoPassResults = pass2Inputs ? calculateTwoPassSystem({ ...systemInputs, pass2: pass2Inputs }) : null;
+    const calcResults = twoPassResults ? twoPassResults.pass1 : calculateEnergyRecoverySystem(systemInputs);
+
+    // With a feed pressure entered the engine solves the permeate flow and recovery follows from it
+    const pressureMode = Number(systemConfig.feedPressure) > 0 && !!calcResults?.streams;
+    const perTrainProduct_m3h = pressureMode
+      ? calcResults.streams.permeate.flowM3h
+      : perTrainFeed_m3h * (recoveryPct / 100);
+    if (pressureMode) {
+      recoveryPct = perTrainFeed_m3h > 0 ? (perTrainProduct_m3h / perTrainFeed_m3h) * 100 : 0;
+    }
+
+    const recovery = recoveryPct / 100;
+    const trainPermeateInput = perTrainProduct_m3h / unitFactor;
+    const perTrainConc_m3h = perTrainFeed_m3h - perTrainProduct_m3h;
+    const totalProduct_m3h = (twoPassResults ? twoPassResults.streams.product.flowM3h : perTrainProduct_m3h) * trains;
     const stageResults = calcResults?.stageResults || [];
     
     // Calculate flux - always calculate, but only display if designCalculated is true
@@ -384,7 +474,25 @@ const App = () => {
       };
     }
     
-    const totalPlantProduct_display = perTrainProduct_display * trains;
+    // With a second pass the plant product is the pass 2 permeate
+    const totalPlantProduct_display = twoPassResults
+      ? Number(twoPassResults.system.productFlow) * trains
+      : perTrainProduct_display * trains;
+
+    // Raw-water bypass: the product demand is held and the RO shrinks by the bypass share
+    const bypassResults = systemConfig.bypassEnabled
+      ? calculateBypassBlend({
+          flowUnit: unit,
+          productFlow: totalPlantProduct_display / trains,
+          recovery: twoPassResults ? Number(twoPassResults.system.recovery) : recoveryPct,
+          vessels: totalStageVessels,
+          feedIons: systemInputs.feedIons,
+          permeateIons: twoPassResults ? twoPassResults.streams.product.ions : (calcResults?.streams?.permeate?.ions || {}),
+          target: { parameter: systemConfig.bypassTargetParameter || 'tds', value: systemConfig.bypassTargetValue },
+          feedPh: systemInputs.feedPH,
+          tempC: Number(waterData.temp) || 25
+        })
+      : null;
 
     // Format flows based on unit type (matching Hydranautics precision exactly)
     // gpm, m3/h: 2 decimals (e.g., 166.70, 66.70)
@@ -406,43 +514,12 @@ const App = () => {
       return Number(numValue).toFixed(decimals);
     };
 
-    // Chemical usage (basis: train feed flow)
-    const dose = Number(systemConfig.chemicalDose) || 0;
-    const concPct = Math.min(Math.max(Number(systemConfig.chemicalConcentration) || 100, 1), 100);
-    let chemicalActive_kg_hr = 0;
-    if (systemConfig.doseUnit === 'mg/l') {
-      // mg/L * m3/h -> kg/h
-      chemicalActive_kg_hr = (dose * perTrainFeed_m3h) / 1000;
-    } else if (systemConfig.doseUnit === 'lb/hr') {
-      chemicalActive_kg_hr = dose * 0.45359237;
-    } else if (systemConfig.doseUnit === 'kg/hr') {
-      chemicalActive_kg_hr = dose;
-    }
-    const chemicalSolution_kg_hr = chemicalActive_kg_hr / (concPct / 100);
-
     // Keep the existing (simplified) pressure/energy model, but make it consistent with the new flow basis.
     const TCF = Math.exp(2640 * (1 / 298.15 - 1 / (Number(waterData.temp) + 273.15)));
     const CF = 1 / (1 - recovery);
 
     const getNumeric = (value) => Number(value) || 0;
-    const ionFeed = {
-      ca: getNumeric(waterData.ca),
-      mg: getNumeric(waterData.mg),
-      na: getNumeric(waterData.na),
-      k: getNumeric(waterData.k),
-      sr: getNumeric(waterData.sr),
-      ba: getNumeric(waterData.ba),
-      hco3: getNumeric(waterData.hco3),
-      so4: getNumeric(waterData.so4),
-      cl: getNumeric(waterData.cl),
-      no3: getNumeric(waterData.no3),
-      sio2: getNumeric(waterData.sio2),
-      po4: getNumeric(waterData.po4),
-      b: getNumeric(waterData.b),
-      f: getNumeric(waterData.f),
-      co2: getNumeric(waterData.co2),
-      co3: getNumeric(waterData.co3)
-    };
+    const ionFeed = systemInputs.feedIons;
 
     const membraneRejection = Math.min(Math.max(Number(activeMem?.rejection) || 99.7, 80), 99.9);
     const defaultMono = Math.max(Math.min((Number(activeMem?.monoRejection) || (membraneRejection - 6)), 99.9), 80);
@@ -452,13 +529,6 @@ const App = () => {
     const alkalinityRejection = Math.max(Math.min((Number(activeMem?.alkalinityRejection) || (membraneRejection - 0.2)), 99.9), 80);
     const co2Rejection = Math.max(Math.min((Number(activeMem?.co2Rejection) || 0), 99.9), 0);
 
-    const getSanitizedAValue = (m) => {
-        let a = Number(m?.aValue);
-        if (isNaN(a) || a <= 0) return 2.95;
-        if (a < 1.0) return a * 24.62; // Convert gfd/psi to lmh/bar (1.6976 * 14.5038)
-        return a;
-    };
-
     const getIonRejection = (ionKey) => {
       const overrides = activeMem?.ionRejectionOverrides || {};
       if (overrides[ionKey] != null) return Number(overrides[ionKey]);
@@ -478,7 +548,7 @@ const App = () => {
     const cfAvg = recovery > 0.01 ? -Math.log(1 - recovery) / recovery : 1;
     const testFluxLMH = 25; 
 
-    const permeateConcentration = calcResults?.permeateIons || Object.fromEntries(
+    const permeateConcentration = calcResults?.permeateConcentration || Object.fromEntries(
       Object.entries(ionFeed).map(([key, value]) => {
         const rejection = getIonRejection(key);
         const saltPassageTest = Math.max(1 - rejection / 100, 0);
@@ -493,7 +563,7 @@ const App = () => {
         return [key, formatConc(permVal)];
       })
     );
-    const concentrateConcentration = calcResults?.concentrateIons || Object.fromEntries(
+    const concentrateConcentration = calcResults?.concentrateConcentration || Object.fromEntries(
       Object.entries(ionFeed).map(([key, value]) => [key, formatConc(value * CF)])
     );
 
@@ -508,17 +578,19 @@ const App = () => {
       : (isGpm ? (concentrateTds * 0.00076) * 14.5038 : (concentrateTds * 0.00076));
 
     // Ageing / fouling / SP increase: approximate Hydranautics behaviour
-    const membraneAge = Math.max(Number(systemConfig.membraneAge) || 0, 0);
-    const fluxDeclinePct = Math.min(Math.max(Number(systemConfig.fluxDeclinePerYear) || 0, 0), 99);
-    const spIncreasePct = Math.min(Math.max(Number(systemConfig.spIncreasePerYear) || 0, 0), 200);
+    // Same compounding aging law as the element solver; fouling is applied to the pressure term below
+    const { aFactor: agingAFactor, bFactor: spFactor } = calculateAgingFactors({
+      membraneAgeYears: systemConfig.membraneAge,
+      fluxDeclinePercent: systemConfig.fluxDeclinePerYear,
+      spIncreasePercent: systemConfig.spIncreasePerYear
+    });
     const foulingFactorRaw = Number(systemConfig.foulingFactor);
     const foulingFactorValue = Number.isFinite(foulingFactorRaw)
       ? Math.min(Math.max(foulingFactorRaw, 0.35), 1)
       : 1;
 
-    const aBase = getSanitizedAValue(activeMem);
-    const aEffective = aBase * Math.pow(1 - fluxDeclinePct / 100, membraneAge);
-    const spFactor = Math.pow(1 + spIncreasePct / 100, membraneAge);
+    const aBase = getAValue(activeMem);
+    const aEffective = aBase * agingAFactor;
 
     const permeateFlowGpm = perTrainProduct_m3h * 4.402867;
     const avgFluxVal = calcResults?.results?.avgFlux != null 
@@ -533,15 +605,39 @@ const App = () => {
 
     // Use total plant feed for power (m3/h)
     const totalFeed_m3h = perTrainFeed_m3h * trains;
-    const powerKw = (pumpPressure * totalFeed_m3h) / (36.7 * 0.75);
-    const monthlyEnergy = powerKw * 24 * 30 * Number(systemConfig.energyCostPerKwh);
+    // Pump duties per train come from the engine (bar, m3/h). The feed pump lifts raw water through
+    // pretreatment and cartridge filters to the HP pump suction, which the HP pump then builds on.
+    const toBar = (p) => (isGpm ? (Number(p) || 0) / BAR_TO_PSI : (Number(p) || 0));
+    const suctionBar = toBar(systemConfig.hpSuctionPressure);
+    const feedPumpBar = toBar(systemConfig.pretreatmentLoss) + toBar(systemConfig.cartridgeFilterLoss) + suctionBar;
+    const engineDuties = (twoPassResults ? twoPassResults.pumpDuties : calcResults?.pumpDuties) || [];
+    const pumpDuties = [
+      { id: 'feed', service: 'feed', pressureBar: feedPumpBar, flowM3h: perTrainFeed_m3h },
+      ...engineDuties.map(duty => (duty.id === 'hp'
+        ? { ...duty, pressureBar: Math.max(duty.pressureBar - suctionBar, 0), ratedFlowM3h: Number(systemConfig.hpPumpRatedFlow) * unitFactor || undefined }
+        : duty))
+    ];
+    const energyBalance = calculateEnergyBalance({
+      duties: pumpDuties,
+      trains,
+      permeateFlowM3h: totalProduct_m3h,
+      pumpModels: {
+        hp: systemConfig.hpPumpModel,
+        booster: systemConfig.boosterPumpModel,
+        feed: systemConfig.feedPumpModel
+      },
+      motorClass: systemConfig.motorClass,
+      vfd: !!systemConfig.vfdEnabled
+    });
+    const powerKw = energyBalance.totalKw;
+    const monthlyEnergy = calculateMonthlyCost(powerKw, Number(systemConfig.energyCostPerKwh) || 0);
 
     // Format flux: Return 1 decimal place as requested for Average Flux display
     const formatFlux = (value, isCalculated, flowUnit) => {
       return Number(value || 0).toFixed(1);
     };
 
-    const feedPhForCalc = Number(systemConfig.feedPh) || Number(waterData.ph) || 7.0;
+    const feedPhForCalc = systemInputs.feedPH;
     const permeatePh = calcResults?.permeateParameters?.ph != null
       ? Number(calcResults.permeateParameters.ph)
       : Math.min(Math.max(feedPhForCalc - 1.69, 0), 14);
@@ -555,34 +651,56 @@ const App = () => {
     const phs = C + pCa + pAlk;
     const lsi = concentratePh - phs;
     const ccpp = lsi > 0 ? lsi * 50 : 0;
+    // Langelier is invalid on seawater brine; Stiff & Davis corrects pHs for ionic strength
+    const concentrateIons = Object.fromEntries(Object.entries(concentrateConcentration).map(([ion, val]) => [ion, getNumeric(val)]));
+    const stiffDavis = calculateStiffDavisIndex(concentrateIons, Number(waterData.temp) || 25, concentratePh).sdsi;
 
-    const caConc = getNumeric(concentrateConcentration.ca);
-    const so4Conc = getNumeric(concentrateConcentration.so4);
-    const baConc = getNumeric(concentrateConcentration.ba);
-    const srConc = getNumeric(concentrateConcentration.sr);
-    const sio2Conc = getNumeric(concentrateConcentration.sio2);
-    const po4Conc = getNumeric(concentrateConcentration.po4);
-    const fConc = getNumeric(concentrateConcentration.f);
-
+    const saltSaturations = calculateSaltSaturations(concentrateIons, Number(waterData.temp) || 25, concentratePh);
     const concentrateSaturation = calcResults?.concentrateSaturation || {
-      caSo4: Number((caConc * so4Conc) / 1000).toFixed(1),
-      baSo4: Number((baConc * so4Conc) / 50).toFixed(1),
-      srSo4: Number((srConc * so4Conc) / 2000).toFixed(1),
-      sio2: Number((sio2Conc / 120) * 100).toFixed(1),
-      ca3po42: Number((caConc * po4Conc) / 100).toFixed(2),
-      caF2: Number((caConc * fConc) / 500).toFixed(1)
+      caSo4: saltSaturations.caSo4.toFixed(1),
+      baSo4: saltSaturations.baSo4.toFixed(1),
+      srSo4: saltSaturations.srSo4.toFixed(1),
+      sio2: saltSaturations.sio2.toFixed(1),
+      ca3po42: saltSaturations.ca3po42.toFixed(2),
+      caF2: saltSaturations.caF2.toFixed(1)
     };
 
     const concentrateParameters = calcResults?.concentrateParameters || {
       osmoticPressure: Number(osmoticP).toFixed(2),
       ccpp: Number(ccpp).toFixed(1),
       langelier: lsi.toFixed(2),
+      stiffDavis: stiffDavis.toFixed(2),
+      scalingIndex: selectScalingIndex(concentrateTds, waterData.waterType),
       ph: concentratePh.toFixed(1),
       tds: concentrateTds.toFixed(1)
     };
-    const permeateParameters = calcResults?.permeateParameters || {
-      ph: permeatePh.toFixed(1),
-      tds: permeateTds.toFixed(1)
+    // Permeate without carbonate has no equilibrium pH from the engine
+    const permeateParameters = {
+      tds: permeateTds.toFixed(1),
+      ...calcResults?.permeateParameters,
+      ph: permeatePh.toFixed(2)
+    };
+
+    const analysisTds = (ions) => Object.entries(ions).reduce((sum, [ion, val]) => sum + (['co2', 'nh3'].includes(ion) ? 0 : Number(val) || 0), 0);
+    // Ammonia in the raw analysis split at the raw pH, to compare with the dosed feed
+    const rawSpeciated = speciateCarbonateIons(rawFeedIons, rawFeedPh, feedTempC).ions;
+    const rawAmmonia = rawSpeciated.nh3 !== undefined ? { nh4: rawSpeciated.nh4, nh3: rawSpeciated.nh3 } : {};
+    const formatAnalysis = (ions) => Object.fromEntries(Object.entries(ions).map(([ion, val]) => [ion, Number(val).toFixed(2)]));
+    const feedChemistry = {
+      chemical: phChemical ? systemConfig.chemical : null,
+      doseMgL: chemicalDoseMgL.toFixed(2),
+      rawPh: rawFeedPh.toFixed(2),
+      treatedPh: treatedFeed.ph.toFixed(2),
+      rawTds: analysisTds(rawFeedIons).toFixed(2),
+      treatedTds: analysisTds(treatedFeed.ions).toFixed(2),
+      rawLsi: calculateWaterSaturations(rawFeedIons, feedTempC, rawFeedPh).lsi.toFixed(2),
+      treatedLsi: calculateWaterSaturations(treatedFeed.ions, feedTempC, treatedFeed.ph).lsi.toFixed(2),
+      rawSdsi: calculateStiffDavisIndex(rawFeedIons, feedTempC, rawFeedPh).sdsi.toFixed(2),
+      treatedSdsi: calculateStiffDavisIndex(treatedFeed.ions, feedTempC, treatedFeed.ph).sdsi.toFixed(2),
+      rawSaturation: calculateSaltSaturations(rawFeedIons, feedTempC, rawFeedPh),
+      treatedSaturation: calculateSaltSaturations(treatedFeed.ions, feedTempC, treatedFeed.ph),
+      rawConcentration: formatAnalysis({ ...rawFeedIons, ...rawAmmonia }),
+      treatedConcentration: formatAnalysis(treatedFeed.ions)
     };
 
     setProjection({
@@ -627,6 +745,54 @@ const App = () => {
       calcHighestBeta: calcResults?.results?.highestBeta ?? '0.00',
       customFluxWorkflow: calcResults?.customFluxWorkflow,
       stageResults,
+      recycle: calcResults?.recycle || null,
+      splitPermeate: calcResults?.splitPermeate || null,
+      bypass: bypassResults,
+      feedChemistry,
+      // Inputs of the pass 1 run (and pass 2 block), for solvers started from the Design tab
+      calcInputs: systemInputs,
+      pass2Inputs,
+      // Pump selection and energy basis of the power figures, so reruns price energy the same way
+      energyOptions: {
+        feedPumpBar,
+        suctionBar,
+        pumpModels: {
+          hp: systemConfig.hpPumpModel,
+          booster: systemConfig.boosterPumpModel,
+          feed: systemConfig.feedPumpModel
+        },
+        motorClass: systemConfig.motorClass,
+        vfd: !!systemConfig.vfdEnabled,
+        energyCostPerKwh: Number(systemConfig.energyCostPerKwh) || 0
+      },
+      scalingCheck: checkScalingLimits(
+        { concentrateSaturation, concentrateParameters },
+        systemConfig.scalingLimits || DEFAULT_SCALING_LIMITS[systemConfig.scalingAntiscalant === false ? 'none' : 'antiscalant']
+      ),
+      energyRecovery: calcResults?.energyRecovery || null,
+      powerKw: powerKw.toFixed(2),
+      specificEnergy: energyBalance.specificEnergy.toFixed(3),
+      pumps: energyBalance.pumps.map(pump => ({
+        id: pump.id,
+        service: pump.service,
+        pumpName: pump.pumpName,
+        flow: (isGpm ? pump.flowM3h * 4.402867 : pump.flowM3h).toFixed(2),
+        pressure: (isGpm ? pump.pressureBar * BAR_TO_PSI : pump.pressureBar).toFixed(1),
+        pumpEfficiency: (pump.pumpEfficiency * 100).toFixed(1),
+        motorEfficiency: (pump.motorEfficiency * 100).toFixed(1),
+        vfdEfficiency: (pump.vfdEfficiency * 100).toFixed(1),
+        kwPerTrain: pump.electricalKw.toFixed(2),
+        totalKw: pump.totalKw.toFixed(2)
+      })),
+      pass2: twoPassResults ? {
+        stageResults: twoPassResults.pass2.stageResults,
+        results: twoPassResults.pass2.results,
+        permeateConcentration: twoPassResults.pass2.permeateConcentration,
+        permeateParameters: twoPassResults.pass2.permeateParameters,
+        interpass: twoPassResults.interpass,
+        recycle: twoPassResults.recycle,
+        system: twoPassResults.system
+      } : null,
       designWarnings: calcResults?.designWarnings || [],
       results: calcResults?.results,
 
@@ -680,12 +846,15 @@ const App = () => {
           const trains = Math.max(Number(merged.numTrains) || 1, 1);
           merged.permeateFlow = Number(merged.totalPlantProductFlow) / trains;
         }
-        setSystemConfig(merged);
-        setMembranes(p.membranes || membranes);
+        const renames = findEditedCatalogCopies(p.membranes);
+        setSystemConfig(renameDesignMembranes(merged, renames));
+        setMembranes(migrateMembranes(p.membranes));
+        if (renames.length > 0) alert(describeRenamedMembranes(renames));
         setProjectNotes(p.projectNotes || "");
         setSnapshots(p.snapshots || []);
         setPretreatment(p.pretreatment || pretreatment);
         setPostTreatment(p.postTreatment || postTreatment);
+        setOperatingData({ ...EMPTY_OPERATING_DATA, ...(p.operatingData || {}) });
       } catch (e) { console.error("Restore failed", e); }
     }
     const recent = localStorage.getItem('ro_pro_recent_projects');
@@ -701,22 +870,22 @@ const App = () => {
 
   useEffect(() => {
     if (isLoaded) {
-      const dataToSave = { waterData, systemConfig, membranes, snapshots, projectNotes, pretreatment, postTreatment };
+      const dataToSave = { waterData, systemConfig, membranes, snapshots, projectNotes, pretreatment, postTreatment, operatingData };
       localStorage.setItem('ro_pro_v3_master_final', JSON.stringify(dataToSave));
       updateRecentProjects(dataToSave);
     }
-  }, [waterData, systemConfig, membranes, snapshots, projectNotes, pretreatment, postTreatment, isLoaded, updateRecentProjects, DEFAULT_SYSTEM_CONFIG]);
+  }, [waterData, systemConfig, membranes, snapshots, projectNotes, pretreatment, postTreatment, operatingData, isLoaded, updateRecentProjects, DEFAULT_SYSTEM_CONFIG]);
 
   useEffect(() => {
     const handleBeforeUnload = () => {
       if (!isLoaded) return;
-      const dataToSave = { waterData, systemConfig, membranes, snapshots, projectNotes, pretreatment, postTreatment };
+      const dataToSave = { waterData, systemConfig, membranes, snapshots, projectNotes, pretreatment, postTreatment, operatingData };
       localStorage.setItem('ro_pro_v3_master_final', JSON.stringify(dataToSave));
       updateRecentProjects(dataToSave);
     };
     window.addEventListener('beforeunload', handleBeforeUnload);
     return () => window.removeEventListener('beforeunload', handleBeforeUnload);
-  }, [waterData, systemConfig, membranes, snapshots, projectNotes, pretreatment, postTreatment, isLoaded, updateRecentProjects, DEFAULT_SYSTEM_CONFIG]);
+  }, [waterData, systemConfig, membranes, snapshots, projectNotes, pretreatment, postTreatment, operatingData, isLoaded, updateRecentProjects, DEFAULT_SYSTEM_CONFIG]);
 
   // --- 4. ACTION HANDLERS ---
   const takeSnapshot = () => {
@@ -742,7 +911,7 @@ const App = () => {
   };
 
   const handleSaveToFile = () => {
-    const data = { waterData, systemConfig, pretreatment, postTreatment, snapshots, projectNotes };
+    const data = { waterData, systemConfig, membranes, pretreatment, postTreatment, snapshots, projectNotes, operatingData };
     const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
     const link = document.createElement('a');
     link.href = URL.createObjectURL(blob);
@@ -753,7 +922,7 @@ const App = () => {
   const handlePrintDesignReport = () => {
     if (!projection) return;
     const unit = systemConfig.flowUnit || 'gpm';
-    const feedPh = Number(systemConfig.feedPh) || Number(waterData.ph) || 7.0;
+    const feedPh = Number(projection?.feedChemistry?.treatedPh) || Number(systemConfig.feedPh) || Number(waterData.ph) || 7.0;
     const tempF = ((Number(waterData.temp) || 25) * 9) / 5 + 32;
     const reportDate = new Date().toLocaleDateString();
     const isGpm = ['gpm', 'gpd', 'mgd', 'migd'].includes(unit);
@@ -779,10 +948,15 @@ const App = () => {
     const ionFeed = {
       na: Number(waterData.na) || 0,
       hco3: Number(waterData.hco3) || 0,
+      so4: Number(waterData.so4) || 0,
       cl: Number(waterData.cl) || 0,
       co2: Number(waterData.co2) || 0,
-      nh4: Number(waterData.nh4) || 0
+      nh4: Number(waterData.nh4) || 0,
+      nh3: Number(projection.feedChemistry?.rawConcentration?.nh3) || 0
     };
+    // Feed water after Pass 1 acid/caustic dosing
+    const treatedIons = projection.feedChemistry?.treatedConcentration || {};
+    const treatedIon = (key) => Number(treatedIons[key] ?? ionFeed[key] ?? 0);
     const permIons = projection.permeateConcentration || {};
     const concIons = projection.concentrateConcentration || {};
     const sumTds = (obj) => Object.values(obj).reduce((sum, val) => sum + (Number(val) || 0), 0);
@@ -831,35 +1005,36 @@ const App = () => {
     const analysisTds = analysisTdsKeys.reduce((sum, key) => sum + toNumber(waterData[key]), 0);
     const analysisOsmoticPsi = analysisTds * 0.0115;
     const analysisCaConc = toNumber(waterData.ca);
-    const analysisSo4Conc = toNumber(waterData.so4);
-    const analysisBaConc = toNumber(waterData.ba);
-    const analysisSrConc = toNumber(waterData.sr);
-    const analysisSio2Conc = toNumber(waterData.sio2);
-    const analysisPo4Conc = toNumber(waterData.po4);
-    const analysisFConc = toNumber(waterData.f);
     const analysisPCa = 5.0 - Math.log10(Math.max(analysisCaConc * 2.5, 0.0001));
     const analysisPAlk = 5.0 - Math.log10(Math.max(toNumber(waterData.hco3) * 0.82, 0.0001));
     const analysisC = (Math.log10(Math.max(analysisTds, 1)) - 1) / 10 + (Number(waterData.temp) > 25 ? 2.0 : 2.3);
     const analysisPhs = analysisC + analysisPCa + analysisPAlk;
     const analysisLsi = (toNumber(waterData.ph) || 7) - analysisPhs;
     const analysisCcpp = analysisLsi > 0 ? analysisLsi * 50 : 0;
-    const analysisSaturations = {
-      caSo4: (analysisCaConc * analysisSo4Conc) / 1000,
-      baSo4: (analysisBaConc * analysisSo4Conc) / 50,
-      srSo4: (analysisSrConc * analysisSo4Conc) / 2000,
-      sio2: (analysisSio2Conc / 120) * 100,
-      ca3po42: (analysisCaConc * analysisPo4Conc) / 100,
-      caF2: (analysisCaConc * analysisFConc) / 500
-    };
-    const stageRows = (projection.stageResults || []).map((row) => {
+    const analysisIons = Object.fromEntries(analysisTdsKeys.map(key => [key, toNumber(waterData[key])]));
+    const analysisSdsi = calculateStiffDavisIndex(analysisIons, Number(waterData.temp) || 25, toNumber(waterData.ph) || 7).sdsi;
+    const analysisIndex = selectScalingIndex(analysisTds, waterData.waterType);
+    const concentrateIndex = projection.concentrateParameters?.scalingIndex || 'lsi';
+    const governing = (index, type) => (index === type ? ' (governing)' : '');
+    const feedSaturation = (salt, digits) => ['rawSaturation', 'treatedSaturation']
+      .map(key => `<td>${Number(projection.feedChemistry?.[key]?.[salt] ?? 0).toFixed(digits)}</td>`)
+      .join('');
+    const analysisSaturations = calculateSaltSaturations(analysisIons, Number(waterData.temp) || 25, toNumber(waterData.ph) || 7);
+    const stageRows = [
+      ...(projection.stageResults || []).map(row => ({ ...row, pass: 1 })),
+      ...(projection.pass2?.stageResults || []).map(row => ({ ...row, pass: 2 }))
+    ].map((row) => {
       return `
         <tr>
-          <td>${row.index ? `1-${row.index}` : ''}</td>
+          <td>${row.index ? `${row.pass}-${row.index}` : ''}</td>
           <td>${row.vessels ?? ''}</td>
           <td>${row.feedPressure ?? ''}</td>
           <td>${row.concPressure ?? ''}</td>
           <td>${row.feedFlow ?? ''}</td>
           <td>${row.concFlow ?? ''}</td>
+          <td>${row.permeateFlow ?? ''}</td>
+          <td>${row.permeateTds ?? ''}</td>
+          <td>${row.recovery ?? ''}</td>
           <td>${row.flux ?? ''}</td>
           <td>${row.highestFlux ?? ''}</td>
           <td>${row.highestBeta ?? ''}</td>
@@ -898,11 +1073,17 @@ const App = () => {
             <div><strong>Calculated by:</strong> ${waterData.calculatedBy || ''}</div>
             <div><strong>Permeate flow/train:</strong> ${projection.permeateFlow || '0.00'} ${unit}</div>
             <div><strong>Raw water flow/train:</strong> ${projection.feedFlow || '0.00'} ${unit}</div>
-            <div><strong>Permeate recovery:</strong> ${Number(systemConfig.recovery || 0).toFixed(2)} %</div>
+            <div><strong>Permeate recovery:</strong> ${Number(projection.recovery || 0).toFixed(2)} %</div>
             <div><strong>Feed pressure:</strong> ${projection.calcFeedPressurePsi || '0.0'} psi</div>
             <div><strong>Feed temperature:</strong> ${tempF.toFixed(1)} °F</div>
             <div><strong>Feed Water pH:</strong> ${feedPh.toFixed(2)}</div>
-            <div><strong>Chemical dose, mg/L:</strong> ${systemConfig.chemical || 'None'}</div>
+            <div><strong>Chemical dose, mg/L:</strong> ${systemConfig.chemical || 'None'}${projection.feedChemistry?.chemical ? ` ${projection.feedChemistry.doseMgL}` : ''}</div>
+            ${projection.scalingCheck ? `
+            <div><strong>Limiting salt:</strong> ${projection.scalingCheck.label} ${Number(projection.scalingCheck.value).toFixed(projection.scalingCheck.limiting === 'lsi' ? 2 : 1)} (limit ${projection.scalingCheck.limit}${projection.scalingCheck.limiting === 'lsi' ? '' : ' %'}${systemConfig.scalingAntiscalant === false ? ', no antiscalant' : ', with antiscalant'})</div>
+            ` : ''}
+            ${designRunResults.maxRecovery && designRunResults.maxRecovery.bound === null ? `
+            <div><strong>Maximum recovery:</strong> ${Number(designRunResults.maxRecovery.recovery).toFixed(1)} %, limited by ${designRunResults.maxRecovery.label}</div>
+            ` : ''}
             <div><strong>Membrane age:</strong> ${Number(systemConfig.membraneAge || 0).toFixed(1)} years</div>
             <div><strong>Flux decline, per year:</strong> ${Number(systemConfig.fluxDeclinePerYear || 0).toFixed(1)} %</div>
             <div><strong>Fouling factor:</strong> ${Number(systemConfig.foulingFactor || 1).toFixed(2)}</div>
@@ -910,6 +1091,29 @@ const App = () => {
             <div><strong>Feed type:</strong> ${waterData.waterType || ''}</div>
             <div><strong>Pretreatment:</strong> ${waterData.pretreatment || 'Conventional'}</div>
             <div><strong>Average flux:</strong> ${projection.calcFluxGfd || '0.0'} gfd</div>
+            ${projection.pass2 ? `
+            <div><strong>Pass 2 product flow/train:</strong> ${projection.pass2.system.productFlow} ${unit}</div>
+            <div><strong>System recovery:</strong> ${projection.pass2.system.recovery} %</div>
+            <div><strong>Pass 2 product TDS:</strong> ${projection.pass2.system.productTds} mg/L</div>
+            <div><strong>Interpass caustic:</strong> ${projection.pass2.interpass.causticDose} mg/L NaOH</div>
+            <div><strong>Pass 2 concentrate recycle:</strong> ${projection.pass2.recycle.enabled ? `${projection.pass2.recycle.flow} ${unit}` : 'None'}</div>
+            ` : ''}
+            ${projection.energyRecovery ? `
+            <div><strong>Energy recovery:</strong> ${projection.energyRecovery.type.toUpperCase()}, HP pump ${projection.energyRecovery.hpPumpFlow} ${projection.energyRecovery.flowUnit} @ ${projection.energyRecovery.hpPumpPressure} ${projection.energyRecovery.pressureUnit}</div>
+            <div><strong>ERD booster:</strong> ${projection.energyRecovery.boosterFlow} ${projection.energyRecovery.flowUnit} @ ${projection.energyRecovery.boosterPressure} ${projection.energyRecovery.pressureUnit}, ${projection.energyRecovery.boosterPowerKw} kW</div>
+            <div><strong>Membrane feed salinity increase:</strong> ${projection.energyRecovery.salinityIncreasePercent} %</div>
+            ` : ''}
+            <div><strong>Specific energy:</strong> ${projection.specificEnergy} kWh/m3</div>
+            ${projection.bypass ? `
+            <div><strong>Raw-water bypass:</strong> ${projection.bypass.bypassPercent} % of product (${projection.bypass.bypassFlow} ${unit}/train)</div>
+            <div><strong>Blended product:</strong> TDS ${projection.bypass.blendedTds} mg/L, hardness ${projection.bypass.blendedHardness} mg/L as CaCO3${projection.bypass.blendedPh ? `, pH ${projection.bypass.blendedPh}` : ''}</div>
+            <div><strong>RO permeate required:</strong> ${projection.bypass.roPermeateFlow} ${unit}/train, ${projection.bypass.vesselsRequired} vessels</div>
+            ` : ''}
+            ${projection.splitPermeate ? `
+            <div><strong>Front permeate:</strong> ${projection.splitPermeate.front.flow} ${unit}, ${projection.splitPermeate.front.tds} mg/L</div>
+            <div><strong>Rear permeate:</strong> ${projection.splitPermeate.rear.flow} ${unit}, ${projection.splitPermeate.rear.tds} mg/L</div>
+            ${projection.pass2?.interpass?.feedSource === 'rear' ? `<div><strong>Pass 2 feed:</strong> Rear permeate only (front permeate to product)</div>` : ''}
+            ` : ''}
           </div>
 
           <div class="section">
@@ -1006,9 +1210,10 @@ const App = () => {
                 <tr><td>SrSO4 (%)</td><td>${analysisSaturations.srSo4.toFixed(1)}</td></tr>
                 <tr><td>CaF2 (%)</td><td>${analysisSaturations.caF2.toFixed(1)}</td></tr>
                 <tr><td>SiO2 (%)</td><td>${analysisSaturations.sio2.toFixed(1)}</td></tr>
-                <tr><td>Ca3(PO4)2 SI</td><td>${analysisSaturations.ca3po42.toFixed(2)}</td></tr>
+                <tr><td>Ca3(PO4)2 (%)</td><td>${analysisSaturations.ca3po42.toFixed(2)}</td></tr>
                 <tr><td>CCPP (mg/L CaCO3)</td><td>${analysisCcpp.toFixed(2)}</td></tr>
-                <tr><td>LSI</td><td>${analysisLsi.toFixed(2)}</td></tr>
+                <tr><td>LSI${governing(analysisIndex, 'lsi')}</td><td>${analysisLsi.toFixed(2)}</td></tr>
+                <tr><td>Stiff &amp; Davis index${governing(analysisIndex, 'sdsi')}</td><td>${analysisSdsi.toFixed(2)}</td></tr>
               </tbody>
             </table>
           </div>
@@ -1024,13 +1229,16 @@ const App = () => {
                   <th>Conc (${pUnit})</th>
                   <th>Feed per vessel (${fUnit})</th>
                   <th>Conc per vessel (${fUnit})</th>
+                  <th>Permeate (${fUnit})</th>
+                  <th>Permeate TDS (mg/L)</th>
+                  <th>Recovery (%)</th>
                   <th>Flux (${fluxUnit})</th>
                   <th>Highest flux (${fluxUnit})</th>
                   <th>Highest beta</th>
                 </tr>
               </thead>
               <tbody>
-                ${stageRows || '<tr><td colspan="9">No calculation results</td></tr>'}
+                ${stageRows || '<tr><td colspan="12">No calculation results</td></tr>'}
               </tbody>
             </table>
           </div>
@@ -1048,12 +1256,14 @@ const App = () => {
                 </tr>
               </thead>
               <tbody>
-                <tr><td>Na</td><td>${ionFeed.na.toFixed(2)}</td><td>${ionFeed.na.toFixed(2)}</td><td>${Number(permIons.na || 0).toFixed(3)}</td><td>${Number(concIons.na || 0).toFixed(1)}</td></tr>
-                <tr><td>HCO3</td><td>${ionFeed.hco3.toFixed(2)}</td><td>${ionFeed.hco3.toFixed(2)}</td><td>${Number(permIons.hco3 || 0).toFixed(3)}</td><td>${Number(concIons.hco3 || 0).toFixed(1)}</td></tr>
-                <tr><td>Cl</td><td>${ionFeed.cl.toFixed(2)}</td><td>${ionFeed.cl.toFixed(2)}</td><td>${Number(permIons.cl || 0).toFixed(3)}</td><td>${Number(concIons.cl || 0).toFixed(1)}</td></tr>
-                <tr><td>CO2</td><td>${ionFeed.co2.toFixed(2)}</td><td>${ionFeed.co2.toFixed(2)}</td><td>${Number(permIons.co2 || 0).toFixed(3)}</td><td>${Number(concIons.co2 || 0).toFixed(2)}</td></tr>
-                <tr><td>NH3</td><td>${ionFeed.nh4.toFixed(2)}</td><td>${ionFeed.nh4.toFixed(2)}</td><td>${Number(permIons.nh4 || 0).toFixed(3)}</td><td>${Number(concIons.nh4 || 0).toFixed(2)}</td></tr>
-                <tr><td>TDS</td><td>${rawTds.toFixed(2)}</td><td>${rawTds.toFixed(2)}</td><td>${permTds.toFixed(2)}</td><td>${concTds.toFixed(2)}</td></tr>
+                <tr><td>Na</td><td>${ionFeed.na.toFixed(2)}</td><td>${treatedIon('na').toFixed(2)}</td><td>${Number(permIons.na || 0).toFixed(3)}</td><td>${Number(concIons.na || 0).toFixed(1)}</td></tr>
+                <tr><td>HCO3</td><td>${ionFeed.hco3.toFixed(2)}</td><td>${treatedIon('hco3').toFixed(2)}</td><td>${Number(permIons.hco3 || 0).toFixed(3)}</td><td>${Number(concIons.hco3 || 0).toFixed(1)}</td></tr>
+                <tr><td>SO4</td><td>${ionFeed.so4.toFixed(2)}</td><td>${treatedIon('so4').toFixed(2)}</td><td>${Number(permIons.so4 || 0).toFixed(3)}</td><td>${Number(concIons.so4 || 0).toFixed(1)}</td></tr>
+                <tr><td>Cl</td><td>${ionFeed.cl.toFixed(2)}</td><td>${treatedIon('cl').toFixed(2)}</td><td>${Number(permIons.cl || 0).toFixed(3)}</td><td>${Number(concIons.cl || 0).toFixed(1)}</td></tr>
+                <tr><td>CO2</td><td>${ionFeed.co2.toFixed(2)}</td><td>${treatedIon('co2').toFixed(2)}</td><td>${Number(permIons.co2 || 0).toFixed(3)}</td><td>${Number(concIons.co2 || 0).toFixed(2)}</td></tr>
+                <tr><td>NH4</td><td>${ionFeed.nh4.toFixed(2)}</td><td>${treatedIon('nh4').toFixed(2)}</td><td>${Number(permIons.nh4 || 0).toFixed(3)}</td><td>${Number(concIons.nh4 || 0).toFixed(2)}</td></tr>
+                <tr><td>NH3</td><td>${ionFeed.nh3.toFixed(2)}</td><td>${treatedIon('nh3').toFixed(2)}</td><td>${Number(permIons.nh3 || 0).toFixed(3)}</td><td>${Number(concIons.nh3 || 0).toFixed(2)}</td></tr>
+                <tr><td>TDS</td><td>${rawTds.toFixed(2)}</td><td>${Number(projection.feedChemistry?.treatedTds ?? rawTds).toFixed(2)}</td><td>${permTds.toFixed(2)}</td><td>${concTds.toFixed(2)}</td></tr>
                 <tr><td>pH</td><td>${Number(waterData.ph || 7).toFixed(2)}</td><td>${feedPh.toFixed(2)}</td><td>${permPh.toFixed(2)}</td><td>${concPh.toFixed(2)}</td></tr>
               </tbody>
             </table>
@@ -1072,19 +1282,67 @@ const App = () => {
                 </tr>
               </thead>
               <tbody>
-                <tr><td>CaSO4 / Ksp * 100, %</td><td>0</td><td>0</td><td>0</td><td>${projection.concentrateSaturation?.caSo4 ?? '0.0'}</td></tr>
-                <tr><td>SrSO4 / Ksp * 100, %</td><td>0</td><td>0</td><td>0</td><td>${projection.concentrateSaturation?.srSo4 ?? '0.0'}</td></tr>
-                <tr><td>BaSO4 / Ksp * 100, %</td><td>0</td><td>0</td><td>0</td><td>${projection.concentrateSaturation?.baSo4 ?? '0.0'}</td></tr>
-                <tr><td>SiO2 Saturation, %</td><td>0</td><td>0</td><td>0</td><td>${projection.concentrateSaturation?.sio2 ?? '0.0'}</td></tr>
-                <tr><td>CaF2 / Ksp * 100, %</td><td>0</td><td>0</td><td>0</td><td>${projection.concentrateSaturation?.caF2 ?? '0.0'}</td></tr>
-                <tr><td>Ca3(PO4)2</td><td>0.0</td><td>0.0</td><td>0.0</td><td>${projection.concentrateSaturation?.ca3po42 ?? '0.00'}</td></tr>
+                <tr><td>CaSO4 / Ksp * 100, %</td>${feedSaturation('caSo4', 1)}<td>0</td><td>${projection.concentrateSaturation?.caSo4 ?? '0.0'}</td></tr>
+                <tr><td>SrSO4 / Ksp * 100, %</td>${feedSaturation('srSo4', 1)}<td>0</td><td>${projection.concentrateSaturation?.srSo4 ?? '0.0'}</td></tr>
+                <tr><td>BaSO4 / Ksp * 100, %</td>${feedSaturation('baSo4', 1)}<td>0</td><td>${projection.concentrateSaturation?.baSo4 ?? '0.0'}</td></tr>
+                <tr><td>SiO2 Saturation, %</td>${feedSaturation('sio2', 1)}<td>0</td><td>${projection.concentrateSaturation?.sio2 ?? '0.0'}</td></tr>
+                <tr><td>CaF2 / Ksp * 100, %</td>${feedSaturation('caF2', 1)}<td>0</td><td>${projection.concentrateSaturation?.caF2 ?? '0.0'}</td></tr>
+                <tr><td>Ca3(PO4)2 / Ksp * 100, %</td>${feedSaturation('ca3po42', 2)}<td>0.00</td><td>${projection.concentrateSaturation?.ca3po42 ?? '0.00'}</td></tr>
                 <tr><td>CCPP, mg/L</td><td>0.00</td><td>0.00</td><td>0.00</td><td>${projection.concentrateParameters?.ccpp ?? '0.0'}</td></tr>
-                <tr><td>Langelier index</td><td>0.00</td><td>0.00</td><td>0.00</td><td>${projection.concentrateParameters?.langelier ?? '0.00'}</td></tr>
+                <tr><td>Langelier index${governing(concentrateIndex, 'lsi')}</td><td>${projection.feedChemistry?.rawLsi ?? '0.00'}</td><td>${projection.feedChemistry?.treatedLsi ?? '0.00'}</td><td>0.00</td><td>${projection.concentrateParameters?.langelier ?? '0.00'}</td></tr>
+                <tr><td>Stiff &amp; Davis index${governing(concentrateIndex, 'sdsi')}</td><td>${projection.feedChemistry?.rawSdsi ?? '0.00'}</td><td>${projection.feedChemistry?.treatedSdsi ?? '0.00'}</td><td>0.00</td><td>${projection.concentrateParameters?.stiffDavis ?? '0.00'}</td></tr>
                 <tr><td>Osmotic pressure, psi</td><td>${projection.concentrateParameters?.osmoticPressure ?? '0.0'}</td><td>${projection.concentrateParameters?.osmoticPressure ?? '0.0'}</td><td>0.5</td><td>${projection.concentrateParameters?.osmoticPressure ?? '0.0'}</td></tr>
               </tbody>
             </table>
           </div>
 
+          ${designRunResults.envelope ? `
+          <div class="section">
+            <div class="section-title">Temperature Envelope</div>
+            <table>
+              <thead>
+                <tr>
+                  <th>Point</th>
+                  <th>Temperature (°C)</th>
+                  <th>Feed pressure (${pUnit})</th>
+                  <th>Permeate TDS (mg/L)</th>
+                  <th>Closest scaling limit</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${designRunResults.envelope.points.map(point => `
+                <tr><td>${point.label}</td><td>${point.tempC.toFixed(1)}</td><td>${(isGpm ? point.feedPressureBar * BAR_TO_PSI : point.feedPressureBar).toFixed(1)}</td><td>${point.permeateTds.toFixed(1)}</td><td>${point.scaling ? `${point.scaling.label} ${Number(point.scaling.value).toFixed(point.scaling.limiting === 'lsi' ? 2 : 1)} / ${point.scaling.limit}` : '-'}</td></tr>
+                `).join('')}
+              </tbody>
+            </table>
+            ${designRunResults.envelope.violations.map(violation => `<div><strong>${violation.tempC.toFixed(1)} °C:</strong> ${violation.message}</div>`).join('')}
+          </div>
+          ` : ''}
+
+          ${designRunResults.aging ? `
+          <div class="section">
+            <div class="section-title">Membrane Aging Projection (${designRunResults.aging.mode === 'constant-pressure' ? 'constant pressure' : 'constant flux'})</div>
+            <table>
+              <thead>
+                <tr>
+                  <th>Year</th>
+                  <th>Feed pressure (${pUnit})</th>
+                  <th>Permeate flow (${isGpm ? 'gpm' : 'm3/h'})</th>
+                  <th>Recovery (%)</th>
+                  <th>Permeate TDS (mg/L)</th>
+                  <th>Power (kW)</th>
+                  <th>Energy cost ($/month)</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${designRunResults.aging.rows.map(row => `
+                <tr><td>${row.year}</td><td>${(isGpm ? row.feedPressureBar * BAR_TO_PSI : row.feedPressureBar).toFixed(1)}</td><td>${(isGpm ? row.permeateFlowM3h * 4.402867 : row.permeateFlowM3h).toFixed(2)}</td><td>${row.recovery.toFixed(1)}</td><td>${row.permeateTds.toFixed(1)}</td><td>${row.powerKw.toFixed(2)}</td><td>${row.monthlyEnergyCost.toFixed(0)}</td></tr>
+                `).join('')}
+              </tbody>
+            </table>
+          </div>
+          ` : ''}
+
           <div class="section">
             <div class="section-title">Flow Diagram</div>
             <div style="padding: 10px 0;">
@@ -1179,10 +1437,13 @@ const App = () => {
     reader.onload = (evt) => {
       try {
         const data = JSON.parse(evt.target.result);
+        const renames = findEditedCatalogCopies(data.membranes);
         if (data.waterData) setWaterData(data.waterData);
-        if (data.systemConfig) setSystemConfig({ ...DEFAULT_SYSTEM_CONFIG, ...(data.systemConfig || {}) });
+        if (data.systemConfig) setSystemConfig(renameDesignMembranes({ ...DEFAULT_SYSTEM_CONFIG, ...(data.systemConfig || {}) }, renames));
         if (data.snapshots) setSnapshots(data.snapshots);
-        alert("Success: Design Loaded!");
+        if (data.membranes) setMembranes(migrateMembranes(data.membranes));
+        setOperatingData({ ...EMPTY_OPERATING_DATA, ...(data.operatingData || {}) });
+        alert(["Success: Design Loaded!", describeRenamedMembranes(renames)].filter(Boolean).join('\n'));
       } catch (err) { alert("Error: Invalid File Format"); }
     };
     reader.readAsText(file);
@@ -1224,6 +1485,7 @@ const App = () => {
     setPostTreatment({ causticDose: 2.0 });
     setSnapshots([]);
     setProjectNotes("");
+    setOperatingData(EMPTY_OPERATING_DATA);
     setActiveTab('analysis');
   };
 
@@ -1235,12 +1497,15 @@ const App = () => {
       ...incomingWater,
       projectId: incomingWater.projectId || createProjectId()
     });
-    setSystemConfig({ ...DEFAULT_SYSTEM_CONFIG, ...(data.systemConfig || {}) });
-    setMembranes(data.membranes || membranes);
+    const renames = findEditedCatalogCopies(data.membranes);
+    setSystemConfig(renameDesignMembranes({ ...DEFAULT_SYSTEM_CONFIG, ...(data.systemConfig || {}) }, renames));
+    setMembranes(migrateMembranes(data.membranes));
+    if (renames.length > 0) alert(describeRenamedMembranes(renames));
     setSnapshots(data.snapshots || []);
     setProjectNotes(data.projectNotes || "");
     setPretreatment(data.pretreatment || pretreatment);
     setPostTreatment(data.postTreatment || postTreatment);
+    setOperatingData({ ...EMPTY_OPERATING_DATA, ...(data.operatingData || {}) });
     setActiveTab('analysis');
   };
 
@@ -1323,7 +1588,7 @@ const App = () => {
         <h2 style={{ margin: 0, fontSize: '1.35rem', lineHeight: 1.2 }}>Morris-Jenkins IMS Design Pro 3.0</h2>
         
         <nav style={{ display: 'flex', gap: '6px', background: 'rgba(255,255,255,0.08)', padding: '4px', borderRadius: '10px' }}>
-          {['dashboard', 'analysis', 'pretreatment', 'design', 'post', 'report', 'database'].map(t => (
+          {['dashboard', 'analysis', 'pretreatment', 'design', 'post', 'report', 'operation', 'database'].map(t => (
             <button
               key={t}
               onClick={() => setActiveTab(t)}
@@ -1486,10 +1751,12 @@ const App = () => {
             projection={projection}
             applyTdsProfile={applyTdsProfile}
             waterData={waterData}
+            designRuns={designRunResults}
+            onDesignRun={recordDesignRun}
             onRun={() => setSystemConfig(c => ({ ...c, designCalculated: true }))}
           />
         )}
-        {activeTab === 'post' && <PostTreatment projection={projection} postTreatment={postTreatment} setPostTreatment={setPostTreatment} systemConfig={systemConfig} />}
+        {activeTab === 'post' && <PostTreatment projection={projection} postTreatment={postTreatment} setPostTreatment={setPostTreatment} systemConfig={systemConfig} waterData={waterData} />}
         {activeTab === 'report' && (
           <Report 
             waterData={waterData} 
@@ -1504,6 +1771,9 @@ const App = () => {
             setSnapshots={setSnapshots}
           />
         )}
+        {activeTab === 'operation' && (
+          <Normalization operatingData={operatingData} setOperatingData={setOperatingData} systemConfig={systemConfig} />
+        )}
         {activeTab === 'database' && (
           <MembraneEditor
             membranes={membranes}
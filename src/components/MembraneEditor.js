@@ -1,19 +1,92 @@
 import React, { useState } from 'react';
+import {
+  getMembraneLibrary, resolveMembrane, normalizeMembrane, getArea, getAValue,
+  exportMembraneLibrary, parseMembraneLibrary, findMembraneConflicts, mergeMembraneLibrary,
+  validateDatasheet, applyCalibration
+} from '../engines/membraneEngine';
+import { calibrateMembrane, BAR_TO_PSI, FLOW_TO_M3H } from '../utils/calculatorService';
+
+const EMPTY_MEMBRANE = {
+  id: '',
+  name: '',
+  area: 400,
+  type: 'Brackish',
+  aValue: 3.2,
+  rejection: 99.7,
+  maxFlux: 48.5,
+  membraneB: 0.14,
+  dpExponent: 1.22,
+  nominalFlowDP: 15.5,
+  osmoticCoeff: 0.00077,
+  calibration: null
+};
+
+const GPD_TO_M3D = FLOW_TO_M3H.gpd * 24;
+
+// Datasheet solute rejections offered next to the NaCl rejection
+const DATASHEET_SOLUTES = [
+  { key: 'divalent', label: 'MgSO4 / divalent rej. (%)' },
+  { key: 'silica', label: 'Silica rej. (%)' },
+  { key: 'boron', label: 'Boron rej. (%)' }
+];
+
+// Form holds the datasheet in its own units; the engine takes bar, m³/d and %
+const toDatasheet = (form) => ({
+  pressureBar: form.pressureUnit === 'psi' ? Number(form.pressure) / BAR_TO_PSI : Number(form.pressure),
+  tds: Number(form.tds),
+  recovery: Number(form.recovery),
+  temperatureC: Number(form.temperatureC),
+  permeateFlowM3d: form.flowUnit === 'gpd' ? Number(form.permeateFlow) * GPD_TO_M3D : Number(form.permeateFlow),
+  rejection: form.rejection === '' ? NaN : Number(form.rejection),
+  ...(form.ph !== '' ? { ph: Number(form.ph) } : {}),
+  soluteRejections: Object.fromEntries(DATASHEET_SOLUTES
+    .filter(({ key }) => form[key] !== '')
+    .map(({ key }) => [key, Number(form[key])]))
+});
+
+// The form holds a flat record (area in ft²); the registry brings it to the current schema and
+// supplies the transport defaults. A and B go straight into the transport block: they are
+// entered in LMH/bar and LMH.
+const buildFormMembrane = ({ aValue, membraneB, calibration, ...form }) => normalizeMembrane({
+  ...form,
+  transport: {
+    aValueRef: aValue,
+    membraneBRef: membraneB
+  },
+  pressureDropModel: {
+    coefficient: form.nominalFlowDP || (form.category === '4040' ? 0.0158 : 0.0042),
+    exponent: form.dpExponent
+  },
+  osmoticModel: {
+    type: form.type === 'Seawater' ? 'seawater-linear' : 'industrial-linear',
+    coefficient: form.osmoticCoeff || 0.00077
+  }
+});
 
 const MembraneEditor = ({ membranes, setMembranes, systemConfig, setSystemConfig }) => {
-  const [newMembrane, setNewMembrane] = useState({ 
-    id: '', 
-    name: '', 
-    area: 400, 
-    type: 'Brackish',
-    aValue: 0.12,
+  const isGpm = ['gpm', 'gpd', 'mgd', 'migd'].includes(systemConfig?.flowUnit || 'gpm');
+  const [newMembrane, setNewMembrane] = useState(EMPTY_MEMBRANE);
+  const [selectedIds, setSelectedIds] = useState([]);
+  // Parsed library file waiting for the user to settle duplicate ids
+  const [pendingImport, setPendingImport] = useState(null);
+  const [datasheetForm, setDatasheetForm] = useState({
+    pressure: isGpm ? 225 : 15.5,
+    pressureUnit: isGpm ? 'psi' : 'bar',
+    tds: 2000,
+    recovery: 15,
+    temperatureC: 25,
+    permeateFlow: isGpm ? 11000 : 41.6,
+    flowUnit: isGpm ? 'gpd' : 'm3d',
     rejection: 99.7,
-    maxFlux: 48.5,
-    membraneB: 0.14,
-    dpExponent: 1.22,
-    nominalFlowDP: 15.5,
-    osmoticCoeff: 0.00077
+    ph: '',
+    divalent: '',
+    silica: '',
+    boron: ''
   });
+  // Element to calibrate: '' is the new element form, otherwise a project membrane id
+  const [calibrationTarget, setCalibrationTarget] = useState('');
+  // Fitted constants waiting to be applied: { target, datasheet, fit, errors }
+  const [calibration, setCalibration] = useState(null);
 
   const handleAdd = (e) => {
     e.preventDefault();
@@ -22,57 +95,118 @@ const MembraneEditor = ({ membranes, setMembranes, systemConfig, setSystemConfig
       return;
     }
     
-    // Check for duplicates
-    if (membranes.find(m => m.id === newMembrane.id)) {
+    // Check for duplicates, catalog models included
+    if (resolveMembrane(newMembrane.id, membranes)) {
       alert("A membrane with this ID already exists.");
       return;
     }
 
-    const membraneToAdd = {
-      ...newMembrane,
-      areaM2: newMembrane.area * 0.092903,
-      transport: {
-        aValueRef: newMembrane.aValue,
-        membraneBRef: newMembrane.membraneB,
-        kMtRef: 160,
-        soluteBFactors: {
-          monovalent: 1.0,
-          divalent: 0.6,
-          silica: 0.8,
-          boron: 1.4,
-          co2: 999
-        }
-      },
-      pressureDropModel: {
-        coefficient: newMembrane.nominalFlowDP || (newMembrane.category === '4040' ? 0.0158 : 0.0042),
-        exponent: newMembrane.dpExponent
-      },
-      osmoticModel: {
-        type: newMembrane.type === 'Seawater' ? 'seawater-linear' : 'industrial-linear',
-        coefficient: newMembrane.osmoticCoeff || 0.00077
-      }
-    };
+    const record = buildFormMembrane(newMembrane);
+    const membraneToAdd = newMembrane.calibration
+      ? applyCalibration(record, newMembrane.calibration.datasheet, newMembrane.calibration.fit)
+      : record;
 
     setMembranes([...membranes, membraneToAdd]);
-    setNewMembrane({ id: '', name: '', area: 400, type: 'Brackish', aValue: 0.12, rejection: 99.7, maxFlux: 48.5, membraneB: 0.14, dpExponent: 1.22, nominalFlowDP: 15.5, osmoticCoeff: 0.00077 });
+    setNewMembrane(EMPTY_MEMBRANE);
+  };
+
+  // A calibration only holds for the area, type and constants it was fitted with
+  const editCalibrated = (changes) => setNewMembrane({ ...newMembrane, ...changes, calibration: null });
+
+  const handleCalibrate = () => {
+    const datasheet = toDatasheet(datasheetForm);
+    const { errors } = validateDatasheet(datasheet);
+    if (errors.length > 0) {
+      setCalibration({ target: calibrationTarget, datasheet, fit: null, errors });
+      return;
+    }
+    // Placeholder id: a registry id typed in the form must not resolve to the catalog model
+    const membrane = calibrationTarget
+      ? resolveMembrane(calibrationTarget, membranes)
+      : buildFormMembrane({ ...newMembrane, id: 'new-element' });
+    setCalibration({ target: calibrationTarget, datasheet, fit: calibrateMembrane(membrane, datasheet), errors: [] });
+  };
+
+  const editDatasheet = (key, value) => setDatasheetForm({ ...datasheetForm, [key]: value });
+
+  const handleApplyCalibration = () => {
+    const { target, datasheet, fit } = calibration;
+    if (target) {
+      setMembranes(membranes.map(m => (
+        m.id === target ? applyCalibration(resolveMembrane(target, membranes), datasheet, fit) : m
+      )));
+    } else {
+      setNewMembrane({
+        ...newMembrane,
+        aValue: Number(fit.aValueRef.toFixed(4)),
+        membraneB: Number(fit.membraneBRef.toFixed(5)),
+        rejection: datasheet.rejection,
+        calibration: { datasheet, fit }
+      });
+    }
+    setCalibration(null);
   };
 
   const handleDelete = (id) => {
     if (window.confirm("Are you sure you want to remove this membrane from your database?")) {
       setMembranes(membranes.filter(m => m.id !== id));
+      setSelectedIds(selectedIds.filter(selected => selected !== id));
     }
   };
 
+  const toggleSelected = (id) => {
+    setSelectedIds(selectedIds.includes(id) ? selectedIds.filter(selected => selected !== id) : [...selectedIds, id]);
+  };
+
+  // Selected elements, or the whole library when nothing is selected
+  const handleExport = (format) => {
+    const chosen = selectedIds.length > 0 ? library.filter(m => selectedIds.includes(m.id)) : library;
+    const blob = new Blob([exportMembraneLibrary(chosen, format)], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `Membrane_Library.${format}`;
+    link.click();
+  };
+
+  const handleImportFile = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (evt) => {
+      const { membranes: incoming, errors } = parseMembraneLibrary(evt.target.result);
+      const conflicts = findMembraneConflicts(incoming, membranes);
+      setPendingImport({
+        fileName: file.name,
+        incoming,
+        errors,
+        conflicts,
+        resolutions: Object.fromEntries(conflicts.map(c => [c.id, 'skip']))
+      });
+    };
+    reader.readAsText(file);
+    e.target.value = '';
+  };
+
+  const handleConfirmImport = () => {
+    setMembranes(mergeMembraneLibrary(membranes, pendingImport.incoming, pendingImport.resolutions));
+    setPendingImport(null);
+  };
+
   const cardStyle = { background: 'white', padding: '20px', borderRadius: '8px', boxShadow: '0 2px 4px rgba(0,0,0,0.1)', marginBottom: '20px' };
   const inputStyle = { padding: '10px', border: '1px solid #ccc', borderRadius: '4px', flex: 1 };
   const thStyle = { textAlign: 'left', padding: '12px', borderBottom: '2px solid #eee', color: '#666' };
   const tdStyle = { padding: '12px', borderBottom: '1px solid #eee' };
+  const labelStyle = { display: 'flex', flexDirection: 'column', gap: '4px', color: '#444' };
+  const fieldStyle = { padding: '6px', border: '1px solid #ccc', borderRadius: '4px', fontSize: '0.8rem', minWidth: 0 };
+  const fitCellStyle = { padding: '3px 12px 3px 0' };
+  const library = getMembraneLibrary(membranes);
+  const isProjectMembrane = (id) => membranes.some(m => m.id === id);
 
   return (
     <div style={{ maxWidth: '900px', margin: '0 auto' }}>
       <h2 style={{ color: '#2c3e50' }}>Membrane Database Editor</h2>
       <p style={{ color: '#666', marginBottom: '20px' }}>
-        Add new membrane specifications here. These will immediately appear in your <strong>System Design</strong> dropdown.
+        The membrane registry catalog plus this project's own elements. Elements you add here will immediately appear in your <strong>System Design</strong> dropdown.
       </p>
 
       {/* ADD NEW MEMBRANE FORM */}
@@ -94,16 +228,18 @@ const MembraneEditor = ({ membranes, setMembranes, systemConfig, setSystemConfig
           <input 
             type="number" 
             placeholder="Area (ft²)" 
+            title="Active area (ft²)"
             value={newMembrane.area} 
-            onChange={e => setNewMembrane({...newMembrane, area: parseFloat(e.target.value) || 0})} 
+            onChange={e => editCalibrated({ area: parseFloat(e.target.value) || 0 })} 
             style={{ ...inputStyle, maxWidth: '100px' }} 
           />
           <input 
             type="number" 
             step="0.01"
-            placeholder="A-value" 
+            placeholder="A (LMH/bar)" 
+            title="A-value (LMH/bar at 25°C)"
             value={newMembrane.aValue} 
-            onChange={e => setNewMembrane({...newMembrane, aValue: parseFloat(e.target.value) || 0})} 
+            onChange={e => editCalibrated({ aValue: parseFloat(e.target.value) || 0 })} 
             style={{ ...inputStyle, maxWidth: '90px' }} 
           />
           <input 
@@ -125,9 +261,10 @@ const MembraneEditor = ({ membranes, setMembranes, systemConfig, setSystemConfig
           <input 
             type="number" 
             step="0.01"
-            placeholder="Membrane B" 
+            placeholder="B (LMH)" 
+            title="NaCl B-value (LMH at 25°C)"
             value={newMembrane.membraneB} 
-            onChange={e => setNewMembrane({...newMembrane, membraneB: parseFloat(e.target.value) || 0.14})} 
+            onChange={e => editCalibrated({ membraneB: parseFloat(e.target.value) || 0.14 })} 
             style={{ ...inputStyle, maxWidth: '100px' }} 
           />
           <input 
@@ -156,7 +293,7 @@ const MembraneEditor = ({ membranes, setMembranes, systemConfig, setSystemConfig
           />
           <select 
             value={newMembrane.type} 
-            onChange={e => setNewMembrane({...newMembrane, type: e.target.value})} 
+            onChange={e => editCalibrated({ type: e.target.value })} 
             style={inputStyle}
           >
             <option value="Brackish">Brackish</option>
@@ -166,6 +303,200 @@ const MembraneEditor = ({ membranes, setMembranes, systemConfig, setSystemConfig
             Add Element
           </button>
         </form>
+        {newMembrane.calibration && (
+          <div style={{ marginTop: '10px', fontSize: '0.8rem', color: '#27ae60' }}>
+            Calibrated against the datasheet below: the fitted A, B and solute factors are saved with the element.
+            Editing the area, type, A or B drops the calibration.
+          </div>
+        )}
+      </div>
+
+      {/* DATASHEET CALIBRATION */}
+      <div style={cardStyle}>
+        <h3 style={{ marginTop: 0, color: '#004a80' }}>Datasheet Calibration</h3>
+        <p style={{ fontSize: '0.8rem', color: '#666', marginTop: 0 }}>
+          Enter the manufacturer test conditions (NaCl solution, single element, open permeate). A, B and the
+          solute factors are fitted so the projection reproduces the nominal permeate flow and rejections.
+        </p>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '10px', fontSize: '0.8rem' }}>
+          <label style={labelStyle}>
+            Element
+            <select value={calibrationTarget} onChange={e => setCalibrationTarget(e.target.value)} style={fieldStyle}>
+              <option value="">New element (form above)</option>
+              {membranes.map(m => <option key={m.id} value={m.id}>{m.name || m.id}</option>)}
+            </select>
+          </label>
+          <label style={labelStyle}>
+            Test pressure
+            <span style={{ display: 'flex', gap: '4px' }}>
+              <input type="number" value={datasheetForm.pressure} onChange={e => editDatasheet('pressure', e.target.value)} style={fieldStyle} />
+              <select value={datasheetForm.pressureUnit} onChange={e => editDatasheet('pressureUnit', e.target.value)} style={fieldStyle}>
+                <option value="psi">psi</option>
+                <option value="bar">bar</option>
+              </select>
+            </span>
+          </label>
+          <label style={labelStyle}>
+            Nominal permeate flow
+            <span style={{ display: 'flex', gap: '4px' }}>
+              <input type="number" value={datasheetForm.permeateFlow} onChange={e => editDatasheet('permeateFlow', e.target.value)} style={fieldStyle} />
+              <select value={datasheetForm.flowUnit} onChange={e => editDatasheet('flowUnit', e.target.value)} style={fieldStyle}>
+                <option value="gpd">gpd</option>
+                <option value="m3d">m³/d</option>
+              </select>
+            </span>
+          </label>
+          <label style={labelStyle}>
+            Test TDS (mg/L NaCl)
+            <input type="number" value={datasheetForm.tds} onChange={e => editDatasheet('tds', e.target.value)} style={fieldStyle} />
+          </label>
+          <label style={labelStyle}>
+            Recovery (%)
+            <input type="number" value={datasheetForm.recovery} onChange={e => editDatasheet('recovery', e.target.value)} style={fieldStyle} />
+          </label>
+          <label style={labelStyle}>
+            Temperature (°C)
+            <input type="number" value={datasheetForm.temperatureC} onChange={e => editDatasheet('temperatureC', e.target.value)} style={fieldStyle} />
+          </label>
+          <label style={labelStyle}>
+            Nominal rejection (%)
+            <input type="number" step="0.01" value={datasheetForm.rejection} onChange={e => editDatasheet('rejection', e.target.value)} style={fieldStyle} />
+          </label>
+          <label style={labelStyle}>
+            Test pH (optional, boron)
+            <input type="number" step="0.1" placeholder="8.0" value={datasheetForm.ph} onChange={e => editDatasheet('ph', e.target.value)} style={fieldStyle} />
+          </label>
+          {DATASHEET_SOLUTES.map(({ key, label }) => (
+            <label key={key} style={labelStyle}>
+              {label}
+              <input type="number" step="0.1" placeholder="optional" value={datasheetForm[key]} onChange={e => editDatasheet(key, e.target.value)} style={fieldStyle} />
+            </label>
+          ))}
+        </div>
+        <button onClick={handleCalibrate} style={{ marginTop: '12px', padding: '8px 16px', background: '#004a80', color: '#fff', border: 'none', borderRadius: '4px', cursor: 'pointer' }}>
+          Fit A and B
+        </button>
+
+        {calibration && (
+          <div style={{ marginTop: '15px', padding: '12px', background: '#f8fbff', border: '1px solid #c2d1df', borderRadius: '6px', fontSize: '0.85rem' }}>
+            {calibration.errors.length > 0 ? (
+              <ul style={{ margin: 0, paddingLeft: '18px', color: '#c0392b' }}>
+                {calibration.errors.map((error, idx) => <li key={idx}>{error}</li>)}
+              </ul>
+            ) : (
+              <>
+                {calibration.fit.bound && (
+                  <div style={{ color: '#c0392b', marginBottom: '6px' }}>
+                    {calibration.fit.bound === 'aValue'
+                      ? 'The nominal permeate flow cannot be reached at the test pressure and TDS; check the datasheet units.'
+                      : 'The nominal rejection cannot be reproduced; check the datasheet values.'}
+                  </div>
+                )}
+                <table style={{ borderCollapse: 'collapse', fontSize: '0.8rem' }}>
+                  <tbody>
+                    <tr><td style={fitCellStyle}>A (LMH/bar @ 25°C)</td><td style={fitCellStyle}>{calibration.fit.aValueRef.toFixed(3)}</td></tr>
+                    <tr><td style={fitCellStyle}>B (LMH @ 25°C)</td><td style={fitCellStyle}>{calibration.fit.membraneBRef.toFixed(4)}</td></tr>
+                    {Object.keys(calibration.fit.soluteRejections).map(solute => (
+                      <tr key={solute}>
+                        <td style={fitCellStyle}>{solute} B factor</td>
+                        <td style={fitCellStyle}>{calibration.fit.soluteBFactors[solute].toFixed(3)}</td>
+                      </tr>
+                    ))}
+                    <tr>
+                      <td style={fitCellStyle}>Reproduced permeate flow</td>
+                      <td style={fitCellStyle}>
+                        {datasheetForm.flowUnit === 'gpd'
+                          ? `${(calibration.fit.permeateFlowM3d / GPD_TO_M3D).toFixed(0)} gpd`
+                          : `${calibration.fit.permeateFlowM3d.toFixed(2)} m³/d`}
+                      </td>
+                    </tr>
+                    <tr><td style={fitCellStyle}>Reproduced rejection</td><td style={fitCellStyle}>{calibration.fit.rejection.toFixed(2)} %</td></tr>
+                    {Object.entries(calibration.fit.soluteRejections).map(([solute, value]) => (
+                      <tr key={solute}><td style={fitCellStyle}>Reproduced {solute} rejection</td><td style={fitCellStyle}>{value.toFixed(2)} %</td></tr>
+                    ))}
+                  </tbody>
+                </table>
+                <div style={{ display: 'flex', gap: '10px', marginTop: '10px' }}>
+                  <button
+                    onClick={handleApplyCalibration}
+                    disabled={!!calibration.fit.bound}
+                    style={{ padding: '6px 14px', background: '#27ae60', color: '#fff', border: 'none', borderRadius: '4px', cursor: 'pointer' }}
+                  >
+                    {calibration.target ? `Apply to ${calibration.target}` : 'Apply to new element'}
+                  </button>
+                  <button onClick={() => setCalibration(null)} style={{ padding: '6px 14px', background: '#eee', border: '1px solid #ccc', borderRadius: '4px', cursor: 'pointer' }}>
+                    Discard
+                  </button>
+                </div>
+              </>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* LIBRARY IMPORT / EXPORT */}
+      <div style={cardStyle}>
+        <h3 style={{ marginTop: 0, color: '#004a80' }}>Import / Export Library</h3>
+        <div style={{ display: 'flex', gap: '10px', alignItems: 'center', flexWrap: 'wrap' }}>
+          <button onClick={() => handleExport('json')} style={{ padding: '8px 16px', background: '#004a80', color: '#fff', border: 'none', borderRadius: '4px', cursor: 'pointer' }}>
+            Export JSON
+          </button>
+          <button onClick={() => handleExport('csv')} style={{ padding: '8px 16px', background: '#004a80', color: '#fff', border: 'none', borderRadius: '4px', cursor: 'pointer' }}>
+            Export CSV
+          </button>
+          <span style={{ fontSize: '0.8rem', color: '#666' }}>
+            {selectedIds.length > 0 ? `${selectedIds.length} selected element(s)` : 'Whole library (tick rows to export a selection)'}
+          </span>
+          <label style={{ marginLeft: 'auto', fontSize: '0.85rem' }}>
+            Import JSON/CSV:{' '}
+            <input type="file" accept=".json,.csv" onChange={handleImportFile} style={{ fontSize: '0.8rem' }} />
+          </label>
+        </div>
+
+        {pendingImport && (
+          <div style={{ marginTop: '15px', padding: '12px', background: '#f8fbff', border: '1px solid #c2d1df', borderRadius: '6px', fontSize: '0.85rem' }}>
+            <div style={{ fontWeight: 'bold', marginBottom: '6px' }}>
+              {pendingImport.fileName}: {pendingImport.incoming.length} valid element(s)
+            </div>
+            {pendingImport.errors.length > 0 && (
+              <ul style={{ margin: '0 0 8px', paddingLeft: '18px', color: '#c0392b', maxHeight: '120px', overflowY: 'auto' }}>
+                {pendingImport.errors.map((error, idx) => (
+                  <li key={idx}>
+                    {error.position > 0 ? `#${error.position}${error.id ? ` (${error.id})` : ''}: ` : ''}{error.message}
+                  </li>
+                ))}
+              </ul>
+            )}
+            {pendingImport.conflicts.map(conflict => (
+              <div key={conflict.id} style={{ display: 'flex', gap: '10px', alignItems: 'center', marginBottom: '6px' }}>
+                <span style={{ flex: 1 }}>
+                  <code>{conflict.id}</code> already exists {conflict.source === 'registry' ? 'in the registry catalog' : 'in this project'}
+                </span>
+                <select
+                  value={pendingImport.resolutions[conflict.id]}
+                  onChange={e => setPendingImport({ ...pendingImport, resolutions: { ...pendingImport.resolutions, [conflict.id]: e.target.value } })}
+                  style={{ padding: '4px', fontSize: '0.8rem' }}
+                >
+                  <option value="skip">Keep existing</option>
+                  {conflict.source === 'project' && <option value="replace">Replace with imported</option>}
+                  <option value="rename">Import as a copy</option>
+                </select>
+              </div>
+            ))}
+            <div style={{ display: 'flex', gap: '10px', marginTop: '8px' }}>
+              <button
+                onClick={handleConfirmImport}
+                disabled={pendingImport.incoming.length === 0}
+                style={{ padding: '6px 14px', background: '#27ae60', color: '#fff', border: 'none', borderRadius: '4px', cursor: 'pointer' }}
+              >
+                Import
+              </button>
+              <button onClick={() => setPendingImport(null)} style={{ padding: '6px 14px', background: '#eee', border: '1px solid #ccc', borderRadius: '4px', cursor: 'pointer' }}>
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
       </div>
 
       {/* DATABASE TABLE */}
@@ -175,18 +506,20 @@ const MembraneEditor = ({ membranes, setMembranes, systemConfig, setSystemConfig
         <table style={{ width: '100%', borderCollapse: 'collapse' }}>
           <thead>
             <tr>
+              <th style={thStyle}></th>
               <th style={thStyle}>ID</th>
               <th style={thStyle}>Model</th>
               <th style={thStyle}>Area (ft²)</th>
-              <th style={thStyle}>A-value</th>
+              <th style={thStyle}>A (LMH/bar)</th>
               <th style={thStyle}>Rej (%)</th>
               <th style={thStyle}>Max Flux (LMH)</th>
               <th style={thStyle}>Type</th>
+              <th style={thStyle}>Source</th>
               <th style={thStyle}>Action</th>
             </tr>
           </thead>
           <tbody>
-            {membranes.map(m => (
+            {library.map(m => (
               <tr
                 key={m.id}
                 onClick={() => setSystemConfig?.({ ...systemConfig, membraneModel: m.id })}
@@ -196,10 +529,13 @@ const MembraneEditor = ({ membranes, setMembranes, systemConfig, setSystemConfig
                 }}
                 title="Click to use this membrane in Design"
               >
+                <td style={tdStyle} onClick={e => e.stopPropagation()}>
+                  <input type="checkbox" checked={selectedIds.includes(m.id)} onChange={() => toggleSelected(m.id)} />
+                </td>
                 <td style={tdStyle}><code>{m.id}</code></td>
                 <td style={tdStyle}>{m.name}</td>
-                <td style={tdStyle}>{m.area}</td>
-                <td style={tdStyle}>{m.aValue ?? ''}</td>
+                <td style={tdStyle}>{(getArea(m) / 0.09290304).toFixed(0)}</td>
+                <td style={tdStyle}>{getAValue(m).toFixed(2)}</td>
                 <td style={tdStyle}>{m.rejection ?? ''}</td>
                 <td style={tdStyle}>{m.maxFlux ?? '48.5'}</td>
                 <td style={tdStyle}>
@@ -213,13 +549,16 @@ const MembraneEditor = ({ membranes, setMembranes, systemConfig, setSystemConfig
                      {m.type}
                    </span>
                 </td>
+                <td style={tdStyle}>{isProjectMembrane(m.id) ? 'Project' : 'Registry'}</td>
                 <td style={tdStyle}>
-                  <button 
-                    onClick={() => handleDelete(m.id)} 
-                    style={{ background: 'none', border: 'none', color: '#e74c3c', cursor: 'pointer', fontSize: '0.8rem' }}
-                  >
-                    Remove
-                  </button>
+                  {isProjectMembrane(m.id) && (
+                    <button 
+                      onClick={(e) => { e.stopPropagation(); handleDelete(m.id); }} 
+                      style={{ background: 'none', border: 'none', color: '#e74c3c', cursor: 'pointer', fontSize: '0.8rem' }}
+                    >
+                      Remove
+                    </button>
+                  )}
                 </td>
               </tr>
             ))}
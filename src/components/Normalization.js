@@ -0,0 +1,211 @@
+import React, { useMemo } from 'react';
+import { parseOperatingLog, normalizeOperatingData, DEFAULT_CLEANING_THRESHOLDS } from '../engines/normalizationEngine';
+
+const TREND_SERIES = [
+  { key: 'permeateFlow', label: 'Normalized permeate flow', color: '#2980b9', direction: -1 },
+  { key: 'saltPassage', label: 'Normalized salt passage', color: '#8e44ad', direction: 1 },
+  { key: 'differentialPressure', label: 'Normalized differential pressure', color: '#d35400', direction: 1 }
+];
+
+/**
+ * % change from the baseline over time, with the cleaning threshold drawn as a dashed line.
+ * direction is -1 for a value whose decline is bad (permeate flow), 1 for a rise.
+ */
+const TrendChart = ({ points, series, threshold }) => {
+  const width = 560;
+  const height = 150;
+  const pad = { left: 40, right: 10, top: 10, bottom: 22 };
+  const data = points
+    .map(point => ({ time: Date.parse(point.timestamp), value: point.change[series.key] }))
+    .filter(point => point.value !== null && Number.isFinite(point.value));
+  if (data.length === 0) {
+    return <div style={{ fontSize: '0.75rem', color: '#999' }}>{series.label}: no data in the log</div>;
+  }
+
+  const limit = series.direction * threshold;
+  const values = [...data.map(d => d.value), limit, 0];
+  const yMin = Math.floor(Math.min(...values) / 5) * 5 - 5;
+  const yMax = Math.ceil(Math.max(...values) / 5) * 5 + 5;
+  const tMin = data[0].time;
+  const tMax = Math.max(data[data.length - 1].time, tMin + 1);
+  const x = (t) => pad.left + ((t - tMin) / (tMax - tMin)) * (width - pad.left - pad.right);
+  const y = (v) => pad.top + ((yMax - v) / (yMax - yMin)) * (height - pad.top - pad.bottom);
+  const path = data.map((d, i) => `${i === 0 ? 'M' : 'L'}${x(d.time).toFixed(1)},${y(d.value).toFixed(1)}`).join(' ');
+
+  return (
+    <div style={{ marginBottom: '12px' }}>
+      <div style={{ fontSize: '0.8rem', fontWeight: 'bold', color: '#002f5d' }}>{series.label} (% from baseline)</div>
+      <svg width={width} height={height} style={{ background: '#fafcfe', border: '1px solid #e1e8ef' }}>
+        <line x1={pad.left} x2={width - pad.right} y1={y(0)} y2={y(0)} stroke="#bbb" />
+        <line x1={pad.left} x2={width - pad.right} y1={y(limit)} y2={y(limit)} stroke="#c0392b" strokeDasharray="4 3" />
+        <text x={width - pad.right} y={y(limit) - 3} fontSize="9" fill="#c0392b" textAnchor="end">clean at {limit > 0 ? '+' : ''}{limit}%</text>
+        <text x={pad.left - 4} y={y(yMax) + 8} fontSize="9" textAnchor="end">{yMax}</text>
+        <text x={pad.left - 4} y={y(yMin)} fontSize="9" textAnchor="end">{yMin}</text>
+        <text x={pad.left} y={height - 6} fontSize="9">{new Date(tMin).toLocaleDateString()}</text>
+        <text x={width - pad.right} y={height - 6} fontSize="9" textAnchor="end">{new Date(tMax).toLocaleDateString()}</text>
+        <path d={path} fill="none" stroke={series.color} strokeWidth="1.5" />
+        {data.map((d, i) => (
+          <circle key={i} cx={x(d.time)} cy={y(d.value)} r="2" fill={series.direction * d.value >= threshold ? '#c0392b' : series.color} />
+        ))}
+      </svg>
+    </div>
+  );
+};
+
+const Normalization = ({ operatingData, setOperatingData, systemConfig }) => {
+  const isGpm = ['gpm', 'gpd', 'mgd', 'migd'].includes(systemConfig?.flowUnit || 'gpm');
+  const pressureUnit = operatingData.pressureUnit || (isGpm ? 'psi' : 'bar');
+  const thresholds = { ...DEFAULT_CLEANING_THRESHOLDS, ...(operatingData.thresholds || {}) };
+
+  const normalized = useMemo(() => normalizeOperatingData(operatingData.rows || [], {
+    baselineDate: operatingData.baselineDate,
+    pressureUnit,
+    tdsFactor: Number(operatingData.tdsFactor) || 0.67,
+    thresholds: Object.fromEntries(Object.entries({ ...DEFAULT_CLEANING_THRESHOLDS, ...(operatingData.thresholds || {}) })
+      .map(([key, val]) => [key, Number(val) || 0]))
+  }), [operatingData, pressureUnit]);
+
+  const handleImport = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (evt) => {
+      const { rows, errors } = parseOperatingLog(evt.target.result);
+      setOperatingData({ ...operatingData, fileName: file.name, rows, importErrors: errors });
+    };
+    reader.readAsText(file);
+    e.target.value = '';
+  };
+
+  const handleChange = (key, val) => setOperatingData({ ...operatingData, [key]: val });
+  const handleThresholdChange = (key, val) => setOperatingData({ ...operatingData, thresholds: { ...thresholds, [key]: val } });
+
+  const cardStyle = { background: 'white', padding: '20px', borderRadius: '8px', border: '1px solid #c2d1df', marginBottom: '20px' };
+  const rowStyle = { display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px', fontSize: '0.8rem' };
+  const inputStyle = { width: '110px', padding: '4px', fontSize: '0.8rem' };
+  const cellStyle = { border: '1px solid #ddd', padding: '3px 6px' };
+  const format = (value, decimals) => (value === null || value === undefined ? '-' : Number(value).toFixed(decimals));
+  const rows = operatingData.rows || [];
+  const importErrors = operatingData.importErrors || [];
+
+  return (
+    <div style={{ display: 'grid', gridTemplateColumns: '340px 1fr', gap: '20px' }}>
+
+      {/* LOG IMPORT AND SETTINGS */}
+      <div>
+        <div style={cardStyle}>
+          <h3 style={{ marginTop: 0, color: '#002f5d' }}>Operating Data</h3>
+          <p style={{ fontSize: '0.8rem', color: '#666' }}>
+            CSV with timestamp, feed/permeate/concentrate pressure, feed/permeate/concentrate flow,
+            feed/permeate conductivity (µS/cm) and temperature (°C). The log is saved with the project.
+          </p>
+          <input type="file" accept=".csv,.txt" onChange={handleImport} style={{ fontSize: '0.8rem' }} />
+          {operatingData.fileName && (
+            <div style={{ fontSize: '0.8rem', marginTop: '8px' }}>
+              {operatingData.fileName}: {rows.length} rows
+              {rows.length > 0 && ` (${new Date(rows[0].timestamp).toLocaleDateString()} to ${new Date(rows[rows.length - 1].timestamp).toLocaleDateString()})`}
+            </div>
+          )}
+          {importErrors.length > 0 && (
+            <ul style={{ margin: '6px 0 0', paddingLeft: '18px', fontSize: '0.75rem', color: '#c0392b', maxHeight: '120px', overflowY: 'auto' }}>
+              {importErrors.map((error, idx) => <li key={idx}>{error.line > 0 ? `Line ${error.line}: ` : ''}{error.message}</li>)}
+            </ul>
+          )}
+        </div>
+
+        <div style={cardStyle}>
+          <h3 style={{ marginTop: 0, color: '#002f5d' }}>Normalization</h3>
+          <div style={rowStyle}>
+            <span>Baseline date</span>
+            <input type="date" style={inputStyle} value={operatingData.baselineDate || ''} onChange={e => handleChange('baselineDate', e.target.value)} />
+          </div>
+          <div style={rowStyle}>
+            <span>Log pressure unit</span>
+            <select style={inputStyle} value={pressureUnit} onChange={e => handleChange('pressureUnit', e.target.value)}>
+              <option value="bar">bar</option>
+              <option value="psi">psi</option>
+            </select>
+          </div>
+          <div style={rowStyle}>
+            <span>TDS per µS/cm</span>
+            <input style={inputStyle} value={operatingData.tdsFactor ?? 0.67} onChange={e => handleChange('tdsFactor', e.target.value)} />
+          </div>
+          <div style={{ fontSize: '0.8rem', fontWeight: 'bold', margin: '12px 0 6px' }}>Clean when</div>
+          <div style={rowStyle}>
+            <span>Permeate flow falls by (%)</span>
+            <input style={inputStyle} value={thresholds.permeateFlow} onChange={e => handleThresholdChange('permeateFlow', e.target.value)} />
+          </div>
+          <div style={rowStyle}>
+            <span>Salt passage rises by (%)</span>
+            <input style={inputStyle} value={thresholds.saltPassage} onChange={e => handleThresholdChange('saltPassage', e.target.value)} />
+          </div>
+          <div style={rowStyle}>
+            <span>Differential pressure rises by (%)</span>
+            <input style={inputStyle} value={thresholds.differentialPressure} onChange={e => handleThresholdChange('differentialPressure', e.target.value)} />
+          </div>
+        </div>
+      </div>
+
+      {/* TRENDS */}
+      <div style={cardStyle}>
+        <h3 style={{ marginTop: 0, color: '#002f5d' }}>Normalized Performance</h3>
+        {!normalized.baseline ? (
+          <div style={{ fontSize: '0.85rem', color: '#666' }}>Import an operating log to see the normalized trends.</div>
+        ) : (
+          <>
+            <div style={{ fontSize: '0.8rem', marginBottom: '10px' }}>
+              Baseline {new Date(normalized.baseline.timestamp).toLocaleString()}: permeate flow {format(normalized.baseline.permeateFlow, 2)},
+              salt passage {format(normalized.baseline.saltPassage, 2)} %, differential pressure {format(normalized.baseline.differentialPressure, 2)} {pressureUnit}
+            </div>
+            {normalized.cleaningNeeded ? (
+              <div style={{ padding: '8px', marginBottom: '12px', background: '#fdecea', color: '#c0392b', fontSize: '0.85rem', borderRadius: '6px' }}>
+                Cleaning needed since {new Date(normalized.cleaningNeeded.timestamp).toLocaleDateString()}:{' '}
+                {normalized.cleaningNeeded.flags.map(flag => TREND_SERIES.find(s => s.key === flag).label.toLowerCase()).join(', ')}
+              </div>
+            ) : (
+              <div style={{ padding: '8px', marginBottom: '12px', background: '#eafaf1', color: '#27ae60', fontSize: '0.85rem', borderRadius: '6px' }}>
+                No cleaning threshold reached since the baseline
+              </div>
+            )}
+            {TREND_SERIES.map(series => (
+              <TrendChart key={series.key} points={normalized.points} series={series} threshold={Number(thresholds[series.key]) || 0} />
+            ))}
+            <div style={{ maxHeight: '260px', overflowY: 'auto' }}>
+              <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.75rem', textAlign: 'center' }}>
+                <thead style={{ background: '#eee', position: 'sticky', top: 0 }}>
+                  <tr>
+                    <th style={cellStyle}>Time</th>
+                    <th style={cellStyle}>Temp (°C)</th>
+                    <th style={cellStyle}>Recovery (%)</th>
+                    <th style={cellStyle}>NDP ({pressureUnit})</th>
+                    <th style={cellStyle}>Norm. permeate flow</th>
+                    <th style={cellStyle}>Norm. salt passage (%)</th>
+                    <th style={cellStyle}>Norm. ΔP ({pressureUnit})</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {normalized.points.map(point => (
+                    <tr key={point.timestamp}>
+                      <td style={cellStyle}>{new Date(point.timestamp).toLocaleString()}</td>
+                      <td style={cellStyle}>{format(point.temperature, 1)}</td>
+                      <td style={cellStyle}>{format(point.recovery, 1)}</td>
+                      <td style={cellStyle}>{format(point.ndp, 2)}</td>
+                      {TREND_SERIES.map(series => (
+                        <td key={series.key} style={{ ...cellStyle, color: point.flags.includes(series.key) ? '#c0392b' : 'inherit' }}>
+                          {format(point[series.key], 2)}
+                          {point.change[series.key] !== null && ` (${point.change[series.key] > 0 ? '+' : ''}${point.change[series.key].toFixed(1)}%)`}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Normalization;
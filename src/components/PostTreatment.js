@@ -1,34 +1,52 @@
 import React, { useMemo } from 'react';
+import { applyCausticDose } from '../utils/calculatorService';
+import { calculateWaterSaturations } from '../engines/calculationEngine';
 
-const PostTreatment = ({ projection, postTreatment, setPretreatment, setPostTreatment, systemConfig }) => {
+const PostTreatment = ({ projection, postTreatment, setPretreatment, setPostTreatment, systemConfig, waterData }) => {
 
   const postAnalysis = useMemo(() => {
     // Use total plant product flow (m3/h) from the main projection engine
     const permeateFlow = Number(projection?.totalPlantProductFlowM3h || 0);
     const causticDose = Number(postTreatment.causticDose || 0);
-    
-    // 1. Post-RO pH Estimation
-    // RO Permeate pH is usually 1.0 - 1.5 units lower than feed due to CO2
-    const basePermeatePh = 6.2; 
-    
-    // 2. pH Shift calculation (Simplified curve for NaOH dosing)
-    // Every 1 mg/L of NaOH typically raises pH by ~0.3-0.5 units in low-alkalinity water
-    const finalPh = basePermeatePh + (causticDose * 0.45);
+    const temp = Number(waterData?.temp) || 25;
+
+    // 1. Product water entering post-treatment (blend, second pass or first pass permeate)
+    const productConcentration = projection?.bypass?.blendedConcentration
+      || projection?.pass2?.permeateConcentration
+      || projection?.permeateConcentration
+      || {};
+    const productIons = Object.fromEntries(
+      Object.entries(productConcentration).map(([ion, val]) => [ion, Number(val) || 0])
+    );
+
+    // 2. pH before and after NaOH from the carbonate equilibrium of the product
+    // (RO permeate keeps nearly all the feed CO2, so it is low in pH and poorly buffered)
+    const undosed = applyCausticDose(productIons, 0, temp);
+    const dosed = applyCausticDose(productIons, causticDose, temp);
+    const basePermeatePh = undosed.ph ?? (Number(projection?.permeateParameters?.ph) || 6.2);
+    // Without carbonate there is no buffer: fall back to the empirical low-alkalinity curve
+    const finalPh = dosed.ph ?? (basePermeatePh + causticDose * 0.45);
 
     // 3. Post-Treatment LSI
     // Product water should target LSI between -0.5 and 0.0 to be "balanced"
+    const lsi = calculateWaterSaturations(dosed.ions, temp, finalPh).lsi;
     const isCorrosive = finalPh < 7.5;
 
     // 4. Monthly Cost
     const monthlyUsageKg = (permeateFlow * causticDose * 24 * 30) / 1000;
 
     return {
+      basePh: basePermeatePh.toFixed(2),
       finalPh: finalPh.toFixed(2),
+      lsi: lsi.toFixed(2),
+      co2: (dosed.ions.co2 || 0).toFixed(2),
+      // Caustic shifts ammonia carried into the product towards free NH3
+      nh3: dosed.ions.nh3 !== undefined ? dosed.ions.nh3.toFixed(3) : null,
       isCorrosive,
       monthlyUsageKg: monthlyUsageKg.toFixed(2),
       permeateFlow: permeateFlow.toFixed(2)
     };
-  }, [postTreatment, projection]);
+  }, [postTreatment, projection, waterData]);
 
   const handleInputChange = (key, val) => {
     setPostTreatment({ ...postTreatment, [key]: val });
@@ -56,6 +74,24 @@ const PostTreatment = ({ projection, postTreatment, setPretreatment, setPostTrea
         </div>
 
         <div style={{ marginTop: '20px', padding: '15px', background: '#f8f9fa', borderRadius: '6px' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '5px' }}>
+            <span>Product pH before dosing:</span>
+            <strong>{postAnalysis.basePh}</strong>
+          </div>
+          <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '5px' }}>
+            <span>Free CO2 after dosing:</span>
+            <strong>{postAnalysis.co2} mg/L</strong>
+          </div>
+          {postAnalysis.nh3 !== null && (
+            <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '5px' }}>
+              <span>Free NH3 after dosing:</span>
+              <strong>{postAnalysis.nh3} mg/L</strong>
+            </div>
+          )}
+          <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '5px' }}>
+            <span>LSI after dosing:</span>
+            <strong>{postAnalysis.lsi}</strong>
+          </div>
           <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '5px' }}>
             <span>Monthly NaOH Usage:</span>
             <strong>{postAnalysis.monthlyUsageKg} kg/month</strong>
@@ -1,17 +1,24 @@
 import React, { useMemo } from 'react';
+import {
+  calculateStiffDavisIndex,
+  selectScalingIndex,
+  estimateConcentrateChemistry,
+  getSilicaSolubility,
+  calculateIonicStrength,
+  calculateSilicaLimitedRecovery
+} from '../engines/calculationEngine';
 
 const PreTreatment = ({ waterData, pretreatment, setPretreatment, systemConfig }) => {
   
   const scalingAnalysis = useMemo(() => {
     const recovery = Number(systemConfig.recovery || 0) / 100;
-    if (recovery >= 1) return { lsi: 0, silicaSat: 0, cf: 1 };
+    if (recovery >= 1) return { lsi: 0, sdsi: 0, scalingIndex: 'lsi', silicaSat: 0, silicaSolubility: 0, concentratePh: 0, silicaMaxRecovery: null, cf: 1 };
 
     // 1. Concentration Factor (CF)
     // Formula: 1 / (1 - Recovery)
     const CF = 1 / (1 - recovery);
 
     // 2. LSI (Langelier Saturation Index) Estimation
-    // This is a simplified version of the IMSDesign Stiff & Davis Index
     const temp = Number(waterData.temp || 25);
     const ph = Number(waterData.ph || 7.5);
     const ca = Number(waterData.ca || 0) * CF; // Concentrated Calcium
@@ -28,16 +35,31 @@ const PreTreatment = ({ waterData, pretreatment, setPretreatment, systemConfig }
     const phs = C + pCa + pAlk;
     const LSI = ph - phs;
 
+    // Stiff & Davis replaces LSI for seawater and brines above ~10,000 mg/L
+    const concentrateIons = Object.fromEntries(ions.map(ion => [ion, Number(waterData[ion] || 0) * CF]));
+    const SDSI = calculateStiffDavisIndex(concentrateIons, temp, ph).sdsi;
+    const scalingIndex = selectScalingIndex(tds, waterData.waterType);
+    const governingIndex = scalingIndex === 'sdsi' ? SDSI : LSI;
+
     // 3. Silica Scaling
-    // Silica solubility is approx 120 mg/L at 25°C
+    // Solubility rises with temperature and with the concentrate pH, which climbs with recovery
+    const feedIons = Object.fromEntries(ions.map(ion => [ion, Number(waterData[ion] || 0)]));
+    const concentrate = estimateConcentrateChemistry(feedIons, ph, temp, recovery);
+    const silicaSolubility = getSilicaSolubility(temp, concentrate.ph, calculateIonicStrength(concentrate.ions));
     const silicaInConc = Number(waterData.sio2 || 0) * CF;
-    const silicaSat = (silicaInConc / 120) * 100;
+    const silicaSat = (silicaInConc / silicaSolubility) * 100;
+    const silicaMaxRecovery = calculateSilicaLimitedRecovery(feedIons, ph, temp);
 
     return {
       lsi: LSI.toFixed(2),
+      sdsi: SDSI.toFixed(2),
+      scalingIndex,
       silicaSat: silicaSat.toFixed(2),
+      silicaSolubility: silicaSolubility.toFixed(0),
+      concentratePh: concentrate.ph.toFixed(2),
+      silicaMaxRecovery: silicaMaxRecovery === null ? null : (silicaMaxRecovery * 100).toFixed(1),
       cf: CF.toFixed(2),
-      isLsiDanger: LSI > 0.2,
+      isLsiDanger: governingIndex > 0.2,
       isSilicaDanger: silicaSat > 100
     };
   }, [waterData, systemConfig]);
@@ -89,8 +111,13 @@ const PreTreatment = ({ waterData, pretreatment, setPretreatment, systemConfig }
 
           <div style={{ padding: '10px', background: scalingAnalysis.isLsiDanger ? '#f8d7da' : '#d4edda', borderRadius: '4px', border: `1px solid ${scalingAnalysis.isLsiDanger ? '#f5c6cb' : '#c3e6cb'}` }}>
             <div style={{ display: 'flex', justifyContent: 'space-between', fontWeight: 'bold' }}>
-              <span>LSI (CaCO3):</span>
-              <span>{scalingAnalysis.lsi}</span>
+              <span>{scalingAnalysis.scalingIndex === 'sdsi' ? 'S&DSI (CaCO3):' : 'LSI (CaCO3):'}</span>
+              <span>{scalingAnalysis.scalingIndex === 'sdsi' ? scalingAnalysis.sdsi : scalingAnalysis.lsi}</span>
+            </div>
+            <div style={{ fontSize: '0.7rem', color: '#666' }}>
+              {scalingAnalysis.scalingIndex === 'sdsi'
+                ? `Stiff & Davis (seawater / high TDS) - LSI ${scalingAnalysis.lsi} not valid`
+                : `Langelier - S&DSI ${scalingAnalysis.sdsi}`}
             </div>
             <div style={{ fontSize: '0.75rem' }}>
               {scalingAnalysis.isLsiDanger ? '⚠️ Scaling Likely. Increase Antiscalant or Acid.' : '✅ Safe (with Antiscalant)'}
@@ -102,6 +129,10 @@ const PreTreatment = ({ waterData, pretreatment, setPretreatment, systemConfig }
               <span>Silica Saturation:</span>
               <span>{scalingAnalysis.silicaSat}%</span>
             </div>
+            <div style={{ fontSize: '0.7rem', color: '#666' }}>
+              Solubility {scalingAnalysis.silicaSolubility} mg/L at concentrate pH {scalingAnalysis.concentratePh}
+              {scalingAnalysis.silicaMaxRecovery !== null && ` - max recovery ${scalingAnalysis.silicaMaxRecovery}%`}
+            </div>
             <div style={{ fontSize: '0.75rem' }}>
               {scalingAnalysis.isSilicaDanger ? '⚠️ High Risk! Limit Recovery or increase Temp.' : '✅ Under Solubility Limit'}
             </div>
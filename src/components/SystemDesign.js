@@ -1,5 +1,14 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { FLOW_TO_M3H } from '../utils/calculatorService';
+import { FLOW_TO_M3H, BAR_TO_PSI, getDosingChemical, solveChemicalDose, solveMaxRecovery, DEFAULT_SCALING_LIMITS, SCALING_LIMIT_LABELS, solvePermeateBoron, calculateTemperatureEnvelope, calculateAgingProjection } from '../utils/calculatorService';
+import { getMembraneLibrary, resolveMembrane, DEFAULT_MEMBRANE_ID } from '../engines/membraneEngine';
+import { PUMP_LIBRARY, MOTOR_EFFICIENCY } from '../engines/calculationEngine';
+
+// Permeate ions listed in the aging projection, in the order of the permeate analysis
+const AGING_IONS = [
+  ['ca', 'Ca'], ['mg', 'Mg'], ['na', 'Na'], ['k', 'K'], ['sr', 'Sr'], ['ba', 'Ba'],
+  ['nh4', 'NH4'], ['hco3', 'HCO3'], ['so4', 'SO4'], ['cl', 'Cl'], ['no3', 'NO3'],
+  ['sio2', 'SiO2'], ['po4', 'PO4'], ['f', 'F'], ['b', 'B'], ['co3', 'CO3'], ['co2', 'CO2'], ['nh3', 'NH3']
+];
 
 const SystemDesign = ({
   membranes,
@@ -9,6 +18,8 @@ const SystemDesign = ({
   waterData,
   applyTdsProfile,
   setWaterData,
+  designRuns = {},
+  onDesignRun,
   onRun
 }) => {
 
@@ -16,6 +27,7 @@ const SystemDesign = ({
   const [showFlowDiagram, setShowFlowDiagram] = useState(false);
   const flowDiagramRef = useRef(null);
   const [selectedStageForMembrane, setSelectedStageForMembrane] = useState(1);
+  const [selectedPositionForMembrane, setSelectedPositionForMembrane] = useState(null); // null = whole stage
   const [localPass1Stages, setLocalPass1Stages] = useState(null); // Local state for input while typing
   const [showFeedPressure, setShowFeedPressure] = useState(false);
   const [showPermeatePressure, setShowPermeatePressure] = useState(false);
@@ -29,12 +41,12 @@ const SystemDesign = ({
     // Initialize with only Stage 1 active (vessels > 0), others have 0
     const stage1Vessels = systemConfig.stage1Vessels || 3;
     return [
-      { membraneModel: systemConfig.membraneModel || 'espa2ld', elementsPerVessel: systemConfig.elementsPerVessel || 7, vessels: stage1Vessels },
-      { membraneModel: systemConfig.membraneModel || 'espa2ld', elementsPerVessel: systemConfig.elementsPerVessel || 7, vessels: 0 },
-      { membraneModel: systemConfig.membraneModel || 'espa2ld', elementsPerVessel: systemConfig.elementsPerVessel || 7, vessels: 0 },
-      { membraneModel: systemConfig.membraneModel || 'espa2ld', elementsPerVessel: systemConfig.elementsPerVessel || 7, vessels: 0 },
-      { membraneModel: systemConfig.membraneModel || 'espa2ld', elementsPerVessel: systemConfig.elementsPerVessel || 7, vessels: 0 },
-      { membraneModel: systemConfig.membraneModel || 'espa2ld', elementsPerVessel: systemConfig.elementsPerVessel || 7, vessels: 0 }
+      { membraneModel: systemConfig.membraneModel || DEFAULT_MEMBRANE_ID, elementsPerVessel: systemConfig.elementsPerVessel || 7, vessels: stage1Vessels },
+      { membraneModel: systemConfig.membraneModel || DEFAULT_MEMBRANE_ID, elementsPerVessel: systemConfig.elementsPerVessel || 7, vessels: 0 },
+      { membraneModel: systemConfig.membraneModel || DEFAULT_MEMBRANE_ID, elementsPerVessel: systemConfig.elementsPerVessel || 7, vessels: 0 },
+      { membraneModel: systemConfig.membraneModel || DEFAULT_MEMBRANE_ID, elementsPerVessel: systemConfig.elementsPerVessel || 7, vessels: 0 },
+      { membraneModel: systemConfig.membraneModel || DEFAULT_MEMBRANE_ID, elementsPerVessel: systemConfig.elementsPerVessel || 7, vessels: 0 },
+      { membraneModel: systemConfig.membraneModel || DEFAULT_MEMBRANE_ID, elementsPerVessel: systemConfig.elementsPerVessel || 7, vessels: 0 }
     ];
   };
 
@@ -78,7 +90,8 @@ const SystemDesign = ({
       'stage1Vessels',
       'stage2Vessels',
       'membraneModel',
-      'feedPressure'
+      'feedPressure',
+      'concRecyclePercent'
     ].includes(key);
 
     const updates = { ...systemConfig, [key]: value, ...(resetsDesign ? { designCalculated: false } : {}) };
@@ -146,6 +159,22 @@ const SystemDesign = ({
     });
   };
 
+  const pass2Stages = systemConfig.pass2Stages?.length > 0
+    ? systemConfig.pass2Stages
+    : [{ membraneModel: stages[0]?.membraneModel || 'cpa3', elementsPerVessel: 6, vessels: 2 }];
+
+  const handlePass2StageChange = (stageIndex, field, value) => {
+    const newStages = [...pass2Stages];
+    newStages[stageIndex] = { ...newStages[stageIndex], [field]: value };
+    setSystemConfig({ ...systemConfig, pass2Stages: newStages });
+  };
+
+  const handlePass2StageCountChange = (value) => {
+    const count = Math.min(Math.max(parseInt(value) || 1, 1), 3);
+    const newStages = Array.from({ length: count }, (_, i) => pass2Stages[i] || { ...pass2Stages[0], vessels: 1 });
+    setSystemConfig({ ...systemConfig, pass2Stages: newStages });
+  };
+
   const handlePass1StagesChange = (value) => {
     // value can be a number or string
     const numStages = Math.min(Math.max(parseInt(value) || 1, 1), 6);
@@ -195,13 +224,24 @@ const SystemDesign = ({
     }));
   };
 
+  // Registry catalog plus the project's own membranes
+  const membraneOptions = getMembraneLibrary(membranes);
+
   const handleMembraneSelect = (membraneId) => {
     const currentStages = systemConfig.stages || stages;
     const newStages = [...currentStages];
-    newStages[selectedStageForMembrane - 1] = {
-      ...newStages[selectedStageForMembrane - 1],
-      membraneModel: membraneId
-    };
+    const stage = newStages[selectedStageForMembrane - 1];
+    if (selectedPositionForMembrane === null) {
+      // Whole-stage selection makes the vessel uniform again
+      newStages[selectedStageForMembrane - 1] = { ...stage, membraneModel: membraneId, elementMembranes: [] };
+    } else {
+      const elementMembranes = Array.from(
+        { length: Number(stage?.elementsPerVessel) || 0 },
+        (_, i) => stage?.elementMembranes?.[i] || stage?.membraneModel
+      );
+      elementMembranes[selectedPositionForMembrane - 1] = membraneId;
+      newStages[selectedStageForMembrane - 1] = { ...stage, elementMembranes };
+    }
     setSystemConfig({
       ...systemConfig,
       stages: newStages,
@@ -211,8 +251,9 @@ const SystemDesign = ({
     setShowMembraneModal(false);
   };
 
-  const openMembraneModal = (stageNum) => {
+  const openMembraneModal = (stageNum, position = null) => {
     setSelectedStageForMembrane(stageNum);
+    setSelectedPositionForMembrane(position);
     setShowMembraneModal(true);
   };
 
@@ -259,27 +300,117 @@ const SystemDesign = ({
   const rowStyle = { display: 'flex', justifyContent: 'space-between', marginBottom: '4px', fontSize: '0.75rem' };
   const inputStyle = { width: '70px', textAlign: 'right', border: '1px solid #999' };
 
-  const getFeedTds = () => {
-    const ions = {
-      ca: Number(waterData?.ca) || 0,
-      mg: Number(waterData?.mg) || 0,
-      na: Number(waterData?.na) || 0,
-      k: Number(waterData?.k) || 0,
-      sr: Number(waterData?.sr) || 0,
-      ba: Number(waterData?.ba) || 0,
-      hco3: Number(waterData?.hco3) || 0,
-      so4: Number(waterData?.so4) || 0,
-      cl: Number(waterData?.cl) || 0,
-      no3: Number(waterData?.no3) || 0,
-      sio2: Number(waterData?.sio2) || 0,
-      po4: Number(waterData?.po4) || 0,
-      f: Number(waterData?.f) || 0,
-      b: Number(waterData?.b) || 0,
-      co2: Number(waterData?.co2) || 0,
-      co3: Number(waterData?.co3) || 0,
-      nh4: Number(waterData?.nh4) || 0
+  const getFeedIons = () => ({
+    ca: Number(waterData?.ca) || 0,
+    mg: Number(waterData?.mg) || 0,
+    na: Number(waterData?.na) || 0,
+    k: Number(waterData?.k) || 0,
+    sr: Number(waterData?.sr) || 0,
+    ba: Number(waterData?.ba) || 0,
+    hco3: Number(waterData?.hco3) || 0,
+    so4: Number(waterData?.so4) || 0,
+    cl: Number(waterData?.cl) || 0,
+    no3: Number(waterData?.no3) || 0,
+    sio2: Number(waterData?.sio2) || 0,
+    po4: Number(waterData?.po4) || 0,
+    f: Number(waterData?.f) || 0,
+    b: Number(waterData?.b) || 0,
+    co2: Number(waterData?.co2) || 0,
+    co3: Number(waterData?.co3) || 0,
+    nh4: Number(waterData?.nh4) || 0
+  });
+
+  const getFeedTds = () => Object.values(getFeedIons()).reduce((sum, value) => sum + value, 0);
+
+  const phChemical = getDosingChemical(systemConfig.chemical);
+  const [doseSolveResult, setDoseSolveResult] = useState(null);
+
+  // Dose the Pass 1 acid/caustic to a feed pH or concentrate LSI target
+  const handleSolveDose = () => {
+    if (systemConfig.doseTargetValue === '' || systemConfig.doseTargetValue == null) return;
+    const result = solveChemicalDose(getFeedIons(), {
+      chemical: systemConfig.chemical,
+      ph: Number(waterData?.ph) || 7.0,
+      tempC: Number(waterData?.temp) || 25,
+      recovery: Number(projection?.recovery) || Number(systemConfig.recovery) || 75,
+      target: { parameter: systemConfig.doseTargetParameter || 'ph', value: systemConfig.doseTargetValue }
+    });
+    if (!result) return;
+    setDoseSolveResult(result);
+    setSystemConfig({ ...systemConfig, chemicalDose: Number(result.doseMgL.toFixed(2)), doseUnit: 'mg/l' });
+  };
+
+  const [boronSolveResult, setBoronSolveResult] = useState(null);
+
+  // Caustic that brings product boron under the limit: interpass with a second pass,
+  // otherwise on top of the pass 1 feed (applied only when no other chemical is selected)
+  const handleSolveBoron = () => {
+    if (!projection?.calcInputs || systemConfig.boronLimit === '' || systemConfig.boronLimit == null) return;
+    const inputs = projection.pass2Inputs ? { ...projection.calcInputs, pass2: projection.pass2Inputs } : projection.calcInputs;
+    const result = solvePermeateBoron(inputs, { limit: systemConfig.boronLimit });
+    setBoronSolveResult(result);
+    if (result.point === 'interpass') {
+      setSystemConfig({ ...systemConfig, interpassCausticDose: Number(result.doseMgL.toFixed(1)) });
+      return;
+    }
+    const currentCaustic = systemConfig.chemical === 'Caustic' && systemConfig.doseUnit === 'mg/l' ? Number(systemConfig.chemicalDose) || 0 : 0;
+    if (['None', 'Caustic'].includes(systemConfig.chemical || 'None') && result.doseMgL > 0) {
+      setSystemConfig({
+        ...systemConfig,
+        chemical: 'Caustic',
+        chemicalDose: Number((currentCaustic + result.doseMgL).toFixed(2)),
+        doseUnit: 'mg/l'
+      });
+    }
+  };
+
+  const scalingLimits = systemConfig.scalingLimits
+    || DEFAULT_SCALING_LIMITS[systemConfig.scalingAntiscalant === false ? 'none' : 'antiscalant'];
+
+  // Push recovery up to the first concentrate scaling limit and apply it
+  const handleSolveMaxRecovery = () => {
+    if (!projection?.calcInputs) return;
+    const { result, ...maxRecovery } = solveMaxRecovery(projection.calcInputs, { limits: scalingLimits });
+    onDesignRun('maxRecovery', maxRecovery);
+    setSystemConfig({
+      ...systemConfig,
+      recovery: Number(maxRecovery.recovery.toFixed(1)),
+      feedPressure: '',
+      designCalculated: false
+    });
+  };
+
+  // Re-run the projection at the envelope temperatures (design = the water analysis temperature)
+  const handleRunEnvelope = () => {
+    if (!projection?.calcInputs) return;
+    const inputs = {
+      ...projection.calcInputs,
+      pumpModels: { hp: systemConfig.hpPumpModel },
+      ...(projection.pass2Inputs ? { pass2: projection.pass2Inputs } : {})
     };
-    return Object.values(ions).reduce((sum, value) => sum + value, 0);
+    const envelope = calculateTemperatureEnvelope(inputs, {
+      minTemp: systemConfig.envelopeMinTemp,
+      designTemp: waterData?.temp,
+      maxTemp: systemConfig.envelopeMaxTemp,
+      extraTemps: String(systemConfig.envelopeExtraTemps || '').split(',').map(t => t.trim()).filter(Boolean),
+      limits: scalingLimits
+    });
+    onDesignRun('envelope', envelope);
+  };
+
+  // Re-run the projection for each year of membrane life at the current aging rates
+  const handleRunAging = () => {
+    if (!projection?.calcInputs) return;
+    const inputs = {
+      ...projection.calcInputs,
+      ...(projection.pass2Inputs ? { pass2: projection.pass2Inputs } : {})
+    };
+    const aging = calculateAgingProjection(inputs, {
+      ...projection.energyOptions,
+      years: Number(systemConfig.agingYears) || 5,
+      mode: systemConfig.agingMode || 'constant-flux'
+    });
+    onDesignRun('aging', aging);
   };
 
   const formatNumber = (value, decimals = 1) => {
@@ -297,7 +428,8 @@ const SystemDesign = ({
 
   const feedTds = getFeedTds();
   const rawFeedPh = Number(waterData?.ph) || 7.0;
-  const treatedFeedPh = Number(systemConfig.feedPh) || rawFeedPh;
+  const treatedFeedPh = Number(projection?.feedChemistry?.treatedPh) || Number(systemConfig.feedPh) || rawFeedPh;
+  const treatedFeedTds = Number(projection?.feedChemistry?.treatedTds) || feedTds;
   const permTds = projection?.permeateParameters?.tds ?? 0;
   const concTds = projection?.concentrateParameters?.tds ?? 0;
   const permPh = projection?.permeateParameters?.ph ?? treatedFeedPh;
@@ -317,6 +449,9 @@ const SystemDesign = ({
         <td style="border: 1px solid #ccc; padding: 6px;">${row.concPressure}</td>
         <td style="border: 1px solid #ccc; padding: 6px;">${row.feedFlow}</td>
         <td style="border: 1px solid #ccc; padding: 6px;">${row.concFlow}</td>
+        <td style="border: 1px solid #ccc; padding: 6px;">${row.permeateFlow ?? ''}</td>
+        <td style="border: 1px solid #ccc; padding: 6px;">${row.permeateTds ?? ''}</td>
+        <td style="border: 1px solid #ccc; padding: 6px;">${row.recovery ?? ''}</td>
         <td style="border: 1px solid #ccc; padding: 6px;">${row.flux}</td>
         <td style="border: 1px solid #ccc; padding: 6px;">${row.highestFlux}</td>
         <td style="border: 1px solid #ccc; padding: 6px;">${row.highestBeta}</td>
@@ -356,6 +491,9 @@ const SystemDesign = ({
                       <th style="border: 1px solid #ccc; padding: 6px;">Conc (${pUnit})</th>
                       <th style="border: 1px solid #ccc; padding: 6px;">Feed (${fUnit})</th>
                       <th style="border: 1px solid #ccc; padding: 6px;">Conc (${fUnit})</th>
+                      <th style="border: 1px solid #ccc; padding: 6px;">Perm (${fUnit})</th>
+                      <th style="border: 1px solid #ccc; padding: 6px;">Perm TDS (mg/L)</th>
+                      <th style="border: 1px solid #ccc; padding: 6px;">Recovery (%)</th>
                       <th style="border: 1px solid #ccc; padding: 6px;">Flux (${fluxUnit})</th>
                       <th style="border: 1px solid #ccc; padding: 6px;">Highest flux (${fluxUnit})</th>
                       <th style="border: 1px solid #ccc; padding: 6px;">Highest beta</th>
@@ -452,7 +590,14 @@ const SystemDesign = ({
       <div style={{ display: 'grid', gridTemplateColumns: '1.2fr 1.2fr 0.8fr', gap: '10px' }}>
         <div style={panelStyle}>
           <div style={headerStyle}>Train Information</div>
-          <div style={rowStyle}><span>Feed pH</span> <input style={inputStyle} value={systemConfig.feedPh} onChange={e => handleInputChange('feedPh', e.target.value)} /></div>
+          <div style={rowStyle}>
+            <span title="With acid or caustic selected in Pass 1, the feed pH follows from the raw water pH and the dose">Feed pH</span>
+            {phChemical ? (
+              <div style={{ ...inputStyle, background: '#eee' }}>{projection?.feedChemistry?.treatedPh ?? '-'}</div>
+            ) : (
+              <input style={inputStyle} value={systemConfig.feedPh} onChange={e => handleInputChange('feedPh', e.target.value)} />
+            )}
+          </div>
           <div style={rowStyle}>
             <span>Feed flow</span>
             <div style={{display:'flex', gap:'2px'}}>
@@ -468,10 +613,10 @@ const SystemDesign = ({
           
 
           <div style={rowStyle}>
-            <span>Permeate recovery %</span>
+            <span title="With a feed pressure entered, recovery is solved by the engine; editing it returns to recovery mode">Permeate recovery %</span>
             <input 
               style={inputStyle} 
-              value={systemConfig.recovery ?? ''} 
+              value={Number(systemConfig.feedPressure) > 0 ? (projection?.recovery ?? '') : (systemConfig.recovery ?? '')} 
               onChange={e => handleInputChange('recovery', e.target.value)}
             />
           </div>
@@ -509,8 +654,9 @@ const SystemDesign = ({
               <option value="None">None</option>
               <option value="Antiscalant">Antiscalant</option>
               <option value="SBS">SBS</option>
-              <option value="Acid">Acid</option>
-              <option value="Caustic">Caustic</option>
+              <option value="Acid">Acid (H2SO4)</option>
+              <option value="HCl">Acid (HCl)</option>
+              <option value="Caustic">Caustic (NaOH)</option>
             </select>
           </div>
           <div style={rowStyle}>
@@ -531,6 +677,40 @@ const SystemDesign = ({
               </select>
             </div>
           </div>
+          {phChemical && (
+            <div style={rowStyle}>
+              <span>Dose to target</span>
+              <div style={{display:'flex', gap:'4px', alignItems:'center'}}>
+                <select style={{fontSize:'0.7rem'}} value={systemConfig.doseTargetParameter || 'ph'} onChange={e => setSystemConfig({ ...systemConfig, doseTargetParameter: e.target.value })}>
+                  <option value="ph">Feed pH</option>
+                  <option value="lsi">Conc. LSI</option>
+                </select>
+                <input style={{ ...inputStyle, width: '45px' }} value={systemConfig.doseTargetValue ?? ''} onChange={e => setSystemConfig({ ...systemConfig, doseTargetValue: e.target.value })} />
+                <button style={{ fontSize: '0.7rem' }} onClick={handleSolveDose}>Solve</button>
+              </div>
+            </div>
+          )}
+          {phChemical && doseSolveResult?.limit && (
+            <div style={{ fontSize: '0.7rem', color: '#c0392b', marginBottom: '4px' }}>
+              {doseSolveResult.limit === 'no-dose' ? 'Target already met without dosing' : 'Target not reachable - dose capped'}
+            </div>
+          )}
+          <div style={rowStyle}>
+            <span title="Product boron limit; solved with interpass caustic for two passes, feed caustic otherwise">Permeate boron &le;</span>
+            <div style={{display:'flex', gap:'4px', alignItems:'center'}}>
+              <input style={{ ...inputStyle, width: '45px' }} value={systemConfig.boronLimit ?? ''} onChange={e => setSystemConfig({ ...systemConfig, boronLimit: e.target.value })} />
+              <span style={{ fontSize: '0.7rem' }}>mg/l</span>
+              <button style={{ fontSize: '0.7rem' }} onClick={handleSolveBoron} disabled={!projection?.calcInputs}>Solve</button>
+            </div>
+          </div>
+          {boronSolveResult && (
+            <div style={{ fontSize: '0.7rem', color: boronSolveResult.limit === 'max-dose' ? '#c0392b' : '#004a80', marginBottom: '4px' }}>
+              {boronSolveResult.limit === 'no-dose'
+                ? `Boron ${boronSolveResult.boron.toFixed(3)} mg/L meets the limit without caustic`
+                : `${boronSolveResult.point === 'interpass' ? 'Interpass' : 'Feed'} NaOH ${boronSolveResult.doseMgL.toFixed(1)} mg/L, pH ${boronSolveResult.ph != null ? Number(boronSolveResult.ph).toFixed(2) : '-'}, boron ${boronSolveResult.boron.toFixed(3)} mg/L${boronSolveResult.limit === 'max-dose' ? ' - limit not reachable' : ''}`}
+              {boronSolveResult.point === 'feed' && !['None', 'Caustic'].includes(systemConfig.chemical || 'None') && ' (not applied: another chemical is selected)'}
+            </div>
+          )}
           <div style={rowStyle}><span>Membrane age (years)</span> <input style={inputStyle} value={systemConfig.membraneAge} onChange={e => handleInputChange('membraneAge', e.target.value)} /></div>
           <div style={rowStyle}><span>Flux decline %/yr</span> <input style={inputStyle} value={systemConfig.fluxDeclinePerYear} onChange={e => handleInputChange('fluxDeclinePerYear', e.target.value)} /></div>
           <div style={rowStyle}><span>Fouling factor</span> <input style={inputStyle} value={systemConfig.foulingFactor} onChange={e => handleInputChange('foulingFactor', e.target.value)} /></div>
@@ -547,6 +727,92 @@ const SystemDesign = ({
             </div>
           </div>
           <div style={rowStyle}><span>Number of trains</span> <input style={inputStyle} value={systemConfig.numTrains} onChange={e => handleInputChange('numTrains', e.target.value)} /></div>
+          <div style={rowStyle}>
+            <span title="Share of the final concentrate returned to the HP pump suction of each train">Concentrate recycle</span>
+            <div style={{ display: 'flex', gap: '4px', alignItems: 'center' }}>
+              <input style={inputStyle} value={systemConfig.concRecyclePercent ?? 0} onChange={e => handleInputChange('concRecyclePercent', e.target.value)} />
+              <span style={{ fontSize: '0.7rem' }}>%</span>
+            </div>
+          </div>
+          <div style={rowStyle}>
+            <span title="Blend pretreated feed into the permeate; the bypass share is solved for the product target">Raw-water bypass</span>
+            <input
+              type="checkbox"
+              checked={!!systemConfig.bypassEnabled}
+              onChange={e => setSystemConfig({ ...systemConfig, bypassEnabled: e.target.checked })}
+            />
+          </div>
+          {systemConfig.bypassEnabled && (
+            <div style={rowStyle}>
+              <select
+                value={systemConfig.bypassTargetParameter || 'tds'}
+                onChange={e => setSystemConfig({ ...systemConfig, bypassTargetParameter: e.target.value })}
+                style={{ fontSize: '0.7rem' }}
+              >
+                <option value="tds">Product TDS</option>
+                <option value="hardness">Hardness (CaCO3)</option>
+                <option value="na">Na</option>
+                <option value="cl">Cl</option>
+                <option value="ca">Ca</option>
+                <option value="mg">Mg</option>
+                <option value="so4">SO4</option>
+                <option value="hco3">HCO3</option>
+                <option value="no3">NO3</option>
+                <option value="b">B</option>
+              </select>
+              <div style={{ display: 'flex', gap: '4px', alignItems: 'center' }}>
+                <input style={inputStyle} value={systemConfig.bypassTargetValue ?? ''} onChange={e => handleInputChange('bypassTargetValue', e.target.value)} />
+                <span style={{ fontSize: '0.7rem' }}>mg/l</span>
+              </div>
+            </div>
+          )}
+          <div style={rowStyle}>
+            <span title="Energy recovery device between the pass 1 brine and the HP pump">Energy recovery</span>
+            <select
+              value={systemConfig.erdType || 'none'}
+              onChange={e => setSystemConfig({ ...systemConfig, erdType: e.target.value })}
+              style={{ fontSize: '0.7rem' }}
+            >
+              <option value="none">None</option>
+              <option value="px">Pressure exchanger</option>
+              <option value="turbo">Turbocharger</option>
+              <option value="pelton">Pelton wheel</option>
+            </select>
+          </div>
+          {(systemConfig.erdType || 'none') !== 'none' && (
+            <div style={rowStyle}>
+              <span>ERD efficiency</span>
+              <div style={{ display: 'flex', gap: '4px', alignItems: 'center' }}>
+                <input style={inputStyle} value={systemConfig.erdEfficiency ?? ''} onChange={e => handleInputChange('erdEfficiency', e.target.value)} />
+                <span style={{ fontSize: '0.7rem' }}>%</span>
+              </div>
+            </div>
+          )}
+          {systemConfig.erdType === 'px' && (
+            <>
+              <div style={rowStyle}>
+                <span>Leakage / lubrication</span>
+                <div style={{ display: 'flex', gap: '4px', alignItems: 'center' }}>
+                  <input style={inputStyle} value={systemConfig.erdLeakage ?? ''} onChange={e => handleInputChange('erdLeakage', e.target.value)} />
+                  <span style={{ fontSize: '0.7rem' }}>%</span>
+                </div>
+              </div>
+              <div style={rowStyle}>
+                <span>Volumetric mixing</span>
+                <div style={{ display: 'flex', gap: '4px', alignItems: 'center' }}>
+                  <input style={inputStyle} value={systemConfig.erdMixing ?? ''} onChange={e => handleInputChange('erdMixing', e.target.value)} />
+                  <span style={{ fontSize: '0.7rem' }}>%</span>
+                </div>
+              </div>
+              <div style={rowStyle}>
+                <span>Booster pump efficiency</span>
+                <div style={{ display: 'flex', gap: '4px', alignItems: 'center' }}>
+                  <input style={inputStyle} value={systemConfig.erdBoosterEfficiency ?? ''} onChange={e => handleInputChange('erdBoosterEfficiency', e.target.value)} />
+                  <span style={{ fontSize: '0.7rem' }}>%</span>
+                </div>
+              </div>
+            </>
+          )}
           {showFeedPressure && (
             <div style={rowStyle}>
               <span>Feed Pressure</span>
@@ -601,7 +867,7 @@ const SystemDesign = ({
                   {Array.from({ length: pass1Stages }, (_, i) => i + 1).map(stageNum => {
                     const currentStages = systemConfig.stages || stages;
                     const stage = currentStages[stageNum - 1];
-                    const selectedMembrane = membranes.find(m => m.id === stage?.membraneModel) || membranes[0];
+                    const selectedMembrane = resolveMembrane(stage?.membraneModel, membranes);
                     return (
                       <td key={stageNum} style={{ border: '1px solid #ccc', padding: '8px', textAlign: 'center' }}>
                         <input
@@ -646,6 +912,42 @@ const SystemDesign = ({
                     );
                   })}
                 </tr>
+                <tr>
+                  <td style={{ border: '1px solid #ccc', padding: '8px', fontWeight: 'bold' }}>Element positions</td>
+                  {Array.from({ length: pass1Stages }, (_, i) => i + 1).map(stageNum => {
+                    const currentStages = systemConfig.stages || stages;
+                    const stage = currentStages[stageNum - 1];
+                    return (
+                      <td key={stageNum} style={{ border: '1px solid #ccc', padding: '4px', textAlign: 'center' }}>
+                        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '2px', justifyContent: 'center' }}>
+                          {Array.from({ length: Number(stage?.elementsPerVessel) || 0 }, (_, p) => {
+                            const positionId = stage?.elementMembranes?.[p] || stage?.membraneModel;
+                            const isOverride = !!stage?.elementMembranes?.[p] && stage.elementMembranes[p] !== stage.membraneModel;
+                            const positionMembrane = resolveMembrane(positionId, membranes);
+                            return (
+                              <button
+                                key={p}
+                                type="button"
+                                title={`Position ${p + 1}: ${positionMembrane?.name || positionId || ''}`}
+                                onClick={() => openMembraneModal(stageNum, p + 1)}
+                                style={{
+                                  minWidth: '22px',
+                                  padding: '2px 4px',
+                                  fontSize: '0.65rem',
+                                  border: '1px solid #999',
+                                  background: isOverride ? '#ffe0b2' : '#fffacd',
+                                  cursor: 'pointer'
+                                }}
+                              >
+                                {p + 1}
+                              </button>
+                            );
+                          })}
+                        </div>
+                      </td>
+                    );
+                  })}
+                </tr>
                 <tr>
                   <td style={{ border: '1px solid #ccc', padding: '8px', fontWeight: 'bold' }}>No. of vessels</td>
                   {Array.from({ length: pass1Stages }, (_, i) => i + 1).map(stageNum => {
@@ -673,25 +975,91 @@ const SystemDesign = ({
                 {showPermeatePressure && (
                   <tr>
                     <td style={{ border: '1px solid #ccc', padding: '8px', fontWeight: 'bold' }}>
-                      Permeate Pressure
+                      Permeate Pressure ({pUnit})
                     </td>
-                    {Array.from({ length: pass1Stages }).map((_, i) => (
-                      <td
-                        key={i}
-                        style={{ border: '1px solid #ccc', padding: '8px', textAlign: 'center' }}
-                      >
+                    {Array.from({ length: pass1Stages }).map((_, i) => {
+                      const stage = (systemConfig.stages || stages)[i];
+                      return (
+                        <td
+                          key={i}
+                          style={{ border: '1px solid #ccc', padding: '8px', textAlign: 'center' }}
+                        >
+                          <input
+                            type="number"
+                            style={{ width: '100%', textAlign: 'center' }}
+                            value={stage?.permeatePressure ?? systemConfig.permeatePressure ?? ''}
+                            onChange={e => handleStageChange(i, 'permeatePressure', e.target.value)}
+                          />
+                        </td>
+                      );
+                    })}
+                  </tr>
+                )}
+                {pass1Stages > 1 && (
+                  <tr>
+                    <td style={{ border: '1px solid #ccc', padding: '8px', fontWeight: 'bold' }}>
+                      Booster pressure ({pUnit})
+                    </td>
+                    {Array.from({ length: pass1Stages }).map((_, i) => {
+                      const stage = (systemConfig.stages || stages)[i];
+                      return (
+                        <td key={i} style={{ border: '1px solid #ccc', padding: '8px', textAlign: 'center' }}>
+                          {i === 0 ? '-' : (
+                            <input
+                              type="number"
+                              style={{ width: '100%', textAlign: 'center' }}
+                              value={stage?.boosterPressure ?? ''}
+                              onChange={e => handleStageChange(i, 'boosterPressure', e.target.value)}
+                            />
+                          )}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                )}
+                {pass1Stages > 1 && (
+                  <tr>
+                    <td style={{ border: '1px solid #ccc', padding: '8px', fontWeight: 'bold' }}>
+                      Booster efficiency (%)
+                    </td>
+                    {Array.from({ length: pass1Stages }).map((_, i) => {
+                      const stage = (systemConfig.stages || stages)[i];
+                      return (
+                        <td key={i} style={{ border: '1px solid #ccc', padding: '8px', textAlign: 'center' }}>
+                          {i === 0 ? '-' : (
+                            <input
+                              type="number"
+                              style={{ width: '100%', textAlign: 'center' }}
+                              placeholder="lib"
+                              value={stage?.boosterEfficiency ?? ''}
+                              onChange={e => handleStageChange(i, 'boosterEfficiency', e.target.value)}
+                            />
+                          )}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                )}
+                <tr>
+                  <td style={{ border: '1px solid #ccc', padding: '8px', fontWeight: 'bold' }}>
+                    Front permeate elements
+                  </td>
+                  {Array.from({ length: pass1Stages }).map((_, i) => {
+                    const stage = (systemConfig.stages || stages)[i];
+                    return (
+                      <td key={i} style={{ border: '1px solid #ccc', padding: '8px', textAlign: 'center' }}>
                         <input
                           type="number"
+                          min="0"
+                          max={stage?.elementsPerVessel || 8}
                           style={{ width: '100%', textAlign: 'center' }}
-                          value={systemConfig.permeatePressure ?? ''}
-                          onChange={e =>
-                            handleInputChange('permeatePressure', e.target.value)
-                          }
+                          value={stage?.splitElements ?? 0}
+                          onChange={e => handleStageChange(i, 'splitElements', e.target.value)}
                         />
                       </td>
-                    ))}
-                  </tr>
-                )}
+                    );
+                  })}
+                </tr>
               </tbody>
             </table>
             <div style={{ marginTop: '10px', display: 'flex', alignItems: 'center', gap: '10px', fontSize: '0.75rem' }}>
@@ -764,7 +1132,7 @@ const SystemDesign = ({
                 stage1Vessels: 3,
                 stage2Vessels: 0,
                 elementsPerVessel: 7,
-                membraneModel: 'espa2ld',
+                membraneModel: DEFAULT_MEMBRANE_ID,
                 designCalculated: false
               });
             }} style={{
@@ -803,6 +1171,368 @@ const SystemDesign = ({
         </div>
       </div>
 
+      {/* PASS 2 (FED BY PASS 1 PERMEATE) */}
+      <div style={panelStyle}>
+        <div style={headerStyle}>Pass 2</div>
+        <div style={{ display: 'flex', gap: '20px', alignItems: 'flex-start' }}>
+          <div style={{ width: '280px' }}>
+            <div style={rowStyle}>
+              <span>Enable second pass</span>
+              <input
+                type="checkbox"
+                checked={!!systemConfig.pass2Enabled}
+                onChange={e => setSystemConfig({ ...systemConfig, pass2Enabled: e.target.checked })}
+              />
+            </div>
+            <div style={rowStyle}>
+              <span>Pass 2 recovery %</span>
+              <input style={inputStyle} value={systemConfig.pass2Recovery ?? ''} onChange={e => handleInputChange('pass2Recovery', e.target.value)} />
+            </div>
+            <div style={rowStyle}>
+              <span>Interpass caustic (NaOH)</span>
+              <div style={{display:'flex', gap:'4px', alignItems:'center'}}>
+                <input style={inputStyle} value={systemConfig.interpassCausticDose ?? ''} onChange={e => handleInputChange('interpassCausticDose', e.target.value)} />
+                <span style={{ fontSize: '0.7rem', color: '#333' }}>mg/l</span>
+              </div>
+            </div>
+            <div style={rowStyle}>
+              <span>Recycle pass 2 concentrate</span>
+              <input
+                type="checkbox"
+                checked={systemConfig.pass2ConcRecycle !== false}
+                onChange={e => setSystemConfig({ ...systemConfig, pass2ConcRecycle: e.target.checked })}
+              />
+            </div>
+            <div style={rowStyle}>
+              <span>Pass 2 feed</span>
+              <select
+                style={inputStyle}
+                value={systemConfig.pass2FeedSource || 'all'}
+                onChange={e => setSystemConfig({ ...systemConfig, pass2FeedSource: e.target.value })}
+              >
+                <option value="all">All pass 1 permeate</option>
+                <option value="rear">Rear permeate only</option>
+              </select>
+            </div>
+            <div style={rowStyle}>
+              <span>Pass 2 stages</span>
+              <input type="number" min="1" max="3" style={inputStyle} value={pass2Stages.length} onChange={e => handlePass2StageCountChange(e.target.value)} />
+            </div>
+          </div>
+          <table style={{ flex: 1, borderCollapse: 'collapse', fontSize: '0.75rem', background: 'white' }}>
+            <thead>
+              <tr style={{ background: '#f0f0f0' }}>
+                <th style={{ border: '1px solid #ccc', padding: '8px', textAlign: 'left', width: '120px' }}></th>
+                {pass2Stages.map((_, i) => (
+                  <th key={i} style={{ border: '1px solid #ccc', padding: '8px', textAlign: 'center' }}>Stage {i + 1}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              <tr>
+                <td style={{ border: '1px solid #ccc', padding: '8px', fontWeight: 'bold' }}>Membrane type</td>
+                {pass2Stages.map((stage, i) => (
+                  <td key={i} style={{ border: '1px solid #ccc', padding: '8px', textAlign: 'center' }}>
+                    <select
+                      value={stage.membraneModel}
+                      onChange={e => handlePass2StageChange(i, 'membraneModel', e.target.value)}
+                      style={{ width: '100%', fontSize: '0.75rem', background: '#fffacd' }}
+                    >
+                      {membraneOptions.map(m => <option key={m.id} value={m.id}>{m.name}</option>)}
+                    </select>
+                  </td>
+                ))}
+              </tr>
+              <tr>
+                <td style={{ border: '1px solid #ccc', padding: '8px', fontWeight: 'bold' }}>Membranes/vessel</td>
+                {pass2Stages.map((stage, i) => (
+                  <td key={i} style={{ border: '1px solid #ccc', padding: '8px', textAlign: 'center' }}>
+                    <input
+                      type="number"
+                      value={stage.elementsPerVessel || ''}
+                      onChange={e => handlePass2StageChange(i, 'elementsPerVessel', parseInt(e.target.value) || 0)}
+                      style={{ width: '100%', padding: '4px', textAlign: 'center', border: '1px solid #999', fontSize: '0.75rem' }}
+                    />
+                  </td>
+                ))}
+              </tr>
+              <tr>
+                <td style={{ border: '1px solid #ccc', padding: '8px', fontWeight: 'bold' }}>No. of vessels</td>
+                {pass2Stages.map((stage, i) => (
+                  <td key={i} style={{ border: '1px solid #ccc', padding: '8px', textAlign: 'center' }}>
+                    <input
+                      type="number"
+                      value={stage.vessels || ''}
+                      onChange={e => handlePass2StageChange(i, 'vessels', parseInt(e.target.value) || 0)}
+                      style={{ width: '100%', padding: '4px', textAlign: 'center', border: (stage.vessels || 0) === 0 ? '2px solid red' : '1px solid #999', fontSize: '0.75rem' }}
+                    />
+                  </td>
+                ))}
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* PUMPS & MOTORS */}
+      <div style={panelStyle}>
+        <div style={headerStyle}>Pumps &amp; Motors</div>
+        <div style={{ display: 'flex', gap: '30px', alignItems: 'flex-start' }}>
+          <div style={{ width: '300px' }}>
+            {[
+              ['hpPumpModel', 'HP pump', 'hp'],
+              ['boosterPumpModel', 'Booster pumps', 'booster'],
+              ['feedPumpModel', 'Feed pump', 'feed']
+            ].map(([key, label, service]) => (
+              <div key={key} style={rowStyle}>
+                <span>{label}</span>
+                <select
+                  value={systemConfig[key] || ''}
+                  onChange={e => setSystemConfig({ ...systemConfig, [key]: e.target.value })}
+                  style={{ fontSize: '0.7rem', width: '170px' }}
+                >
+                  {Object.values(PUMP_LIBRARY).filter(p => p.service === service).map(p => (
+                    <option key={p.id} value={p.id}>{p.name}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+            <div style={rowStyle}>
+              <span title="Blank sizes the HP pump at its duty (best efficiency point)">HP pump rated flow</span>
+              <div style={{ display: 'flex', gap: '4px', alignItems: 'center' }}>
+                <input style={inputStyle} value={systemConfig.hpPumpRatedFlow ?? ''} onChange={e => handleInputChange('hpPumpRatedFlow', e.target.value)} />
+                <span style={{ fontSize: '0.7rem' }}>{flowUnitLabel}</span>
+              </div>
+            </div>
+          </div>
+          <div style={{ width: '300px' }}>
+            <div style={rowStyle}>
+              <span>Motor class</span>
+              <select
+                value={systemConfig.motorClass || 'IE3'}
+                onChange={e => setSystemConfig({ ...systemConfig, motorClass: e.target.value })}
+                style={{ fontSize: '0.7rem' }}
+              >
+                {Object.keys(MOTOR_EFFICIENCY).map(cls => <option key={cls} value={cls}>{cls}</option>)}
+              </select>
+            </div>
+            <div style={rowStyle}>
+              <span>Variable frequency drives</span>
+              <input
+                type="checkbox"
+                checked={!!systemConfig.vfdEnabled}
+                onChange={e => setSystemConfig({ ...systemConfig, vfdEnabled: e.target.checked })}
+              />
+            </div>
+            {[
+              ['pretreatmentLoss', 'Pretreatment loss'],
+              ['cartridgeFilterLoss', 'Cartridge filter dP'],
+              ['hpSuctionPressure', 'HP pump suction']
+            ].map(([key, label]) => (
+              <div key={key} style={rowStyle}>
+                <span>{label}</span>
+                <div style={{ display: 'flex', gap: '4px', alignItems: 'center' }}>
+                  <input style={inputStyle} value={systemConfig[key] ?? ''} onChange={e => handleInputChange(key, e.target.value)} />
+                  <span style={{ fontSize: '0.7rem' }}>{pUnit}</span>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {/* SCALING LIMITS */}
+      <div style={panelStyle}>
+        <div style={headerStyle}>Scaling Limits</div>
+        <div style={{ display: 'flex', gap: '30px', alignItems: 'flex-start' }}>
+          <div style={{ width: '300px' }}>
+            <div style={rowStyle}>
+              <span title="Antiscalant allows the sulfate and fluoride salts well past saturation">With antiscalant</span>
+              <input
+                type="checkbox"
+                checked={systemConfig.scalingAntiscalant !== false}
+                onChange={e => setSystemConfig({ ...systemConfig, scalingAntiscalant: e.target.checked, scalingLimits: null })}
+              />
+            </div>
+            {Object.keys(SCALING_LIMIT_LABELS).map(key => (
+              <div key={key} style={rowStyle}>
+                <span>{key === 'lsi' ? 'LSI / S&DSI' : SCALING_LIMIT_LABELS[key]}</span>
+                <div style={{ display: 'flex', gap: '4px', alignItems: 'center' }}>
+                  <input
+                    style={inputStyle}
+                    value={scalingLimits[key] ?? ''}
+                    onChange={e => setSystemConfig({ ...systemConfig, scalingLimits: { ...scalingLimits, [key]: e.target.value } })}
+                  />
+                  <span style={{ fontSize: '0.7rem', width: '12px' }}>{key === 'lsi' ? '' : '%'}</span>
+                </div>
+              </div>
+            ))}
+          </div>
+          <div style={{ fontSize: '0.75rem' }}>
+            <button style={{ fontSize: '0.75rem', marginBottom: '8px' }} onClick={handleSolveMaxRecovery} disabled={!projection?.calcInputs}>
+              Maximum recovery
+            </button>
+            {projection?.scalingCheck && (
+              <div>
+                Closest to limit: {projection.scalingCheck.label} {Number(projection.scalingCheck.value).toFixed(projection.scalingCheck.limiting === 'lsi' ? 2 : 1)}
+                {' '}/ {projection.scalingCheck.limit}{projection.scalingCheck.limiting === 'lsi' ? '' : '%'}
+                {projection.scalingCheck.exceeded.length > 0 && <span style={{ color: '#c0392b' }}> - limit exceeded</span>}
+              </div>
+            )}
+            {designRuns.maxRecovery && (
+              <div style={{ marginTop: '4px', fontWeight: 'bold', color: designRuns.maxRecovery.bound === 'min-recovery' ? '#c0392b' : '#004a80' }}>
+                {designRuns.maxRecovery.bound === 'min-recovery'
+                  ? `${designRuns.maxRecovery.label} exceeds its limit even at ${designRuns.maxRecovery.recovery}% recovery`
+                  : designRuns.maxRecovery.bound === 'max-recovery'
+                    ? `No scaling limit reached up to ${designRuns.maxRecovery.recovery}% recovery`
+                    : `Maximum recovery ${designRuns.maxRecovery.recovery.toFixed(1)}% - limited by ${designRuns.maxRecovery.label}`}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* TEMPERATURE ENVELOPE */}
+      <div style={panelStyle}>
+        <div style={headerStyle}>Temperature Envelope</div>
+        <div style={{ display: 'flex', gap: '30px', alignItems: 'flex-start' }}>
+          <div style={{ width: '300px' }}>
+            {[
+              ['envelopeMinTemp', 'Minimum temperature'],
+              ['envelopeMaxTemp', 'Maximum temperature']
+            ].map(([key, label]) => (
+              <div key={key} style={rowStyle}>
+                <span>{label}</span>
+                <div style={{ display: 'flex', gap: '4px', alignItems: 'center' }}>
+                  <input style={inputStyle} value={systemConfig[key] ?? ''} onChange={e => handleInputChange(key, e.target.value)} />
+                  <span style={{ fontSize: '0.7rem' }}>°C</span>
+                </div>
+              </div>
+            ))}
+            <div style={rowStyle}>
+              <span title="Comma-separated, e.g. 15, 30">Extra points</span>
+              <div style={{ display: 'flex', gap: '4px', alignItems: 'center' }}>
+                <input style={inputStyle} value={systemConfig.envelopeExtraTemps ?? ''} onChange={e => handleInputChange('envelopeExtraTemps', e.target.value)} />
+                <span style={{ fontSize: '0.7rem' }}>°C</span>
+              </div>
+            </div>
+            <button style={{ fontSize: '0.75rem', marginTop: '8px' }} onClick={handleRunEnvelope} disabled={!projection?.calcInputs}>
+              Check envelope
+            </button>
+          </div>
+          {designRuns.envelope && (
+            <div style={{ fontSize: '0.75rem', flex: 1 }}>
+              <table style={{ width: '100%', borderCollapse: 'collapse', textAlign: 'center' }}>
+                <thead style={{ background: '#eee' }}>
+                  <tr>
+                    <th style={{ border: '1px solid #ccc' }}>Point</th>
+                    <th style={{ border: '1px solid #ccc' }}>Temp (°C)</th>
+                    <th style={{ border: '1px solid #ccc' }}>Feed pressure ({pUnit})</th>
+                    <th style={{ border: '1px solid #ccc' }}>Permeate TDS (mg/L)</th>
+                    <th style={{ border: '1px solid #ccc' }}>Closest scaling limit</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {designRuns.envelope.points.map(point => (
+                    <tr key={point.tempC} style={{ color: point.violations.length > 0 ? '#c0392b' : 'inherit' }}>
+                      <td style={{ border: '1px solid #ccc' }}>{point.label}</td>
+                      <td style={{ border: '1px solid #ccc' }}>{formatNumber(point.tempC, 1)}</td>
+                      <td style={{ border: '1px solid #ccc', fontWeight: point.tempC === designRuns.envelope.worst.feedPressure?.tempC ? 'bold' : 'normal' }}>
+                        {formatNumber(isGpm ? point.feedPressureBar * BAR_TO_PSI : point.feedPressureBar, 1)}
+                      </td>
+                      <td style={{ border: '1px solid #ccc', fontWeight: point.tempC === designRuns.envelope.worst.permeateTds?.tempC ? 'bold' : 'normal' }}>
+                        {formatNumber(point.permeateTds, 1)}
+                      </td>
+                      <td style={{ border: '1px solid #ccc', fontWeight: point.tempC === designRuns.envelope.worst.scaling?.tempC ? 'bold' : 'normal' }}>
+                        {point.scaling
+                          ? `${point.scaling.label} ${formatNumber(point.scaling.value, point.scaling.limiting === 'lsi' ? 2 : 1)} / ${point.scaling.limit}`
+                          : '-'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div style={{ marginTop: '4px', color: '#666' }}>Worst case of each column in bold.</div>
+              {designRuns.envelope.violations.length > 0 ? (
+                <ul style={{ margin: '6px 0 0', paddingLeft: '18px', color: '#c0392b' }}>
+                  {designRuns.envelope.violations.map((violation, idx) => (
+                    <li key={idx}>{violation.tempC}°C: {violation.message}</li>
+                  ))}
+                </ul>
+              ) : (
+                <div style={{ marginTop: '6px', color: '#27ae60' }}>No membrane or pump limits exceeded across the envelope</div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* MEMBRANE AGING PROJECTION */}
+      <div style={panelStyle}>
+        <div style={headerStyle}>Membrane Aging Projection</div>
+        <div style={{ display: 'flex', gap: '30px', alignItems: 'flex-start' }}>
+          <div style={{ width: '300px' }}>
+            <div style={rowStyle}>
+              <span>Years</span>
+              <input style={inputStyle} value={systemConfig.agingYears ?? ''} onChange={e => handleInputChange('agingYears', e.target.value)} />
+            </div>
+            <div style={rowStyle}>
+              <span>Operation</span>
+              <select style={{ fontSize: '0.7rem' }} value={systemConfig.agingMode || 'constant-flux'} onChange={e => setSystemConfig({ ...systemConfig, agingMode: e.target.value })}>
+                <option value="constant-flux">Constant flux</option>
+                <option value="constant-pressure">Constant pressure</option>
+              </select>
+            </div>
+            <div style={{ fontSize: '0.7rem', color: '#666' }}>
+              Flux decline {formatNumber(systemConfig.fluxDeclinePerYear, 1)} %/yr, SP increase {formatNumber(systemConfig.spIncreasePerYear, 1)} %/yr
+            </div>
+            <button style={{ fontSize: '0.75rem', marginTop: '8px' }} onClick={handleRunAging} disabled={!projection?.calcInputs}>
+              Project aging
+            </button>
+          </div>
+          {designRuns.aging && (
+            <div style={{ fontSize: '0.75rem', flex: 1, overflowX: 'auto' }}>
+              <table style={{ width: '100%', borderCollapse: 'collapse', textAlign: 'center' }}>
+                <thead style={{ background: '#eee' }}>
+                  <tr>
+                    <th style={{ border: '1px solid #ccc', textAlign: 'left' }}>Year</th>
+                    {designRuns.aging.rows.map(row => (
+                      <th key={row.year} style={{ border: '1px solid #ccc' }}>{row.year}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {[
+                    [`Feed pressure (${pUnit})`, row => formatNumber(isGpm ? row.feedPressureBar * BAR_TO_PSI : row.feedPressureBar, 1)],
+                    [`Permeate flow (${isGpm ? 'gpm' : 'm3/h'})`, row => formatNumber(isGpm ? row.permeateFlowM3h * 4.402867 : row.permeateFlowM3h, 2)],
+                    ['Recovery (%)', row => formatNumber(row.recovery, 1)],
+                    ['Power (kW)', row => formatNumber(row.powerKw, 2)],
+                    ['Specific energy (kWh/m3)', row => formatNumber(row.specificEnergy, 3)],
+                    ['Energy cost ($/month)', row => formatNumber(row.monthlyEnergyCost, 0)],
+                    ['Permeate TDS (mg/L)', row => formatNumber(row.permeateTds, 1)],
+                    ...AGING_IONS
+                      .filter(([ion]) => designRuns.aging.rows.some(row => Number(row.permeateIons[ion]) > 0))
+                      .map(([ion, label]) => [`${label} (mg/L)`, row => formatNumber(row.permeateIons[ion], 3)])
+                  ].map(([label, value]) => (
+                    <tr key={label}>
+                      <td style={{ border: '1px solid #ccc', textAlign: 'left' }}>{label}</td>
+                      {designRuns.aging.rows.map(row => (
+                        <td key={row.year} style={{ border: '1px solid #ccc' }}>{value(row)}</td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {designRuns.aging.mode === 'constant-pressure' && (
+                <div style={{ marginTop: '4px', color: '#666' }}>
+                  Feed pressure held at {formatNumber(designRuns.aging.heldPressure, 1)} {designRuns.aging.pressureUnit}; permeate flow falls as the membranes age.
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+
       {/* MEMBRANE SELECTION MODAL */}
       {showMembraneModal && (
         <div style={{
@@ -827,7 +1557,10 @@ const SystemDesign = ({
             boxShadow: '0 4px 20px rgba(0,0,0,0.3)'
           }} onClick={(e) => e.stopPropagation()}>
             <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '15px' }}>
-              <h3 style={{ margin: 0 }}>Select Membrane Type for Stage {selectedStageForMembrane}</h3>
+              <h3 style={{ margin: 0 }}>
+                Select Membrane Type for Stage {selectedStageForMembrane}
+                {selectedPositionForMembrane !== null ? `, Position ${selectedPositionForMembrane}` : ''}
+              </h3>
               <button onClick={() => setShowMembraneModal(false)} style={{
                 background: '#e74c3c',
                 color: 'white',
@@ -839,7 +1572,7 @@ const SystemDesign = ({
               }}>×</button>
             </div>
             <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(150px, 1fr))', gap: '10px' }}>
-              {membranes.map(membrane => (
+              {membraneOptions.map(membrane => (
                 <button
                   key={membrane.id}
                   onClick={() => handleMembraneSelect(membrane.id)}
@@ -959,16 +1692,16 @@ const SystemDesign = ({
                       <tr>
                         <td style={{ border: '1px solid #c9d3de', padding: '6px', fontWeight: 'bold' }}>TDS (mg/L)</td>
                         <td style={{ border: '1px solid #c9d3de', padding: '6px' }}>{formatNumber(feedTds, 1)}</td>
-                        <td style={{ border: '1px solid #c9d3de', padding: '6px' }}>{formatNumber(feedTds, 1)}</td>
-                        <td style={{ border: '1px solid #c9d3de', padding: '6px' }}>{formatNumber(feedTds, 1)}</td>
+                        <td style={{ border: '1px solid #c9d3de', padding: '6px' }}>{formatNumber(treatedFeedTds, 1)}</td>
+                        <td style={{ border: '1px solid #c9d3de', padding: '6px' }}>{formatNumber(treatedFeedTds, 1)}</td>
                         <td style={{ border: '1px solid #c9d3de', padding: '6px' }}>{formatNumber(concTds, 1)}</td>
                         <td style={{ border: '1px solid #c9d3de', padding: '6px' }}>{formatNumber(permTds, 1)}</td>
                       </tr>
                       <tr>
                         <td style={{ border: '1px solid #c9d3de', padding: '6px', fontWeight: 'bold' }}>pH</td>
                         <td style={{ border: '1px solid #c9d3de', padding: '6px' }}>{formatNumber(rawFeedPh, 2)}</td>
-                        <td style={{ border: '1px solid #c9d3de', padding: '6px' }}>{formatNumber(treatedFeedPh, 1)}</td>
-                        <td style={{ border: '1px solid #c9d3de', padding: '6px' }}>{formatNumber(treatedFeedPh, 1)}</td>
+                        <td style={{ border: '1px solid #c9d3de', padding: '6px' }}>{formatNumber(treatedFeedPh, 2)}</td>
+                        <td style={{ border: '1px solid #c9d3de', padding: '6px' }}>{formatNumber(treatedFeedPh, 2)}</td>
                         <td style={{ border: '1px solid #c9d3de', padding: '6px' }}>{formatNumber(concPh, 1)}</td>
                         <td style={{ border: '1px solid #c9d3de', padding: '6px' }}>{formatNumber(permPh, 2)}</td>
                       </tr>
@@ -1029,6 +1762,11 @@ const SystemDesign = ({
                   <th style={{ border: '1px solid #ccc' }}>Conc ({pUnit})</th>
                   <th style={{ border: '1px solid #ccc' }}>Feed ({fUnit})</th>
                   <th style={{ border: '1px solid #ccc' }}>Conc ({fUnit})</th>
+                  <th style={{ border: '1px solid #ccc' }}>Perm ({fUnit})</th>
+                  <th style={{ border: '1px solid #ccc' }}>Perm TDS (mg/L)</th>
+                  <th style={{ border: '1px solid #ccc' }}>Recovery (%)</th>
+                  <th style={{ border: '1px solid #ccc' }}>Boost ({pUnit})</th>
+                  <th style={{ border: '1px solid #ccc' }}>Perm press ({pUnit})</th>
                   <th style={{ border: '1px solid #ccc' }}>Flux ({fluxUnit})</th>
                   <th style={{ border: '1px solid #ccc' }}>Highest flux ({fluxUnit})</th>
                   <th style={{ border: '1px solid #ccc' }}>
@@ -1051,6 +1789,11 @@ const SystemDesign = ({
                       {row.feedFlow}
                     </td>
                     <td style={{ border: '1px solid #ccc' }}>{row.concFlow}</td>
+                    <td style={{ border: '1px solid #ccc' }}>{row.permeateFlow}</td>
+                    <td style={{ border: '1px solid #ccc' }}>{row.permeateTds}</td>
+                    <td style={{ border: '1px solid #ccc' }}>{row.recovery}</td>
+                    <td style={{ border: '1px solid #ccc' }}>{row.boosterPressure}</td>
+                    <td style={{ border: '1px solid #ccc' }}>{row.permeatePressure}</td>
                     <td style={{ border: '1px solid #ccc' }}>{row.flux}</td>
                     <td style={{ border: '1px solid #ccc', background: Number(row.highestFlux) > (isGpm ? 20 : 34) ? '#f8d7da' : 'transparent' }}>
                       {row.highestFlux}
@@ -1065,9 +1808,246 @@ const SystemDesign = ({
               <div>Permeate Pressure is {systemConfig.permeatePressure || '0.0'} {pUnit}</div>
               <div>Osmotic {projection.results?.osmoticPressure ?? '0.0'} {pUnit}</div>
               <div>Average flux / Flux {projection.results?.avgFlux ?? '0.0'} {fluxUnit}</div>
+              {Number(projection.results?.boosterPowerKw) > 0 && (
+                <div>Booster power {projection.results.boosterPowerKw} kW/train</div>
+              )}
             </div>
+            {projection.recycle && (
+              <div style={{ padding: '8px', background: 'white', borderTop: '1px solid #ccc', fontSize: '0.75rem', color: '#004a80' }}>
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '20px', fontWeight: 'bold' }}>
+                  <div>Recycle {projection.recycle.flow} {fUnit} ({projection.recycle.percent}% of concentrate)</div>
+                  <div>Array feed {projection.recycle.arrayFeedFlow} {fUnit}</div>
+                  <div>System recovery {projection.recycle.systemRecovery} %</div>
+                  <div>Array recovery {projection.recycle.arrayRecovery} %</div>
+                  <div>Blended feed TDS {projection.recycle.blendedFeedTds} mg/L{projection.recycle.converged ? '' : ' (not converged)'}</div>
+                </div>
+                <div style={{ display: 'grid', gridTemplateColumns: 'repeat(9, 1fr)', gap: '6px', marginTop: '6px', fontSize: '0.7rem' }}>
+                  {Object.entries(projection.recycle.blendedFeedIons || {}).map(([ion, val]) => (
+                    <div key={ion}>{ion.toUpperCase()}: {val}</div>
+                  ))}
+                </div>
+              </div>
+            )}
+            {projection.energyRecovery && (
+              <div style={{ padding: '8px', background: 'white', borderTop: '1px solid #ccc', fontSize: '0.75rem', color: '#004a80' }}>
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '20px', fontWeight: 'bold' }}>
+                  <div>HP pump {projection.energyRecovery.hpPumpFlow} {fUnit} @ {projection.energyRecovery.hpPumpPressure} {pUnit}</div>
+                  {projection.energyRecovery.type === 'px' && (
+                    <>
+                      <div>PX {projection.energyRecovery.erdFlow} {fUnit} @ {projection.energyRecovery.erdOutletPressure} {pUnit}</div>
+                      <div>Booster {projection.energyRecovery.boosterFlow} {fUnit} +{projection.energyRecovery.boosterPressure} {pUnit}</div>
+                      <div>Leakage {projection.energyRecovery.leakageFlow} {fUnit}</div>
+                    </>
+                  )}
+                  {projection.energyRecovery.type === 'pelton' && <div>Recovered {projection.energyRecovery.recoveredPowerKw} kW (shaft)</div>}
+                  <div>Membrane feed TDS {projection.energyRecovery.membraneFeedTds} mg/L (+{projection.energyRecovery.salinityIncreasePercent}%)</div>
+                </div>
+              </div>
+            )}
+            {(projection.pumps || []).length > 0 && (
+              <div style={{ padding: '8px', background: 'white', borderTop: '1px solid #ccc', fontSize: '0.75rem' }}>
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.7rem', textAlign: 'center' }}>
+                  <thead style={{ background: '#eee' }}>
+                    <tr>
+                      <th style={{ border: '1px solid #ccc' }}>Pump</th>
+                      <th style={{ border: '1px solid #ccc' }}>Model</th>
+                      <th style={{ border: '1px solid #ccc' }}>Flow ({fUnit})</th>
+                      <th style={{ border: '1px solid #ccc' }}>Head ({pUnit})</th>
+                      <th style={{ border: '1px solid #ccc' }}>Pump eff (%)</th>
+                      <th style={{ border: '1px solid #ccc' }}>Motor eff (%)</th>
+                      <th style={{ border: '1px solid #ccc' }}>VFD eff (%)</th>
+                      <th style={{ border: '1px solid #ccc' }}>kW/train</th>
+                      <th style={{ border: '1px solid #ccc' }}>kW total</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {projection.pumps.map(pump => (
+                      <tr key={pump.id}>
+                        <td style={{ border: '1px solid #ccc' }}>{pump.id}</td>
+                        <td style={{ border: '1px solid #ccc' }}>{pump.pumpName}</td>
+                        <td style={{ border: '1px solid #ccc' }}>{pump.flow}</td>
+                        <td style={{ border: '1px solid #ccc' }}>{pump.pressure}</td>
+                        <td style={{ border: '1px solid #ccc' }}>{pump.pumpEfficiency}</td>
+                        <td style={{ border: '1px solid #ccc' }}>{pump.motorEfficiency}</td>
+                        <td style={{ border: '1px solid #ccc' }}>{pump.vfdEfficiency}</td>
+                        <td style={{ border: '1px solid #ccc' }}>{pump.kwPerTrain}</td>
+                        <td style={{ border: '1px solid #ccc' }}>{pump.totalKw}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <div style={{ display: 'flex', gap: '20px', marginTop: '6px', fontWeight: 'bold', color: '#004a80' }}>
+                  <div>Total power {projection.powerKw} kW</div>
+                  <div>Specific energy {projection.specificEnergy} kWh/m³</div>
+                  <div>Energy cost ${projection.monthlyEnergyCost}/month</div>
+                </div>
+              </div>
+            )}
+            {projection.bypass && (
+              <div style={{ padding: '8px', background: 'white', borderTop: '1px solid #ccc', fontSize: '0.75rem', color: '#004a80' }}>
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '20px', fontWeight: 'bold' }}>
+                  <div>Bypass {projection.bypass.bypassPercent}% ({projection.bypass.bypassFlow} {flowUnitLabel})</div>
+                  <div>Product {projection.bypass.totalProductFlow} {flowUnitLabel}</div>
+                  <div>RO permeate {projection.bypass.roPermeateFlow} {flowUnitLabel}</div>
+                  <div>RO feed {projection.bypass.roFeedFlow} {flowUnitLabel}</div>
+                  <div>Vessels required {projection.bypass.vesselsRequired}</div>
+                  <div>Blended TDS {projection.bypass.blendedTds} mg/L</div>
+                  {projection.bypass.blendedPh && <div>Blended pH {projection.bypass.blendedPh}</div>}
+                  {projection.bypass.limit === 'permeate' && <div style={{ color: '#c0392b' }}>Target below permeate quality - no bypass</div>}
+                  {projection.bypass.limit === 'raw' && <div style={{ color: '#c0392b' }}>Raw water already meets target</div>}
+                </div>
+                <div style={{ display: 'grid', gridTemplateColumns: 'repeat(9, 1fr)', gap: '6px', marginTop: '6px', fontSize: '0.7rem' }}>
+                  {Object.entries(projection.bypass.blendedConcentration || {}).map(([ion, val]) => (
+                    <div key={ion}>{ion.toUpperCase()}: {val}</div>
+                  ))}
+                </div>
+              </div>
+            )}
+            {projection.splitPermeate && (
+              <div style={{ padding: '8px', background: 'white', borderTop: '1px solid #ccc', fontSize: '0.75rem', color: '#004a80' }}>
+                {['front', 'rear'].map(port => (
+                  <div key={port} style={{ marginBottom: '6px' }}>
+                    <div style={{ fontWeight: 'bold' }}>
+                      {port === 'front' ? 'Front' : 'Rear'} permeate {projection.splitPermeate[port].flow} {fUnit}, TDS {projection.splitPermeate[port].tds} mg/L{projection.splitPermeate[port].ph ? `, pH ${projection.splitPermeate[port].ph}` : ''}
+                    </div>
+                    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(9, 1fr)', gap: '6px', marginTop: '4px', fontSize: '0.7rem' }}>
+                      {Object.entries(projection.splitPermeate[port].permeateConcentration || {}).map(([ion, val]) => (
+                        <div key={ion}>{ion.toUpperCase()}: {val}</div>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
           </div>
 
+          {(projection.stageResults || []).some(row => row.elementResults?.length > 0) && (
+            <div style={{ background: 'white', padding: '8px', border: '1px solid #c2d1df' }}>
+              <div style={{ fontWeight: 'bold', marginBottom: '6px', fontSize: '0.75rem' }}>Element Results (per vessel)</div>
+              <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.7rem', textAlign: 'center' }}>
+                <thead style={{ background: '#eee' }}>
+                  <tr>
+                    <th style={{ border: '1px solid #ccc' }}>Array</th>
+                    <th style={{ border: '1px solid #ccc' }}>Element</th>
+                    <th style={{ border: '1px solid #ccc' }}>Membrane</th>
+                    <th style={{ border: '1px solid #ccc' }}>Feed ({pUnit})</th>
+                    <th style={{ border: '1px solid #ccc' }}>dP ({pUnit})</th>
+                    <th style={{ border: '1px solid #ccc' }}>Osmotic ({pUnit})</th>
+                    <th style={{ border: '1px solid #ccc' }}>Feed ({fUnit})</th>
+                    <th style={{ border: '1px solid #ccc' }}>Perm ({fUnit})</th>
+                    <th style={{ border: '1px solid #ccc' }}>Flux ({fluxUnit})</th>
+                    <th style={{ border: '1px solid #ccc' }}>Beta</th>
+                    <th style={{ border: '1px solid #ccc' }}>Feed TDS</th>
+                    <th style={{ border: '1px solid #ccc' }}>Perm TDS</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {(projection.stageResults || []).flatMap((row) => (row.elementResults || []).map((el) => (
+                    <tr key={`stage-${row.index}-el-${el.position}`}>
+                      <td style={{ border: '1px solid #ccc' }}>1 - {row.index}</td>
+                      <td style={{ border: '1px solid #ccc' }}>{el.position}</td>
+                      <td style={{ border: '1px solid #ccc' }}>{el.membraneModel}</td>
+                      <td style={{ border: '1px solid #ccc' }}>{el.feedPressure}</td>
+                      <td style={{ border: '1px solid #ccc' }}>{el.pressureDrop}</td>
+                      <td style={{ border: '1px solid #ccc' }}>{el.osmoticPressure}</td>
+                      <td style={{ border: '1px solid #ccc' }}>{el.feedFlow}</td>
+                      <td style={{ border: '1px solid #ccc' }}>{el.permeateFlow}</td>
+                      <td style={{ border: '1px solid #ccc', background: Number(el.flux) > (isGpm ? 20 : 34) ? '#f8d7da' : 'transparent' }}>{el.flux}</td>
+                      <td style={{ border: '1px solid #ccc', background: Number(el.beta) > 1.2 ? '#fff3cd' : 'transparent' }}>{el.beta}</td>
+                      <td style={{ border: '1px solid #ccc' }}>{el.feedTds}</td>
+                      <td style={{ border: '1px solid #ccc' }}>{el.permeateTds}</td>
+                    </tr>
+                  )))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {projection.pass2 && (
+            <div style={{ ...panelStyle, background: '#d9e4f0' }}>
+              <div style={headerStyle}>Pass 2 Result</div>
+              <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.75rem', textAlign: 'center', background: 'white' }}>
+                <thead style={{ background: '#eee' }}>
+                  <tr>
+                    <th style={{ border: '1px solid #ccc' }}>Array</th>
+                    <th style={{ border: '1px solid #ccc' }}>Vessels</th>
+                    <th style={{ border: '1px solid #ccc' }}>Feed ({pUnit})</th>
+                    <th style={{ border: '1px solid #ccc' }}>Conc ({pUnit})</th>
+                    <th style={{ border: '1px solid #ccc' }}>Feed ({fUnit})</th>
+                    <th style={{ border: '1px solid #ccc' }}>Conc ({fUnit})</th>
+                    <th style={{ border: '1px solid #ccc' }}>Perm ({fUnit})</th>
+                    <th style={{ border: '1px solid #ccc' }}>Perm TDS (mg/L)</th>
+                    <th style={{ border: '1px solid #ccc' }}>Recovery (%)</th>
+                    <th style={{ border: '1px solid #ccc' }}>Flux ({fluxUnit})</th>
+                    <th style={{ border: '1px solid #ccc' }}>Highest flux ({fluxUnit})</th>
+                    <th style={{ border: '1px solid #ccc' }}>Highest beta</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {(projection.pass2.stageResults || []).map((row) => (
+                    <tr key={`pass2-stage-${row.index}`}>
+                      <td style={{ border: '1px solid #ccc' }}>2 - {row.index}</td>
+                      <td style={{ border: '1px solid #ccc' }}>{row.vessels}</td>
+                      <td style={{ border: '1px solid #ccc' }}>{row.feedPressure}</td>
+                      <td style={{ border: '1px solid #ccc' }}>{row.concPressure}</td>
+                      <td style={{ border: '1px solid #ccc' }}>{row.feedFlow}</td>
+                      <td style={{ border: '1px solid #ccc' }}>{row.concFlow}</td>
+                      <td style={{ border: '1px solid #ccc' }}>{row.permeateFlow}</td>
+                      <td style={{ border: '1px solid #ccc' }}>{row.permeateTds}</td>
+                      <td style={{ border: '1px solid #ccc' }}>{row.recovery}</td>
+                      <td style={{ border: '1px solid #ccc' }}>{row.flux}</td>
+                      <td style={{ border: '1px solid #ccc', background: Number(row.highestFlux) > (isGpm ? 20 : 34) ? '#f8d7da' : 'transparent' }}>{row.highestFlux}</td>
+                      <td style={{ border: '1px solid #ccc' }}>{row.highestBeta}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div style={{ marginTop: '10px', padding: '8px', background: 'white', borderTop: '1px solid #ccc', fontSize: '0.8rem', fontWeight: 'bold', color: '#004a80', display: 'flex', flexWrap: 'wrap', gap: '20px' }}>
+                <div>Product flow {projection.pass2.system.productFlow} {fUnit}</div>
+                <div>System recovery {projection.pass2.system.recovery} %</div>
+                <div>Product TDS {projection.pass2.system.productTds} mg/L</div>
+                <div>Interpass pH {projection.pass2.interpass.ph ?? '-'}</div>
+                <div>
+                  Recycle {projection.pass2.recycle.flow} {fUnit} ({projection.pass2.recycle.iterations} iterations{projection.pass2.recycle.converged ? '' : ', not converged'})
+                </div>
+              </div>
+            </div>
+          )}
+
+          {projection.feedChemistry?.chemical && (
+            <div style={{ marginTop: '12px', background: 'white', padding: '8px', border: '1px solid #c2d1df' }}>
+              <div style={{ fontWeight: 'bold', marginBottom: '6px', fontSize: '0.75rem' }}>
+                Feed Water Analysis - {projection.feedChemistry.chemical} {projection.feedChemistry.doseMgL} mg/L
+              </div>
+              <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.7rem', textAlign: 'center' }}>
+                <thead style={{ background: '#eee' }}>
+                  <tr>
+                    <th style={{ border: '1px solid #ccc' }}></th>
+                    {Object.keys(projection.feedChemistry.treatedConcentration || {}).map(ion => (
+                      <th key={ion} style={{ border: '1px solid #ccc' }}>{ion.toUpperCase()}</th>
+                    ))}
+                    <th style={{ border: '1px solid #ccc' }}>pH</th>
+                    <th style={{ border: '1px solid #ccc' }}>TDS</th>
+                    <th style={{ border: '1px solid #ccc' }}>LSI</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {['raw', 'treated'].map(key => (
+                    <tr key={key}>
+                      <td style={{ border: '1px solid #ccc', fontWeight: 'bold' }}>{key === 'raw' ? 'Raw' : 'Treated'}</td>
+                      {Object.keys(projection.feedChemistry.treatedConcentration || {}).map(ion => (
+                        <td key={ion} style={{ border: '1px solid #ccc' }}>{projection.feedChemistry[`${key}Concentration`]?.[ion] ?? '0.000'}</td>
+                      ))}
+                      <td style={{ border: '1px solid #ccc' }}>{projection.feedChemistry[`${key}Ph`]}</td>
+                      <td style={{ border: '1px solid #ccc' }}>{projection.feedChemistry[`${key}Tds`]}</td>
+                      <td style={{ border: '1px solid #ccc' }}>{projection.feedChemistry[`${key}Lsi`]}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
           <div style={{ marginTop: '12px', background: 'white', padding: '8px', border: '1px solid #c2d1df' }}>
             <div style={{ fontWeight: 'bold', marginBottom: '6px', fontSize: '0.75rem' }}>Permeate Concentration (mg/L)</div>
             <div style={{ fontSize: '0.65rem', color: '#666', marginBottom: '8px' }}>Formula: Cp = Cf × (1 - Rejection)</div>
@@ -1088,6 +2068,8 @@ const SystemDesign = ({
               <div>B: {projection.permeateConcentration?.b ?? '0.000'}</div>
               <div>CO2: {projection.permeateConcentration?.co2 ?? '0.000'}</div>
               <div>CO3: {projection.permeateConcentration?.co3 ?? '0.000'}</div>
+              <div>NH4: {projection.permeateConcentration?.nh4 ?? '0.000'}</div>
+              <div>NH3: {projection.permeateConcentration?.nh3 ?? '0.000'}</div>
               <div>pH: {projection.permeateParameters?.ph ?? '0.0'}</div>
               <div>TDS: {projection.permeateParameters?.tds ?? '0.0'} mg/L</div>
             </div>
@@ -1106,7 +2088,8 @@ const SystemDesign = ({
               <div>Ca3(PO4)2: {projection.concentrateSaturation?.ca3po42 ?? '0.00'}%</div>
               <div>CaF2: {projection.concentrateSaturation?.caF2 ?? '0.0'}%</div>
               <div>CCPP: {projection.concentrateParameters?.ccpp ?? '0.0'} mg/L</div>
-              <div>Langelier: {projection.concentrateParameters?.langelier ?? '0.00'}</div>
+              <div style={{ fontWeight: projection.concentrateParameters?.scalingIndex === 'sdsi' ? 'normal' : 'bold' }}>Langelier: {projection.concentrateParameters?.langelier ?? '0.00'}</div>
+              <div style={{ fontWeight: projection.concentrateParameters?.scalingIndex === 'sdsi' ? 'bold' : 'normal' }}>S&amp;DSI: {projection.concentrateParameters?.stiffDavis ?? '0.00'}</div>
               <div>pH: {projection.concentrateParameters?.ph ?? '0.0'}</div>
               <div>TDS: {projection.concentrateParameters?.tds ?? '0.0'} mg/L</div>
               <div>Osmotic: {projection.concentrateParameters?.osmoticPressure ?? '0.0'} {pUnit}</div>
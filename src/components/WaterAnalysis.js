@@ -314,8 +314,8 @@ export const WaterAnalysis = ({ waterData, setWaterData, handleApplyTdsProfile }
                     <span style={{ background: '#f8fbff', border: '1px solid #c2d1df', padding: '2px 6px' }}>{analysisTotals.osmoticPsi.toFixed(1)} psi</span>
                   </div>
                   <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '6px' }}>
-                    <span>Ca3(PO4)2 SI</span>
-                    <span style={{ background: '#f8fbff', border: '1px solid #c2d1df', padding: '2px 6px' }}>{analysisTotals.ca3po42.toFixed(2)}</span>
+                    <span>Ca3(PO4)2</span>
+                    <span style={{ background: '#f8fbff', border: '1px solid #c2d1df', padding: '2px 6px' }}>{analysisTotals.ca3po42.toFixed(2)} %</span>
                   </div>
                   <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '6px' }}>
                     <span>CCPP</span>
@@ -1,6 +1,7 @@
 import {
   calculateTCF,
   calculateDynamicAValue,
+  calculateAgingFactors,
   calculateDynamicBValue,
   convertToMolarity,
   calculateIonicStrength,
@@ -12,7 +13,29 @@ import {
   designMultiStageSystem,
   distributeRecovery,
   validateMultiStageDesign,
-  getIonOsmoticContribution
+  getIonOsmoticContribution,
+  calculateEnergyRecovery,
+  calculatePumpPower,
+  getPumpEfficiency,
+  calculatePumpDuty,
+  calculateEnergyBalance,
+  PUMP_LIBRARY,
+  getCarbonateConstants,
+  solveCarbonateSystem,
+  equilibrateCarbonate,
+  calculateStiffDavisIndex,
+  calculateWaterSaturations,
+  selectScalingIndex,
+  calculateSaltSaturations,
+  getSolubilityProduct,
+  getSilicaSolubility,
+  getBoricAcidPka,
+  getBorateFraction,
+  estimateConcentrateChemistry,
+  calculateSilicaLimitedRecovery,
+  getAmmoniumPka,
+  getAmmoniaFraction,
+  speciateCarbonateIons
 } from './calculationEngine';
 
 import { getMembrane } from './membraneEngine';
@@ -91,6 +114,21 @@ describe('Dynamic A & B Normalization Engine', () => {
       });
       expect(heavily).toBeGreaterThanOrEqual(3.0 * 0.7);
     });
+
+    it('should age water and salt permeability with the same compounding law', () => {
+      const { aFactor, bFactor } = calculateAgingFactors({
+        membraneAgeYears: 3,
+        fluxDeclinePercent: 5,
+        spIncreasePercent: 7,
+        foulingFactor: 0.9
+      });
+
+      expect(aFactor).toBeCloseTo(Math.pow(0.95, 3) * 0.9, 10);
+      expect(bFactor).toBeCloseTo(Math.pow(1.07, 3), 10);
+      expect(calculateAgingFactors()).toEqual({ aFactor: 1, bFactor: 1 });
+      // The flux decline floor holds before fouling is applied
+      expect(calculateAgingFactors({ membraneAgeYears: 10, fluxDeclinePercent: 20, foulingFactor: 0.9 }).aFactor).toBeCloseTo(0.7 * 0.9, 10);
+    });
   });
 
   describe('Dynamic B-value Calculation', () => {
@@ -414,6 +452,26 @@ describe('Multi-Stage Design Engine', () => {
     expect(noAging.stages[0].flux).toBeGreaterThan(aged.stages[0].flux);
   });
 
+  it('should need more pressure and pass more salt with aged membranes', () => {
+    const design = (membraneAgeYears) => designMultiStageSystem({
+      feedFlow: 10,
+      feedPressure: 20,
+      feedConc: 1000,
+      targetRecovery: 0.5,
+      membrane: cpa3,
+      numStages: 2,
+      fluxDeclinePercent: 5,
+      spIncreasePercent: 7,
+      membraneAgeYears
+    });
+    const newMembranes = design(0);
+    const aged = design(3);
+
+    expect(aged.stages[0].dynamicAValue).toBeCloseTo(newMembranes.stages[0].dynamicAValue * Math.pow(0.95, 3), 6);
+    expect(aged.stages[0].requiredPressure).toBeGreaterThan(newMembranes.stages[0].requiredPressure);
+    expect(aged.finalPermeateConc).toBeGreaterThan(newMembranes.finalPermeateConc);
+  });
+
   it('should validate multi-stage design', () => {
     const design = designMultiStageSystem({
       feedFlow: 10,
@@ -450,3 +508,255 @@ describe('Recovery Distribution', () => {
     expect(totalRec).toBeGreaterThan(0.50);
   });
 });
+
+describe('Energy Recovery Devices', () => {
+  const swro = {
+    feedFlow: 100,
+    concFlow: 55,
+    feedPressure: 60,
+    concPressure: 58.5,
+    feedTds: 35000,
+    concTds: 77000,
+    efficiency: 96,
+    leakagePercent: 2,
+    mixingPercent: 5
+  };
+
+  it('should split the feed between the HP pump and the pressure exchanger', () => {
+    const px = calculateEnergyRecovery({ ...swro, type: 'px' });
+
+    expect(px.erdFlow).toBeCloseTo(55 * 0.98, 6);
+    expect(px.hpPumpFlow + px.erdFlow).toBeCloseTo(100, 6);
+    expect(px.boosterPressure).toBeCloseTo(60 - 58.5 * 0.96, 6);
+    expect(px.leakageFlow).toBeCloseTo(55 * 0.02, 6);
+  });
+
+  it('should roughly halve SWRO pumping power with a pressure exchanger', () => {
+    const px = calculateEnergyRecovery({ ...swro, type: 'px' });
+    const noErd = calculatePumpPower(60, 100);
+
+    expect(px.totalPowerKw).toBeLessThan(noErd * 0.55);
+    expect(px.savedPowerKw).toBeCloseTo(noErd - px.totalPowerKw, 6);
+  });
+
+  it('should raise membrane feed salinity through volumetric mixing', () => {
+    const px = calculateEnergyRecovery({ ...swro, type: 'px' });
+    const noMixing = calculateEnergyRecovery({ ...swro, type: 'px', mixingPercent: 0 });
+
+    expect(px.salinityIncreasePercent).toBeGreaterThan(0);
+    expect(noMixing.salinityIncreasePercent).toBe(0);
+  });
+
+  it('should lower HP pump pressure with a turbocharger and return shaft power with a Pelton wheel', () => {
+    const turbo = calculateEnergyRecovery({ ...swro, type: 'turbo', efficiency: 75 });
+    const pelton = calculateEnergyRecovery({ ...swro, type: 'pelton', efficiency: 88 });
+
+    expect(turbo.hpPumpFlow).toBe(100);
+    expect(turbo.hpPumpPressure).toBeCloseTo(60 - 0.75 * 58.5 * 0.55, 6);
+    expect(pelton.recoveredPowerKw).toBeCloseTo(58.5 * 55 * 0.88 / 36.7, 6);
+    expect(pelton.totalPowerKw).toBeCloseTo(pelton.hpPumpPowerKw - pelton.recoveredPowerKw, 6);
+  });
+});
+
+describe('Pump & Motor Library', () => {
+  it('should peak at the best efficiency point and fall off either side', () => {
+    const bep = getPumpEfficiency('hp-multistage', 1);
+
+    expect(bep).toBeCloseTo(PUMP_LIBRARY['hp-multistage'].bepEfficiency, 6);
+    expect(getPumpEfficiency('hp-multistage', 0.6)).toBeLessThan(bep);
+    expect(getPumpEfficiency('hp-multistage', 1.3)).toBeLessThan(bep);
+  });
+
+  it('should carry hydraulic power through pump, motor and VFD losses', () => {
+    const duty = calculatePumpDuty({ pressureBar: 15, flowM3h: 100, pumpId: 'hp-multistage', motorClass: 'IE3', vfd: true });
+
+    expect(duty.hydraulicKw).toBeCloseTo(15 * 100 / 36.7, 6);
+    expect(duty.shaftKw).toBeCloseTo(duty.hydraulicKw / 0.80, 6);
+    expect(duty.electricalKw).toBeCloseTo(duty.shaftKw / (0.95 * 0.97), 6);
+  });
+
+  it('should use more power off the rated flow and with a lower motor class', () => {
+    const atBep = calculatePumpDuty({ pressureBar: 15, flowM3h: 100, pumpId: 'hp-multistage', motorClass: 'IE3' });
+    const offBep = calculatePumpDuty({ pressureBar: 15, flowM3h: 100, ratedFlowM3h: 160, pumpId: 'hp-multistage', motorClass: 'IE3' });
+    const ie2 = calculatePumpDuty({ pressureBar: 15, flowM3h: 100, pumpId: 'hp-multistage', motorClass: 'IE2' });
+
+    expect(offBep.electricalKw).toBeGreaterThan(atBep.electricalKw);
+    expect(ie2.electricalKw).toBeGreaterThan(atBep.electricalKw);
+  });
+
+  it('should sum pump duties across trains into specific energy', () => {
+    const balance = calculateEnergyBalance({
+      duties: [
+        { id: 'feed', service: 'feed', pressureBar: 2, flowM3h: 100 },
+        { id: 'hp', service: 'hp', pressureBar: 15, flowM3h: 100 },
+        { id: 'booster-2', service: 'booster', pressureBar: 0, flowM3h: 50 }
+      ],
+      trains: 2,
+      permeateFlowM3h: 150
+    });
+
+    expect(balance.pumps.map(p => p.id)).toEqual(['feed', 'hp']);
+    expect(balance.pumps[0].pumpId).toBe('feed-end-suction');
+    expect(balance.totalKw).toBeCloseTo(2 * (balance.pumps[0].electricalKw + balance.pumps[1].electricalKw), 6);
+    expect(balance.specificEnergy).toBeCloseTo(balance.totalKw / 150, 6);
+  });
+});
+
+describe('Carbonate System', () => {
+  it('should reproduce the carbonic acid constants at 25°C', () => {
+    const { pK1, pK2, pKw, gamma1 } = getCarbonateConstants(25, 0);
+
+    expect(pK1).toBeCloseTo(6.35, 2);
+    expect(pK2).toBeCloseTo(10.33, 2);
+    expect(pKw).toBeCloseTo(14.0, 1);
+    expect(gamma1).toBe(1);
+    expect(getCarbonateConstants(25, 0.1).gamma1).toBeLessThan(1);
+    // 0 °C is a temperature, not a missing one
+    expect(getCarbonateConstants(0, 0).pK1).toBeGreaterThan(pK1 + 0.1);
+  });
+
+  it('should give the same water from any two of pH, HCO3, CO3 and CO2', () => {
+    const water = solveCarbonateSystem({ ph: 8.2, hco3: 200, tempC: 20, ionicStrength: 0.01 });
+    const fromCo2 = solveCarbonateSystem({ hco3: water.hco3, co2: water.co2, tempC: 20, ionicStrength: 0.01 });
+    const fromCo3 = solveCarbonateSystem({ co3: water.co3, co2: water.co2, tempC: 20, ionicStrength: 0.01 });
+
+    expect(fromCo2.ph).toBeCloseTo(8.2, 6);
+    expect(fromCo3.ph).toBeCloseTo(8.2, 6);
+    expect(fromCo3.hco3).toBeCloseTo(200, 4);
+    expect(solveCarbonateSystem({ hco3: 200 })).toBeNull();
+  });
+
+  it('should recover the pH from total carbonate and alkalinity', () => {
+    const water = solveCarbonateSystem({ ph: 7.5, hco3: 150 });
+    const equilibrium = equilibrateCarbonate({ totalCarbonate: water.totalCarbonate, alkalinity: water.alkalinity / 50 });
+
+    expect(equilibrium.ph).toBeCloseTo(7.5, 2);
+    expect(equilibrium.co2).toBeCloseTo(water.co2, 1);
+  });
+});
+
+describe('Stiff & Davis Stability Index', () => {
+  const seawater = { ca: 410, mg: 1290, na: 10770, k: 400, hco3: 142, so4: 2710, cl: 19350 };
+
+  it('should give the slightly positive index of standard seawater', () => {
+    const result = calculateStiffDavisIndex(seawater, 25, 8.1);
+
+    expect(result.ionicStrength).toBeCloseTo(0.7, 1);
+    expect(result.k).toBeGreaterThan(3.0);
+    expect(result.k).toBeLessThan(3.4);
+    expect(result.sdsi).toBeGreaterThan(0);
+    expect(result.sdsi).toBeLessThan(0.6);
+  });
+
+  it('should lower K and raise the index at higher temperature', () => {
+    const cold = calculateStiffDavisIndex(seawater, 10, 8.1);
+    const warm = calculateStiffDavisIndex(seawater, 35, 8.1);
+
+    expect(warm.k).toBeLessThan(cold.k);
+    expect(warm.sdsi).toBeGreaterThan(cold.sdsi);
+    expect(calculateWaterSaturations(seawater, 25, 8.1).sdsi).toBeCloseTo(calculateStiffDavisIndex(seawater, 25, 8.1).sdsi, 2);
+  });
+
+  it('should select Stiff & Davis for seawater types and high TDS', () => {
+    expect(selectScalingIndex(35000, 'Sea Well')).toBe('sdsi');
+    expect(selectScalingIndex(2000, 'Sea Surface')).toBe('sdsi');
+    expect(selectScalingIndex(15000, 'Brackish Well Non-Fouling')).toBe('sdsi');
+    expect(selectScalingIndex(3000, 'Brackish Surface')).toBe('lsi');
+  });
+});
+
+describe('Sparingly Soluble Salt Saturation', () => {
+  const seawater = { ca: 410, mg: 1290, na: 10770, k: 400, hco3: 142, so4: 2710, cl: 19350, sr: 8, f: 1.3 };
+
+  it('should correct the solubility products for temperature', () => {
+    expect(getSolubilityProduct('caSo4', 25)).toBeCloseTo(-4.58, 6);
+    // Barite dissolution is endothermic, so it is more soluble when warm
+    expect(getSolubilityProduct('baSo4', 40)).toBeGreaterThan(getSolubilityProduct('baSo4', 10));
+    expect(getSilicaSolubility(25)).toBeCloseTo(117, 0);
+    expect(getSilicaSolubility(10)).toBeLessThan(getSilicaSolubility(30));
+    expect(getSilicaSolubility(0)).toBeLessThan(getSilicaSolubility(10));
+    expect(getSolubilityProduct('baSo4', 0)).toBeLessThan(getSolubilityProduct('baSo4', 10));
+  });
+
+  it('should put seawater gypsum and celestite well below saturation once ion pairs are removed', () => {
+    const result = calculateSaltSaturations(seawater, 25, 8.1);
+
+    expect(result.caSo4).toBeGreaterThan(20);
+    expect(result.caSo4).toBeLessThan(45);
+    expect(result.srSo4).toBeLessThan(60);
+  });
+
+  it('should lower saturation as ionic strength rises at the same calcium and sulfate', () => {
+    const dilute = calculateSaltSaturations({ ca: 200, so4: 600 }, 25, 7);
+    const saline = calculateSaltSaturations({ ca: 200, so4: 600, na: 3900, cl: 6000 }, 25, 7);
+
+    expect(saline.ionicStrength).toBeGreaterThan(dilute.ionicStrength);
+    expect(saline.caSo4).toBeLessThan(dilute.caSo4);
+  });
+
+  it('should count only the PO4 fraction present at the pH', () => {
+    const water = { ca: 100, po4: 2, hco3: 200 };
+
+    expect(calculateSaltSaturations(water, 25, 8).ca3po42).toBeGreaterThan(calculateSaltSaturations(water, 25, 6.5).ca3po42 * 100);
+    expect(calculateWaterSaturations(water, 25, 8).saturations.ca3po42).toBeCloseTo(calculateSaltSaturations(water, 25, 8).ca3po42, 1);
+  });
+});
+
+describe('Boric Acid Speciation', () => {
+  it('should reproduce the freshwater and seawater pKa of boric acid', () => {
+    expect(getBoricAcidPka(25, 0)).toBeCloseTo(9.24, 1);
+    expect(getBoricAcidPka(5, 0)).toBeCloseTo(9.44, 1);
+    expect(getBoricAcidPka(0, 0)).toBeGreaterThan(getBoricAcidPka(5, 0));
+    expect(getBoricAcidPka(25, 35000)).toBeCloseTo(8.60, 1);
+  });
+
+  it('should shift boron to borate with pH', () => {
+    expect(getBorateFraction(8, 25, 0)).toBeLessThan(0.1);
+    expect(getBorateFraction(9.24, 25, 0)).toBeCloseTo(0.5, 1);
+    expect(getBorateFraction(10.5, 25, 0)).toBeGreaterThan(0.9);
+  });
+});
+
+describe('Silica Solubility', () => {
+  const groundwater = { ca: 80, mg: 30, na: 150, hco3: 250, so4: 100, cl: 200, sio2: 45 };
+
+  it('should stay at the neutral solubility below pH 7.8 and climb steeply above it', () => {
+    expect(getSilicaSolubility(25, 7)).toBeCloseTo(getSilicaSolubility(25), 0);
+    expect(getSilicaSolubility(25, 9)).toBeGreaterThan(getSilicaSolubility(25) * 1.1);
+    expect(getSilicaSolubility(25, 10)).toBeGreaterThan(getSilicaSolubility(25) * 2);
+  });
+
+  it('should raise the concentrate pH as CO2 passes and alkalinity concentrates', () => {
+    const concentrate = estimateConcentrateChemistry(groundwater, 7.2, 25, 0.75);
+
+    expect(concentrate.cf).toBeCloseTo(4, 5);
+    expect(concentrate.ions.sio2).toBeCloseTo(180, 5);
+    expect(concentrate.ph).toBeGreaterThan(7.5);
+  });
+
+  it('should allow more silica-limited recovery in warm water', () => {
+    const winter = calculateSilicaLimitedRecovery(groundwater, 7.2, 10);
+    const summer = calculateSilicaLimitedRecovery(groundwater, 7.2, 30);
+
+    expect(summer).toBeGreaterThan(winter + 0.1);
+    expect(calculateSilicaLimitedRecovery(groundwater, 7.2, 10, 150)).toBeGreaterThan(winter);
+    expect(calculateSilicaLimitedRecovery({ ...groundwater, sio2: 0 }, 7.2, 10)).toBeNull();
+  });
+});
+
+describe('Ammonia Speciation', () => {
+  it('should put half the ammonia in the free form at the ammonium pKa', () => {
+    expect(getAmmoniumPka(25)).toBeCloseTo(9.25, 2);
+    expect(getAmmoniumPka(10)).toBeGreaterThan(getAmmoniumPka(30));
+    expect(getAmmoniumPka(0)).toBeGreaterThan(getAmmoniumPka(10));
+    expect(getAmmoniaFraction(9.25, 25, 0)).toBeCloseTo(0.5, 2);
+    expect(getAmmoniaFraction(7, 25, 0)).toBeLessThan(0.01);
+  });
+
+  it('should split NH4 into NH4+ and NH3 at the analysis pH', () => {
+    const { ions } = speciateCarbonateIons({ nh4: 18.04, hco3: 122, cl: 35.45 }, 9.25, 25);
+
+    expect(ions.nh4 / 18.04 + ions.nh3 / 17.03).toBeCloseTo(1, 6);
+    expect(ions.nh3 / 17.03).toBeGreaterThan(0.4);
+  });
+});
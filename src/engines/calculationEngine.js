@@ -309,12 +309,6 @@ export const calculateWaterSaturations = (ions, temp, ph, osmoticCoeff = 0.00079
   
   const ca = getNum('ca');
   const hco3 = getNum('hco3');
-  const so4 = getNum('so4');
-  const sio2 = getNum('sio2');
-  const ba = getNum('ba');
-  const sr = getNum('sr');
-  const po4 = getNum('po4');
-  const f = getNum('f');
 
   // Langelier Saturation Index (LSI)
   // LSI = pH - pHs
@@ -325,24 +319,63 @@ export const calculateWaterSaturations = (ions, temp, ph, osmoticCoeff = 0.00079
   const phs = C + pCa + pAlk;
   const lsi = ca > 0.01 ? ph - phs : 0;
   const ccpp = lsi > 0 ? lsi * 50 : 0;
+  const stiffDavis = calculateStiffDavisIndex(ions, temp, ph);
+  const saltSaturations = calculateSaltSaturations(ions, temp, ph);
 
   return {
     tds: Number(tds.toFixed(2)),
     lsi: Number(lsi.toFixed(1)),
     phs: Number(phs.toFixed(2)),
     ccpp: Number(ccpp.toFixed(2)),
+    sdsi: Number(stiffDavis.sdsi.toFixed(2)),
+    ionicStrength: Number(stiffDavis.ionicStrength.toFixed(4)),
     osmoticPressureBar: Number((tds * (osmoticCoeff || 0.000792)).toFixed(3)),
     saturations: {
-      caSo4: Number(((ca * so4) / 10).toFixed(2)), // as %
-      baSo4: Number(((ba * so4) / 0.5).toFixed(2)), // as %
-      srSo4: Number(((sr * so4) / 20).toFixed(2)), // as %
-      sio2: Number(((sio2 / 120) * 100).toFixed(2)), // as %
-      ca3po42: Number(((ca * po4) / 100).toFixed(2)), // SI
-      caF2: Number(((ca * f) / 5).toFixed(2)) // as %
+      caSo4: Number(saltSaturations.caSo4.toFixed(2)), // % of Ksp
+      baSo4: Number(saltSaturations.baSo4.toFixed(2)),
+      srSo4: Number(saltSaturations.srSo4.toFixed(2)),
+      sio2: Number(saltSaturations.sio2.toFixed(2)), // % of amorphous silica solubility
+      ca3po42: Number(saltSaturations.ca3po42.toFixed(2)),
+      caF2: Number(saltSaturations.caF2.toFixed(2))
     }
   };
 };
 
+// Langelier's pHs assumes dilute water; above this TDS the Stiff & Davis index governs
+export const STIFF_DAVIS_TDS_THRESHOLD = 10000; // mg/L
+
+/**
+ * Stiff & Davis Stability Index for seawater and high-TDS brines (ASTM D4582).
+ * The salinity/temperature constant K is a curve fit to the ASTM chart.
+ * @param {object} ions - Ion concentrations in mg/L
+ * @param {number} temp - Temperature in °C
+ * @param {number} ph - pH value
+ * @returns {object} { sdsi, phs, k, ionicStrength }
+ */
+export const calculateStiffDavisIndex = (ions, temp, ph) => {
+  const getNum = (key) => Number(ions[key]) || 0;
+  const ionicStrength = Math.max(calculateIonicStrength(ions), 1e-6);
+  const t = Number(temp) || 25;
+  const k = 2.022 * Math.exp(Math.pow(Math.log(ionicStrength) + 7.544, 2) / 102.6) - 0.0002 * t * t - 0.00097 * t;
+
+  const caMol = getNum('ca') / 40078; // mol/L
+  const alkEq = getNum('hco3') / 61017 + (2 * getNum('co3')) / 60009; // eq/L
+  if (caMol <= 0 || alkEq <= 0) return { sdsi: 0, phs: 0, k, ionicStrength };
+
+  const phs = -Math.log10(caMol) - Math.log10(alkEq) + k;
+  return { sdsi: Number(ph) - phs, phs, k, ionicStrength };
+};
+
+/**
+ * Pick the CaCO3 scaling index that is valid for the water
+ * @param {number} tds - TDS of the stream being assessed (mg/L)
+ * @param {string} waterType - Water type from the analysis (e.g. 'Sea Well')
+ * @returns {string} 'sdsi' for seawater or high-TDS streams, otherwise 'lsi'
+ */
+export const selectScalingIndex = (tds, waterType = '') => (
+  /^sea/i.test(String(waterType || '')) || Number(tds) > STIFF_DAVIS_TDS_THRESHOLD ? 'sdsi' : 'lsi'
+);
+
 // ============================================
 // ION REJECTION & WATER CHEMISTRY
 // ============================================
@@ -413,22 +446,686 @@ export const calculateConcentratePh = (feedPh, recovery) => {
   return feedPh + Math.log10(1 / (1 - Math.min(recovery, 0.99)));
 };
 
+// ============================================
+// CARBONATE SYSTEM
+// ============================================
+
+const MW_CO2 = 44.01;
+const MW_HCO3 = 61.02;
+const MW_CO3 = 60.01;
+const MW_NH4 = 18.04;
+const MW_NH3 = 17.03;
+
+// Temperature argument in °C; 25°C only when none is given, so a 0 °C feed stays at 0 °C
+const tempOrDefault = (tempC) => (tempC !== null && tempC !== '' && Number.isFinite(Number(tempC)) ? Number(tempC) : 25);
+
+/**
+ * Davies activity coefficient
+ * @param {number} charge - Ion charge
+ * @param {number} ionicStrength - Ionic strength (mol/L)
+ * @param {number} tempC - Temperature in °C
+ * @returns {number} Activity coefficient
+ */
+export const calculateActivityCoefficient = (charge, ionicStrength, tempC = 25) => {
+  const I = Math.max(Number(ionicStrength) || 0, 0);
+  const t = tempOrDefault(tempC);
+  // Debye-Hückel A from the dielectric constant of water
+  const dielectric = 87.74 - 0.40008 * t + 9.398e-4 * t * t - 1.41e-6 * t * t * t;
+  const A = 1.82e6 * Math.pow(dielectric * (t + 273.15), -1.5);
+  const sqrtI = Math.sqrt(I);
+  return Math.pow(10, -A * charge * charge * (sqrtI / (1 + sqrtI) - 0.3 * I));
+};
+
+/**
+ * Carbonic acid and water dissociation constants (Plummer & Busenberg 1982, Harned & Owen)
+ * with Davies activity coefficients for mono- and divalent ions
+ * @param {number} tempC - Temperature in °C
+ * @param {number} ionicStrength - Ionic strength (mol/L)
+ * @returns {object} { pK1, pK2, pKw, gamma1, gamma2 }
+ */
+export const getCarbonateConstants = (tempC = 25, ionicStrength = 0) => {
+  const T = tempOrDefault(tempC) + 273.15;
+  const logK1 = -356.3094 - 0.06091964 * T + 21834.37 / T + 126.8339 * Math.log10(T) - 1684915 / (T * T);
+  const logK2 = -107.8871 - 0.03252849 * T + 5151.79 / T + 38.92561 * Math.log10(T) - 563713.9 / (T * T);
+  const pKw = 4470.99 / T - 6.0875 + 0.01706 * T;
+
+  return {
+    pK1: -logK1,
+    pK2: -logK2,
+    pKw,
+    gamma1: calculateActivityCoefficient(1, ionicStrength, tempC),
+    gamma2: calculateActivityCoefficient(2, ionicStrength, tempC)
+  };
+};
+
+// Species fractions of total carbonate at a pH (pH is the hydrogen ion activity)
+const carbonateFractions = (ph, constants) => {
+  const { pK1, pK2, gamma1, gamma2 } = constants;
+  const aH = Math.pow(10, -ph);
+  const r1 = Math.pow(10, -pK1) / (aH * gamma1);
+  const r2 = Math.pow(10, -pK1 - pK2) / (aH * aH * gamma2);
+  const a0 = 1 / (1 + r1 + r2);
+  return { a0, a1: r1 * a0, a2: r2 * a0 };
+};
+
+const carbonateResult = (ph, totalCarbonate, constants) => {
+  const { a0, a1, a2 } = carbonateFractions(ph, constants);
+  const ct = totalCarbonate / 1000; // mol/L
+  return {
+    ph,
+    co2: ct * a0 * MW_CO2 * 1000,
+    hco3: ct * a1 * MW_HCO3 * 1000,
+    co3: ct * a2 * MW_CO3 * 1000,
+    totalCarbonate,
+    alkalinity: ct * (a1 + 2 * a2) * 50000 // mg/L as CaCO3
+  };
+};
+
+/**
+ * Solve the carbonate system from any two of pH, HCO3, CO3 and CO2.
+ * pH with one species fixes total carbonate; two species fix the pH through K1 or K2.
+ * When more than two are given, pH + HCO3 (a standard water analysis) takes priority.
+ * @param {object} params - { ph, hco3, co3, co2 (mg/L), tempC, ionicStrength (mol/L) }
+ * @returns {object|null} { ph, hco3, co3, co2 (mg/L), totalCarbonate (mmol/L), alkalinity (mg/L as CaCO3) },
+ *   null when the given values do not fix the system
+ */
+export const solveCarbonateSystem = ({ ph, hco3, co3, co2, tempC = 25, ionicStrength = 0 }) => {
+  const constants = getCarbonateConstants(tempC, ionicStrength);
+  const { pK1, pK2, gamma1, gamma2 } = constants;
+  const mol = {
+    hco3: (Number(hco3) || 0) / (MW_HCO3 * 1000),
+    co3: (Number(co3) || 0) / (MW_CO3 * 1000),
+    co2: (Number(co2) || 0) / (MW_CO2 * 1000)
+  };
+  const hasPh = ph !== undefined && ph !== null && ph !== '' && Number.isFinite(Number(ph));
+
+  if (hasPh) {
+    const phValue = Number(ph);
+    const fractions = carbonateFractions(phValue, constants);
+    let ct = 0;
+    if (mol.hco3 > 0) ct = mol.hco3 / fractions.a1;
+    else if (mol.co3 > 0) ct = mol.co3 / fractions.a2;
+    else if (mol.co2 > 0) ct = mol.co2 / fractions.a0;
+    return carbonateResult(phValue, ct * 1000, constants);
+  }
+
+  let aH = null;
+  if (mol.hco3 > 0 && mol.co2 > 0) aH = Math.pow(10, -pK1) * mol.co2 / (gamma1 * mol.hco3);
+  else if (mol.hco3 > 0 && mol.co3 > 0) aH = Math.pow(10, -pK2) * gamma1 * mol.hco3 / (gamma2 * mol.co3);
+  else if (mol.co2 > 0 && mol.co3 > 0) aH = Math.sqrt(Math.pow(10, -pK1 - pK2) * mol.co2 / (gamma2 * mol.co3));
+  if (aH === null) return null;
+
+  return solveCarbonateSystem({ ph: -Math.log10(aH), hco3, co3, co2, tempC, ionicStrength });
+};
+
+/**
+ * Equilibrium pH of a water from its total carbonate and alkalinity.
+ * Both are conserved through mixing, membrane passage and strong acid/base dosing,
+ * so this is how the pH of permeate, concentrate and blends is found. Free ammonia is a
+ * base, so with total ammonia given it counts towards alkalinity and is split at the result.
+ * @param {object} params - { totalCarbonate (mmol/L), alkalinity (meq/L, HCO3 + 2 CO3 + NH3 + OH - H),
+ *   tempC, ionicStrength (mol/L), totalAmmonia (mmol/L) }
+ * @returns {object} Same shape as solveCarbonateSystem, plus nh4 and nh3 (mg/L) with ammonia
+ */
+export const equilibrateCarbonate = ({ totalCarbonate, alkalinity, tempC = 25, ionicStrength = 0, totalAmmonia = 0 }) => {
+  const constants = getCarbonateConstants(tempC, ionicStrength);
+  const { pKw, gamma1 } = constants;
+  const ct = Math.max(Number(totalCarbonate) || 0, 0) / 1000;
+  const alk = (Number(alkalinity) || 0) / 1000;
+  const ta = Math.max(Number(totalAmmonia) || 0, 0) / 1000;
+
+  // Alkalinity falls monotonically with decreasing pH: bisect on the proton balance
+  const excessAlkalinity = (ph) => {
+    const { a1, a2 } = carbonateFractions(ph, constants);
+    const aH = Math.pow(10, -ph);
+    const nh3 = ta > 0 ? ta * getAmmoniaFraction(ph, tempC, ionicStrength) : 0;
+    return ct * (a1 + 2 * a2) + nh3 + Math.pow(10, -pKw) / (aH * gamma1) - aH / gamma1 - alk;
+  };
+  let low = 0;
+  let high = 14;
+  for (let iter = 0; iter < 60; iter++) {
+    const mid = (low + high) / 2;
+    if (excessAlkalinity(mid) > 0) high = mid;
+    else low = mid;
+  }
+
+  const ph = (low + high) / 2;
+  const result = carbonateResult(ph, ct * 1000, constants);
+  return ta > 0 ? { ...result, ...ammoniaSpecies(ta * 1000, getAmmoniaFraction(ph, tempC, ionicStrength)) } : result;
+};
+
+/**
+ * Re-speciate the carbonate ions of a stream at equilibrium, conserving total carbonate
+ * and alkalinity. Used on streams whose species were carried through the membrane separately.
+ * NH4/NH3 are re-split the same way, free ammonia counting as alkalinity.
+ * @param {object} ions - Stream composition in mg/L (co2, hco3, co3, nh4, nh3 plus the other ions)
+ * @param {number} tempC - Temperature in °C
+ * @returns {object} { ions, ph } - ph is null when the stream carries no carbonate
+ */
+export const equilibrateCarbonateIons = (ions, tempC = 25) => {
+  const co2 = (Number(ions.co2) || 0) / MW_CO2;
+  const hco3 = (Number(ions.hco3) || 0) / MW_HCO3;
+  const co3 = (Number(ions.co3) || 0) / MW_CO3;
+  const nh3 = (Number(ions.nh3) || 0) / MW_NH3;
+  const totalAmmonia = (Number(ions.nh4) || 0) / MW_NH4 + nh3;
+  const totalCarbonate = co2 + hco3 + co3;
+  if (totalCarbonate <= 0) return { ions, ph: null };
+
+  const carbonate = equilibrateCarbonate({
+    totalCarbonate,
+    alkalinity: hco3 + 2 * co3 + nh3,
+    tempC,
+    ionicStrength: calculateIonicStrength(ions),
+    totalAmmonia
+  });
+  const ammonia = totalAmmonia > 0 ? { nh4: carbonate.nh4, nh3: carbonate.nh3 } : {};
+
+  return {
+    ions: { ...ions, co2: carbonate.co2, hco3: carbonate.hco3, co3: carbonate.co3, ...ammonia },
+    ph: carbonate.ph
+  };
+};
+
+/**
+ * Speciate a water analysis at its measured pH: HCO3 and CO3 are read as alkalinity,
+ * CO2 and the HCO3/CO3 split follow from the pH. NH4 is read as total ammonia (as NH4)
+ * and split into NH4+ and free NH3 at the same pH.
+ * @param {object} ions - Water analysis in mg/L
+ * @param {number} ph - Measured pH
+ * @param {number} tempC - Temperature in °C
+ * @returns {object} { ions, ph } - ions unchanged when the analysis carries no alkalinity or ammonia
+ */
+export const speciateCarbonateIons = (ions, ph, tempC = 25) => {
+  if (!Number.isFinite(Number(ph))) return { ions, ph: Number(ph) };
+  const ionicStrength = calculateIonicStrength(ions);
+  const totalAmmonia = (Number(ions.nh4) || 0) / MW_NH4 + (Number(ions.nh3) || 0) / MW_NH3; // mmol/L
+  const speciated = totalAmmonia > 0
+    ? { ...ions, ...ammoniaSpecies(totalAmmonia, getAmmoniaFraction(Number(ph), tempC, ionicStrength)) }
+    : ions;
+
+  const alkalinity = (Number(ions.hco3) || 0) / MW_HCO3 + 2 * (Number(ions.co3) || 0) / MW_CO3; // meq/L
+  if (alkalinity <= 0) return { ions: speciated, ph: Number(ph) };
+
+  const constants = getCarbonateConstants(tempC, ionicStrength);
+  const { a1, a2 } = carbonateFractions(Number(ph), constants);
+  const carbonate = carbonateResult(Number(ph), alkalinity / (a1 + 2 * a2), constants);
+
+  return {
+    ions: { ...speciated, co2: carbonate.co2, hco3: carbonate.hco3, co3: carbonate.co3 },
+    ph: Number(ph)
+  };
+};
+
+// ============================================
+// AMMONIA
+// ============================================
+
+/**
+ * Ammonium dissociation constant, NH4+ = NH3 + H+ (Emerson et al. 1975)
+ * @param {number} tempC - Temperature in °C
+ * @returns {number} pKa (9.25 at 25°C)
+ */
+export const getAmmoniumPka = (tempC = 25) => 0.09018 + 2729.92 / (tempOrDefault(tempC) + 273.15);
+
+/**
+ * Share of total ammonia present as free NH3, which crosses the membrane like CO2
+ * @param {number} ph - pH value
+ * @param {number} tempC - Temperature in °C
+ * @param {number} ionicStrength - Ionic strength (mol/L) for the NH4+ activity coefficient
+ * @returns {number} Free ammonia fraction (0-1)
+ */
+export const getAmmoniaFraction = (ph, tempC = 25, ionicStrength = 0) => {
+  const ratio = Math.pow(10, Number(ph) - getAmmoniumPka(tempC)) * calculateActivityCoefficient(1, ionicStrength, tempC);
+  return ratio / (1 + ratio);
+};
+
+// NH4+ and NH3 in mg/L from total ammonia (mmol/L) and the free ammonia fraction
+const ammoniaSpecies = (totalAmmonia, fraction) => ({
+  nh4: totalAmmonia * (1 - fraction) * MW_NH4,
+  nh3: totalAmmonia * fraction * MW_NH3
+});
+
+// ============================================
+// BORON
+// ============================================
+
+/**
+ * Boric acid dissociation constant, B(OH)3 + H2O = B(OH)4- + H+ (Dickson 1990).
+ * At zero salinity it reduces to the freshwater constant (pKa 9.24 at 25°C); salinity is
+ * taken as TDS in g/L, and the difference between seawater and NBS pH scales is ignored.
+ * @param {number} tempC - Temperature in °C
+ * @param {number} tds - Salinity as TDS in mg/L
+ * @returns {number} pKa
+ */
+export const getBoricAcidPka = (tempC = 25, tds = 0) => {
+  const T = tempOrDefault(tempC) + 273.15;
+  const S = Math.min(Math.max((Number(tds) || 0) / 1000, 0), 70);
+  const sqrtS = Math.sqrt(S);
+  const lnK = (-8966.90 - 2890.53 * sqrtS - 77.942 * S + 1.728 * S * sqrtS - 0.0996 * S * S) / T
+    + 148.0248 + 137.1942 * sqrtS + 1.62142 * S
+    - (24.4344 + 25.085 * sqrtS + 0.2474 * S) * Math.log(T)
+    + 0.053105 * sqrtS * T;
+  return -lnK / Math.LN10;
+};
+
+/**
+ * Share of boron present as the borate ion, which membranes reject like other anions
+ * @param {number} ph - pH value
+ * @param {number} tempC - Temperature in °C
+ * @param {number} tds - TDS in mg/L
+ * @returns {number} Borate fraction (0-1)
+ */
+export const getBorateFraction = (ph, tempC = 25, tds = 0) => (
+  1 / (1 + Math.pow(10, getBoricAcidPka(tempC, tds) - Number(ph)))
+);
+
+// ============================================
+// SPARINGLY SOLUBLE SALTS
+// ============================================
+
+const GAS_CONSTANT = 8.314462618e-3; // kJ/(mol·K)
+
+/**
+ * Solubility products: log Ksp at 25°C and dissolution enthalpy (kJ/mol) for the
+ * van't Hoff temperature correction (PHREEQC/WATEQ4F data).
+ */
+export const SOLUBILITY_PRODUCTS = {
+  caSo4: { name: 'CaSO4 (gypsum)', logK25: -4.58, deltaH: -0.46 },
+  baSo4: { name: 'BaSO4 (barite)', logK25: -9.97, deltaH: 26.57 },
+  srSo4: { name: 'SrSO4 (celestite)', logK25: -6.63, deltaH: -4.34 },
+  caF2: { name: 'CaF2 (fluorite)', logK25: -10.6, deltaH: 19.62 },
+  // No reliable enthalpy for tricalcium phosphate; held at its 25°C value
+  ca3po42: { name: 'Ca3(PO4)2', logK25: -28.92, deltaH: 0 }
+};
+
+const MOLAR_MASS = {
+  ca: 40078, mg: 24305, na: 22990, k: 39098, ba: 137327, sr: 87620, so4: 96060, f: 18998, po4: 94971
+}; // mg/mol
+
+// Sulfate ion-pair association constants (log K, 25°C); pairing holds about half the
+// sulfate in seawater, so free-ion activities are needed for realistic CaSO4 figures
+const SULFATE_PAIR_LOGK = { ca: 2.30, mg: 2.37, sr: 2.29, ba: 2.70, na: 0.70, k: 0.85 };
+
+const PHOSPHORIC_PK = [2.148, 7.198, 12.375];
+const HF_PK = 3.18;
+
+// First dissociation of silicic acid, H4SiO4 = H3SiO4- + H+ (pKa at 25°C, enthalpy in kJ/mol)
+const SILICIC_ACID = { pK25: 9.84, deltaH: 25.6 };
+
+/**
+ * Solubility product at temperature
+ * @param {string} salt - Key of SOLUBILITY_PRODUCTS
+ * @param {number} tempC - Temperature in °C
+ * @returns {number} log10 Ksp
+ */
+export const getSolubilityProduct = (salt, tempC = 25) => {
+  const data = SOLUBILITY_PRODUCTS[salt];
+  if (!data) return null;
+  const T = tempOrDefault(tempC) + 273.15;
+  return data.logK25 - (data.deltaH / (Math.LN10 * GAS_CONSTANT)) * (1 / T - 1 / 298.15);
+};
+
+/**
+ * Amorphous silica solubility. Monomeric H4SiO4 follows Fournier & Rowe (1977); with a pH,
+ * the silicate ion H3SiO4- formed above pH ~7.8 is added on top, which is what makes
+ * solubility climb steeply in alkaline concentrate.
+ * @param {number} tempC - Temperature in °C
+ * @param {number} [ph] - pH value; omitted, only the neutral species is counted
+ * @param {number} [ionicStrength] - Ionic strength (mol/L) for the silicate activity coefficient
+ * @returns {number} Solubility in mg/L SiO2
+ */
+export const getSilicaSolubility = (tempC = 25, ph = null, ionicStrength = 0) => {
+  const T = tempOrDefault(tempC) + 273.15;
+  const neutral = Math.pow(10, 4.52 - 731 / T);
+  if (ph === null || ph === undefined || !Number.isFinite(Number(ph))) return neutral;
+
+  const pKa = SILICIC_ACID.pK25 + (SILICIC_ACID.deltaH / (Math.LN10 * GAS_CONSTANT)) * (1 / T - 1 / 298.15);
+  const g1 = calculateActivityCoefficient(1, Number(ionicStrength) || 0, T - 273.15);
+  return neutral * (1 + Math.pow(10, Number(ph) - pKa) / g1);
+};
+
+/**
+ * Concentrate of a feed at a recovery, assuming full rejection of every ion except CO2 and
+ * free NH3, which pass the membrane and leave the concentrate at the feed level. The carbonate
+ * system is re-equilibrated, so the concentrate pH rises with recovery.
+ * @param {object} ions - Feed analysis in mg/L
+ * @param {number} ph - Feed pH
+ * @param {number} tempC - Temperature in °C
+ * @param {number} recovery - Recovery as a fraction (0-1)
+ * @returns {object} { ions, ph, cf }
+ */
+export const estimateConcentrateChemistry = (ions, ph, tempC = 25, recovery = 0) => {
+  const cf = 1 / (1 - Math.min(Math.max(Number(recovery) || 0, 0), 0.99));
+  const feed = speciateCarbonateIons(ions, ph, tempC);
+  const concentrated = Object.fromEntries(
+    Object.entries(feed.ions).map(([ion, val]) => [ion, (Number(val) || 0) * (ion === 'co2' || ion === 'nh3' ? 1 : cf)])
+  );
+  const concentrate = equilibrateCarbonateIons(concentrated, tempC);
+  return {
+    ions: concentrate.ions,
+    ph: concentrate.ph ?? (Number(ph) + Math.log10(cf)),
+    cf
+  };
+};
+
+/**
+ * Highest recovery at which concentrate silica stays within a saturation limit.
+ * The concentrate pH, and with it silica solubility, is recomputed at each trial recovery.
+ * @param {object} ions - Feed analysis in mg/L
+ * @param {number} ph - Feed pH
+ * @param {number} tempC - Temperature in °C
+ * @param {number} limit - Allowed silica saturation in % (100 without a silica inhibitor)
+ * @returns {number|null} Recovery fraction, or null when the feed carries no silica
+ */
+export const calculateSilicaLimitedRecovery = (ions, ph, tempC = 25, limit = 100) => {
+  if (!(Number(ions.sio2) > 0)) return null;
+  const silicaSaturation = (recovery) => {
+    const concentrate = estimateConcentrateChemistry(ions, ph, tempC, recovery);
+    const solubility = getSilicaSolubility(tempC, concentrate.ph, calculateIonicStrength(concentrate.ions));
+    return (concentrate.ions.sio2 / solubility) * 100;
+  };
+  if (silicaSaturation(0) > limit) return 0;
+  if (silicaSaturation(0.99) <= limit) return 0.99;
+
+  let low = 0;
+  let high = 0.99;
+  while (high - low > 0.0005) {
+    const mid = (low + high) / 2;
+    if (silicaSaturation(mid) <= limit) low = mid;
+    else high = mid;
+  }
+  return low;
+};
+
+// Free-ion molarities after sulfate ion pairing, by fixed-point iteration
+const freeSulfateIons = (totals, g1, g2) => {
+  const pairK = Object.fromEntries(Object.entries(SULFATE_PAIR_LOGK).map(([ion, logK]) => [ion, Math.pow(10, logK)]));
+  // Divalent pairs are neutral (M2+ + SO4 2-); monovalent pairs keep a single charge
+  const pairFactor = (ion) => pairK[ion] * (ion === 'na' || ion === 'k' ? g2 : g2 * g2);
+  const free = { ...totals };
+  for (let iter = 0; iter < 50; iter++) {
+    const bound = Object.keys(pairK).reduce((sum, ion) => sum + pairFactor(ion) * (free[ion] || 0), 0);
+    const so4 = totals.so4 / (1 + bound);
+    Object.keys(pairK).forEach((ion) => { free[ion] = (totals[ion] || 0) / (1 + pairFactor(ion) * so4); });
+    if (Math.abs(so4 - free.so4) <= 1e-12 + 1e-9 * so4) {
+      free.so4 = so4;
+      break;
+    }
+    free.so4 = so4;
+  }
+  return free;
+};
+
+/**
+ * Saturation of the sparingly soluble salts as ion activity product / Ksp * 100.
+ * Activities use Davies coefficients at the water's ionic strength on free ions: sulfate
+ * ion pairs are removed, and phosphate and fluoride are speciated at the pH so only
+ * PO4(3-) and F- count. Silica is taken against its solubility at the same temperature and pH.
+ * @param {object} ions - Ion concentrations in mg/L
+ * @param {number} tempC - Temperature in °C
+ * @param {number} ph - pH value
+ * @returns {object} % of saturation { caSo4, baSo4, srSo4, caF2, ca3po42, sio2 } and ionicStrength
+ */
+export const calculateSaltSaturations = (ions, tempC = 25, ph = 7) => {
+  const getNum = (key) => Number(ions[key]) || 0;
+  const ionicStrength = calculateIonicStrength(ions);
+  const g1 = calculateActivityCoefficient(1, ionicStrength, tempC);
+  const g2 = calculateActivityCoefficient(2, ionicStrength, tempC);
+  const g3 = calculateActivityCoefficient(3, ionicStrength, tempC);
+  const aH = Math.pow(10, -(Number.isFinite(Number(ph)) ? Number(ph) : 7));
+
+  // Conditional constants carry the activity coefficients of each conjugate pair
+  const [k1, k2, k3] = PHOSPHORIC_PK.map(pk => Math.pow(10, -pk));
+  const k1c = k1 / g1;
+  const k2c = k2 * g1 / g2;
+  const k3c = k3 * g2 / g3;
+  const po4Fraction = (k1c * k2c * k3c) / (aH * aH * aH + k1c * aH * aH + k1c * k2c * aH + k1c * k2c * k3c);
+  const fFraction = 1 / (1 + aH / (Math.pow(10, -HF_PK) / g1));
+
+  const totals = Object.fromEntries(Object.keys(MOLAR_MASS).map(ion => [ion, getNum(ion) / MOLAR_MASS[ion]]));
+  const free = freeSulfateIons(totals, g1, g2);
+  const aCa = free.ca * g2;
+  const aSo4 = free.so4 * g2;
+  const aF = totals.f * fFraction * g1;
+  const aPo4 = totals.po4 * po4Fraction * g3;
+
+  const percent = (salt, iap) => (iap > 0 ? (iap / Math.pow(10, getSolubilityProduct(salt, tempC))) * 100 : 0);
+
+  return {
+    ionicStrength,
+    caSo4: percent('caSo4', aCa * aSo4),
+    baSo4: percent('baSo4', free.ba * g2 * aSo4),
+    srSo4: percent('srSo4', free.sr * g2 * aSo4),
+    caF2: percent('caF2', aCa * aF * aF),
+    ca3po42: percent('ca3po42', Math.pow(aCa, 3) * aPo4 * aPo4),
+    sio2: (getNum('sio2') / getSilicaSolubility(tempC, ph, ionicStrength)) * 100
+  };
+};
+
 // ============================================
 // POWER & ENERGY CALCULATION
 // ============================================
 
+/**
+ * Pump library. Efficiency curves are [flow / rated flow, efficiency / BEP efficiency]
+ * pairs; a pump is sized to its duty flow unless a rated flow is given. HP pumps carry
+ * a typical maximum discharge pressure (bar) for design checks.
+ */
+export const PUMP_LIBRARY = {
+  'hp-multistage': {
+    id: 'hp-multistage',
+    name: 'Multistage centrifugal (HP)',
+    service: 'hp',
+    bepEfficiency: 0.80,
+    maxPressureBar: 85,
+    curve: [[0.4, 0.72], [0.6, 0.88], [0.8, 0.97], [1.0, 1.0], [1.2, 0.96], [1.4, 0.86]]
+  },
+  'hp-split-case': {
+    id: 'hp-split-case',
+    name: 'Axially split-case (HP)',
+    service: 'hp',
+    bepEfficiency: 0.86,
+    maxPressureBar: 85,
+    curve: [[0.4, 0.70], [0.6, 0.87], [0.8, 0.97], [1.0, 1.0], [1.2, 0.97], [1.4, 0.88]]
+  },
+  'hp-plunger': {
+    id: 'hp-plunger',
+    name: 'Plunger / axial piston (HP)',
+    service: 'hp',
+    bepEfficiency: 0.90,
+    maxPressureBar: 140,
+    curve: [[0.4, 0.96], [1.0, 1.0], [1.4, 0.99]]
+  },
+  'booster-inline': {
+    id: 'booster-inline',
+    name: 'In-line centrifugal (booster)',
+    service: 'booster',
+    bepEfficiency: 0.78,
+    curve: [[0.4, 0.70], [0.6, 0.87], [0.8, 0.97], [1.0, 1.0], [1.2, 0.95], [1.4, 0.84]]
+  },
+  'feed-end-suction': {
+    id: 'feed-end-suction',
+    name: 'End-suction centrifugal (feed)',
+    service: 'feed',
+    bepEfficiency: 0.75,
+    curve: [[0.4, 0.70], [0.6, 0.86], [0.8, 0.96], [1.0, 1.0], [1.2, 0.95], [1.4, 0.84]]
+  }
+};
+
+export const DEFAULT_PUMP_MODELS = { hp: 'hp-multistage', booster: 'booster-inline', feed: 'feed-end-suction' };
+
+// Full-load motor efficiency by IEC class
+export const MOTOR_EFFICIENCY = { IE2: 0.935, IE3: 0.95, IE4: 0.965 };
+
+export const VFD_EFFICIENCY = 0.97;
+
 /**
  * Calculate pump power requirement
  * @param {number} pressure - Operating pressure in bar
  * @param {number} flow - Flow in m³/h
- * @param {number} pumpEfficiency - Pump efficiency (0-1, default 0.75)
+ * @param {number} pumpEfficiency - Pump efficiency (0-1, defaults to the library HP pump at BEP)
  * @returns {number} Power in kW
  */
-export const calculatePumpPower = (pressure, flow, pumpEfficiency = 0.75) => {
+export const calculatePumpPower = (pressure, flow, pumpEfficiency = PUMP_LIBRARY[DEFAULT_PUMP_MODELS.hp].bepEfficiency) => {
   // Power (kW) = (Pressure (bar) × Flow (m³/h)) / (36.7 × Efficiency)
   return (pressure * flow) / (36.7 * pumpEfficiency);
 };
 
+/**
+ * Pump efficiency at a duty point, interpolated on the library curve
+ * @param {string} pumpId - PUMP_LIBRARY key
+ * @param {number} flowRatio - Duty flow / rated flow
+ * @returns {number} Pump efficiency (0-1)
+ */
+export const getPumpEfficiency = (pumpId, flowRatio = 1) => {
+  const pump = PUMP_LIBRARY[pumpId] || PUMP_LIBRARY[DEFAULT_PUMP_MODELS.hp];
+  const curve = pump.curve;
+  const x = Math.min(Math.max(flowRatio, curve[0][0]), curve[curve.length - 1][0]);
+  for (let i = 1; i < curve.length; i++) {
+    const [x0, y0] = curve[i - 1];
+    const [x1, y1] = curve[i];
+    if (x <= x1) {
+      return pump.bepEfficiency * (y0 + ((x - x0) / (x1 - x0)) * (y1 - y0));
+    }
+  }
+  return pump.bepEfficiency * curve[curve.length - 1][1];
+};
+
+/**
+ * Electrical power for one pump duty: hydraulic power through pump, motor and VFD losses
+ * @param {Object} duty - { pressureBar, flowM3h, pumpId, ratedFlowM3h, pumpEfficiency (override),
+ *   motorClass, vfd, shaftCreditKw }
+ * @returns {Object} { hydraulicKw, pumpEfficiency, shaftKw, motorEfficiency, vfdEfficiency, electricalKw }
+ */
+export const calculatePumpDuty = (duty) => {
+  const pressure = Math.max(Number(duty.pressureBar) || 0, 0);
+  const flow = Math.max(Number(duty.flowM3h) || 0, 0);
+  const ratedFlow = Number(duty.ratedFlowM3h) > 0 ? Number(duty.ratedFlowM3h) : flow;
+  const pumpEfficiency = Number(duty.pumpEfficiency) > 0
+    ? Number(duty.pumpEfficiency)
+    : getPumpEfficiency(duty.pumpId, ratedFlow > 0 ? flow / ratedFlow : 1);
+  const motorEfficiency = MOTOR_EFFICIENCY[duty.motorClass] || MOTOR_EFFICIENCY.IE3;
+  const vfdEfficiency = duty.vfd ? VFD_EFFICIENCY : 1;
+
+  const hydraulicKw = calculatePumpPower(pressure, flow, 1);
+  // A Pelton wheel on the HP pump shaft offsets shaft power before motor losses
+  const shaftKw = Math.max(hydraulicKw / pumpEfficiency - (Number(duty.shaftCreditKw) || 0), 0);
+  const electricalKw = shaftKw / (motorEfficiency * vfdEfficiency);
+
+  return { hydraulicKw, pumpEfficiency, shaftKw, motorEfficiency, vfdEfficiency, electricalKw };
+};
+
+/**
+ * Plant energy balance over a list of pump duties
+ * @param {Object} params - { duties: [{ id, service, pressureBar, flowM3h, ... }], trains, permeateFlowM3h,
+ *   pumpModels: { hp, booster, feed }, motorClass, vfd }
+ * @returns {Object} { pumps, totalKw, specificEnergy (kWh/m3 permeate) }
+ */
+export const calculateEnergyBalance = ({ duties = [], trains = 1, permeateFlowM3h = 0, pumpModels = {}, motorClass = 'IE3', vfd = false }) => {
+  const models = { ...DEFAULT_PUMP_MODELS, ...pumpModels };
+  const pumps = duties
+    .filter(duty => (Number(duty.flowM3h) || 0) > 0 && (Number(duty.pressureBar) || 0) > 0)
+    .map((duty) => {
+      const pumpId = duty.pumpId || models[duty.service] || models.hp;
+      const result = calculatePumpDuty({ motorClass, vfd, ...duty, pumpId });
+      return {
+        id: duty.id,
+        service: duty.service,
+        pumpId,
+        pumpName: PUMP_LIBRARY[pumpId]?.name || pumpId,
+        pressureBar: Number(duty.pressureBar),
+        flowM3h: Number(duty.flowM3h),
+        ...result,
+        totalKw: result.electricalKw * trains
+      };
+    });
+  const totalKw = pumps.reduce((sum, p) => sum + p.totalKw, 0);
+
+  return {
+    pumps,
+    totalKw,
+    specificEnergy: permeateFlowM3h > 0 ? totalKw / permeateFlowM3h : 0
+  };
+};
+
+/**
+ * Energy recovery device (ERD) hydraulics and power for one train.
+ * - 'px' (isobaric pressure exchanger): brine pressurizes part of the feed, which a booster
+ *   pump lifts to membrane feed pressure. Lubrication leaks HP brine to the LP drain, and
+ *   volumetric mixing carries brine salinity into the PX outlet.
+ * - 'turbo' (turbocharger): brine turbine adds pressure on the HP pump discharge.
+ * - 'pelton' (Pelton wheel): brine turbine returns shaft power to the HP pump motor.
+ * @param {Object} params - { type, feedFlow, concFlow (m3/h), feedPressure, concPressure (bar),
+ *   feedTds, concTds (mg/L), efficiency, leakagePercent, mixingPercent (%),
+ *   hpPumpEfficiency, boosterEfficiency (0-1) }
+ * @returns {Object} Flow split, pump duties, power (kW) and membrane feed salinity
+ */
+export const calculateEnergyRecovery = (params) => {
+  const {
+    type = 'none',
+    feedFlow = 0,
+    concFlow = 0,
+    feedPressure = 0,
+    concPressure = 0,
+    feedTds = 0,
+    concTds = 0,
+    hpPumpEfficiency = PUMP_LIBRARY[DEFAULT_PUMP_MODELS.hp].bepEfficiency,
+    boosterEfficiency = PUMP_LIBRARY[DEFAULT_PUMP_MODELS.booster].bepEfficiency
+  } = params;
+  const efficiency = Math.min(Math.max(Number(params.efficiency) || 0, 0), 100) / 100;
+  const leakage = Math.min(Math.max(Number(params.leakagePercent) || 0, 0), 50) / 100;
+  const mixing = Math.min(Math.max(Number(params.mixingPercent) || 0, 0), 100) / 100;
+
+  let hpPumpFlow = feedFlow;
+  let hpPumpPressure = feedPressure;
+  let erdFlow = 0;
+  let erdOutletPressure = 0;
+  let boosterPressure = 0;
+  let recoveredPowerKw = 0;
+  let membraneFeedTds = feedTds;
+
+  if (type === 'px') {
+    // HP brine in = Qc; HP seawater out = LP seawater in = Qc(1 - leakage)
+    erdFlow = Math.min(concFlow * (1 - leakage), feedFlow);
+    erdOutletPressure = concPressure * efficiency;
+    boosterPressure = Math.max(feedPressure - erdOutletPressure, 0);
+    hpPumpFlow = feedFlow - erdFlow;
+    const pxOutletTds = feedTds + mixing * (concTds - feedTds);
+    membraneFeedTds = feedFlow > 0 ? (hpPumpFlow * feedTds + erdFlow * pxOutletTds) / feedFlow : feedTds;
+  } else if (type === 'turbo') {
+    // Turbine power on the brine becomes pressure on the full feed stream
+    erdFlow = feedFlow;
+    const boostBar = feedFlow > 0 ? efficiency * concPressure * concFlow / feedFlow : 0;
+    hpPumpPressure = Math.max(feedPressure - boostBar, 0);
+    erdOutletPressure = feedPressure;
+  } else if (type === 'pelton') {
+    recoveredPowerKw = (concPressure * concFlow * efficiency) / 36.7;
+  }
+
+  const hpPumpPowerKw = calculatePumpPower(hpPumpPressure, hpPumpFlow, hpPumpEfficiency);
+  const boosterPowerKw = boosterPressure > 0 ? calculatePumpPower(boosterPressure, erdFlow, boosterEfficiency) : 0;
+  const noErdPowerKw = calculatePumpPower(feedPressure, feedFlow, hpPumpEfficiency);
+  const totalPowerKw = Math.max(hpPumpPowerKw + boosterPowerKw - recoveredPowerKw, 0);
+
+  return {
+    type,
+    hpPumpFlow,
+    hpPumpPressure,
+    hpPumpPowerKw,
+    erdFlow,
+    erdOutletPressure,
+    boosterPressure,
+    boosterFlow: boosterPressure > 0 ? erdFlow : 0,
+    boosterPowerKw,
+    leakageFlow: type === 'px' ? concFlow * leakage : 0,
+    recoveredPowerKw,
+    totalPowerKw,
+    savedPowerKw: Math.max(noErdPowerKw - totalPowerKw, 0),
+    membraneFeedTds,
+    salinityIncreasePercent: feedTds > 0 ? ((membraneFeedTds - feedTds) / feedTds) * 100 : 0
+  };
+};
+
 /**
  * Calculate monthly energy cost
  * @param {number} powerKw - Power in kW
@@ -688,9 +1385,37 @@ export const calculateTCF = (tempCelsius, type = 'A') => {
   return Math.exp(exponent);
 };
 
+// Lowest share of the new-membrane water permeability that flux decline alone can take away;
+// elements are replaced long before that, and fouling is applied on top of it
+const MIN_FLUX_AGING_FACTOR = 0.7;
+
+/**
+ * Membrane aging: flux decline and salt passage increase compound each year, and the
+ * fouling factor (0.35-1) scales water permeability on top. The flux decline bottoms out
+ * at MIN_FLUX_AGING_FACTOR. Every projection path ages membranes with these factors.
+ * @param {object} params - {membraneAgeYears, fluxDeclinePercent, spIncreasePercent (% per year), foulingFactor}
+ * @returns {object} { aFactor, bFactor } multiplying the 25°C A- and B-values
+ */
+export const calculateAgingFactors = ({
+  membraneAgeYears = 0,
+  fluxDeclinePercent = 0,
+  spIncreasePercent = 0,
+  foulingFactor = 1.0
+} = {}) => {
+  const years = Math.max(Number(membraneAgeYears) || 0, 0);
+  const fluxDecline = Math.min(Math.max(Number(fluxDeclinePercent) || 0, 0), 99) / 100;
+  const spIncrease = Math.min(Math.max(Number(spIncreasePercent) || 0, 0), 200) / 100;
+  const fouling = Number(foulingFactor) > 0 ? Math.min(Math.max(Number(foulingFactor), 0.35), 1) : 1;
+
+  return {
+    aFactor: Math.max(Math.pow(1 - fluxDecline, years), MIN_FLUX_AGING_FACTOR) * fouling,
+    bFactor: Math.pow(1 + spIncrease, years)
+  };
+};
+
 /**
  * Calculate dynamic A-value with temperature, fouling, and aging (INDUSTRIAL GRADE)
- * Acorrected = Aref × TCF × foulingFactor × agingFactor
+ * Acorrected = Aref × TCF × aFactor (see calculateAgingFactors)
  * @param {object} params - {aValue25, tempCelsius, fluxDeclinePercent, membraneAgeYears, foulingFactor}
  * @returns {number} Actual A-value at operating conditions
  */
@@ -704,9 +1429,9 @@ export const calculateDynamicAValue = (params) => {
   } = params;
   
   const tcf = calculateTCF(tempCelsius, 'A');
-  const agingFactor = 1 - (fluxDeclinePercent / 100) * membraneAgeYears;
+  const { aFactor } = calculateAgingFactors({ membraneAgeYears, fluxDeclinePercent, foulingFactor });
   
-  return aValue25 * tcf * Math.max(agingFactor, 0.7) * foulingFactor;
+  return aValue25 * tcf * aFactor;
 };
 
 /**
@@ -1027,17 +1752,15 @@ export const calculateROStage = (inputs) => {
   let hBeta = vesselsPerStage > 0 ? Math.exp(highestFlux / Math.max(k_mt_inlet, 1)) : 1.0;
   const highestBeta = Number.isFinite(hBeta) ? Math.min(1.35, hBeta) : 1.35;
 
-  // Permeate pH estimation based on flux-dependent model
-  const permPh = calculatePermeatePhSimplified(inputs.feedPh || 7.0, J, R);
-  // Concentrate pH based on recovery
-  const concPh = calculateConcentratePh(inputs.feedPh || 7.0, R);
-
   // ION REJECTION (If feedIons provided)
-  const permeateIons = {};
-  const concentrateIons = {};
+  // Feed alkalinity is speciated at the feed pH so the CO2 that passes is consistent with it
+  const feedPh = Number(inputs.feedPh) || 7.0;
+  const transportIons = speciateCarbonateIons(feedIons, feedPh, Number(T) || 25).ions;
+  let permeateIons = {};
+  let concentrateIons = {};
   let permeateTdsFromIons = 0;
   
-  if (Object.keys(feedIons).length > 0) {
+  if (Object.keys(transportIons).length > 0) {
     const getIonB = (ion, baseB) => {
         const i = ion.toLowerCase();
         const factors = inputs.soluteBFactors || {};
@@ -1064,7 +1787,7 @@ export const calculateROStage = (inputs) => {
         return baseB * multiplier * TCF_B * bFactorTds;
     };
 
-    Object.entries(feedIons).forEach(([ionKey, val]) => {
+    Object.entries(transportIons).forEach(([ionKey, val]) => {
         const ion = ionKey.toLowerCase();
         const Ci_f = Number(val) || 0;
         const Bi = getIonB(ion, B_ref);
@@ -1089,6 +1812,18 @@ export const calculateROStage = (inputs) => {
     });
   }
 
+  // pH from carbonate equilibrium of each stream when it carries carbonate,
+  // otherwise the empirical flux (permeate) and recovery (concentrate) models
+  const permeateCarbonate = equilibrateCarbonateIons(permeateIons, Number(T) || 25);
+  const concentrateCarbonate = equilibrateCarbonateIons(concentrateIons, Number(T) || 25);
+  permeateIons = permeateCarbonate.ions;
+  concentrateIons = concentrateCarbonate.ions;
+  if (permeateCarbonate.ph !== null) {
+    permeateTdsFromIons = Object.entries(permeateIons).reduce((sum, [ion, v]) => sum + (ion === 'co2' ? 0 : v), 0);
+  }
+  const permPh = permeateCarbonate.ph ?? calculatePermeatePhSimplified(feedPh, J, R);
+  const concPh = concentrateCarbonate.ph ?? calculateConcentratePh(feedPh, R);
+
   // helper functions
   const round2 = (value) => 
     Number.isFinite(value) ? Number(value.toFixed(2)) : 0;
@@ -1346,6 +2081,8 @@ export const calculateStageHydraulics = (params) => {
 
 /**
  * Design a multi-stage RO system
+ * Aged membranes (fluxDeclinePercent per year, spIncreasePercent per year over membraneAgeYears,
+ * foulingFactor) pass more salt, and each stage reports the feed pressure its flux needs.
  */
 export const designMultiStageSystem = (params) => {
   const {
@@ -1358,17 +2095,32 @@ export const designMultiStageSystem = (params) => {
     numStages = 2,
     tempCelsius = 25,
     elementsPerVessel = 6,
-    vesselsPerStage = [4, 2, 1]
+    vesselsPerStage = [4, 2, 1],
+    fluxDeclinePercent = 0,
+    spIncreasePercent = 0,
+    membraneAgeYears = 0,
+    foulingFactor = 1.0
   } = params;
 
   if (numStages < 1 || numStages > 6) throw new Error("Invalid numStages");
 
+  // Aged permeabilities at 25°C; calculateROStage applies the temperature correction
+  const aRef = calculateDynamicAValue({
+    aValue25: membrane.aValue || membrane.transport?.aValueRef || 3.2,
+    fluxDeclinePercent,
+    membraneAgeYears,
+    foulingFactor
+  });
+  const { bFactor } = calculateAgingFactors({ membraneAgeYears, spIncreasePercent });
+  const bRef = (membrane.membraneB || membrane.transport?.membraneBRef || 0.14) * bFactor;
+  const aActual = aRef * calculateTCF(tempCelsius, 'A');
+
   const stageRecovery = 1 - Math.pow(1 - targetRecovery, 1 / numStages);
   const stages = [];
   
   let currentFlow = feedFlow;
   let currentConc = feedConc;
-  let currentIons = feedIons ? { ...feedIons } : null;
+  let currentIons = feedIons ? { ...feedIons } : {};
   let currentPressure = feedPressure;
   
   let totalSalt = 0;
@@ -1382,8 +2134,8 @@ export const designMultiStageSystem = (params) => {
       Cf: currentConc,
       R: stageRecovery,
       T: tempCelsius,
-      A_ref: membrane.aValue || membrane.transport?.aValueRef || 3.2,
-      B_ref: membrane.membraneB || membrane.transport?.membraneBRef || 0.14,
+      A_ref: aRef,
+      B_ref: bRef,
       Area: membrane.areaM2 || 37.16,
       Pfeed: currentPressure,
       vesselsPerStage: vessels,
@@ -1402,6 +2154,9 @@ export const designMultiStageSystem = (params) => {
       flux: res.J,
       recovery: stageRecovery,
       pressureDrop: res.deltaP_system,
+      dynamicAValue: aActual,
+      // The stage runs at the cascade pressure; this is the pressure its flux actually needs
+      requiredPressure: res.Pfeed - res.NDP + (aActual > 0 ? res.J / aActual : 0),
       vessels
     });
 
@@ -1425,6 +2180,7 @@ export const designMultiStageSystem = (params) => {
     feedFlow,
     feedPressure,
     feedConc,
+    feedIons,
     membrane,
     tempCelsius
   };
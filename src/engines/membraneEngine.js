@@ -8,8 +8,7 @@
  * - Pure functions for membrane operations
  * - No business logic, only data and calculations
  * - Data-driven, easy to add new membranes
- * 
- * Migration Goal: Move all membrane-related logic here from scattered files
+ * - Versioned registry: every engine and screen resolves membrane models here
  */
 
 // ============================================
@@ -49,6 +48,7 @@ export const MEMBRANES = {
     category: '8040',
     type: MEMBRANE_TYPES.BRACKISH,
     areaM2: 37.16,
+    rejection: 99.4,
     transport: {
       aValueRef: 4.2, 
       membraneBRef: 0.22,
@@ -65,6 +65,13 @@ export const MEMBRANES = {
     category: '4040',
     type: MEMBRANE_TYPES.BRACKISH,
     areaM2: 7.432,
+    rejection: 99.6,
+    monoRejection: 96.0,
+    divalentRejection: 99.7,
+    silicaRejection: 98.0,
+    boronRejection: 90.0,
+    alkalinityRejection: 99.5,
+    co2Rejection: 0.0,
     maxFlux: 50.0,
     transport: {
       aValueRef: 3.10, // Calibrated for 182.9 bar @ 560 LMH (4040 benchmark)
@@ -129,6 +136,13 @@ export const MEMBRANES = {
     category: '8040',
     type: MEMBRANE_TYPES.BRACKISH,
     areaM2: 37.16,
+    rejection: 99.7,
+    monoRejection: 98.0,
+    divalentRejection: 99.9,
+    silicaRejection: 99.0,
+    boronRejection: 92.0,
+    alkalinityRejection: 99.8,
+    co2Rejection: 0.0,
     maxFlux: 51.8,
     transport: {
       aValueRef: 3.40, // Calibrated for 16.6 bar @ 33.6 LMH (5000 TDS, 48% rec)
@@ -183,7 +197,9 @@ export const MEMBRANES = {
     compatibleWaterTypes: [
       'Brackish Well Non-Fouling',
       'Brackish Surface',
-      'Municipal'
+      'Municipal',
+      'Well Water',
+      'RO Permeate'
     ]
   },
 
@@ -257,6 +273,13 @@ export const MEMBRANES = {
     category: '4040',
     type: MEMBRANE_TYPES.LOW_FOULING,
     areaM2: 7.432,
+    rejection: 99.3,
+    monoRejection: 92.0,
+    divalentRejection: 99.95,
+    silicaRejection: 99.95,
+    boronRejection: 99.9,
+    alkalinityRejection: 99.985,
+    co2Rejection: 0.0,
     maxFlux: 48.0,
     transport: {
       aValueRef: 2.95, // Calibrated for 532 bar @ 1121 LMH (4040 benchmark)
@@ -323,6 +346,7 @@ export const MEMBRANES = {
     category: '8040',
     type: MEMBRANE_TYPES.LOW_FOULING,
     areaM2: 37.16,
+    rejection: 99.7,
     maxFlux: 48.0,
     transport: {
       aValueRef: 3.32, // Calibrated for 14.2 bar @ 26.9 LMH (38% recovery)
@@ -441,7 +465,8 @@ export const MEMBRANES = {
     },
     compatibleWaterTypes: [
       'Brackish Well Non-Fouling',
-      'Brackish Surface'
+      'Brackish Surface',
+      'Well Water'
     ]
   },
 
@@ -503,7 +528,8 @@ export const MEMBRANES = {
     },
     compatibleWaterTypes: [
       'Brackish Well Non-Fouling',
-      'Brackish Surface'
+      'Brackish Surface',
+      'Well Water'
     ]
   },
 
@@ -567,7 +593,10 @@ export const MEMBRANES = {
     compatibleWaterTypes: [
       'Brackish Well Non-Fouling',
       'Brackish Surface',
-      'Municipal'
+      'Municipal',
+      'Brackish Well High-Fouling',
+      'Municipal Waste',
+      'Industrial Waste'
     ]
   },
 
@@ -577,6 +606,7 @@ export const MEMBRANES = {
     category: '8040',
     type: MEMBRANE_TYPES.SEAWATER,
     areaM2: 37.16,
+    rejection: 99.8,
     transport: {
       aValueRef: 0.95,
       membraneBRef: 0.045,
@@ -593,6 +623,7 @@ export const MEMBRANES = {
     category: '8040',
     type: MEMBRANE_TYPES.SEAWATER,
     areaM2: 37.16,
+    rejection: 99.8,
     transport: {
       aValueRef: 1.25,
       membraneBRef: 0.065,
@@ -603,6 +634,27 @@ export const MEMBRANES = {
     osmoticModel: { coefficient: 0.0007925 }
   },
 
+  swc5ld: {
+    id: 'swc5ld',
+    name: 'SWC5-LD',
+    category: '8040',
+    type: MEMBRANE_TYPES.SEAWATER,
+    areaM2: 37.16,
+    rejection: 99.3,
+    monoRejection: 98.0,
+    divalentRejection: 99.8,
+    silicaRejection: 99.0,
+    boronRejection: 92.0,
+    alkalinityRejection: 99.7,
+    co2Rejection: 0.0,
+    transport: {
+      aValueRef: 1.6, // No B calibration yet: per-ion B-values follow the nominal rejections
+      kMtRef: 410
+    },
+    pressureDropModel: { coefficient: 0.00325, exponent: 1.75 },
+    osmoticModel: { coefficient: 0.0007925 }
+  },
+
   swtds32k8040: {
     id: 'swtds32k8040',
     name: 'SW-TDS-32K-8040',
@@ -674,6 +726,7 @@ export const MEMBRANES = {
     category: '8040',
     type: 'Specialty',
     areaM2: 37.16,
+    rejection: 99.6,
     transport: {
       aValueRef: 2.8,
       membraneBRef: 0.15,
@@ -685,6 +738,177 @@ export const MEMBRANES = {
   }
 };
 
+// ============================================
+// MEMBRANE REGISTRY - Schema and Project Membranes
+// ============================================
+
+/**
+ * Membrane record schema version. Version 2 records (the MEMBRANES entries above) hold:
+ * - id, name, category ('4040' | '8040'), type (MEMBRANE_TYPES) and areaM2
+ * - transport: aValueRef (lmh/bar at 25°C), membraneBRef (lmh), kMtRef (lmh) and soluteBFactors.
+ *   Without membraneBRef the per-ion B-values follow the nominal rejection (%) and the
+ *   optional monoRejection, boronRejection, co2Rejection, ... figures
+ * - optional testConditions, hydraulics, pressureDropModel, designFlux, agingModel,
+ *   osmoticModel, limits and compatibleWaterTypes blocks
+ * Version 1 is the flat record of older projects: area in ft² and aValue in lmh/bar,
+ * or in gfd/psi when below 1.
+ */
+export const MEMBRANE_SCHEMA_VERSION = 2;
+
+// Model used when a design names no membrane or one nobody knows
+export const DEFAULT_MEMBRANE_ID = 'espa2ld4040';
+
+// Ids older projects used for models the registry keeps under another id
+const MEMBRANE_ALIASES = {
+  espa2ld: 'espa2ld4040'
+};
+
+// Catalog models as the app saved them into every project before the registry. A saved copy
+// that still matches is resolved by the registry; any other catalog id is a project edit.
+const LEGACY_CATALOG_COPIES = {
+  espa2ld: { name: 'ESPA2-LD-4040', area: 80, areaM2: 7.43, aValue: 4.43, rejection: 99.6, monoRejection: 96.0, divalentRejection: 99.7, silicaRejection: 98.0, boronRejection: 90.0, alkalinityRejection: 99.5, co2Rejection: 0.0, kFb: 0.315, dpExponent: 1.75, type: 'Brackish' },
+  cpa3: { name: 'CPA3', area: 400, areaM2: 37.16, aValue: 3.16, rejection: 99.7, monoRejection: 98.0, divalentRejection: 99.9, silicaRejection: 99.0, boronRejection: 92.0, alkalinityRejection: 99.8, co2Rejection: 0.0, kFb: 0.38, dpExponent: 1.75, type: 'Brackish' },
+  swc5ld: { name: 'SWC5-LD', area: 400, areaM2: 37.16, aValue: 1.6, rejection: 99.3, monoRejection: 98.0, divalentRejection: 99.8, silicaRejection: 99.0, boronRejection: 92.0, alkalinityRejection: 99.7, co2Rejection: 0.0, kFb: 0.35, dpExponent: 1.75, type: 'Seawater' },
+  lfc3ld4040: { name: 'LFC3-LD-8040', area: 400, areaM2: 37.16, aValue: 3.16, rejection: 99.3, monoRejection: 92.0, divalentRejection: 99.95, silicaRejection: 99.95, boronRejection: 99.9, alkalinityRejection: 99.985, co2Rejection: 0.0, kFb: 0.315, dpExponent: 1.75, type: 'Low Fouling' }
+};
+
+const isLegacyCatalogCopy = (record) => {
+  const stock = LEGACY_CATALOG_COPIES[String(record.id).toLowerCase()];
+  return !!stock && Object.entries(record).every(([key, value]) => (
+    key === 'id' || key === 'schemaVersion' || (key in stock && String(value) === String(stock[key]))
+  ));
+};
+
+// The registry entry itself, or the stock copy of it an older project saved
+const isCatalogCopy = (record) => {
+  const catalog = getMembrane(record.id);
+  return !!catalog && (record === catalog || isLegacyCatalogCopy(record));
+};
+
+// A catalog id in an older project's membranes that does not hold the stock copy
+const isEditedCatalogCopy = (record) => !!record?.id
+  && !(Number(record.schemaVersion) >= MEMBRANE_SCHEMA_VERSION)
+  && !!getMembrane(record.id)
+  && !isCatalogCopy(record);
+
+const GFD_PER_PSI_TO_LMH_PER_BAR = 1.6976 * 14.5038;
+
+// Solute B factors of a membrane whose datasheet gives no per-solute figures
+export const DEFAULT_SOLUTE_B_FACTORS = {
+  monovalent: 1.0,
+  divalent: 0.6,
+  silica: 0.8,
+  boron: 1.4,
+  co2: 999
+};
+
+// Schema upgrade of a single record, without looking at the registry
+const upgradeMembrane = (record) => {
+  if (Number(record.schemaVersion) >= MEMBRANE_SCHEMA_VERSION) return record;
+
+  const { area, aValue, membraneB, ...rest } = record;
+  const legacyA = Number(aValue);
+  const aValueRef = legacyA > 0
+    ? (legacyA < 1 ? legacyA * GFD_PER_PSI_TO_LMH_PER_BAR : legacyA)
+    : (Number(record.transport?.aValueRef) || 3.16);
+  const membraneBRef = Number(record.transport?.membraneBRef) || Number(membraneB) || null;
+  const areaM2 = getArea(record);
+
+  return {
+    ...rest,
+    schemaVersion: MEMBRANE_SCHEMA_VERSION,
+    name: record.name || record.id,
+    category: record.category || (areaM2 < 15 ? '4040' : '8040'),
+    type: record.type || MEMBRANE_TYPES.BRACKISH,
+    areaM2,
+    transport: {
+      soluteBFactors: { ...DEFAULT_SOLUTE_B_FACTORS },
+      ...(record.transport || {}),
+      aValueRef,
+      ...(membraneBRef ? { membraneBRef } : {})
+    }
+  };
+};
+
+/**
+ * Bring a membrane record to the current schema.
+ * The stock copy of a catalog model that old projects saved resolves to its registry entry,
+ * so every project and code path computes it with the same data; an edited copy keeps its data.
+ * @param {object} record - Membrane record of any schema version
+ * @returns {object|null} Current-schema record, or null without an id
+ */
+export const normalizeMembrane = (record) => {
+  if (!record?.id) return null;
+  if (Number(record.schemaVersion) >= MEMBRANE_SCHEMA_VERSION) return record;
+  return isCatalogCopy(record) ? getMembrane(record.id) : upgradeMembrane(record);
+};
+
+/**
+ * Catalog models an older project had edited. Migration keeps each one as a project
+ * membrane under a new id (`cpa3-custom`), so the edit is not lost to the registry entry.
+ * @param {array} records - Saved project membranes
+ * @returns {array} [{ id, renamedTo }] in saved order
+ */
+export const findEditedCatalogCopies = (records) => {
+  const list = Array.isArray(records) ? records : [];
+  const taken = new Set(list.map(record => String(record?.id || '').toLowerCase()));
+  const isTaken = (id) => taken.has(id.toLowerCase()) || !!getMembrane(id);
+
+  return list.filter(isEditedCatalogCopy).map((record) => {
+    let renamedTo = `${record.id}-custom`;
+    let copy = 2;
+    while (isTaken(renamedTo)) renamedTo = `${record.id}-custom-${copy++}`;
+    taken.add(renamedTo.toLowerCase());
+    return { id: record.id, renamedTo };
+  });
+};
+
+/**
+ * Bring a project's own membranes to the current schema. Stock copies of catalog models
+ * that older projects saved are dropped: the registry resolves them. Edited copies are
+ * kept under the ids findEditedCatalogCopies gives them.
+ * @param {array} records - Saved project membranes
+ * @returns {array} Current-schema project membranes
+ */
+export const migrateMembranes = (records) => {
+  const list = (Array.isArray(records) ? records : []).filter(record => record?.id);
+  const renames = findEditedCatalogCopies(list);
+  let renamed = 0;
+
+  return list
+    .filter(record => Number(record.schemaVersion) >= MEMBRANE_SCHEMA_VERSION || !isCatalogCopy(record))
+    .map((record) => {
+      if (!isEditedCatalogCopy(record)) return normalizeMembrane(record);
+      const { renamedTo } = renames[renamed++];
+      return upgradeMembrane({ ...record, id: renamedTo, name: `${record.name || record.id} (custom)` });
+    });
+};
+
+/**
+ * Resolve a membrane model: the project's own membranes first, then the registry
+ * (by id, older project id or model name).
+ * @param {string} membraneId - Membrane ID
+ * @param {array} projectMembranes - The project's own membranes (any schema version)
+ * @returns {object|null} Current-schema membrane or null if not found
+ */
+export const resolveMembrane = (membraneId, projectMembranes = []) => {
+  if (!membraneId) return null;
+  const id = String(membraneId).toLowerCase();
+  const own = Array.isArray(projectMembranes)
+    && projectMembranes.find(m => String(m?.id || '').toLowerCase() === id);
+  return (own && normalizeMembrane(own)) || getMembrane(String(membraneId));
+};
+
+/**
+ * Every model a project can choose: the registry catalog, then the project's own membranes.
+ * @param {array} projectMembranes - The project's own membranes (any schema version)
+ * @returns {array} Current-schema membranes
+ */
+export const getMembraneLibrary = (projectMembranes = []) => {
+  const own = migrateMembranes(projectMembranes);
+  return [...getAllMembranes().filter(m => !own.some(o => o.id === m.id)), ...own];
+};
+
 // ============================================
 // PURE FUNCTIONS - Membrane Operations
 // ============================================
@@ -700,9 +924,10 @@ export const getMembrane = (membraneId) => {
   // 1. Direct match
   if (MEMBRANES[membraneId]) return MEMBRANES[membraneId];
   
-  // 2. Normalized match (lowercase, no dashes)
+  // 2. Normalized match (lowercase, no dashes), including ids of older projects
   const id = membraneId.toLowerCase().replace(/-/g, '');
   if (MEMBRANES[id]) return MEMBRANES[id];
+  if (MEMBRANE_ALIASES[id]) return MEMBRANES[MEMBRANE_ALIASES[id]];
   
   // 3. Search by name or normalized ID in values
   return Object.values(MEMBRANES).find(m => 
@@ -804,21 +1029,24 @@ export const getIonBFactor = (membrane, ionKey) => {
   const factors = membrane?.transport?.soluteBFactors || {};
   const ionLower = ionKey.toLowerCase();
   
-  if (ionLower === 'co2') return factors.co2 || 999;
+  const monovalent = factors.monovalent || DEFAULT_SOLUTE_B_FACTORS.monovalent;
+  
+  if (ionLower === 'co2') return factors.co2 || DEFAULT_SOLUTE_B_FACTORS.co2;
+  if (ionLower === 'nh3') return factors.nh3 || DEFAULT_SOLUTE_B_FACTORS.co2;
   if (['hco3', 'co3'].includes(ionLower)) {
-    return factors.alkalinity || factors.monovalent || 1.0;
+    return factors.alkalinity || monovalent;
   }
   if (['ca', 'mg', 'sr', 'ba', 'so4', 'po4'].includes(ionLower)) {
-    return factors.divalent || 0.6;
+    return factors.divalent || DEFAULT_SOLUTE_B_FACTORS.divalent;
   }
   if (['silica', 'sio2'].includes(ionLower)) {
-    return factors.silica || 0.8;
+    return factors.silica || DEFAULT_SOLUTE_B_FACTORS.silica;
   }
   if (['boron', 'h3bo3', 'b'].includes(ionLower)) {
-    return factors.boron || 1.4;
+    return factors.boron || DEFAULT_SOLUTE_B_FACTORS.boron;
   }
   
-  return factors.monovalent || 1.0;
+  return monovalent;
 };
 
 /**
@@ -842,6 +1070,81 @@ export const calculateActualAValue = (membrane, testPressureBar, testOsmoticBar)
   return testFlux / testNdp;
 };
 
+// ============================================
+// DATASHEET CALIBRATION
+// ============================================
+
+// Solute rejections a datasheet may quote, and the trace ion that calibrates each soluteBFactors group
+export const DATASHEET_SOLUTE_IONS = {
+  divalent: 'mg',
+  silica: 'sio2',
+  boron: 'b'
+};
+
+/**
+ * Check a manufacturer datasheet test point before calibrating against it.
+ * @param {object} datasheet - { pressureBar, tds (mg/L NaCl), recovery (%), temperatureC, permeateFlowM3d,
+ *   rejection (%), ph, soluteRejections: { divalent, silica, boron } (%) }
+ * @returns {object} { valid, errors }
+ */
+export const validateDatasheet = (datasheet = {}) => {
+  const errors = [];
+  const inRange = (value, min, max) => Number.isFinite(Number(value)) && Number(value) > min && Number(value) < max;
+
+  if (!inRange(datasheet.pressureBar, 0, 120)) errors.push('Test pressure must be between 0 and 120 bar');
+  if (!inRange(datasheet.tds, 0, 60000)) errors.push('Test TDS must be between 0 and 60000 mg/L');
+  if (!inRange(datasheet.recovery, 0, 50)) errors.push('Recovery must be between 0 and 50 %');
+  if (!inRange(datasheet.temperatureC, 0, 50)) errors.push('Temperature must be between 0 and 50 °C');
+  if (!inRange(datasheet.permeateFlowM3d, 0, 200)) errors.push('Permeate flow must be between 0 and 200 m³/d');
+  if (!inRange(datasheet.rejection, 0, 100)) errors.push('Rejection must be between 0 and 100 %');
+  if (datasheet.ph !== undefined && datasheet.ph !== '' && !inRange(datasheet.ph, 0, 14)) {
+    errors.push('Test pH must be between 0 and 14');
+  }
+  Object.entries(datasheet.soluteRejections || {}).forEach(([solute, value]) => {
+    if (value === undefined || value === '' || value === null) return;
+    if (!DATASHEET_SOLUTE_IONS[solute]) errors.push(`Unknown solute "${solute}"`);
+    else if (!inRange(value, 0, 100)) errors.push(`${solute} rejection must be between 0 and 100 %`);
+  });
+
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Store a datasheet calibration on a membrane: the fitted transport constants, the test point
+ * they reproduce (testConditions, as calculateActualAValue reads it) and the nominal rejections.
+ * @param {object} membrane - Current-schema membrane record
+ * @param {object} datasheet - Datasheet test point (see validateDatasheet)
+ * @param {object} fit - { aValueRef, membraneBRef, soluteBFactors } from calibrateMembrane
+ * @returns {object} Calibrated membrane record
+ */
+export const applyCalibration = (membrane, datasheet, fit) => {
+  const solutes = datasheet.soluteRejections || {};
+  const quoted = (solute) => solutes[solute] !== undefined && solutes[solute] !== '' && solutes[solute] !== null;
+
+  return {
+    ...membrane,
+    schemaVersion: MEMBRANE_SCHEMA_VERSION,
+    rejection: Number(datasheet.rejection),
+    ...(quoted('divalent') ? { divalentRejection: Number(solutes.divalent) } : {}),
+    ...(quoted('silica') ? { silicaRejection: Number(solutes.silica) } : {}),
+    ...(quoted('boron') ? { boronRejection: Number(solutes.boron) } : {}),
+    transport: {
+      ...membrane.transport,
+      aValueRef: fit.aValueRef,
+      membraneBRef: fit.membraneBRef,
+      soluteBFactors: fit.soluteBFactors
+    },
+    testConditions: {
+      pressureBar: Number(datasheet.pressureBar),
+      temperatureC: Number(datasheet.temperatureC),
+      tds: Number(datasheet.tds),
+      recovery: Number(datasheet.recovery) / 100,
+      fluxLMH: (Number(datasheet.permeateFlowM3d) / 24) * 1000 / getArea(membrane),
+      ...(datasheet.ph !== undefined && datasheet.ph !== '' ? { ph: Number(datasheet.ph) } : {})
+    }
+  };
+};
+
 /**
  * Get design flux range for membrane
  * @param {object} membrane - Membrane object
@@ -968,6 +1271,7 @@ export const createCustomMembrane = (spec) => {
   }
   
   return {
+    schemaVersion: MEMBRANE_SCHEMA_VERSION,
     id: spec.id,
     name: spec.name,
     category: spec.category || '8040',
@@ -976,13 +1280,7 @@ export const createCustomMembrane = (spec) => {
     transport: {
       aValueRef: spec.aValue || 3.2,
       membraneBRef: spec.membraneB || 0.14,
-      soluteBFactors: spec.soluteBFactors || {
-        monovalent: 1.0,
-        divalent: 0.6,
-        silica: 0.8,
-        boron: 1.4,
-        co2: 999
-      }
+      soluteBFactors: spec.soluteBFactors || { ...DEFAULT_SOLUTE_B_FACTORS }
     },
     testConditions: spec.testConditions || {
       pressureBar: 15.5,
@@ -1232,3 +1530,293 @@ export const getMembranesToTableData = (membraneIds) => {
     };
   });
 };
+
+// ============================================
+// MEMBRANE LIBRARY EXCHANGE - JSON / CSV
+// ============================================
+
+const isPositive = (v) => typeof v === 'number' && Number.isFinite(v) && v > 0;
+const isFraction = (v) => isPositive(v) && v < 1;
+
+// Checked fields of the blocks createCustomMembrane builds; other fields pass through
+const MEMBRANE_BLOCK_FIELDS = {
+  transport: { aValueRef: isPositive, membraneBRef: isPositive, kMtRef: isPositive },
+  hydraulics: {
+    maxFeedFlowM3H: isPositive,
+    minConcentrateFlowM3H: isPositive,
+    maxElementRecovery: isFraction,
+    maxPressureDropBar: isPositive,
+    spacerMil: isPositive
+  },
+  limits: { maxTds: isPositive, maxTemp: isPositive, maxPressure: isPositive },
+  designFlux: { min: isPositive, max: isPositive, recommended: isPositive }
+};
+
+// Schema fields that hold lists; CSV cells separate the items with '|'
+const MEMBRANE_LIST_FIELDS = ['compatibleWaterTypes'];
+// Schema fields read from CSV as text even when they look like numbers ('8040')
+const MEMBRANE_TEXT_FIELDS = ['id', 'name', 'category', 'type'];
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+/**
+ * Check a current-schema membrane record before it enters a library.
+ * @param {object} membrane - Membrane record
+ * @returns {object} { valid, errors: [message] }
+ */
+export const validateMembrane = (membrane) => {
+  if (!isPlainObject(membrane)) return { valid: false, errors: ['Not a membrane record'] };
+  const errors = [];
+  if (typeof membrane.id !== 'string' || !membrane.id.trim()) errors.push('id is missing');
+  if (typeof membrane.name !== 'string' || !membrane.name.trim()) errors.push('name is missing');
+  if (!isPositive(membrane.areaM2)) errors.push('areaM2 must be a positive number');
+  if (!isPlainObject(membrane.transport)) errors.push('transport block is missing');
+  else if (membrane.transport.aValueRef === undefined) errors.push('transport.aValueRef is missing');
+
+  Object.entries(MEMBRANE_BLOCK_FIELDS).forEach(([block, fields]) => {
+    const values = membrane[block];
+    if (values === undefined || values === null) return;
+    if (!isPlainObject(values)) {
+      errors.push(`${block} must be an object`);
+      return;
+    }
+    Object.entries(fields).forEach(([field, check]) => {
+      if (values[field] !== undefined && values[field] !== null && !check(values[field])) {
+        errors.push(`${block}.${field} must be ${check === isFraction ? 'a fraction between 0 and 1' : 'a positive number'}`);
+      }
+    });
+  });
+
+  const factors = membrane.transport?.soluteBFactors;
+  if (factors !== undefined && (!isPlainObject(factors) || !Object.values(factors).every(isPositive))) {
+    errors.push('transport.soluteBFactors must map solutes to positive numbers');
+  }
+  const { min, max, recommended } = membrane.designFlux || {};
+  if (isPositive(min) && isPositive(max) && min > max) errors.push('designFlux.min is above designFlux.max');
+  if (isPositive(recommended) && ((isPositive(min) && recommended < min) || (isPositive(max) && recommended > max))) {
+    errors.push('designFlux.recommended is outside min..max');
+  }
+  const { maxFeedFlowM3H, minConcentrateFlowM3H } = membrane.hydraulics || {};
+  if (isPositive(maxFeedFlowM3H) && isPositive(minConcentrateFlowM3H) && minConcentrateFlowM3H >= maxFeedFlowM3H) {
+    errors.push('hydraulics.minConcentrateFlowM3H must be below maxFeedFlowM3H');
+  }
+
+  return { valid: errors.length === 0, errors };
+};
+
+const flattenRecord = (record, prefix = '') => Object.entries(record).reduce((row, [key, value]) => {
+  const path = prefix ? `${prefix}.${key}` : key;
+  if (isPlainObject(value)) return { ...row, ...flattenRecord(value, path) };
+  return { ...row, [path]: Array.isArray(value) ? value.join('|') : value };
+}, {});
+
+const readCsvValue = (path, text) => {
+  if (MEMBRANE_LIST_FIELDS.includes(path)) return text.split('|').map(item => item.trim()).filter(Boolean);
+  if (MEMBRANE_TEXT_FIELDS.includes(path)) return text;
+  if (text === 'true' || text === 'false') return text === 'true';
+  const number = Number(text);
+  return text.trim() !== '' && Number.isFinite(number) ? number : text;
+};
+
+const unflattenRow = (row) => Object.entries(row).reduce((record, [path, text]) => {
+  if (text === '') return record;
+  const keys = path.split('.');
+  let target = record;
+  keys.slice(0, -1).forEach((key) => {
+    if (!isPlainObject(target[key])) target[key] = {};
+    target = target[key];
+  });
+  target[keys[keys.length - 1]] = readCsvValue(path, text);
+  return record;
+}, {});
+
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Split CSV text into records. Quoted cells keep their commas, doubled quotes and line
+// breaks; unquoted cells are trimmed. Each record carries the line it starts on.
+const splitCsvRecords = (text) => {
+  const records = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let cellQuoted = false;
+  let line = 1;
+  let recordLine = 1;
+  const endCell = () => {
+    cells.push(cellQuoted ? cell : cell.trim());
+    cell = '';
+    cellQuoted = false;
+  };
+  const endRecord = () => {
+    endCell();
+    records.push({ line: recordLine, cells });
+    cells = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === '\n') line++;
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+      cellQuoted = true;
+      cell = '';
+    } else if (ch === ',') {
+      endCell();
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else if (!(cellQuoted && /\s/.test(ch))) {
+      cell += ch;
+    }
+  }
+  endRecord();
+  return records;
+};
+
+/**
+ * Export membranes as a library file. JSON keeps the records as they are; CSV has one
+ * row per membrane and one column per field, nested blocks as dotted names (transport.aValueRef).
+ * @param {array} membranes - Membranes of any schema version
+ * @param {string} format - 'json' | 'csv'
+ * @returns {string} File content
+ */
+export const exportMembraneLibrary = (membranes, format = 'json') => {
+  const records = (membranes || [])
+    .map(normalizeMembrane)
+    .filter(Boolean)
+    .map(membrane => ({ ...membrane, schemaVersion: MEMBRANE_SCHEMA_VERSION }));
+
+  if (format === 'csv') {
+    const rows = records.map(record => flattenRecord(record));
+    const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    return [columns.join(','), ...rows.map(row => columns.map(column => csvCell(row[column])).join(','))].join('\n');
+  }
+  return JSON.stringify({ schemaVersion: MEMBRANE_SCHEMA_VERSION, membranes: records }, null, 2);
+};
+
+/**
+ * Read a membrane library file written by exportMembraneLibrary (or by hand in the same layout).
+ * Records of older schema versions are upgraded; invalid records are skipped and reported.
+ * @param {string} text - JSON or CSV content
+ * @returns {object} { membranes, errors: [{ position (list item, or CSV line the record starts on), id, message }] }
+ */
+export const parseMembraneLibrary = (text) => {
+  const source = String(text || '').trim();
+  if (!source) return { membranes: [], errors: [{ position: 0, id: '', message: 'The file is empty' }] };
+
+  let entries;
+  if (source.startsWith('{') || source.startsWith('[')) {
+    let data;
+    try {
+      data = JSON.parse(source);
+    } catch (err) {
+      return { membranes: [], errors: [{ position: 0, id: '', message: `Not valid JSON: ${err.message}` }] };
+    }
+    if (Number(data?.schemaVersion) > MEMBRANE_SCHEMA_VERSION) {
+      return {
+        membranes: [],
+        errors: [{ position: 0, id: '', message: `Library schema version ${data.schemaVersion} is newer than this application reads (${MEMBRANE_SCHEMA_VERSION})` }]
+      };
+    }
+    const records = Array.isArray(data) ? data : data?.membranes;
+    if (!Array.isArray(records)) {
+      return { membranes: [], errors: [{ position: 0, id: '', message: 'No membranes list in the file' }] };
+    }
+    entries = records.map((record, idx) => ({ position: idx + 1, record }));
+  } else {
+    const [header, ...rows] = splitCsvRecords(source);
+    entries = rows
+      .filter(({ cells }) => cells.some(cell => cell !== ''))
+      .map(({ line, cells }) => ({
+        position: line,
+        record: unflattenRow(Object.fromEntries(header.cells.map((column, i) => [column, cells[i] ?? ''])))
+      }));
+  }
+
+  const membranes = [];
+  const errors = [];
+  entries.forEach(({ position, record }) => {
+    const id = isPlainObject(record) && record.id !== undefined ? String(record.id) : '';
+    if (Number(record?.schemaVersion) > MEMBRANE_SCHEMA_VERSION) {
+      errors.push({ position, id, message: `Schema version ${record.schemaVersion} is newer than this application reads` });
+      return;
+    }
+    // Older records must still carry their own A-value rather than pick up a default
+    if (isPlainObject(record) && !record.schemaVersion && !(Number(record.aValue) > 0) && record.transport?.aValueRef === undefined) {
+      errors.push({ position, id, message: 'transport.aValueRef is missing' });
+      return;
+    }
+    const membrane = isPlainObject(record) && record.id ? upgradeMembrane({ ...record, id }) : record;
+    const { valid, errors: problems } = validateMembrane(membrane);
+    if (!valid) {
+      errors.push({ position, id, message: problems.join('; ') });
+    } else if (membranes.some(m => m.id.toLowerCase() === id.toLowerCase())) {
+      errors.push({ position, id, message: 'Appears earlier in the same file' });
+    } else {
+      membranes.push(membrane);
+    }
+  });
+
+  return { membranes, errors };
+};
+
+/**
+ * Imported membranes whose id is already taken, by the project or by the registry catalog.
+ * Registry models cannot be replaced, only kept or imported under a new id.
+ * @param {array} incoming - parseMembraneLibrary membranes
+ * @param {array} projectMembranes - The project's own membranes
+ * @returns {array} [{ id, source: 'project' | 'registry' }]
+ */
+export const findMembraneConflicts = (incoming, projectMembranes = []) => (incoming || [])
+  .map((membrane) => {
+    const id = String(membrane.id).toLowerCase();
+    if ((projectMembranes || []).some(m => String(m?.id || '').toLowerCase() === id)) return { id: membrane.id, source: 'project' };
+    return getMembrane(membrane.id) ? { id: membrane.id, source: 'registry' } : null;
+  })
+  .filter(Boolean);
+
+/**
+ * Add imported membranes to the project's own membranes.
+ * @param {array} projectMembranes - The project's own membranes
+ * @param {array} incoming - parseMembraneLibrary membranes
+ * @param {object} resolutions - id → 'replace' (project membranes only), 'rename' or 'skip' (default)
+ *   for each conflicting id
+ * @returns {array} The project's membranes after the import
+ */
+export const mergeMembraneLibrary = (projectMembranes = [], incoming = [], resolutions = {}) => {
+  const merged = [...(projectMembranes || [])];
+  const indexOf = (id) => merged.findIndex(m => String(m?.id || '').toLowerCase() === String(id).toLowerCase());
+  const isTaken = (id) => indexOf(id) >= 0 || !!getMembrane(id);
+
+  (incoming || []).forEach((membrane) => {
+    if (!isTaken(membrane.id)) {
+      merged.push(membrane);
+      return;
+    }
+    const resolution = resolutions[membrane.id] || 'skip';
+    if (resolution === 'replace' && indexOf(membrane.id) >= 0) {
+      merged[indexOf(membrane.id)] = membrane;
+    } else if (resolution === 'rename') {
+      let copy = 2;
+      while (isTaken(`${membrane.id}-${copy}`)) copy++;
+      merged.push({ ...membrane, id: `${membrane.id}-${copy}`, name: `${membrane.name} (${copy})` });
+    }
+  });
+
+  return merged;
+};
@@ -0,0 +1,204 @@
+import {
+  MEMBRANE_SCHEMA_VERSION,
+  DEFAULT_SOLUTE_B_FACTORS,
+  getMembrane,
+  normalizeMembrane,
+  migrateMembranes,
+  findEditedCatalogCopies,
+  resolveMembrane,
+  getMembraneLibrary,
+  getAValue,
+  getArea,
+  getAllMembranes,
+  createCustomMembrane,
+  validateMembrane,
+  exportMembraneLibrary,
+  parseMembraneLibrary,
+  findMembraneConflicts,
+  mergeMembraneLibrary,
+  validateDatasheet,
+  applyCalibration,
+  calculateActualAValue
+} from './membraneEngine';
+
+describe('Membrane Registry', () => {
+  const customElement = { id: 'bw-custom', name: 'BW Custom', area: 400, aValue: 0.12, membraneB: 0.14, rejection: 99.5 };
+
+  it('should resolve older project ids and model names to the registry entry', () => {
+    expect(resolveMembrane('espa2ld')).toBe(getMembrane('espa2ld4040'));
+    expect(resolveMembrane('CPA3-8040')).toBe(getMembrane('cpa3'));
+    expect(resolveMembrane('unknown')).toBeNull();
+  });
+
+  it('should replace saved copies of catalog models with the registry entry', () => {
+    const savedCopy = { id: 'cpa3', name: 'CPA3', area: 400, aValue: 3.16, rejection: 99.7 };
+
+    expect(normalizeMembrane(savedCopy)).toBe(getMembrane('cpa3'));
+    expect(getAValue(resolveMembrane('cpa3', [savedCopy]))).toBe(3.40);
+    expect(migrateMembranes([savedCopy, customElement]).map(m => m.id)).toEqual(['bw-custom']);
+  });
+
+  it('should keep catalog models an older project edited as project membranes', () => {
+    const edited = { id: 'cpa3', name: 'CPA3', area: 400, aValue: 2.9, rejection: 99.7 };
+    const saved = [edited, { id: 'cpa3-custom', name: 'Older custom', area: 400, aValue: 3.0 }];
+
+    expect(findEditedCatalogCopies(saved)).toEqual([{ id: 'cpa3', renamedTo: 'cpa3-custom-2' }]);
+    expect(getAValue(normalizeMembrane(edited))).toBe(2.9);
+
+    const migrated = migrateMembranes(saved);
+    expect(migrated.map(m => m.id)).toEqual(['cpa3-custom-2', 'cpa3-custom']);
+    expect(migrated[0].name).toBe('CPA3 (custom)');
+    expect(getAValue(migrated[0])).toBe(2.9);
+    expect(resolveMembrane('cpa3', migrated)).toBe(getMembrane('cpa3'));
+  });
+
+  it('should migrate flat project records to the current schema', () => {
+    const membrane = normalizeMembrane(customElement);
+
+    expect(membrane.schemaVersion).toBe(MEMBRANE_SCHEMA_VERSION);
+    expect(membrane.category).toBe('8040');
+    expect(getArea(membrane)).toBeCloseTo(37.16, 2);
+    // Flat A-values below 1 were entered in gfd/psi
+    expect(membrane.transport.aValueRef).toBeCloseTo(0.12 * 1.6976 * 14.5038, 6);
+    expect(membrane.transport.membraneBRef).toBe(0.14);
+    expect(membrane.transport.soluteBFactors).toEqual(DEFAULT_SOLUTE_B_FACTORS);
+    expect(membrane.aValue).toBeUndefined();
+    expect(membrane.area).toBeUndefined();
+  });
+
+  it('should keep current-schema project membranes as they are', () => {
+    const custom = createCustomMembrane({ id: 'sw-custom', name: 'SW Custom', aValue: 0.9 });
+
+    expect(normalizeMembrane(custom)).toBe(custom);
+    expect(getAValue(resolveMembrane('sw-custom', [custom]))).toBe(0.9);
+  });
+
+  it('should list the catalog followed by the project membranes', () => {
+    const library = getMembraneLibrary([customElement]);
+
+    expect(library[library.length - 1].id).toBe('bw-custom');
+    expect(library.filter(m => m.id === 'cpa3')).toHaveLength(1);
+    expect(new Set(library.map(m => m.id)).size).toBe(library.length);
+  });
+});
+
+describe('Membrane Library Exchange', () => {
+  const custom = createCustomMembrane({ id: 'bw-vendor', name: 'BW Vendor 8040', aValue: 3.5, membraneB: 0.2 });
+  const stamped = (membrane) => ({ ...membrane, schemaVersion: MEMBRANE_SCHEMA_VERSION });
+
+  it('should pass every registry entry through its own validation', () => {
+    getAllMembranes().forEach((membrane) => {
+      expect({ id: membrane.id, ...validateMembrane(membrane) }).toEqual({ id: membrane.id, valid: true, errors: [] });
+    });
+  });
+
+  it('should read back a JSON export unchanged', () => {
+    const library = [...getAllMembranes(), custom];
+    const { membranes, errors } = parseMembraneLibrary(exportMembraneLibrary(library, 'json'));
+
+    expect(errors).toEqual([]);
+    expect(membranes).toEqual(library.map(stamped));
+  });
+
+  it('should read back a CSV export with nested blocks, lists and quoted text', () => {
+    const selection = [getMembrane('cpa3'), getMembrane('swtds32k8040'), custom];
+    const csv = exportMembraneLibrary(selection, 'csv');
+    const { membranes, errors } = parseMembraneLibrary(csv);
+
+    expect(csv.split('\n')[0]).toContain('transport.aValueRef');
+    expect(errors).toEqual([]);
+    expect(membranes).toEqual(selection.map(stamped));
+  });
+
+  it('should read back a CSV export with line breaks inside quoted cells', () => {
+    const noted = { ...custom, name: 'BW Vendor "HR" 8040', notes: 'Vendor test data\nrev B, 2025\r\nwet-tested' };
+    const csv = exportMembraneLibrary([noted, getMembrane('cpa3')], 'csv');
+    const { membranes, errors } = parseMembraneLibrary(csv);
+
+    expect(errors).toEqual([]);
+    expect(membranes).toEqual([stamped(noted), stamped(getMembrane('cpa3'))]);
+
+    // Positions are the line each record starts on
+    const badRow = csv.split('\n')[0].split(',').map(column => (column === 'id' ? 'bad-1' : '')).join(',');
+    const broken = parseMembraneLibrary(`${csv}\n${badRow}`);
+    expect(broken.errors.map(e => e.position)).toEqual([csv.split(/\r?\n/).length + 1]);
+  });
+
+  it('should report invalid blocks and skip those elements', () => {
+    const csv = [
+      'id,name,areaM2,transport.aValueRef,hydraulics.maxElementRecovery,designFlux.min,designFlux.max,limits.maxTds',
+      'ok-1,Good element,37.16,3.2,0.15,12,25,2000',
+      'bad-1,Bad recovery,37.16,3.2,15,12,25,2000',
+      'bad-2,Bad flux range,37.16,3.2,0.15,30,25,abc',
+      'bad-3,No A-value,37.16,,0.15,12,25,2000',
+      'ok-1,Twice,37.16,3.2,0.15,12,25,2000'
+    ].join('\n');
+    const { membranes, errors } = parseMembraneLibrary(csv);
+
+    expect(membranes.map(m => m.id)).toEqual(['ok-1']);
+    expect(errors.map(e => e.position)).toEqual([3, 4, 5, 6]);
+    expect(errors[0].message).toMatch(/hydraulics.maxElementRecovery/);
+    expect(errors[1].message).toMatch(/designFlux.min/);
+    expect(errors[1].message).toMatch(/limits.maxTds/);
+    expect(errors[2].message).toMatch(/aValueRef/);
+  });
+
+  it('should refuse libraries of a newer schema version', () => {
+    const { membranes, errors } = parseMembraneLibrary(JSON.stringify({ schemaVersion: MEMBRANE_SCHEMA_VERSION + 1, membranes: [custom] }));
+
+    expect(membranes).toEqual([]);
+    expect(errors[0].message).toMatch(/newer/);
+  });
+
+  it('should settle duplicate ids as chosen for each conflict', () => {
+    const project = [custom];
+    const incoming = [
+      { ...custom, name: 'BW Vendor 8040 rev B' },
+      stamped({ ...getMembrane('cpa3'), name: 'CPA3 colleague copy' }),
+      createCustomMembrane({ id: 'bw-new', name: 'BW New' })
+    ];
+
+    expect(findMembraneConflicts(incoming, project)).toEqual([
+      { id: 'bw-vendor', source: 'project' },
+      { id: 'cpa3', source: 'registry' }
+    ]);
+
+    const kept = mergeMembraneLibrary(project, incoming);
+    expect(kept.map(m => m.id)).toEqual(['bw-vendor', 'bw-new']);
+    expect(kept[0].name).toBe('BW Vendor 8040');
+
+    const settled = mergeMembraneLibrary(project, incoming, { 'bw-vendor': 'replace', cpa3: 'rename' });
+    expect(settled.map(m => m.id)).toEqual(['bw-vendor', 'cpa3-2', 'bw-new']);
+    expect(settled[0].name).toBe('BW Vendor 8040 rev B');
+    expect(resolveMembrane('cpa3', settled)).toBe(getMembrane('cpa3'));
+  });
+});
+
+describe('Datasheet Calibration', () => {
+  const datasheet = { pressureBar: 15.5, tds: 2000, recovery: 15, temperatureC: 25, permeateFlowM3d: 41.6, rejection: 99.7 };
+
+  it('should accept a complete datasheet and name the fields out of range', () => {
+    expect(validateDatasheet(datasheet)).toEqual({ valid: true, errors: [] });
+
+    const { valid, errors } = validateDatasheet({ ...datasheet, recovery: 75, rejection: '', soluteRejections: { boron: 120, iron: 90 } });
+    expect(valid).toBe(false);
+    expect(errors).toHaveLength(4);
+    expect(errors[0]).toMatch(/Recovery/);
+    expect(errors[1]).toMatch(/Rejection/);
+  });
+
+  it('should store the fit with the test point it reproduces', () => {
+    const membrane = createCustomMembrane({ id: 'bw-vendor', name: 'BW Vendor 8040' });
+    const fit = { aValueRef: 3.05, membraneBRef: 0.11, soluteBFactors: { monovalent: 1, divalent: 0.5, co2: 999 } };
+    const calibrated = applyCalibration(membrane, { ...datasheet, soluteRejections: { boron: 85 } }, fit);
+
+    expect(calibrated.transport).toEqual({ ...fit });
+    expect(calibrated.rejection).toBe(99.7);
+    expect(calibrated.boronRejection).toBe(85);
+    expect(calibrated.silicaRejection).toBeUndefined();
+    expect(calibrated.testConditions.recovery).toBe(0.15);
+    expect(calibrated.testConditions.fluxLMH).toBeCloseTo(41.6 / 24 * 1000 / 37.16, 6);
+    expect(calculateActualAValue(calibrated, 15.5, 1.5)).toBeCloseTo(calibrated.testConditions.fluxLMH / 14, 6);
+    expect(validateMembrane(calibrated).valid).toBe(true);
+  });
+});
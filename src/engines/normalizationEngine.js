@@ -0,0 +1,241 @@
+/*
+ * NORMALIZATION ENGINE
+ *
+ * Operating data normalization after ASTM D4516
+ * - Parses plant operating logs (CSV)
+ * - Normalizes permeate flow and salt passage to the conditions of a baseline day
+ * - Normalizes differential pressure to the baseline feed-concentrate flow
+ * - Flags the declines that call for a membrane cleaning
+ *
+ * Pressures may be in bar or psi and flows in any unit, as long as the whole log uses the same ones.
+ */
+
+import { calculateTCF, calculateOsmoticPressure } from './calculationEngine';
+
+// ============================================
+// LOG IMPORT
+// ============================================
+
+// Column names accepted for each log field, compared without case, spaces, punctuation or units
+const LOG_COLUMNS = {
+  timestamp: ['timestamp', 'date', 'datetime', 'time'],
+  feedPressure: ['feedpressure', 'pfeed', 'feedp'],
+  permeatePressure: ['permeatepressure', 'permpressure', 'pperm', 'permeatep'],
+  concentratePressure: ['concentratepressure', 'concpressure', 'brinepressure', 'pconc', 'concentratep'],
+  feedFlow: ['feedflow', 'qfeed', 'qf'],
+  permeateFlow: ['permeateflow', 'permflow', 'productflow', 'qperm', 'qp'],
+  concentrateFlow: ['concentrateflow', 'concflow', 'brineflow', 'rejectflow', 'qconc', 'qc'],
+  feedConductivity: ['feedconductivity', 'feedcond', 'feedec'],
+  permeateConductivity: ['permeateconductivity', 'permconductivity', 'permcond', 'permeatecond', 'permeateec'],
+  concentrateConductivity: ['concentrateconductivity', 'concconductivity', 'conccond', 'brinecond', 'concentrateec'],
+  temperature: ['temperature', 'temp', 'feedtemperature', 'feedtemp']
+};
+
+const REQUIRED_COLUMNS = ['timestamp', 'feedPressure', 'permeateFlow', 'feedConductivity', 'permeateConductivity', 'temperature'];
+
+const normalizeHeader = (header) => String(header || '')
+  .replace(/\(.*?\)|\[.*?\]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]/g, '');
+
+/**
+ * Parse a plant operating log. The first line holds the column names; fields are separated by
+ * commas, semicolons or tabs. Rows that cannot be used are skipped and reported.
+ * @param {string} text - CSV text
+ * @returns {Object} { rows (sorted by time), errors: [{ line, message }] }
+ */
+export const parseOperatingLog = (text) => {
+  const lines = String(text || '').split(/\r?\n/).filter(line => line.trim() !== '');
+  if (lines.length === 0) return { rows: [], errors: [{ line: 0, message: 'The file is empty' }] };
+
+  const delimiter = [',', ';', '\t'].reduce((best, d) => (
+    lines[0].split(d).length > lines[0].split(best).length ? d : best
+  ), ',');
+  const headers = lines[0].split(delimiter).map(normalizeHeader);
+  const columnIndex = Object.fromEntries(Object.entries(LOG_COLUMNS).map(([field, aliases]) => (
+    [field, headers.findIndex(h => aliases.includes(h))]
+  )));
+
+  const missing = REQUIRED_COLUMNS.filter(field => columnIndex[field] < 0);
+  if (columnIndex.feedFlow < 0 && columnIndex.concentrateFlow < 0) missing.push('feedFlow or concentrateFlow');
+  if (missing.length > 0) {
+    return { rows: [], errors: [{ line: 1, message: `Missing columns: ${missing.join(', ')}` }] };
+  }
+
+  const rows = [];
+  const errors = [];
+  lines.slice(1).forEach((line, idx) => {
+    const cells = line.split(delimiter).map(cell => cell.trim());
+    const read = (field) => {
+      const i = columnIndex[field];
+      if (i < 0 || cells[i] === undefined || cells[i] === '') return null;
+      const value = Number(cells[i]);
+      return Number.isFinite(value) ? value : NaN;
+    };
+
+    const time = Date.parse(cells[columnIndex.timestamp]);
+    const row = Object.fromEntries(Object.keys(LOG_COLUMNS).filter(f => f !== 'timestamp').map(f => [f, read(f)]));
+    const invalid = Object.entries(row).filter(([, v]) => Number.isNaN(v)).map(([f]) => f);
+    if (!Number.isFinite(time)) {
+      errors.push({ line: idx + 2, message: `Unreadable timestamp "${cells[columnIndex.timestamp] ?? ''}"` });
+      return;
+    }
+    if (invalid.length > 0) {
+      errors.push({ line: idx + 2, message: `Not a number: ${invalid.join(', ')}` });
+      return;
+    }
+    const blank = REQUIRED_COLUMNS.filter(f => f !== 'timestamp' && row[f] === null);
+    if (blank.length > 0 || (row.feedFlow === null && row.concentrateFlow === null)) {
+      errors.push({ line: idx + 2, message: `Missing values: ${blank.length > 0 ? blank.join(', ') : 'feedFlow or concentrateFlow'}` });
+      return;
+    }
+
+    rows.push({ timestamp: new Date(time).toISOString(), ...row });
+  });
+
+  rows.sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+  return { rows, errors };
+};
+
+// ============================================
+// NORMALIZATION
+// ============================================
+
+export const DEFAULT_CLEANING_THRESHOLDS = {
+  permeateFlow: 10, // % decline in normalized permeate flow
+  saltPassage: 10, // % increase in normalized salt passage
+  differentialPressure: 15 // % increase in normalized differential pressure
+};
+
+/**
+ * Operating conditions of one log row: flows closed by mass balance, conductivity converted to
+ * TDS, the log-mean feed-concentrate concentration and the net driving pressure.
+ */
+const describeConditions = (row, { pressureUnit, tdsFactor }) => {
+  const permeateFlow = row.permeateFlow;
+  const feedFlow = row.feedFlow ?? (permeateFlow + row.concentrateFlow);
+  const concentrateFlow = row.concentrateFlow ?? (feedFlow - permeateFlow);
+  const recovery = feedFlow > 0 ? Math.min(Math.max(permeateFlow / feedFlow, 0), 0.99) : 0;
+
+  const feedTds = row.feedConductivity * tdsFactor;
+  const permeateTds = row.permeateConductivity * tdsFactor;
+  // Feed-concentrate average: log mean of the measured feed and concentrate, otherwise the
+  // ASTM D4516 estimate from recovery, Cfc = Cf · ln(1 / (1 - Y)) / Y
+  const concTds = row.concentrateConductivity !== null && row.concentrateConductivity !== undefined
+    ? row.concentrateConductivity * tdsFactor
+    : null;
+  const feedConcFactor = concTds !== null && feedTds > 0 && concTds > feedTds * 1.001
+    ? ((concTds - feedTds) / Math.log(concTds / feedTds)) / feedTds
+    : (recovery > 0.001 ? Math.log(1 / (1 - recovery)) / recovery : 1);
+  const feedConcTds = feedTds * feedConcFactor;
+
+  const permeatePressure = row.permeatePressure ?? 0;
+  const differentialPressure = row.concentratePressure !== null && row.concentratePressure !== undefined
+    ? row.feedPressure - row.concentratePressure
+    : null;
+  const osmoticDifference = calculateOsmoticPressure(feedConcTds, pressureUnit) - calculateOsmoticPressure(permeateTds, pressureUnit);
+  const ndp = row.feedPressure - (differentialPressure ?? 0) / 2 - permeatePressure - osmoticDifference;
+
+  return {
+    feedFlow,
+    permeateFlow,
+    concentrateFlow,
+    recovery,
+    feedTds,
+    feedConcTds,
+    feedConcFactor,
+    saltPassage: feedTds > 0 ? permeateTds / feedTds : 0,
+    differentialPressure,
+    feedConcFlow: (feedFlow + concentrateFlow) / 2,
+    ndp,
+    tcfA: calculateTCF(row.temperature, 'A'),
+    tcfB: calculateTCF(row.temperature, 'B')
+  };
+};
+
+/**
+ * Normalize an operating log to a baseline day (ASTM D4516).
+ * Normalized permeate flow: Qp · (NDPs / NDPa) · (TCFs / TCFa)
+ * Normalized salt passage: SPa · (Qpa / Qps) · (STCFs / STCFa) · (Cfc,s / Cf,s) · (Cf,a / Cfc,a)
+ * Normalized differential pressure: ΔPa · (Qfc,s / Qfc,a)^dpExponent, Qfc the feed-concentrate average flow
+ * The baseline is the first row on or after baselineDate (the first row when none is given).
+ * @param {Object[]} rows - parseOperatingLog rows
+ * @param {Object} options - { baselineDate, pressureUnit ('bar' | 'psi'), tdsFactor (mg/L per µS/cm),
+ *   dpExponent, thresholds (see DEFAULT_CLEANING_THRESHOLDS) }
+ * @returns {Object} { baseline, points, cleaningNeeded (first flagged point after the baseline, or null) }; each point holds
+ *   the normalized values, their % change from the baseline and the cleaning flags it trips
+ */
+export const normalizeOperatingData = (rows, {
+  baselineDate,
+  pressureUnit = 'bar',
+  tdsFactor = 0.67,
+  dpExponent = 1.5,
+  thresholds = DEFAULT_CLEANING_THRESHOLDS
+} = {}) => {
+  if (!Array.isArray(rows) || rows.length === 0) return { baseline: null, points: [], cleaningNeeded: null };
+
+  // A bare date is the start of that day in local time, like the log timestamps
+  const baselineTime = baselineDate
+    ? Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(baselineDate) ? `${baselineDate}T00:00` : baselineDate)
+    : NaN;
+  const baselineRow = (Number.isFinite(baselineTime) && rows.find(row => Date.parse(row.timestamp) >= baselineTime))
+    || rows[0];
+  const limits = { ...DEFAULT_CLEANING_THRESHOLDS, ...thresholds };
+  const options = { pressureUnit, tdsFactor };
+  const base = describeConditions(baselineRow, options);
+
+  const percentChange = (value, reference) => (
+    value !== null && reference ? ((value - reference) / reference) * 100 : null
+  );
+
+  const points = rows.map((row) => {
+    const actual = describeConditions(row, options);
+    const permeateFlow = actual.ndp > 0
+      ? actual.permeateFlow * (base.ndp / actual.ndp) * (base.tcfA / actual.tcfA)
+      : null;
+    const saltPassage = actual.permeateFlow > 0
+      ? actual.saltPassage * (actual.permeateFlow / base.permeateFlow) * (base.tcfB / actual.tcfB)
+        * (base.feedConcFactor / actual.feedConcFactor) * 100
+      : null;
+    const differentialPressure = actual.differentialPressure !== null && actual.feedConcFlow > 0
+      ? actual.differentialPressure * Math.pow(base.feedConcFlow / actual.feedConcFlow, dpExponent)
+      : null;
+
+    const change = {
+      permeateFlow: percentChange(permeateFlow, base.permeateFlow),
+      saltPassage: percentChange(saltPassage, base.saltPassage * 100),
+      differentialPressure: percentChange(differentialPressure, base.differentialPressure)
+    };
+    const flags = [
+      change.permeateFlow !== null && -change.permeateFlow >= limits.permeateFlow ? 'permeateFlow' : null,
+      change.saltPassage !== null && change.saltPassage >= limits.saltPassage ? 'saltPassage' : null,
+      change.differentialPressure !== null && change.differentialPressure >= limits.differentialPressure ? 'differentialPressure' : null
+    ].filter(Boolean);
+
+    return {
+      timestamp: row.timestamp,
+      temperature: row.temperature,
+      recovery: actual.recovery * 100,
+      ndp: actual.ndp,
+      permeateFlow,
+      saltPassage,
+      differentialPressure,
+      change,
+      flags
+    };
+  });
+
+  return {
+    baseline: {
+      timestamp: baselineRow.timestamp,
+      permeateFlow: base.permeateFlow,
+      saltPassage: base.saltPassage * 100,
+      differentialPressure: base.differentialPressure,
+      ndp: base.ndp
+    },
+    points,
+    cleaningNeeded: points.find(point => (
+      point.flags.length > 0 && Date.parse(point.timestamp) >= Date.parse(baselineRow.timestamp)
+    )) || null
+  };
+};
@@ -0,0 +1,79 @@
+import { parseOperatingLog, normalizeOperatingData } from './normalizationEngine';
+import { calculateTCF } from './calculationEngine';
+
+// Baseline day at 25°C, the same membranes on a cold day, then a fouled day at the baseline
+// recovery: the same salt flux through less water. The lower flows of both days drop less
+// pressure, and the feed pressure is trimmed to keep the net driving pressure of the baseline.
+const tcfA15 = calculateTCF(15, 'A');
+const tcfB15 = calculateTCF(15, 'B');
+const coldDp = Math.pow(tcfA15, 1.5);
+const fouledDp = Math.pow(11 / 12.5, 1.5);
+const log = [
+  'Timestamp;Feed Pressure (bar);Permeate Pressure (bar);Concentrate Pressure (bar);Feed Flow (m3/h);Permeate Flow (m3/h);Feed Conductivity (uS/cm);Permeate Conductivity (uS/cm);Temperature (C)',
+  '2025-01-01T08:00;10;0;9;20;15;1000;10;25',
+  `2025-01-02T08:00;${10 - (1 - coldDp) / 2};0;${10 - (1 - coldDp) / 2 - coldDp};${20 * tcfA15};${15 * tcfA15};1000;${10 * tcfB15 / tcfA15};15`,
+  `2025-01-03T08:00;${10 - (1 - fouledDp) / 2};0;${10 - (1 - fouledDp) / 2 - fouledDp};17.6;13.2;1000;${10 * 15 / 13.2};25`
+].join('\n');
+
+describe('Operating Log Import', () => {
+  it('should read columns by name regardless of units, order and delimiter', () => {
+    const { rows, errors } = parseOperatingLog(log);
+
+    expect(errors).toEqual([]);
+    expect(rows).toHaveLength(3);
+    expect(rows[0].concentratePressure).toBe(9);
+    expect(rows[0].concentrateFlow).toBeNull();
+    expect(rows[2].permeateFlow).toBe(13.2);
+  });
+
+  it('should skip and report unusable rows', () => {
+    const { rows, errors } = parseOperatingLog([
+      'date,feed pressure,feed flow,permeate flow,feed cond,perm cond,temp',
+      '2025-02-01,10,20,15,1000,10,25',
+      'not a date,10,20,15,1000,10,25',
+      '2025-02-03,10,20,abc,1000,10,25',
+      '2025-02-04,10,20,15,,10,25'
+    ].join('\n'));
+
+    expect(rows).toHaveLength(1);
+    expect(errors.map(e => e.line)).toEqual([3, 4, 5]);
+  });
+
+  it('should refuse a log without the required columns', () => {
+    const { rows, errors } = parseOperatingLog('date,feed pressure,permeate flow\n2025-02-01,10,15');
+
+    expect(rows).toEqual([]);
+    expect(errors[0].message).toMatch(/feedConductivity/);
+  });
+});
+
+describe('Operating Data Normalization', () => {
+  const { rows } = parseOperatingLog(log);
+
+  it('should normalize temperature out of flow, salt passage and differential pressure', () => {
+    const { points } = normalizeOperatingData(rows);
+
+    expect(points[1].change.permeateFlow).toBeCloseTo(0, 1);
+    expect(points[1].change.saltPassage).toBeCloseTo(0, 1);
+    expect(points[1].change.differentialPressure).toBeCloseTo(0, 6);
+    expect(points[1].flags).toEqual([]);
+  });
+
+  it('should flag the first day the normalized flow falls past the cleaning threshold', () => {
+    const result = normalizeOperatingData(rows);
+
+    expect(result.points[2].change.permeateFlow).toBeCloseTo(-12, 1);
+    expect(result.points[2].change.saltPassage).toBeCloseTo(0, 1);
+    expect(result.points[2].change.differentialPressure).toBeCloseTo(0, 6);
+    expect(result.cleaningNeeded.timestamp).toBe(rows[2].timestamp);
+    expect(result.cleaningNeeded.flags).toEqual(['permeateFlow']);
+    expect(normalizeOperatingData(rows, { thresholds: { permeateFlow: 15 } }).cleaningNeeded).toBeNull();
+  });
+
+  it('should use the first day on or after the baseline date', () => {
+    const result = normalizeOperatingData(rows, { baselineDate: '2025-01-02' });
+
+    expect(result.baseline.timestamp).toBe(rows[1].timestamp);
+    expect(result.points[1].change.permeateFlow).toBeCloseTo(0, 6);
+  });
+});
@@ -5,10 +5,11 @@ import {
   calculateOsmoticPressureFromIons,
   designMultiStageSystem,
   calculateStageHydraulics,
-  validateMultiStageDesign
+  validateMultiStageDesign,
+  calculateSilicaLimitedRecovery
 } from './calculationEngine';
 
-import { getMembrane } from './membraneEngine';
+import { resolveMembrane } from './membraneEngine';
 
 export const RO_DESIGN_EXAMPLES = {
   
@@ -164,7 +165,7 @@ export const designBrackishSystem = (params) => {
     membraneId = 'cpa3'
   } = params;
 
-  const membrane = getMembrane(membraneId);
+  const membrane = resolveMembrane(membraneId);
   if (!membrane) throw new Error(`Membrane ${membraneId} not found`);
 
   const osmotic = calculateOsmoticPressureFromIons({
@@ -210,7 +211,7 @@ export const designSeawaterSystem = (params) => {
     membraneId = 'swtds32k8040'
   } = params;
 
-  const membrane = getMembrane(membraneId);
+  const membrane = resolveMembrane(membraneId);
   if (!membrane) throw new Error(`Membrane ${membraneId} not found`);
 
   const osmotic = calculateOsmoticPressureFromIons({
@@ -245,7 +246,16 @@ export const designSeawaterSystem = (params) => {
   };
 };
 
-export const analyzeSystemTemperatureSensitivity = (design, tempRange = [15, 45]) => {
+/**
+ * Stage performance across feed temperatures. With a feed analysis on the design, each
+ * temperature also reports the silica-limited allowable recovery, since cold water holds
+ * less silica and that, not hydraulics, often caps recovery on high-silica groundwater.
+ * @param {object} design - Design from designMultiStageSystem, optionally with feedIons and feedPh
+ * @param {number[]} tempRange - [min, max] in °C, stepped by 5
+ * @param {number} silicaLimit - Allowed concentrate silica saturation in %
+ * @returns {object[]} One entry per temperature
+ */
+export const analyzeSystemTemperatureSensitivity = (design, tempRange = [15, 45], silicaLimit = 100) => {
   const results = [];
   
   for (let temp = tempRange[0]; temp <= tempRange[1]; temp += 5) {
@@ -254,11 +264,15 @@ export const analyzeSystemTemperatureSensitivity = (design, tempRange = [15, 45]
       feedPressure: design.feedPressure,
       feedOsmotic: design.feedOsmotic,
       feedConc: design.feedConc,
+      feedIons: design.feedIons || {},
       targetRecovery: design.targetRecovery || 0.75,
       membrane: design.membrane,
       tempCelsius: temp,
       numStages: design.numStages
     });
+    const allowableRecovery = design.feedIons
+      ? calculateSilicaLimitedRecovery(design.feedIons, design.feedPh ?? 7, temp, silicaLimit)
+      : null;
 
     results.push({
       temperature: temp,
@@ -267,14 +281,19 @@ export const analyzeSystemTemperatureSensitivity = (design, tempRange = [15, 45]
         recovery: parseFloat((s.recovery * 100).toFixed(1))
       })),
       totalRecovery: parseFloat((tempDesign.totalRecovery * 100).toFixed(1)),
-      totalPressureDrop: parseFloat(tempDesign.totalPressureDrop.toFixed(2))
+      totalPressureDrop: parseFloat(tempDesign.totalPressureDrop.toFixed(2)),
+      allowableRecovery: allowableRecovery === null ? null : parseFloat((allowableRecovery * 100).toFixed(1))
     });
   }
 
   return results;
 };
 
-export const analyzeMembraneAging = (design, yearsOfOperation = [0, 2, 5]) => {
+export const analyzeMembraneAging = (design, yearsOfOperation = [0, 2, 5], {
+  fluxDeclinePercent = 5,
+  spIncreasePercent = 0,
+  foulingFactor = 1.0
+} = {}) => {
   const results = [];
 
   yearsOfOperation.forEach(years => {
@@ -283,11 +302,14 @@ export const analyzeMembraneAging = (design, yearsOfOperation = [0, 2, 5]) => {
       feedPressure: design.feedPressure,
       feedOsmotic: design.feedOsmotic,
       feedConc: design.feedConc,
+      feedIons: design.feedIons || {},
       targetRecovery: design.targetRecovery || 0.75,
       membrane: design.membrane,
       tempCelsius: design.tempCelsius || 25,
       numStages: design.numStages,
-      fluxDeclinePercent: 5,
+      fluxDeclinePercent,
+      spIncreasePercent,
+      foulingFactor,
       membraneAgeYears: years
     });
 
@@ -295,10 +317,12 @@ export const analyzeMembraneAging = (design, yearsOfOperation = [0, 2, 5]) => {
       yearsOfOperation: years,
       stages: agedDesign.stages.map(s => ({
         flux: parseFloat(s.flux.toFixed(2)),
-        dynamicAValue: parseFloat(s.dynamicAValue.toFixed(3))
+        dynamicAValue: parseFloat(s.dynamicAValue.toFixed(3)),
+        requiredPressure: parseFloat(s.requiredPressure.toFixed(2))
       })),
       totalRecovery: parseFloat((agedDesign.totalRecovery * 100).toFixed(1)),
-      totalPressureDrop: parseFloat(agedDesign.totalPressureDrop.toFixed(2))
+      totalPressureDrop: parseFloat(agedDesign.totalPressureDrop.toFixed(2)),
+      permeateConc: parseFloat(agedDesign.finalPermeateConc.toFixed(1))
     });
   });
 
@@ -317,7 +341,7 @@ export const compareMembraneOptions = (feedFlow, feedIons, targetRecovery, membr
   const results = [];
 
   membraneIds.forEach(membraneId => {
-    const membrane = getMembrane(membraneId);
+    const membrane = resolveMembrane(membraneId);
     if (!membrane) return;
 
     try {
@@ -1,5 +1,32 @@
 /* ================= IMSDesign Hydraulic Engine (REFINED) ================= */
 
+import {
+  calculatePumpPower,
+  calculateEnergyRecovery,
+  PUMP_LIBRARY,
+  DEFAULT_PUMP_MODELS,
+  equilibrateCarbonateIons,
+  speciateCarbonateIons,
+  equilibrateCarbonate,
+  calculateIonicStrength,
+  calculateWaterSaturations,
+  selectScalingIndex,
+  getBorateFraction,
+  calculateTCF,
+  calculateAgingFactors,
+  calculateEnergyBalance,
+  calculateMonthlyCost
+} from '../engines/calculationEngine';
+import {
+  resolveMembrane,
+  DEFAULT_MEMBRANE_ID,
+  DATASHEET_SOLUTE_IONS,
+  getArea,
+  getAValue,
+  getMembraneB,
+  getIonBFactor
+} from '../engines/membraneEngine';
+
 export const FLOW_TO_M3H = {
   gpm: 0.2271247, // 3.78541 * 60 / 1000
   m3h: 1,
@@ -12,6 +39,13 @@ export const FLOW_TO_M3H = {
   mld: 41.6667,  // (1000 / 24)
 };
 
+// Decimals shown for a flow in each display unit
+const getFlowDecimals = (unit) => {
+  if (['gpd', 'm3/d', 'm3d'].includes(unit)) return 1;
+  if (['mgd', 'migd', 'mld'].includes(unit)) return 3;
+  return 2;
+};
+
 // Flux Constants for 400 ft2 membranes (Standard baseline)
 // For GFD (GPM): 400 / 1440 = 0.27778
 // For LMH (m3/h): (400 * 0.092903) / 1000 = 0.03716
@@ -21,37 +55,329 @@ export const FLUX_CONSTANTS = {
   m3d: 0.89186,  
 };
 
-export const MEMBRANES = [
-  {
-    id: 'espa2ld',
-    name: 'ESPA2-LD-4040',
-    area: 80,
-    areaM2: 7.43,
-    aValue: 4.43,
-    rejection: 99.6,
-  },
-  {
-    id: 'cpa3',
-    name: 'CPA3-8040',
-    area: 400,
-    areaM2: 37.16,
-    aValue: 3.16,
-    rejection: 99.7,
-  },  
-  {
-    id: 'lfc3ld4040',
-    name: 'LFC3-LD-8040',
-    area: 400,
-    areaM2: 37.16,
-    rejection: 99.6,
-    aValue: 3.16
-  }
-];
-
 export const BAR_TO_PSI = 14.5038;
 export const M3H_TO_GPM = 1 / 0.2271247;
 export const LMH_TO_GFD = 1 / 1.6976; 
 
+// ============================================
+// ELEMENT-BY-ELEMENT VESSEL SOLVER
+// ============================================
+
+// Linear osmotic coefficient (bar per mg/L) used throughout this engine
+const OSMOTIC_COEFF_BAR = 0.00072;
+// Upper bound for concentration polarization (industry design limit region)
+const MAX_BETA = 1.35;
+// Nominal rejection is quoted at this flux (lmh); per-ion B-values are derived from it
+const TEST_FLUX_LMH = 25;
+// Boron rejection on datasheets is quoted at this feed pH
+const BORON_TEST_PH = 8.0;
+
+// Dissolved gases (CO2, free NH3) do not count towards TDS
+const DISSOLVED_GASES = ['co2', 'nh3'];
+const sumIons = (ions) => Object.entries(ions || {}).reduce((sum, [ion, v]) => sum + (DISSOLVED_GASES.includes(ion) ? 0 : Number(v) || 0), 0);
+
+// An input counts as entered when it reads as a finite number (0 included)
+const hasValue = (v) => v !== undefined && v !== null && v !== '' && Number.isFinite(Number(v));
+// Feed temperature of the inputs in °C (inputs carry °F; 25°C when none is entered)
+const toCelsius = (inputs) => (hasValue(inputs.tempF) ? (Number(inputs.tempF) - 32) * 5 / 9 : 25);
+
+// Project membranes first, then the membrane registry
+const findMembrane = (membraneId, membranes = []) => (
+  resolveMembrane(membraneId, membranes) || resolveMembrane(DEFAULT_MEMBRANE_ID)
+);
+
+/**
+ * Build the solver constants for one element model.
+ * @param {Object} membrane - Current-schema membrane record (see resolveMembrane)
+ * @param {string[]} ionKeys - Ions present in the feed
+ * @returns {Object} Element constants in lmh, bar, m2 and m3/h
+ */
+const buildElementModel = (membrane, ionKeys) => {
+  const membraneId = (membrane.id || '').toLowerCase();
+  const area = getArea(membrane);
+  // Adjusted dP for 4040 elements (smaller flow channels -> higher resistance)
+  const is4040 = area < 15;
+  const transport = membrane.transport;
+
+  // Per-ion B-values (lmh): engine B times the solute factor, otherwise back-calculated
+  // from the nominal rejection at test flux (base rejection keeps ions summing to target TDS)
+  const baseRejection = Number(membrane.rejection) || 99.3;
+  const getIonB = (ion) => {
+    if (transport?.membraneBRef) {
+      return getMembraneB(membrane) * getIonBFactor(membrane, ion);
+    }
+    if (DISSOLVED_GASES.includes(ion.toLowerCase())) {
+      // Dissolved CO2 and NH3 are barely rejected; invert SP = B / (J + B) exactly rather than B ≈ J·SP
+      const gasRej = Math.min(Math.max(Number(membrane[`${ion.toLowerCase()}Rejection`]) || 0, 0), 99.9) / 100;
+      return TEST_FLUX_LMH * (1 - gasRej) / Math.max(gasRej, 0.001);
+    }
+    // Boron is listed on the datasheet as boronRejection
+    const rejectionKey = ion.toLowerCase() === 'b' ? 'boronRejection' : `${ion.toLowerCase()}Rejection`;
+    const ionRej = (Number(membrane[rejectionKey]) || baseRejection) / 100;
+    return TEST_FLUX_LMH * (1 - ionRej);
+  };
+  const ionB = Object.fromEntries(ionKeys.map(ion => [ion, getIonB(ion)]));
+
+  // Nominal boron rejection is quoted at pH 8 on the test solution. Borate is rejected like
+  // chloride, so the boric acid B is whatever makes the blend match the nominal figure.
+  const isSeawater = /sea/i.test(String(membrane.type || ''));
+  const testBorateFraction = getBorateFraction(BORON_TEST_PH, 25, isSeawater ? 32000 : 2000);
+  const borateB = getIonB('cl');
+  const boricB = Math.max((getIonB('b') - testBorateFraction * borateB) / (1 - testBorateFraction), borateB);
+
+  return {
+    membraneId,
+    area,
+    aValue: getAValue(membrane),
+    ionB,
+    boronB: { boric: boricB, borate: borateB },
+    kMt: Number(transport?.kMtRef) || (is4040 ? 900 : 410),
+    flowRefKmt: is4040 ? 3.6 : 16.0,
+    dpCoeff: is4040 ? 0.35 : 0.16,
+    nominalFlowDP: is4040 ? 3.5 : 15.5 // Nominal flow in m3/h for dP basis
+  };
+};
+
+/**
+ * Age an element model: water permeability falls by the flux decline and the fouling
+ * factor, salt permeability rises with the salt passage increase, both compounding per year.
+ * @param {Object} model - buildElementModel result (new element at 25°C)
+ * @param {Object} aging - { membraneAge (years), fluxDeclinePerYear, spIncreasePerYear (%), foulingFactor }
+ * @returns {Object} Element model with aged aValue, ionB and boronB
+ */
+const ageElementModel = (model, { membraneAge, fluxDeclinePerYear, spIncreasePerYear, foulingFactor }) => {
+  const { aFactor, bFactor } = calculateAgingFactors({
+    membraneAgeYears: membraneAge,
+    fluxDeclinePercent: fluxDeclinePerYear,
+    spIncreasePercent: spIncreasePerYear,
+    foulingFactor
+  });
+  if (aFactor === 1 && bFactor === 1) return model;
+
+  return {
+    ...model,
+    aValue: model.aValue * aFactor,
+    ionB: Object.fromEntries(Object.entries(model.ionB).map(([ion, b]) => [ion, b * bFactor])),
+    boronB: { boric: model.boronB.boric * bFactor, borate: model.boronB.borate * bFactor }
+  };
+};
+
+/**
+ * Solve a single element at a fixed inlet pressure.
+ * Local flux, polarization and osmotic pressure are resolved iteratively because
+ * the element recovery sets both the log-mean concentration and the pressure drop.
+ * @param {Object} params - Element inlet conditions and element model (flows in m3/h, pressures in bar)
+ * @returns {Object} Element performance with numeric values
+ */
+const solveElement = ({ feedFlow, feedIons, feedPressure, permeatePressure, model, ph, tempC = 25 }) => {
+  const { area, kMt, flowRefKmt, dpCoeff, nominalFlowDP } = model;
+  const feedTds = sumIons(feedIons);
+  // Model constants are at 25°C: water and salt permeability both rise with temperature
+  const elementTempC = hasValue(tempC) ? Number(tempC) : 25;
+  const tcfB = calculateTCF(elementTempC, 'B');
+  const aValue = model.aValue * calculateTCF(elementTempC, 'A');
+  const ionB = Object.fromEntries(Object.entries(model.ionB).map(([ion, b]) => [ion, b * tcfB]));
+  // Boron passes mostly as uncharged boric acid; the borate share at the element feed pH,
+  // temperature and salinity is rejected like chloride
+  if (model.boronB && ph != null && Number.isFinite(Number(ph))) {
+    const borate = getBorateFraction(Number(ph), tempC, feedTds);
+    ionB.b = (borate * model.boronB.borate + (1 - borate) * model.boronB.boric) * tcfB;
+  }
+  let permeateIons = {};
+  let permeateTds = 0;
+  let state = {};
+
+  // Element permeate flow implied by an assumed permeate flow
+  const evaluate = (qp) => {
+    const qc = Math.max(feedFlow - qp, feedFlow * 0.01);
+    const cf = feedFlow / qc;
+    const logMeanFactor = cf > 1.0001 ? (cf - 1) / Math.log(cf) : 1;
+    const qAvg = (feedFlow + qc) / 2;
+
+    const dp = dpCoeff * Math.pow(Math.max(qAvg, 0.01) / nominalFlowDP, 1.7);
+    const kLocal = kMt * Math.pow(Math.max(qAvg, 0.1) / flowRefKmt, 0.8);
+    const flux = area > 0 ? (qp * 1000) / area : 0;
+    const beta = Math.min(MAX_BETA, Math.max(1, Math.exp(flux / Math.max(kLocal, 1))));
+
+    // Salt passage at the assumed flux, so the permeate osmotic pressure is consistent with it
+    const nextPermeateIons = {};
+    Object.entries(feedIons).forEach(([ion, val]) => {
+      const b = ionB[ion] ?? 0;
+      const cWall = (Number(val) || 0) * logMeanFactor * beta;
+      nextPermeateIons[ion] = b > 0 ? cWall * b / (Math.max(flux, 0.1) + b) : 0;
+    });
+    permeateIons = nextPermeateIons;
+    permeateTds = sumIons(permeateIons);
+
+    const piAvg = OSMOTIC_COEFF_BAR * feedTds * logMeanFactor;
+    const piPerm = OSMOTIC_COEFF_BAR * permeateTds;
+    const ndp = feedPressure - 0.5 * dp - permeatePressure - (piAvg * beta - piPerm);
+    const fluxNew = Math.max(aValue * ndp, 0);
+    state = { dp, beta, piAvg, ndp };
+
+    // Keep at least 10% of the element feed on the concentrate side
+    return Math.min((fluxNew * area) / 1000, feedFlow * 0.9);
+  };
+
+  // More permeate concentrates the element and polarizes the membrane, so the implied flow
+  // falls as the assumed flow rises: bisect on the residual rather than substituting, which
+  // can oscillate when the net driving pressure is small
+  let low = 0;
+  let high = feedFlow * 0.9;
+  for (let iter = 0; iter < 60 && high - low > 1e-9 * Math.max(feedFlow, 1); iter++) {
+    const mid = (low + high) / 2;
+    if (evaluate(mid) > mid) low = mid;
+    else high = mid;
+  }
+  const qp = (low + high) / 2;
+  evaluate(qp);
+
+  const concFlow = feedFlow - qp;
+  const concIons = Object.fromEntries(
+    Object.entries(feedIons).map(([ion, val]) => [
+      ion,
+      concFlow > 0 ? Math.max(((Number(val) || 0) * feedFlow - (permeateIons[ion] || 0) * qp) / concFlow, 0) : 0
+    ])
+  );
+
+  return {
+    membraneId: model.membraneId,
+    feedFlow,
+    permeateFlow: qp,
+    concFlow,
+    feedPressure,
+    concPressure: feedPressure - state.dp,
+    pressureDrop: state.dp,
+    flux: (qp * 1000) / Math.max(area, 0.001),
+    beta: state.beta,
+    ndp: state.ndp,
+    osmoticPressure: state.piAvg,
+    feedTds,
+    permeateTds,
+    concTds: sumIons(concIons),
+    permeateIons,
+    concIons
+  };
+};
+
+/**
+ * Flow-weighted blend of permeate streams.
+ * @param {Array<{flow: number, ions: Object}>} streams
+ * @returns {Object} { flow, ions }
+ */
+const blendStreams = (streams) => {
+  const flow = streams.reduce((sum, s) => sum + s.flow, 0);
+  const mass = {};
+  streams.forEach((s) => {
+    Object.entries(s.ions).forEach(([ion, c]) => {
+      mass[ion] = (mass[ion] || 0) + c * s.flow;
+    });
+  });
+  const ions = Object.fromEntries(Object.entries(mass).map(([ion, m]) => [ion, flow > 0 ? m / flow : 0]));
+  return { flow, ions };
+};
+
+/**
+ * March one pressure vessel element by element.
+ * The concentrate (flow, ions and pressure) of element N is the feed of element N+1.
+ * @param {Object} params - Vessel inlet conditions (feedPh, tempC for boron speciation) plus one element model per position
+ * @returns {Object} { elements, permeateFlow, permeateIons, concFlow, concIons, concPressure }
+ */
+const marchVesselElements = ({ feedFlow, feedIons, feedPressure, permeatePressure, elementModels, feedPh, tempC }) => {
+  const elements = [];
+  let flow = feedFlow;
+  let ions = { ...feedIons };
+  let pressure = feedPressure;
+
+  elementModels.forEach((model, i) => {
+    // pH rises along the vessel as the carbonate concentrates while CO2 permeates; free NH3
+    // permeates too and re-forms from the concentrating NH4+ at the new pH
+    const equilibrium = equilibrateCarbonateIons(ions, tempC);
+    const ph = equilibrium.ph ?? feedPh;
+    if (equilibrium.ions.nh3 !== undefined) ions = { ...ions, nh4: equilibrium.ions.nh4, nh3: equilibrium.ions.nh3 };
+    const element = solveElement({ feedFlow: flow, feedIons: ions, feedPressure: pressure, permeatePressure, model, ph, tempC });
+    elements.push({ position: i + 1, ...element });
+    flow = element.concFlow;
+    ions = element.concIons;
+    pressure = element.concPressure;
+  });
+
+  const permeate = blendStreams(elements.map(e => ({ flow: e.permeateFlow, ions: e.permeateIons })));
+
+  return { elements, permeateFlow: permeate.flow, permeateIons: permeate.ions, concFlow: flow, concIons: ions, concPressure: pressure };
+};
+
+/**
+ * March the full array. Each stage is fed by the combined concentrate of the previous
+ * stage, split evenly over its own vessels. Interstage boosters raise the inlet pressure
+ * of stages 2+, and a stage-specific permeate back-pressure overrides the global one.
+ * @param {Object} params - { feedFlow (m3/h), feedIons, feedPressure (bar), permeatePressure, stageModels, feedPh, tempC }
+ * @returns {Object} { stages, permeateFlow, permeateIons, concFlow, concIons, concPressure }
+ */
+const marchArray = ({ feedFlow, feedIons, feedPressure, permeatePressure, stageModels, feedPh, tempC }) => {
+  const stages = [];
+  let flow = feedFlow;
+  let ions = feedIons;
+  let pressure = feedPressure;
+
+  stageModels.forEach((stageModel, idx) => {
+    const boostBar = idx > 0 ? stageModel.boostBar : 0;
+    const stagePermeatePressure = stageModel.permeatePressureBar ?? permeatePressure;
+    const vessel = marchVesselElements({
+      feedFlow: flow / stageModel.vessels,
+      feedIons: ions,
+      feedPressure: pressure + boostBar,
+      permeatePressure: stagePermeatePressure,
+      elementModels: stageModel.elementModels,
+      feedPh,
+      tempC
+    });
+    stages.push({
+      ...stageModel,
+      vessel,
+      boostBar,
+      permeatePressureBar: stagePermeatePressure,
+      feedFlow: flow,
+      feedIons: ions,
+      feedPressure: pressure + boostBar,
+      permeateFlow: vessel.permeateFlow * stageModel.vessels,
+      concFlow: vessel.concFlow * stageModel.vessels
+    });
+    flow = vessel.concFlow * stageModel.vessels;
+    ions = vessel.concIons;
+    pressure = vessel.concPressure;
+  });
+
+  const permeate = blendStreams(stages.map(s => ({ flow: s.permeateFlow, ions: s.vessel.permeateIons })));
+
+  return { stages, permeateFlow: permeate.flow, permeateIons: permeate.ions, concFlow: flow, concIons: ions, concPressure: pressure };
+};
+
+/**
+ * Find the lead-element inlet pressure that produces the target array permeate flow.
+ * Array permeate rises monotonically with inlet pressure, so a bisection is robust.
+ * @param {Object} params - marchArray params plus targetPermeate (m3/h)
+ * @returns {Object} The marched array at the solved inlet pressure
+ */
+const solveArrayFeedPressure = ({ targetPermeate, ...params }) => {
+  let low = params.permeatePressure;
+  let high = params.permeatePressure + 20;
+  while (marchArray({ ...params, feedPressure: high }).permeateFlow < targetPermeate && high < 400) {
+    high *= 2;
+  }
+  for (let iter = 0; iter < 50; iter++) {
+    const mid = (low + high) / 2;
+    if (marchArray({ ...params, feedPressure: mid }).permeateFlow < targetPermeate) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+    if (high - low < 1e-4) break;
+  }
+  return { ...marchArray({ ...params, feedPressure: high }), feedPressure: high };
+};
+
+
 export const calculateSystem = (inputs) => {
   const {
     feedFlow = 0,
@@ -67,8 +393,8 @@ export const calculateSystem = (inputs) => {
 
   const originalUnit = flowUnit;
   const isGpmInput = ['gpm', 'gpd', 'mgd', 'migd'].includes(originalUnit);
-  const recPct = Number(recovery) || 50;
-  const recFrac = recPct / 100;
+  // Feed-pressure mode: the entered pressure drives the array and recovery becomes a result
+  const pressureMode = Number(inputs.feedPressure) > 0;
 
   //  Unit Normalization (CRITICAL)
   const Q_raw = Number(feedFlow) || 0;
@@ -76,164 +402,225 @@ export const calculateSystem = (inputs) => {
   const unitFactor = FLOW_TO_M3H[unitKey] || FLOW_TO_M3H['gpm'];
   const totalFeedM3h = Q_raw * unitFactor;
 
-  //  Per-Vessel Flow Calculation
-  const numVessels = Math.max(Number(vessels) || 1, 1);
-  const Q_vessel_feed = totalFeedM3h / numVessels;
-  const Q_vessel_perm = Q_vessel_feed * recFrac;
-  const Q_vessel_conc = Q_vessel_feed - Q_vessel_perm;
-
-  //  Membrane Area per Vessel
+  //  Array definition: each active stage carries its own membrane, vessels and elements
   const activeStages = Array.isArray(stages) ? stages.filter(s => Number(s?.vessels) > 0) : [];
-  const activeMembraneId = (activeStages[0]?.membraneModel || inputs.membraneModel || '').toLowerCase();
-  
-  // Try to find in provided membranes array first, then fall back to internal MEMBRANES list
-  const activeMembrane = (Array.isArray(membranes) && membranes.find(m => (m.id || '').toLowerCase() === activeMembraneId)) || 
-                         MEMBRANES.find(m => (m.id || '').toLowerCase() === activeMembraneId) || 
-                         MEMBRANES[0] || {};
-  
-  // SANITIZE A-VALUE: If it looks like gfd/psi (e.g. 0.12), convert to lmh/bar (2.95)
-  const getSanitizedAValue = (m) => {
-    let a = Number(m?.aValue);
-    if (isNaN(a) || a <= 0) return 3.16;
-    if (a < 1.0) return a * 24.62; // Convert gfd/psi to lmh/bar (1.6976 * 14.5038)
-    return a;
+  const stageDefs = activeStages.length > 0 ? activeStages : [{
+    membraneModel: inputs.membraneModel,
+    vessels: Math.max(Number(vessels) || 1, 1),
+    elementsPerVessel
+  }];
+
+  // Stage pressures are entered in display units (psi for US flow units, bar otherwise)
+  const inputToBar = (p) => (isGpmInput ? p / BAR_TO_PSI : p);
+
+  const feedPh = Number(inputs.feedPH ?? inputs.feedPh) || 7.0;
+  const tempC = toCelsius(inputs);
+
+  // Feed alkalinity is speciated at the feed pH, so the CO2 carried through the array is consistent with it
+  const normalizedFeedIons = speciateCarbonateIons(
+    Object.fromEntries(Object.entries(feedIons || {}).map(([ion, val]) => [ion, Number(val) || 0])),
+    feedPh,
+    tempC
+  ).ions;
+  const ionKeys = Object.keys(normalizedFeedIons);
+
+  // One element model per membrane id, shared by every position that uses it; every
+  // element in the array is taken to be the same age
+  const modelCache = {};
+  const getElementModel = (membraneId) => {
+    const key = (membraneId || '').toLowerCase();
+    if (!modelCache[key]) modelCache[key] = ageElementModel(buildElementModel(findMembrane(membraneId, membranes), ionKeys), inputs);
+    return modelCache[key];
   };
 
-  const areaPerMembrane = (activeMembraneId === 'espa2ld') ? 7.43 : (Number(activeMembrane.areaM2) || (Number(activeMembrane.area || 80) * 0.09290304));
-  const totalAreaPerVessel = (Number(elementsPerVessel) || 1) * areaPerMembrane;
+  const stageModels = stageDefs.map((stage) => {
+    const membrane = findMembrane(stage.membraneModel || inputs.membraneModel, membranes);
+    const elementCount = Math.max(Math.round(Number(stage.elementsPerVessel) || Number(elementsPerVessel) || 1), 1);
+    // Internally staged (hybrid) vessels list a membrane per position; blanks use the stage membrane
+    const elementModels = Array.from({ length: elementCount }, (_, i) => (
+      getElementModel(stage.elementMembranes?.[i] || stage.membraneModel || inputs.membraneModel)
+    ));
+    const vesselCount = Math.max(Number(stage.vessels) || 1, 1);
+    return {
+      membrane,
+      vessels: vesselCount,
+      elementCount,
+      elementModels,
+      hybrid: new Set(elementModels.map(m => m.membraneId)).size > 1,
+      area: elementModels.reduce((sum, m) => sum + m.area, 0) * vesselCount,
+      boostBar: Math.max(inputToBar(Number(stage.boosterPressure) || 0), 0),
+      // Blank booster efficiency falls back to the pump library
+      boosterEfficiency: hasValue(stage.boosterEfficiency) && Number(stage.boosterEfficiency) > 0
+        ? Math.min(Math.max(Number(stage.boosterEfficiency), 10), 100) / 100
+        : undefined,
+      permeatePressureBar: hasValue(stage.permeatePressure) ? Math.max(inputToBar(Number(stage.permeatePressure)), 0) : undefined,
+      // Split-partial permeate: elements 1..N discharge through the front port, the rest through the rear
+      splitElements: Math.min(Math.max(Math.round(Number(stage.splitElements) || 0), 0), elementCount)
+    };
+  });
+  const totalArea = stageModels.reduce((sum, s) => sum + s.area, 0);
+
+  const pPermBar = isGpmInput ? (Number(permeatePressure) || 0) / BAR_TO_PSI : (Number(permeatePressure) || 0);
+
+  // Element-by-element march through the cascade. Recovery mode solves the lead-element
+  // pressure that delivers the permeate; pressure mode marches once at the entered pressure
+  // (reported feed pressure = entered pressure + permeate back-pressure).
+  const arrayParams = {
+    feedFlow: totalFeedM3h,
+    feedIons: normalizedFeedIons,
+    permeatePressure: pPermBar,
+    stageModels,
+    feedPh,
+    tempC
+  };
+  const targetPermM3h = totalFeedM3h * ((Number(recovery) || 50) / 100);
+  const leadPressureBar = pressureMode ? inputToBar(Number(inputs.feedPressure)) + pPermBar : null;
+  const array = pressureMode
+    ? { ...marchArray({ ...arrayParams, feedPressure: leadPressureBar }), feedPressure: leadPressureBar }
+    : solveArrayFeedPressure({ ...arrayParams, targetPermeate: targetPermM3h });
+
+  const totalPermM3h = pressureMode ? array.permeateFlow : targetPermM3h;
+  const totalConcM3h = totalFeedM3h - totalPermM3h;
+  const recFrac = totalFeedM3h > 0 ? totalPermM3h / totalFeedM3h : 0;
+  const recPct = recFrac * 100;
 
   //  Flux Calculation
-  const fluxLmh = totalAreaPerVessel > 0 ? (Q_vessel_perm * 1000) / totalAreaPerVessel : 0;
+  const fluxLmh = totalArea > 0 ? (totalPermM3h * 1000) / totalArea : 0;
   const fluxGfd = fluxLmh / 1.6976; // Standard: 1 GFD = 1.6976 LMH
 
-  //  Net Driving Pressure (NDP)
-  const aValue = getSanitizedAValue(activeMembrane);
-  const ndpBar = fluxLmh / Math.max(aValue, 0.001);
+  const feedTds = sumIons(normalizedFeedIons);
 
-  //  Effective Osmotic Pressure (Targeting 76.5 psi at 3.2 GFD / 11.6 bar at 24 LMH)
-  const normalizedFeedIons = { ...(feedIons || {}) };
-  const feedTds = Object.values(normalizedFeedIons).reduce((sum, v) => sum + (Number(v) || 0), 0);
-  // Adjusted constant to hit target 13.7 bar at 30 LMH
-  const piFeedBar = 0.00072 * feedTds; 
-  
-  // Refined concentration factor for precise pressure alignment
-  const cfLogMean = recFrac > 0.01 ? -Math.log(1 - recFrac) / recFrac : 1;
-  const effectivePiBar = piFeedBar * cfLogMean; // Use direct log mean for better accuracy
+  // Osmotic pressures as the element march sees them: the lead element feed, and the element
+  // averages weighted by the number of elements at each position of the array
+  const marchedElements = array.stages.flatMap(stage => stage.vessel.elements.map(e => ({ ...e, count: stage.vessels })));
+  const elementCount = marchedElements.reduce((sum, e) => sum + e.count, 0);
+  const feedPiBar = marchedElements.length > 0 ? OSMOTIC_COEFF_BAR * marchedElements[0].feedTds : 0;
+  const effectivePiBar = elementCount > 0
+    ? marchedElements.reduce((sum, e) => sum + e.osmoticPressure * e.count, 0) / elementCount
+    : 0;
 
-  // TDS and Concentration Calculations (Flux-Sensitive Salt Passage)
-  const baseRejection = (Number(activeMembrane.rejection) || 99.3) / 100;
-  const testFlux = 25; 
-  
-  const permeateConcentration = {};
-  let totalIonsPermeate = 0;
-
-  Object.entries(normalizedFeedIons).forEach(([ion, val]) => {
-    const ionLower = ion.toLowerCase();
-    
-    // Consistently use membrane base rejection (e.g. 99.7%) to ensure ions sum to target TDS
-    // This avoids the discrepancy where Na/Cl were inflated relative to total TDS
-    const ionRej = (Number(activeMembrane[`${ionLower}Rejection`]) || (baseRejection * 100)) / 100;
-    const ionSPTest = 1 - ionRej;
-    const ionB = testFlux * ionSPTest;
-    
-    // Targeted Beta/Flux sensitivity for 1.13 Beta at 3.2 GFD
-    const betaFactor = 1 + (0.28 * Math.pow(recFrac, 0.5)) * (1.0 + 1.25 / Math.pow(Math.max(fluxLmh, 0.1), 0.5));
-    const ionSPActual = ionB * betaFactor / (Math.max(fluxLmh, 0.1) + ionB * betaFactor);
-    
-    const ionCavg = Number(val) * cfLogMean;
-    const ionPerm = ionCavg * ionSPActual;
-    permeateConcentration[ion] = ionPerm.toFixed(3);
-    totalIonsPermeate += ionPerm;
-  });
-
-  const runningPermTds = totalIonsPermeate;
-  const runningConcTds = Q_vessel_conc > 0 
-    ? (Q_vessel_feed * feedTds - Q_vessel_perm * runningPermTds) / Q_vessel_conc 
-    : feedTds / (1 - Math.min(recFrac, 0.99));
+  // Carbonate species cross the membrane independently (CO2 almost freely); bringing each
+  // product stream back to equilibrium at its own total carbonate and alkalinity sets its pH
+  const permeateCarbonate = equilibrateCarbonateIons(array.permeateIons, tempC);
+  const concentrateCarbonate = equilibrateCarbonateIons(array.concIons, tempC);
+  const permeatePh = permeateCarbonate.ph;
+  const concentratePh = concentrateCarbonate.ph ?? (feedPh + Math.log10(1 / (1 - Math.min(recFrac, 0.99))));
+  const concentrateScaling = calculateWaterSaturations(concentrateCarbonate.ions, tempC, concentratePh);
 
-  // Pressure Drop per Vessel (Targeting exactly 2.0 psi dP at 12 gpm / 1.7 bar at 15.6 m3/h)
-  const Q_avg = (Q_vessel_feed + Q_vessel_conc) / 2;
-  
-  // Adjusted dP for 4040 elements (smaller flow channels -> higher resistance)
-  const is4040 = areaPerMembrane < 15;
-  const nominalFlowDP = is4040 ? 3.5 : 15.5; // Nominal flow in m3/h for dP basis
-  const flowFactor = Math.pow(Math.max(Q_avg, 0.01) / nominalFlowDP, 1.7);
-  const dpPerElement = (is4040 ? 0.35 : 0.16) * flowFactor; 
-  const dpVesselBar = (Number(elementsPerVessel) || 1) * Math.max(dpPerElement, 0.0001);
+  const permeateConcentration = Object.fromEntries(
+    Object.entries(permeateCarbonate.ions).map(([ion, val]) => [ion, val.toFixed(3)])
+  );
+  const runningPermTds = sumIons(permeateCarbonate.ions);
+  const runningConcTds = sumIons(concentrateCarbonate.ions);
 
-  const pPermBar = isGpmInput ? (Number(permeatePressure) || 0) / 14.5038 : (Number(permeatePressure) || 0);
-  
-  // Vessel Distribution Factors (Targeting 1.204 ratio at 160 LMH)
-  const distributionFactor = fluxLmh > 0 
-    ? (is4040 ? (1.25 + 2.5 / Math.pow(Math.max(fluxLmh, 0.1), 0.7)) : (1.185 + 3.2 / Math.pow(Math.max(fluxLmh, 0.1), 0.7))) 
-    : 1.15;
-  const highestFluxLmh = fluxLmh * distributionFactor;
-
-  // Beta (Concentration Polarization) calculation: Target exactly 1.25
-  const highestBeta = 1 + (0.31 * Math.pow(recFrac, 0.5)) * (1.0 + 1.25 / Math.pow(Math.max(fluxLmh, 0.1), 0.5));
-
-  // If feedPressure is provided as an input, use it. Otherwise calculate it.
-  let feedPressureBar;
-  if (inputs.feedPressure && Number(inputs.feedPressure) > 0) {
-    const baseP = isGpmInput ? Number(inputs.feedPressure) / 14.5038 : Number(inputs.feedPressure);
-    feedPressureBar = baseP + pPermBar;
-  } else {
-    // Correct formula for Lead Element Pressure matching expected 62.41
-    const leadFluxP = highestFluxLmh / Math.max(aValue, 0.001);
-    const leadOsmoticP = piFeedBar * highestBeta;
-    feedPressureBar = leadFluxP + leadOsmoticP + 0.2 + pPermBar; // 0.2 bar offset for lead element entry
-  }
-  
-  const concPressureBar = feedPressureBar - dpVesselBar;
+  const feedPressureBar = array.feedPressure;
+  const concPressureBar = array.concPressure;
 
   const BAR_TO_PSI_STEP = 14.5038;
   const displayFeedP = isGpmInput ? feedPressureBar * BAR_TO_PSI_STEP : feedPressureBar;
   const displayConcP = isGpmInput ? concPressureBar * BAR_TO_PSI_STEP : concPressureBar;
   const pUnit = isGpmInput ? 'psi' : 'bar';
-  
-  const highestFluxGfd = highestFluxLmh / 1.6976;
 
   const displayFlux = isGpmInput ? fluxGfd : fluxLmh;
-  const displayHighestFlux = isGpmInput ? highestFluxGfd : highestFluxLmh;
   const fluxUnit = isGpmInput ? 'gfd' : 'lmh';
 
-  const Q_vessel_feed_disp = isGpmInput ? Q_vessel_feed * M3H_TO_GPM : Q_vessel_feed;
-  const Q_vessel_conc_disp = isGpmInput ? Q_vessel_conc * M3H_TO_GPM : Q_vessel_conc;
-  const totalFeed_disp = isGpmInput ? totalFeedM3h * M3H_TO_GPM : totalFeedM3h;
-
-  // Result per vessel mapping
-  const stageResults = activeStages.length > 0 ? activeStages.map((stage, idx) => ({
-    index: idx + 1,
-    vessels: stage.vessels,
-    feedPressure: (displayFeedP - (idx * (Number(stage.elementsPerVessel) || 0) * (isGpmInput ? dpPerElement * 14.5038 : dpPerElement))).toFixed(2),
-    concPressure: (displayConcP - (idx * (Number(stage.elementsPerVessel) || 0) * (isGpmInput ? dpPerElement * 14.5038 : dpPerElement))).toFixed(2),
-    feedFlow: totalFeed_disp.toFixed(2), // Match expected requirement: show total feed in Feed column
-    concFlow: Q_vessel_conc_disp.toFixed(2), // Match expected requirement: show per-vessel conc
-    flux: displayFlux.toFixed(1),
-    highestFlux: displayHighestFlux.toFixed(1),
-    highestBeta: highestBeta.toFixed(2),
-    pressureUnit: pUnit,
-    fluxUnit: fluxUnit
-  })) : [{
-    index: 1,
-    vessels: numVessels,
-    feedPressure: displayFeedP.toFixed(2),
-    concPressure: displayConcP.toFixed(2),
-    feedFlow: totalFeed_disp.toFixed(2),
-    concFlow: Q_vessel_conc_disp.toFixed(2),
-    flux: displayFlux.toFixed(1),
-    highestFlux: displayHighestFlux.toFixed(1),
-    highestBeta: highestBeta.toFixed(2),
-    pressureUnit: pUnit,
-    fluxUnit: fluxUnit
-  }];
+  // Display conversions (flows per vessel unless noted)
+  const toFlow = (q) => (isGpmInput ? q * M3H_TO_GPM : q);
+  const toPressure = (p) => (isGpmInput ? p * BAR_TO_PSI_STEP : p);
+  const toFlux = (j) => (isGpmInput ? j / 1.6976 : j);
 
-  const getFlowDecimals = (unit) => {
-    if (['gpm', 'm3/h', 'm3h'].includes(unit)) return 2;
-    if (['gpd', 'm3/d', 'm3d'].includes(unit)) return 1;
-    if (['mgd', 'migd', 'mld'].includes(unit)) return 3;
-    return 2;
-  };
+  // Result per stage mapping
+  // Interstage booster power per train (kW); booster flow is the full stage feed
+  const stageBoosterKw = array.stages.map(stage => (
+    stage.boostBar > 0 ? calculatePumpPower(
+      stage.boostBar,
+      stage.feedFlow,
+      stage.boosterEfficiency ?? PUMP_LIBRARY[DEFAULT_PUMP_MODELS.booster].bepEfficiency
+    ) : 0
+  ));
+  const boosterPowerKw = stageBoosterKw.reduce((sum, kw) => sum + kw, 0);
+
+  // Front/rear permeate per stage; stages without a split report everything as rear permeate
+  const stageSplits = array.stages.map(({ vessel, vessels, splitElements }) => {
+    const collect = (elements) => blendStreams(elements.map(e => ({ flow: e.permeateFlow * vessels, ions: e.permeateIons })));
+    return {
+      front: collect(vessel.elements.slice(0, splitElements)),
+      rear: collect(vessel.elements.slice(splitElements))
+    };
+  });
+  const frontPermeate = blendStreams(stageSplits.map(split => split.front));
+  const rearPermeate = blendStreams(stageSplits.map(split => split.rear));
+  const frontCarbonate = equilibrateCarbonateIons(frontPermeate.ions, tempC);
+  const rearCarbonate = equilibrateCarbonateIons(rearPermeate.ions, tempC);
+  const hasSplit = stageModels.some(stage => stage.splitElements > 0);
+
+  const stageResults = array.stages.map((stage, idx) => {
+    const { vessel } = stage;
+    const stageFluxLmh = stage.area > 0 ? (stage.permeateFlow * 1000) / stage.area : 0;
+    // Lead-element flux and tail-element beta come straight from the march
+    const highestFluxLmh = Math.max(...vessel.elements.map(e => e.flux));
+    const highestBeta = Math.max(...vessel.elements.map(e => e.beta));
+    const stagePermTds = sumIons(vessel.permeateIons);
+
+    return {
+      index: idx + 1,
+      vessels: stage.vessels,
+      membraneModel: stage.membrane.id,
+      hybrid: stage.hybrid,
+      elementMembranes: stage.elementModels.map(m => m.membraneId),
+      feedPressure: toPressure(stage.feedPressure).toFixed(2),
+      concPressure: toPressure(vessel.concPressure).toFixed(2),
+      feedFlow: toFlow(stage.feedFlow).toFixed(2), // Match expected requirement: show stage feed in Feed column
+      concFlow: toFlow(vessel.concFlow).toFixed(2), // Match expected requirement: show per-vessel conc
+      permeateFlow: toFlow(stage.permeateFlow).toFixed(2),
+      permeateTds: stagePermTds.toFixed(2),
+      recovery: (stage.feedFlow > 0 ? (stage.permeateFlow / stage.feedFlow) * 100 : 0).toFixed(1),
+      boosterPressure: toPressure(stage.boostBar).toFixed(2),
+      boosterPowerKw: stageBoosterKw[idx].toFixed(2),
+      permeatePressure: toPressure(stage.permeatePressureBar).toFixed(2),
+      splitElements: stage.splitElements,
+      frontPermeateFlow: toFlow(stageSplits[idx].front.flow).toFixed(2),
+      frontPermeateTds: sumIons(stageSplits[idx].front.ions).toFixed(2),
+      rearPermeateFlow: toFlow(stageSplits[idx].rear.flow).toFixed(2),
+      rearPermeateTds: sumIons(stageSplits[idx].rear.ions).toFixed(2),
+      flux: toFlux(stageFluxLmh).toFixed(1),
+      highestFlux: toFlux(highestFluxLmh).toFixed(1),
+      highestBeta: highestBeta.toFixed(2),
+      pressureUnit: pUnit,
+      fluxUnit: fluxUnit,
+      permeateConcentration: Object.fromEntries(
+        Object.entries(vessel.permeateIons).map(([ion, val]) => [ion, val.toFixed(3)])
+      ),
+      elementResults: vessel.elements.map(e => ({
+        position: e.position,
+        membraneModel: e.membraneId,
+        feedFlow: toFlow(e.feedFlow).toFixed(2),
+        permeateFlow: toFlow(e.permeateFlow).toFixed(3),
+        concFlow: toFlow(e.concFlow).toFixed(2),
+        feedPressure: toPressure(e.feedPressure).toFixed(2),
+        concPressure: toPressure(e.concPressure).toFixed(2),
+        pressureDrop: toPressure(e.pressureDrop).toFixed(2),
+        osmoticPressure: toPressure(e.osmoticPressure).toFixed(2),
+        ndp: toPressure(e.ndp).toFixed(2),
+        flux: toFlux(e.flux).toFixed(1),
+        beta: e.beta.toFixed(2),
+        feedTds: e.feedTds.toFixed(1),
+        permeateTds: e.permeateTds.toFixed(2),
+        concTds: e.concTds.toFixed(1),
+        pressureUnit: pUnit,
+        fluxUnit: fluxUnit
+      }))
+    };
+  });
+
+  const formatSplitStream = (stream, carbonate) => ({
+    flow: (stream.flow / unitFactor).toFixed(getFlowDecimals(originalUnit)),
+    tds: sumIons(carbonate.ions).toFixed(2),
+    ph: carbonate.ph != null ? carbonate.ph.toFixed(2) : null,
+    permeateConcentration: Object.fromEntries(
+      Object.entries(carbonate.ions).map(([ion, val]) => [ion, val.toFixed(3)])
+    )
+  });
 
   return {
     results: {
@@ -244,41 +631,1091 @@ export const calculateSystem = (inputs) => {
       feedPressure: displayFeedP.toFixed(1),
       concPressure: displayConcP.toFixed(1),
       recovery: recPct.toFixed(1),
-      osmoticPressure: (isGpmInput ? piFeedBar * 14.5038 : piFeedBar).toFixed(2),
-      effectiveOsmoticPressure: (isGpmInput ? effectivePiBar * 14.5038 : effectivePiBar).toFixed(2),
+      osmoticPressure: toPressure(feedPiBar).toFixed(2),
+      effectiveOsmoticPressure: toPressure(effectivePiBar).toFixed(2),
+      boosterPowerKw: boosterPowerKw.toFixed(2),
+      operatingMode: pressureMode ? 'pressure' : 'recovery',
       pressureUnit: pUnit
     },
     trainInfo: {
-      feedPh: inputs.feedPh || 7.0,
+      feedPh,
       feedFlow: Q_raw.toFixed(getFlowDecimals(originalUnit)),
       flowUnit: originalUnit,
       recovery: recPct.toFixed(1),
-      permeateFlow: (Q_vessel_perm * numVessels / unitFactor).toFixed(getFlowDecimals(originalUnit)),
-      concentrateFlow: (Q_vessel_conc * numVessels / unitFactor).toFixed(getFlowDecimals(originalUnit)),
+      permeateFlow: (totalPermM3h / unitFactor).toFixed(getFlowDecimals(originalUnit)),
+      concentrateFlow: (totalConcM3h / unitFactor).toFixed(getFlowDecimals(originalUnit)),
+    },
+    permeateParameters: {
+      tds: runningPermTds.toFixed(2),
+      ph: permeatePh != null ? permeatePh.toFixed(2) : null
     },
-    permeateParameters: { tds: runningPermTds.toFixed(2) },
     permeateConcentration,
+    splitPermeate: hasSplit ? {
+      flowUnit: originalUnit,
+      front: formatSplitStream(frontPermeate, frontCarbonate),
+      rear: formatSplitStream(rearPermeate, rearCarbonate)
+    } : null,
     concentrateParameters: { 
       tds: runningConcTds.toFixed(2),
-      osmoticPressure: (isGpmInput ? (0.00079 * runningConcTds) * 14.5038 : (0.00079 * runningConcTds)).toFixed(2),
-      ph: (Number(inputs.feedPH || 7.0) + Math.log10(1 / (1 - Math.min(recFrac, 0.99)))).toFixed(2),
-      langelier: (Number(inputs.feedPH || 7.0) + Math.log10(cfLogMean) - (2.1 + Math.log10(Math.max(runningConcTds, 1)) / 10)).toFixed(2)
+      osmoticPressure: toPressure(OSMOTIC_COEFF_BAR * runningConcTds).toFixed(2),
+      ph: concentratePh.toFixed(2),
+      langelier: concentrateScaling.lsi.toFixed(2),
+      stiffDavis: concentrateScaling.sdsi.toFixed(2),
+      scalingIndex: selectScalingIndex(runningConcTds, inputs.waterType),
+      ccpp: concentrateScaling.ccpp.toFixed(1)
     },
     concentrateSaturation: {
-      caSo4: (Number(normalizedFeedIons.ca || 0) * Number(normalizedFeedIons.so4 || 0) * Math.pow(cfLogMean, 2) / 2000).toFixed(1),
-      baSo4: (Number(normalizedFeedIons.ba || 0) * Number(normalizedFeedIons.so4 || 0) * Math.pow(cfLogMean, 2) / 50).toFixed(1),
-      srSo4: (Number(normalizedFeedIons.sr || 0) * Number(normalizedFeedIons.so4 || 0) * Math.pow(cfLogMean, 2) / 2000).toFixed(1),
-      sio2: (Number(normalizedFeedIons.sio2 || 0) * cfLogMean / 1.2).toFixed(1),
-      ca3po42: (Number(normalizedFeedIons.ca || 0) * Number(normalizedFeedIons.po4 || 0) * Math.pow(cfLogMean, 2) / 100).toFixed(2),
-      caF2: (Number(normalizedFeedIons.ca || 0) * Number(normalizedFeedIons.f || 0) * Math.pow(cfLogMean, 2) / 500).toFixed(1)
+      caSo4: concentrateScaling.saturations.caSo4.toFixed(1),
+      baSo4: concentrateScaling.saturations.baSo4.toFixed(1),
+      srSo4: concentrateScaling.saturations.srSo4.toFixed(1),
+      sio2: concentrateScaling.saturations.sio2.toFixed(1),
+      ca3po42: concentrateScaling.saturations.ca3po42.toFixed(2),
+      caF2: concentrateScaling.saturations.caF2.toFixed(1)
     },
     stageResults,
+    // Pump duties per train (differential bar, m3/h) for the plant energy balance
+    pumpDuties: [
+      { id: 'hp', service: 'hp', pressureBar: feedPressureBar, flowM3h: totalFeedM3h },
+      ...array.stages.filter(stage => stage.boostBar > 0).map(stage => ({
+        id: `booster-${array.stages.indexOf(stage) + 1}`,
+        service: 'booster',
+        pressureBar: stage.boostBar,
+        flowM3h: stage.feedFlow,
+        pumpEfficiency: stage.boosterEfficiency
+      }))
+    ],
+    // Unformatted streams (m3/h, mg/L, bar) for composing passes, recycles and blends
+    streams: {
+      feed: { flowM3h: totalFeedM3h, ions: normalizedFeedIons, pressureBar: feedPressureBar },
+      permeate: { flowM3h: array.permeateFlow, ions: permeateCarbonate.ions, pressureBar: pPermBar, ph: permeatePh },
+      frontPermeate: { flowM3h: frontPermeate.flow, ions: frontCarbonate.ions, ph: frontCarbonate.ph },
+      rearPermeate: { flowM3h: rearPermeate.flow, ions: rearCarbonate.ions, ph: rearCarbonate.ph },
+      concentrate: { flowM3h: array.concFlow, ions: concentrateCarbonate.ions, pressureBar: concPressureBar, ph: concentratePh }
+    },
     feedTds: feedTds.toFixed(2),
     concentrateConcentration: Object.fromEntries(
-      Object.entries(normalizedFeedIons).map(([ion, val]) => [
-        ion, 
-        (Number(val) / (1 - Math.min(recFrac, 0.99))).toFixed(2)
-      ])
+      Object.entries(concentrateCarbonate.ions).map(([ion, val]) => [ion, val.toFixed(2)])
+    )
+  };
+};
+
+// ============================================
+// CONCENTRATE RECYCLE
+// ============================================
+
+/**
+ * Single pass with part of the final concentrate returned to the HP pump suction.
+ * `recovery` is the system recovery (permeate / fresh feed); the array sees the fresh
+ * feed plus the recycle at a lower array recovery. Flows close analytically, the blended
+ * feed composition is solved by successive substitution. In feed-pressure mode the
+ * permeate flow is a result, so the recycle flow is updated inside the same loop.
+ * @param {Object} inputs - calculateSystem inputs plus concRecyclePercent (% of array concentrate)
+ * @returns {Object} calculateSystem result for the array plus a `recycle` block
+ */
+export const calculateRecycleSystem = (inputs) => {
+  const { flowUnit = 'gpm', feedIons = {} } = inputs;
+  const fraction = Math.min(Math.max(Number(inputs.concRecyclePercent) || 0, 0), 95) / 100;
+  if (fraction <= 0) return calculateSystem(inputs);
+
+  const unitKey = (flowUnit || 'gpm').toLowerCase().replace('³', '3');
+  const unitFactor = FLOW_TO_M3H[unitKey] || FLOW_TO_M3H['gpm'];
+  const freshFeedM3h = (Number(inputs.feedFlow) || 0) * unitFactor;
+  const pressureMode = Number(inputs.feedPressure) > 0;
+  let permeateM3h = freshFeedM3h * ((Number(inputs.recovery) || 50) / 100);
+
+  // Qr = f * (Qf + Qr - Qp)  ->  Qr = f * (Qf - Qp) / (1 - f)
+  let recycleM3h = 0;
+  let arrayFeedM3h = freshFeedM3h;
+  let arrayRecovery = 0;
+  const freshIons = Object.fromEntries(Object.entries(feedIons).map(([ion, val]) => [ion, Number(val) || 0]));
+
+  let recycleIons = freshIons;
+  let result;
+  let iterations = 0;
+  let converged = false;
+
+  for (let iter = 0; iter < 60; iter++) {
+    iterations = iter + 1;
+    recycleM3h = fraction * Math.max(freshFeedM3h - permeateM3h, 0) / (1 - fraction);
+    arrayFeedM3h = freshFeedM3h + recycleM3h;
+    arrayRecovery = arrayFeedM3h > 0 ? permeateM3h / arrayFeedM3h : 0;
+
+    const blended = blendStreams([{ flow: freshFeedM3h, ions: freshIons }, { flow: recycleM3h, ions: recycleIons }]);
+    result = calculateSystem({
+      ...inputs,
+      feedFlow: arrayFeedM3h / unitFactor,
+      feedIons: blended.ions,
+      recovery: arrayRecovery * 100
+    });
+    const nextIons = result.streams.concentrate.ions;
+    const tdsChange = Math.abs(sumIons(nextIons) - sumIons(recycleIons));
+    const flowChange = pressureMode ? Math.abs(result.streams.permeate.flowM3h - permeateM3h) : 0;
+    recycleIons = nextIons;
+    if (pressureMode) permeateM3h = result.streams.permeate.flowM3h;
+    if (tdsChange < 1e-5 * Math.max(sumIons(freshIons), 1) && flowChange < 1e-5 * Math.max(freshFeedM3h, 1)) {
+      converged = true;
+      break;
+    }
+  }
+  const systemRecovery = freshFeedM3h > 0 ? permeateM3h / freshFeedM3h : 0;
+
+  const toDisplayFlow = (q) => (q / unitFactor).toFixed(getFlowDecimals(flowUnit));
+
+  return {
+    ...result,
+    streams: { ...result.streams, recycle: { flowM3h: recycleM3h, ions: recycleIons } },
+    recycle: {
+      percent: (fraction * 100).toFixed(1),
+      flow: toDisplayFlow(recycleM3h),
+      freshFeedFlow: toDisplayFlow(freshFeedM3h),
+      arrayFeedFlow: toDisplayFlow(arrayFeedM3h),
+      wasteFlow: toDisplayFlow(freshFeedM3h - permeateM3h),
+      systemRecovery: (systemRecovery * 100).toFixed(1),
+      arrayRecovery: (arrayRecovery * 100).toFixed(1),
+      blendedFeedTds: sumIons(result.streams.feed.ions).toFixed(1),
+      blendedFeedIons: Object.fromEntries(
+        Object.entries(result.streams.feed.ions).map(([ion, val]) => [ion, val.toFixed(2)])
+      ),
+      flowUnit,
+      iterations,
+      converged
+    }
+  };
+};
+
+// ============================================
+// ENERGY RECOVERY
+// ============================================
+
+/**
+ * Single pass with an energy recovery device on the brine. A pressure exchanger's
+ * volumetric mixing raises the membrane feed salinity, which raises the brine salinity
+ * in turn, so the membrane feed is solved by successive substitution.
+ * @param {Object} inputs - calculateRecycleSystem inputs plus
+ *   erd: { type ('none' | 'px' | 'turbo' | 'pelton'), efficiency, leakagePercent, mixingPercent (%),
+ *   hpPumpEfficiency, boosterEfficiency (%) }
+ * @returns {Object} calculateRecycleSystem result plus an `energyRecovery` block
+ */
+export const calculateEnergyRecoverySystem = (inputs) => {
+  const { erd = {}, feedIons = {}, flowUnit = 'gpm' } = inputs;
+  const type = erd.type || 'none';
+  if (type === 'none') return calculateRecycleSystem(inputs);
+
+  const isGpmInput = ['gpm', 'gpd', 'mgd', 'migd'].includes(flowUnit);
+  const rawIons = Object.fromEntries(Object.entries(feedIons).map(([ion, val]) => [ion, Number(val) || 0]));
+  const rawTds = sumIons(rawIons);
+
+  let membraneIons = rawIons;
+  let result;
+  let erdState;
+  let iterations = 0;
+  let converged = false;
+
+  for (let iter = 0; iter < 40; iter++) {
+    iterations = iter + 1;
+    result = calculateRecycleSystem({ ...inputs, feedIons: membraneIons });
+    const { feed, concentrate } = result.streams;
+    // Recycled brine returns to the HP pump suction; only the waste brine passes the ERD
+    const wasteFlow = concentrate.flowM3h - (result.streams.recycle?.flowM3h || 0);
+    erdState = calculateEnergyRecovery({
+      type,
+      feedFlow: feed.flowM3h,
+      concFlow: wasteFlow,
+      feedPressure: feed.pressureBar,
+      concPressure: concentrate.pressureBar,
+      feedTds: rawTds,
+      concTds: sumIons(concentrate.ions),
+      efficiency: erd.efficiency,
+      leakagePercent: erd.leakagePercent,
+      mixingPercent: erd.mixingPercent,
+      hpPumpEfficiency: Number(erd.hpPumpEfficiency) > 0 ? Number(erd.hpPumpEfficiency) / 100 : undefined,
+      boosterEfficiency: Number(erd.boosterEfficiency) > 0 ? Number(erd.boosterEfficiency) / 100 : undefined
+    });
+
+    // Share of brine carried into the membrane feed by PX mixing, applied ion by ion
+    const brineShare = feed.flowM3h > 0 && type === 'px'
+      ? (erdState.erdFlow * (Math.min(Math.max(Number(erd.mixingPercent) || 0, 0), 100) / 100)) / feed.flowM3h
+      : 0;
+    const nextIons = Object.fromEntries(Object.entries(rawIons).map(([ion, c]) => [
+      ion,
+      c + brineShare * ((concentrate.ions[ion] || 0) - c)
+    ]));
+    const tdsChange = Math.abs(sumIons(nextIons) - sumIons(membraneIons));
+    membraneIons = nextIons;
+    if (tdsChange < 1e-5 * Math.max(rawTds, 1)) {
+      converged = true;
+      break;
+    }
+  }
+
+  const toPressure = (p) => (isGpmInput ? p * BAR_TO_PSI : p);
+  const toFlow = (q) => (isGpmInput ? q * M3H_TO_GPM : q);
+
+  const pumpDuties = [
+    ...result.pumpDuties.map(duty => (duty.id === 'hp'
+      ? { ...duty, pressureBar: erdState.hpPumpPressure, flowM3h: erdState.hpPumpFlow, shaftCreditKw: erdState.recoveredPowerKw }
+      : duty)),
+    ...(erdState.boosterFlow > 0 ? [{
+      id: 'erd-booster',
+      service: 'booster',
+      pressureBar: erdState.boosterPressure,
+      flowM3h: erdState.boosterFlow,
+      pumpEfficiency: Number(erd.boosterEfficiency) > 0 ? Number(erd.boosterEfficiency) / 100 : undefined
+    }] : [])
+  ];
+
+  return {
+    ...result,
+    pumpDuties,
+    streams: { ...result.streams, rawFeed: { flowM3h: result.streams.feed.flowM3h, ions: rawIons } },
+    energyRecovery: {
+      type,
+      flowUnit: isGpmInput ? 'gpm' : 'm3/h',
+      pressureUnit: isGpmInput ? 'psi' : 'bar',
+      hpPumpFlow: toFlow(erdState.hpPumpFlow).toFixed(2),
+      hpPumpPressure: toPressure(erdState.hpPumpPressure).toFixed(1),
+      hpPumpPowerKw: erdState.hpPumpPowerKw.toFixed(2),
+      erdFlow: toFlow(erdState.erdFlow).toFixed(2),
+      erdOutletPressure: toPressure(erdState.erdOutletPressure).toFixed(1),
+      leakageFlow: toFlow(erdState.leakageFlow).toFixed(2),
+      boosterFlow: toFlow(erdState.boosterFlow).toFixed(2),
+      boosterPressure: toPressure(erdState.boosterPressure).toFixed(1),
+      boosterPowerKw: erdState.boosterPowerKw.toFixed(2),
+      recoveredPowerKw: erdState.recoveredPowerKw.toFixed(2),
+      totalPowerKw: erdState.totalPowerKw.toFixed(2),
+      savedPowerKw: erdState.savedPowerKw.toFixed(2),
+      rawFeedTds: rawTds.toFixed(1),
+      membraneFeedTds: sumIons(membraneIons).toFixed(1),
+      salinityIncreasePercent: (rawTds > 0 ? ((sumIons(membraneIons) - rawTds) / rawTds) * 100 : 0).toFixed(2),
+      iterations,
+      converged
+    }
+  };
+};
+
+// ============================================
+// TWO-PASS SYSTEM
+// ============================================
+
+const MW_NAOH = 40.0;
+const MW_NA = 22.99;
+const MW_CO2 = 44.01;
+const MW_HCO3 = 61.02;
+const MW_CO3 = 60.01;
+const MW_NH4 = 18.04;
+const MW_NH3 = 17.03;
+
+/**
+ * Dose caustic (NaOH, mg/L as 100%) into a stream.
+ * OH- first converts CO2 to HCO3-, any excess converts HCO3- to CO3 2-; the dosed
+ * stream is then re-equilibrated, which gives its pH.
+ * @param {Object} ions - Stream composition (mg/L)
+ * @param {number} doseMgL - NaOH dose (mg/L)
+ * @param {number} tempC - Temperature in °C
+ * @returns {Object} { ions, ph } - ph is null when the stream carries no carbonate
+ */
+export const applyCausticDose = (ions, doseMgL, tempC = 25) => {
+  const dosed = { ...ions };
+  const dose = Math.max(Number(doseMgL) || 0, 0);
+  let ohMmol = dose / MW_NAOH;
+
+  if (dose > 0) {
+    dosed.na = (Number(dosed.na) || 0) + ohMmol * MW_NA;
+
+    const co2Mmol = (Number(dosed.co2) || 0) / MW_CO2;
+    const toBicarb = Math.min(ohMmol, co2Mmol);
+    dosed.co2 = (co2Mmol - toBicarb) * MW_CO2;
+    dosed.hco3 = (Number(dosed.hco3) || 0) + toBicarb * MW_HCO3;
+    ohMmol -= toBicarb;
+
+    const hco3Mmol = (Number(dosed.hco3) || 0) / MW_HCO3;
+    const toCarb = Math.min(ohMmol, hco3Mmol);
+    dosed.hco3 = (hco3Mmol - toCarb) * MW_HCO3;
+    dosed.co3 = (Number(dosed.co3) || 0) + toCarb * MW_CO3;
+  }
+
+  return equilibrateCarbonateIons(dosed, tempC);
+};
+
+/**
+ * Two-pass RO: pass 2 is fed by pass 1 permeate (optionally caustic-dosed) and its
+ * concentrate can be recycled to the pass 1 feed. The recycle loop is solved by
+ * successive substitution until the recycle flow and TDS settle.
+ * With feedSource 'rear', only the pass 1 rear permeate (split-partial design) is sent to
+ * pass 2 and the front permeate bypasses it straight to product.
+ * @param {Object} inputs - calculateSystem inputs for pass 1 plus
+ *   pass2: { stages, recovery, causticDose (mg/L NaOH), concRecycle (bool), feedSource ('all' | 'rear') }
+ * @returns {Object} { pass1, pass2, interpass, recycle, system, streams }
+ * @throws {Error} When no pass 2 stage has vessels
+ */
+export const calculateTwoPassSystem = (inputs) => {
+  const { pass2: pass2Config = {}, flowUnit = 'gpm', feedIons = {} } = inputs;
+  const unitKey = (flowUnit || 'gpm').toLowerCase().replace('³', '3');
+  const unitFactor = FLOW_TO_M3H[unitKey] || FLOW_TO_M3H['gpm'];
+  const isGpmInput = ['gpm', 'gpd', 'mgd', 'migd'].includes(flowUnit);
+
+  const rawFeedM3h = (Number(inputs.feedFlow) || 0) * unitFactor;
+  const rawIons = Object.fromEntries(Object.entries(feedIons).map(([ion, val]) => [ion, Number(val) || 0]));
+  const pass2Stages = (pass2Config.stages || []).filter(s => Number(s?.vessels) > 0);
+  if (pass2Stages.length === 0) {
+    throw new Error('Pass 2 needs at least one stage with vessels');
+  }
+  const concRecycle = pass2Config.concRecycle !== false;
+  const rearOnly = pass2Config.feedSource === 'rear';
+  const tempC = toCelsius(inputs);
+
+  let recycle = { flow: 0, ions: {} };
+  let pass1;
+  let pass2;
+  let dosed;
+  let pass2Feed;
+  let iterations = 0;
+  let converged = false;
+
+  for (let iter = 0; iter < 50; iter++) {
+    iterations = iter + 1;
+    const blended = blendStreams([{ flow: rawFeedM3h, ions: rawIons }, recycle]);
+    pass1 = calculateEnergyRecoverySystem({ ...inputs, feedFlow: blended.flow / unitFactor, feedIons: blended.ions });
+
+    pass2Feed = rearOnly ? pass1.streams.rearPermeate : pass1.streams.permeate;
+    dosed = applyCausticDose(pass2Feed.ions, pass2Config.causticDose, tempC);
+    pass2 = calculateSystem({
+      ...inputs,
+      feedPH: dosed.ph ?? pass2Feed.ph ?? inputs.feedPH,
+      feedFlow: pass2Feed.flowM3h / unitFactor,
+      feedIons: dosed.ions,
+      stages: pass2Stages,
+      vessels: pass2Stages.reduce((sum, s) => sum + Number(s.vessels), 0),
+      recovery: Number(pass2Config.recovery) || 85,
+      feedPressure: undefined,
+      permeatePressure: 0,
+      concRecyclePercent: 0
+    });
+
+    const next = concRecycle
+      ? { flow: pass2.streams.concentrate.flowM3h, ions: pass2.streams.concentrate.ions }
+      : { flow: 0, ions: {} };
+    const flowChange = Math.abs(next.flow - recycle.flow);
+    const tdsChange = Math.abs(sumIons(next.ions) - sumIons(recycle.ions));
+    recycle = next;
+    if (flowChange < 1e-5 * Math.max(rawFeedM3h, 1) && tdsChange < 1e-3) {
+      converged = true;
+      break;
+    }
+  }
+
+  const toDisplayFlow = (q) => (q / unitFactor).toFixed(getFlowDecimals(flowUnit));
+
+  const bypass = rearOnly ? pass1.streams.frontPermeate : { flowM3h: 0, ions: {} };
+  const product = blendStreams([
+    { flow: bypass.flowM3h, ions: bypass.ions },
+    { flow: pass2.streams.permeate.flowM3h, ions: pass2.streams.permeate.ions }
+  ]);
+  const productM3h = product.flow;
+  // Plant concentrate leaves from pass 1; pass 2 concentrate is either recycled or discharged too
+  const pass1WasteM3h = pass1.streams.concentrate.flowM3h - (pass1.streams.recycle?.flowM3h || 0);
+  const wasteM3h = pass1WasteM3h + (concRecycle ? 0 : pass2.streams.concentrate.flowM3h);
+
+  return {
+    pass1,
+    pass2,
+    interpass: {
+      causticDose: (Number(pass2Config.causticDose) || 0).toFixed(1),
+      ph: dosed.ph != null ? dosed.ph.toFixed(2) : null,
+      tds: sumIons(dosed.ions).toFixed(2),
+      feedSource: rearOnly ? 'rear' : 'all',
+      flow: toDisplayFlow(pass2Feed.flowM3h),
+      bypassFlow: toDisplayFlow(bypass.flowM3h),
+      bypassTds: sumIons(bypass.ions).toFixed(2)
+    },
+    recycle: {
+      enabled: concRecycle,
+      flow: toDisplayFlow(concRecycle ? recycle.flow : 0),
+      tds: sumIons(recycle.ions).toFixed(1),
+      blendedFeedTds: sumIons(pass1.streams.feed.ions).toFixed(1),
+      iterations,
+      converged
+    },
+    system: {
+      flowUnit,
+      feedFlow: toDisplayFlow(rawFeedM3h),
+      productFlow: toDisplayFlow(productM3h),
+      concentrateFlow: toDisplayFlow(wasteM3h),
+      recovery: (rawFeedM3h > 0 ? (productM3h / rawFeedM3h) * 100 : 0).toFixed(1),
+      productTds: sumIons(product.ions).toFixed(3),
+      pressureUnit: isGpmInput ? 'psi' : 'bar'
+    },
+    streams: {
+      product: { flowM3h: productM3h, ions: product.ions }
+    },
+    pumpDuties: [
+      ...pass1.pumpDuties,
+      ...pass2.pumpDuties.map(duty => ({ ...duty, id: `pass2-${duty.id}` }))
+    ]
+  };
+};
+
+// ============================================
+// FEED CHEMICAL DOSING
+// ============================================
+
+// Strong acids and bases for feed pH adjustment; doses are mg/L of 100% chemical
+export const DOSING_CHEMICALS = {
+  HCl: { name: 'Hydrochloric acid', mw: 36.46, alkalinityPerMol: -1, ion: 'cl', ionMw: 35.45 },
+  H2SO4: { name: 'Sulfuric acid', mw: 98.08, alkalinityPerMol: -2, ion: 'so4', ionMw: 96.06 },
+  NaOH: { name: 'Caustic soda', mw: MW_NAOH, alkalinityPerMol: 1, ion: 'na', ionMw: MW_NA }
+};
+
+// Pass 1 "Chemical" selector values that name a pH-adjusting chemical generically
+const CHEMICAL_ALIASES = { Acid: 'H2SO4', Caustic: 'NaOH' };
+
+/**
+ * pH-adjusting chemical for a Pass 1 chemical selection
+ * @param {string} chemical - 'HCl', 'H2SO4', 'NaOH' or the selector aliases 'Acid' / 'Caustic'
+ * @returns {Object|null} DOSING_CHEMICALS entry, null for chemicals that do not change pH
+ */
+export const getDosingChemical = (chemical) => DOSING_CHEMICALS[CHEMICAL_ALIASES[chemical] || chemical] || null;
+
+const carbonateMmol = (ions) => (
+  (Number(ions.co2) || 0) / MW_CO2 + (Number(ions.hco3) || 0) / MW_HCO3 + (Number(ions.co3) || 0) / MW_CO3
+);
+
+/**
+ * Dose a strong acid or base into a water analysis taken at a measured pH.
+ * Total carbonate is conserved (no degassing) and alkalinity moves by the dose equivalents,
+ * so acid turns HCO3 into CO2 and caustic does the reverse; the counter-ion is added.
+ * @param {Object} ions - Water analysis (mg/L)
+ * @param {Object} params - { chemical, doseMgL (100% chemical), ph (of the analysis), tempC }
+ * @returns {Object} { ions, ph, alkalinity (mg/L as CaCO3) }
+ */
+export const applyChemicalDose = (ions, { chemical, doseMgL = 0, ph = 7, tempC = 25 }) => {
+  const speciated = speciateCarbonateIons(ions, ph, tempC).ions;
+  const totalCarbonate = carbonateMmol(speciated);
+  const alkalinity = (Number(speciated.hco3) || 0) / MW_HCO3 + 2 * (Number(speciated.co3) || 0) / MW_CO3; // meq/L
+  const chemicalSpec = getDosingChemical(chemical);
+  const dose = Math.max(Number(doseMgL) || 0, 0);
+  if (!chemicalSpec || dose <= 0) return { ions: speciated, ph: Number(ph), alkalinity: alkalinity * 50 };
+
+  const doseMmol = dose / chemicalSpec.mw;
+  const dosed = {
+    ...speciated,
+    [chemicalSpec.ion]: (Number(speciated[chemicalSpec.ion]) || 0) + doseMmol * chemicalSpec.ionMw
+  };
+  // Free ammonia buffers the dose alongside the carbonate
+  const nh3Mmol = (Number(speciated.nh3) || 0) / MW_NH3;
+  const totalAmmonia = (Number(speciated.nh4) || 0) / MW_NH4 + nh3Mmol;
+  const carbonate = equilibrateCarbonate({
+    totalCarbonate,
+    alkalinity: alkalinity + nh3Mmol + doseMmol * chemicalSpec.alkalinityPerMol,
+    tempC,
+    ionicStrength: calculateIonicStrength(dosed),
+    totalAmmonia
+  });
+  const ammonia = totalAmmonia > 0 ? { nh4: carbonate.nh4, nh3: carbonate.nh3 } : {};
+
+  return {
+    ions: { ...dosed, co2: carbonate.co2, hco3: carbonate.hco3, co3: carbonate.co3, ...ammonia },
+    ph: carbonate.ph,
+    alkalinity: carbonate.alkalinity
+  };
+};
+
+/**
+ * Dose of a pH-adjusting chemical that meets a feed pH or concentrate LSI target.
+ * The concentrate is estimated at the design recovery with every ion concentrated except
+ * CO2, which passes the membrane, so the solve is cheap enough to run from the UI.
+ * @param {Object} ions - Raw water analysis (mg/L)
+ * @param {Object} params - { chemical, ph (raw), tempC, recovery (%), target: { parameter ('ph' | 'lsi'), value } }
+ * @returns {Object|null} { doseMgL, feedPh, concentratePh, concentrateLsi, achievedValue,
+ *   limit ('no-dose' | 'max-dose' | null) }, null when the chemical does not adjust pH
+ */
+export const solveChemicalDose = (ions, { chemical, ph = 7, tempC = 25, recovery = 75, target = {} }) => {
+  const chemicalSpec = getDosingChemical(chemical);
+  if (!chemicalSpec) return null;
+  const parameter = target.parameter === 'lsi' ? 'lsi' : 'ph';
+  const targetValue = Number(target.value) || 0;
+  const cf = 1 / (1 - Math.min(Math.max(Number(recovery) || 0, 0), 95) / 100);
+
+  const evaluate = (doseMgL) => {
+    const treated = applyChemicalDose(ions, { chemical, doseMgL, ph, tempC });
+    const concentrateIons = Object.fromEntries(
+      Object.entries(treated.ions).map(([ion, val]) => [ion, DISSOLVED_GASES.includes(ion) ? val : val * cf])
+    );
+    const concentrate = equilibrateCarbonateIons(concentrateIons, tempC);
+    const concentratePh = concentrate.ph ?? treated.ph;
+    const concentrateLsi = concentratePh - calculateWaterSaturations(concentrate.ions, tempC, concentratePh).phs;
+    return {
+      doseMgL,
+      feedPh: treated.ph,
+      concentratePh,
+      concentrateLsi,
+      achievedValue: parameter === 'lsi' ? concentrateLsi : treated.ph
+    };
+  };
+
+  // Acids lower pH and LSI with dose, caustic raises them; bracket up to a generous
+  // excess over the water's own carbonate buffer
+  const rising = chemicalSpec.alkalinityPerMol > 0;
+  const buffer = carbonateMmol(speciateCarbonateIons(ions, ph, tempC).ions) * 2 + 1; // mmol/L
+  const maxDose = buffer * chemicalSpec.mw / Math.abs(chemicalSpec.alkalinityPerMol);
+  const overshoot = (value) => (rising ? value >= targetValue : value <= targetValue);
+
+  const none = evaluate(0);
+  if (overshoot(none.achievedValue)) return { ...none, limit: 'no-dose' };
+  const max = evaluate(maxDose);
+  if (!overshoot(max.achievedValue)) return { ...max, limit: 'max-dose' };
+
+  let low = 0;
+  let high = maxDose;
+  for (let iter = 0; iter < 60; iter++) {
+    const mid = (low + high) / 2;
+    if (overshoot(evaluate(mid).achievedValue)) high = mid;
+    else low = mid;
+    if (high - low < 1e-4) break;
+  }
+  return { ...evaluate(high), limit: null };
+};
+
+// ============================================
+// MAXIMUM RECOVERY
+// ============================================
+
+// Concentrate scaling limits: % of saturation for the salts, index value for CaCO3
+// (Langelier or Stiff & Davis, whichever governs the concentrate)
+export const DEFAULT_SCALING_LIMITS = {
+  antiscalant: { caSo4: 230, baSo4: 6000, srSo4: 800, caF2: 12000, sio2: 100, lsi: 1.8 },
+  none: { caSo4: 100, baSo4: 100, srSo4: 100, caF2: 100, sio2: 100, lsi: 0 }
+};
+
+export const SCALING_LIMIT_LABELS = {
+  caSo4: 'CaSO4', baSo4: 'BaSO4', srSo4: 'SrSO4', caF2: 'CaF2', sio2: 'SiO2', lsi: 'LSI'
+};
+
+/**
+ * Compare a system result's concentrate against scaling limits
+ * @param {Object} result - calculateSystem (or wrapper) result
+ * @param {Object} limits - { caSo4, baSo4, srSo4, caF2, sio2 (%), lsi (index) }; blank entries are skipped
+ * @returns {Object} { limiting, label, value, limit, ratio, exceeded: [keys] }; `limiting` is the salt
+ *   closest to (or furthest past) its limit
+ */
+export const checkScalingLimits = (result, limits = DEFAULT_SCALING_LIMITS.antiscalant) => {
+  const saturation = result?.concentrateSaturation || {};
+  const parameters = result?.concentrateParameters || {};
+  const index = parameters.scalingIndex === 'sdsi' ? 'sdsi' : 'lsi';
+  const indexValue = Number(index === 'sdsi' ? parameters.stiffDavis : parameters.langelier);
+
+  const checks = Object.entries(limits)
+    .filter(([, limit]) => limit !== '' && limit != null && Number.isFinite(Number(limit)))
+    .map(([key, limit]) => {
+      const value = key === 'lsi' ? indexValue : Number(saturation[key]);
+      const numericLimit = Number(limit);
+      // Saturation limits scale as a ratio; the index limit is a difference on a log scale
+      const ratio = key === 'lsi'
+        ? value - numericLimit + 1
+        : (numericLimit > 0 ? value / numericLimit : Infinity);
+      return {
+        key,
+        label: key === 'lsi' && index === 'sdsi' ? 'S&DSI' : SCALING_LIMIT_LABELS[key] || key,
+        value,
+        limit: numericLimit,
+        ratio: Number.isFinite(ratio) ? ratio : Infinity
+      };
+    });
+  if (checks.length === 0) return null;
+
+  const limiting = checks.reduce((worst, check) => (check.ratio > worst.ratio ? check : worst));
+  return {
+    limiting: limiting.key,
+    label: limiting.label,
+    value: limiting.value,
+    limit: limiting.limit,
+    ratio: limiting.ratio,
+    exceeded: checks.filter(check => check.ratio > 1).map(check => check.key)
+  };
+};
+
+/**
+ * Highest recovery whose concentrate stays inside the scaling limits. Each trial is a
+ * full single-pass run (calculateEnergyRecoverySystem), so temperature, the dosed feed
+ * chemistry, recycle and ERD mixing all act on the concentrate.
+ * @param {Object} inputs - calculateEnergyRecoverySystem inputs; feedPressure is ignored
+ * @param {Object} options - { limits, minRecovery, maxRecovery (%), step (%) }
+ * @returns {Object} { recovery (%), limiting, label, value, limit, result,
+ *   bound ('min-recovery' | 'max-recovery' | null) }
+ */
+export const solveMaxRecovery = (inputs, {
+  limits = DEFAULT_SCALING_LIMITS.antiscalant,
+  minRecovery = 10,
+  maxRecovery = 90,
+  step = 2
+} = {}) => {
+  const evaluate = (recovery) => {
+    const result = calculateEnergyRecoverySystem({ ...inputs, recovery, feedPressure: 0 });
+    return { recovery, result, check: checkScalingLimits(result, limits) };
+  };
+  const passes = (trial) => !!trial.check && trial.check.exceeded.length === 0;
+  const summary = (trial, bound) => ({
+    recovery: trial.recovery,
+    limiting: trial.check?.limiting ?? null,
+    label: trial.check?.label ?? null,
+    value: trial.check?.value ?? null,
+    limit: trial.check?.limit ?? null,
+    result: trial.result,
+    bound
+  });
+
+  let best = evaluate(minRecovery);
+  if (!passes(best)) return summary(best, 'min-recovery');
+
+  // Coarse scan for the first failing recovery, then bisect inside that step
+  let failing = null;
+  for (let recovery = minRecovery + step; recovery < maxRecovery + step; recovery += step) {
+    const trial = evaluate(Math.min(recovery, maxRecovery));
+    if (!passes(trial)) {
+      failing = trial;
+      break;
+    }
+    best = trial;
+  }
+  if (!failing) return summary(best, 'max-recovery');
+
+  let low = best.recovery;
+  let high = failing.recovery;
+  while (high - low > 0.05) {
+    const trial = evaluate((low + high) / 2);
+    if (passes(trial)) {
+      best = trial;
+      low = trial.recovery;
+    } else {
+      failing = trial;
+      high = trial.recovery;
+    }
+  }
+  // The limit that stops recovery is the one the first failing trial breaks
+  const limitingAtBest = checkScalingLimits(best.result, { [failing.check.limiting]: failing.check.limit });
+  return { ...summary(best, null), limiting: limitingAtBest.limiting, label: limitingAtBest.label, value: limitingAtBest.value };
+};
+
+// ============================================
+// PERMEATE BORON TARGET
+// ============================================
+
+/**
+ * Caustic dose that brings product boron under a limit by converting boric acid to
+ * borate. Two-pass designs dose the interpass (pass 2 feed); single-pass designs dose
+ * NaOH on top of the pass 1 feed chemistry.
+ * @param {Object} inputs - calculateTwoPassSystem inputs (with pass2) or calculateEnergyRecoverySystem inputs
+ * @param {Object} options - { limit (mg/L B), maxDose (mg/L NaOH) }
+ * @returns {Object} { doseMgL, boron, ph, point ('interpass' | 'feed'), limit ('no-dose' | 'max-dose' | null) }
+ */
+export const solvePermeateBoron = (inputs, { limit, maxDose = 100 } = {}) => {
+  const interpass = !!inputs.pass2;
+  const tempC = toCelsius(inputs);
+  const target = Number(limit) || 0;
+
+  const evaluate = (doseMgL) => {
+    if (interpass) {
+      const result = calculateTwoPassSystem({ ...inputs, pass2: { ...inputs.pass2, causticDose: doseMgL } });
+      return { doseMgL, boron: Number(result.streams.product.ions.b) || 0, ph: Number(result.interpass.ph) || null };
+    }
+    const treated = applyChemicalDose(inputs.feedIons || {}, {
+      chemical: 'NaOH',
+      doseMgL,
+      ph: Number(inputs.feedPH ?? inputs.feedPh) || 7,
+      tempC
+    });
+    const result = calculateEnergyRecoverySystem({ ...inputs, feedIons: treated.ions, feedPH: treated.ph });
+    return { doseMgL, boron: Number(result.streams.permeate.ions.b) || 0, ph: treated.ph };
+  };
+  const point = interpass ? 'interpass' : 'feed';
+
+  const none = evaluate(0);
+  if (none.boron <= target) return { ...none, point, limit: 'no-dose' };
+  const max = evaluate(maxDose);
+  if (max.boron > target) return { ...max, point, limit: 'max-dose' };
+
+  let low = 0;
+  let high = maxDose;
+  let best = max;
+  while (high - low > 0.05) {
+    const trial = evaluate((low + high) / 2);
+    if (trial.boron <= target) {
+      best = trial;
+      high = trial.doseMgL;
+    } else {
+      low = trial.doseMgL;
+    }
+  }
+  return { ...best, point, limit: null };
+};
+
+// ============================================
+// TEMPERATURE ENVELOPE
+// ============================================
+
+/**
+ * Run the full projection at each point of a feed temperature envelope. Cold water sets the
+ * feed pressure and warm water the salt passage, so the worst cases come from opposite ends;
+ * each point is also checked against the membrane limits and the HP pump rating.
+ * Product flow is held: any fixed feed pressure in the inputs is ignored.
+ * @param {Object} inputs - calculateEnergyRecoverySystem inputs; with pass2 the two-pass projection is run
+ * @param {Object} options - { minTemp, designTemp, maxTemp, extraTemps (°C), limits (scaling, see
+ *   checkScalingLimits), pumpMaxPressureBar (defaults to the library rating of the HP pump model) }
+ * @returns {Object} { points (coldest first), worst: { feedPressure, permeateTds, scaling }, violations }
+ */
+export const calculateTemperatureEnvelope = (inputs, {
+  minTemp,
+  designTemp,
+  maxTemp,
+  extraTemps = [],
+  limits = DEFAULT_SCALING_LIMITS.antiscalant,
+  pumpMaxPressureBar
+} = {}) => {
+  const inputTempC = toCelsius(inputs);
+  const requested = [
+    { label: 'min', tempC: minTemp },
+    { label: 'design', tempC: hasValue(designTemp) ? designTemp : inputTempC },
+    { label: 'max', tempC: maxTemp },
+    ...extraTemps.map(tempC => ({ label: 'extra', tempC }))
+  ].filter(point => hasValue(point.tempC));
+  // One run per temperature; a named point wins over an extra at the same temperature
+  const points = requested
+    .map(point => ({ ...point, tempC: Number(point.tempC) }))
+    .filter((point, idx, all) => all.findIndex(other => other.tempC === point.tempC) === idx)
+    .sort((a, b) => a.tempC - b.tempC);
+
+  const pumpModel = PUMP_LIBRARY[inputs.pumpModels?.hp] || PUMP_LIBRARY[DEFAULT_PUMP_MODELS.hp];
+  const pumpLimit = Number(pumpMaxPressureBar) > 0 ? Number(pumpMaxPressureBar) : pumpModel.maxPressureBar;
+  const passes = [
+    { name: 'Pass 1', stages: inputs.stages || [] },
+    ...(inputs.pass2 ? [{ name: 'Pass 2', stages: inputs.pass2.stages || [] }] : [])
+  ];
+
+  const results = points.map((point) => {
+    const runInputs = { ...inputs, tempF: point.tempC * 9 / 5 + 32, feedPressure: 0 };
+    const result = inputs.pass2 ? calculateTwoPassSystem(runInputs) : calculateEnergyRecoverySystem(runInputs);
+    const pass1 = inputs.pass2 ? result.pass1 : result;
+    const passResults = inputs.pass2 ? [result.pass1, result.pass2] : [result];
+    const permeateIons = inputs.pass2 ? result.streams.product.ions : result.streams.permeate.ions;
+    const hpPressureBar = Math.max(0, ...result.pumpDuties.filter(duty => duty.service === 'hp').map(duty => duty.pressureBar));
+
+    const violations = [];
+    passes.forEach((pass, passIdx) => {
+      const feedPressureBar = passResults[passIdx].streams.feed.pressureBar;
+      const checked = new Set();
+      pass.stages.forEach((stage) => {
+        const membrane = findMembrane(stage.membraneModel, inputs.membranes);
+        if (checked.has(membrane.id)) return;
+        checked.add(membrane.id);
+        const membraneLimits = membrane.limits || {};
+        const name = membrane.name || membrane.id;
+        if (Number(membraneLimits.maxTemp) > 0 && point.tempC > Number(membraneLimits.maxTemp)) {
+          violations.push({ type: 'membrane-temp', message: `${pass.name} ${name}: ${point.tempC}°C exceeds max ${membraneLimits.maxTemp}°C` });
+        }
+        // Membrane pressure ratings are in psi
+        if (Number(membraneLimits.maxPressure) > 0 && feedPressureBar * BAR_TO_PSI > Number(membraneLimits.maxPressure)) {
+          violations.push({
+            type: 'membrane-pressure',
+            message: `${pass.name} ${name}: feed ${(feedPressureBar * BAR_TO_PSI).toFixed(0)} psi exceeds max ${membraneLimits.maxPressure} psi`
+          });
+        }
+      });
+    });
+    if (pumpLimit > 0 && hpPressureBar > pumpLimit) {
+      violations.push({ type: 'pump-pressure', message: `HP pump ${hpPressureBar.toFixed(1)} bar exceeds rating ${pumpLimit} bar` });
+    }
+
+    return {
+      ...point,
+      feedPressureBar: pass1.streams.feed.pressureBar,
+      hpPressureBar,
+      permeateTds: sumIons(permeateIons),
+      concentratePh: pass1.streams.concentrate.ph,
+      scaling: checkScalingLimits(pass1, limits),
+      violations
+    };
+  });
+
+  const worstBy = (value) => results.reduce((worst, point) => (
+    worst === null || value(point) > value(worst) ? point : worst
+  ), null);
+
+  return {
+    points: results,
+    worst: {
+      feedPressure: worstBy(point => point.feedPressureBar),
+      permeateTds: worstBy(point => point.permeateTds),
+      scaling: worstBy(point => point.scaling?.ratio ?? -Infinity)
+    },
+    violations: results.flatMap(point => point.violations.map(violation => ({ label: point.label, tempC: point.tempC, ...violation })))
+  };
+};
+
+// ============================================
+// MEMBRANE AGING PROJECTION
+// ============================================
+
+/**
+ * Rerun the projection for each year of membrane life. In 'constant-flux' operation the
+ * product flow is held and the feed pressure climbs as the membranes age; in
+ * 'constant-pressure' operation the feed pressure is held (the entered feed pressure, or
+ * the year-0 requirement) and the product flow falls instead.
+ * @param {Object} inputs - calculateEnergyRecoverySystem inputs with membraneAge, fluxDeclinePerYear,
+ *   spIncreasePerYear and foulingFactor; with pass2 the two-pass projection is run
+ * @param {Object} options - { years (last year, from 0), mode, energyCostPerKwh, pumpModels, motorClass,
+ *   vfd, feedPumpBar (raw water to HP suction), suctionBar (bar) }
+ * @returns {Object} { mode, heldPressure (display units, constant-pressure only), pressureUnit, rows }
+ */
+export const calculateAgingProjection = (inputs, {
+  years = 5,
+  mode = 'constant-flux',
+  energyCostPerKwh = 0,
+  pumpModels = {},
+  motorClass,
+  vfd = false,
+  feedPumpBar = 0,
+  suctionBar = 0
+} = {}) => {
+  const lastYear = Math.min(Math.max(Math.round(Number(years) || 0), 0), 30);
+  const trains = Math.max(Number(inputs.numTrains) || 1, 1);
+  const constantPressure = mode === 'constant-pressure';
+  const run = (runInputs) => (inputs.pass2 ? calculateTwoPassSystem(runInputs) : calculateEnergyRecoverySystem(runInputs));
+
+  const newMembranes = run({ ...inputs, membraneAge: 0, feedPressure: constantPressure ? inputs.feedPressure : 0 });
+  const newPass1 = inputs.pass2 ? newMembranes.pass1 : newMembranes;
+  // Entered pressures are in display units and exclude the permeate back-pressure
+  const isGpmInput = ['gpm', 'gpd', 'mgd', 'migd'].includes(inputs.flowUnit || 'gpm');
+  const requiredPressure = newPass1.streams.feed.pressureBar * (isGpmInput ? BAR_TO_PSI : 1) - (Number(inputs.permeatePressure) || 0);
+  const heldPressure = constantPressure
+    ? (Number(inputs.feedPressure) > 0 ? Number(inputs.feedPressure) : requiredPressure)
+    : null;
+
+  const rows = Array.from({ length: lastYear + 1 }, (_, year) => {
+    const result = year === 0
+      ? newMembranes
+      : run({ ...inputs, membraneAge: year, feedPressure: constantPressure ? heldPressure : 0 });
+    const pass1 = inputs.pass2 ? result.pass1 : result;
+    const product = inputs.pass2 ? result.streams.product : result.streams.permeate;
+    const feedFlowM3h = pass1.streams.feed.flowM3h;
+    const duties = [
+      { id: 'feed', service: 'feed', pressureBar: feedPumpBar, flowM3h: feedFlowM3h },
+      ...result.pumpDuties.map(duty => (duty.id === 'hp'
+        ? { ...duty, pressureBar: Math.max(duty.pressureBar - suctionBar, 0) }
+        : duty))
+    ];
+    const energy = calculateEnergyBalance({
+      duties,
+      trains,
+      permeateFlowM3h: product.flowM3h * trains,
+      pumpModels,
+      motorClass,
+      vfd
+    });
+
+    return {
+      year,
+      feedPressureBar: pass1.streams.feed.pressureBar,
+      permeateFlowM3h: product.flowM3h,
+      recovery: feedFlowM3h > 0 ? (pass1.streams.permeate.flowM3h / feedFlowM3h) * 100 : 0,
+      permeateTds: sumIons(product.ions),
+      permeateIons: product.ions,
+      powerKw: energy.totalKw,
+      specificEnergy: energy.specificEnergy,
+      monthlyEnergyCost: calculateMonthlyCost(energy.totalKw, Number(energyCostPerKwh) || 0)
+    };
+  });
+
+  return {
+    mode: constantPressure ? 'constant-pressure' : 'constant-flux',
+    heldPressure,
+    pressureUnit: newPass1.results.pressureUnit,
+    rows
+  };
+};
+
+// ============================================
+// DATASHEET CALIBRATION
+// ============================================
+
+// Datasheet test solutions are NaCl: mass fraction of sodium
+const NACL_SODIUM_FRACTION = 22.99 / 58.44;
+// Solute (mg/L) added to the NaCl test solution to fit its B factor
+const CALIBRATION_TRACE_MGL = 1;
+
+/**
+ * Back-calculate the transport constants that make the element solver reproduce a
+ * manufacturer datasheet point: one element fed NaCl at the test pressure, TDS, temperature
+ * and recovery, with an open permeate. A (at 25°C) is fitted to the nominal permeate flow and
+ * B to the nominal rejection (1 - permeate / feed TDS), in turn until both hold, because the
+ * permeate osmotic pressure couples them. Each quoted solute rejection then fixes its
+ * soluteBFactors group with a trace of that solute (boron at the datasheet pH).
+ * @param {Object} membrane - Current-schema membrane record; area, kMtRef and the other factors are kept
+ * @param {Object} datasheet - { pressureBar, tds (mg/L), recovery (%), temperatureC, permeateFlowM3d,
+ *   rejection (%), ph, soluteRejections: { divalent, silica, boron } (%) }
+ * @returns {Object} { aValueRef, membraneBRef, soluteBFactors, permeateFlowM3d, rejection, soluteRejections
+ *   (as the solver reproduces them), bound ('aValue' | 'membraneB' | null when the point is out of reach) }
+ */
+export const calibrateMembrane = (membrane, datasheet) => {
+  const tds = Number(datasheet.tds);
+  const naclIons = { na: tds * NACL_SODIUM_FRACTION, cl: tds * (1 - NACL_SODIUM_FRACTION) };
+  const targetFlow = Number(datasheet.permeateFlowM3d) / 24;
+  const targetRejection = Number(datasheet.rejection) / 100;
+  const feedFlow = targetFlow / (Number(datasheet.recovery) / 100);
+  const ph = Number(datasheet.ph) || BORON_TEST_PH;
+  const tempC = Number(datasheet.temperatureC) || 25;
+
+  const run = (transport, traceIon) => {
+    const feedIons = traceIon ? { ...naclIons, [traceIon]: CALIBRATION_TRACE_MGL } : naclIons;
+    const record = { ...membrane, transport: { ...membrane.transport, ...transport } };
+    return solveElement({
+      feedFlow,
+      feedIons,
+      feedPressure: Number(datasheet.pressureBar),
+      permeatePressure: 0,
+      model: buildElementModel(record, Object.keys(feedIons)),
+      ph,
+      tempC
+    });
+  };
+  const rejectionOf = (element) => 1 - element.permeateTds / element.feedTds;
+
+  // Permeate flow rises with A and salt passage with B: bisect each in log space
+  const bisect = (low, high, tooHigh) => {
+    for (let iter = 0; iter < 100 && high / low > 1 + 1e-12; iter++) {
+      const mid = Math.sqrt(low * high);
+      if (tooHigh(mid)) high = mid;
+      else low = mid;
+    }
+    return Math.sqrt(low * high);
+  };
+
+  let aValueRef = getAValue(membrane);
+  let membraneBRef = getMembraneB(membrane);
+  for (let round = 0; round < 30; round++) {
+    const b = membraneBRef;
+    const a = bisect(0.01, 100, trialA => run({ aValueRef: trialA, membraneBRef: b }).permeateFlow > targetFlow);
+    membraneBRef = bisect(1e-5, 100, trialB => rejectionOf(run({ aValueRef: a, membraneBRef: trialB })) < targetRejection);
+    aValueRef = a;
+    if (Math.abs(membraneBRef - b) <= 1e-10 * b) break;
+  }
+
+  const soluteBFactors = { ...(membrane.transport?.soluteBFactors || {}) };
+  const soluteRejections = {};
+  const passage = (solute, factor) => {
+    const ion = DATASHEET_SOLUTE_IONS[solute];
+    const element = run({ aValueRef, membraneBRef, soluteBFactors: { ...soluteBFactors, [solute]: factor } }, ion);
+    return element.permeateIons[ion] / CALIBRATION_TRACE_MGL;
+  };
+  Object.entries(datasheet.soluteRejections || {}).forEach(([solute, value]) => {
+    const target = Number(value) / 100;
+    if (!DATASHEET_SOLUTE_IONS[solute] || value === '' || value === null || !(target > 0)) return;
+    soluteBFactors[solute] = bisect(1e-4, 1e3, factor => 1 - passage(solute, factor) < target);
+    soluteRejections[solute] = (1 - passage(solute, soluteBFactors[solute])) * 100;
+  });
+
+  const check = run({ aValueRef, membraneBRef, soluteBFactors });
+  const missed = (value, target) => Math.abs(value - target) > 1e-4 * target;
+  const bound = missed(check.permeateFlow, targetFlow)
+    ? 'aValue'
+    : (missed(rejectionOf(check), targetRejection) ? 'membraneB' : null);
+
+  return {
+    aValueRef,
+    membraneBRef,
+    soluteBFactors,
+    permeateFlowM3d: check.permeateFlow * 24,
+    rejection: rejectionOf(check) * 100,
+    soluteRejections,
+    bound
+  };
+};
+
+// ============================================
+// RAW-WATER BYPASS BLENDING
+// ============================================
+
+// Hardness as CaCO3 (mg/L) per mg/L of ion
+const HARDNESS_FACTORS = { ca: 2.497, mg: 4.118 };
+
+/**
+ * Value of a blending target for a stream. Every target is linear in the ion
+ * concentrations, so it mixes linearly with flow.
+ * @param {Object} ions - Stream composition (mg/L)
+ * @param {string} parameter - 'tds', 'hardness' or an ion key
+ * @returns {number} Target value (mg/L, hardness as CaCO3)
+ */
+const blendTargetValue = (ions, parameter) => {
+  if (parameter === 'tds') return sumIons(ions);
+  if (parameter === 'hardness') {
+    return Object.entries(HARDNESS_FACTORS).reduce((sum, [ion, f]) => sum + (Number(ions[ion]) || 0) * f, 0);
+  }
+  return Number(ions[parameter]) || 0;
+};
+
+/**
+ * Blend pretreated raw water with RO permeate to meet a product TDS, hardness or ion target.
+ * The product flow is held, so every unit of bypass is a unit of permeate the RO no longer
+ * has to make; the RO shrinks by (1 - bypass share) at the same flux and recovery.
+ * With a feed pH, the bypass water is speciated at it and the blend pH follows from carbonate equilibrium.
+ * @param {Object} inputs - { flowUnit, productFlow, recovery (%), vessels, feedIons, permeateIons,
+ *   target: { parameter ('tds' | 'hardness' | ion key), value }, feedPh, tempC }
+ * @returns {Object} Bypass share, flows, RO size and blended product analysis
+ */
+export const calculateBypassBlend = (inputs) => {
+  const { flowUnit = 'gpm', feedIons = {}, permeateIons = {}, target = {} } = inputs;
+  const unitKey = (flowUnit || 'gpm').toLowerCase().replace('³', '3');
+  const unitFactor = FLOW_TO_M3H[unitKey] || FLOW_TO_M3H['gpm'];
+  const parameter = target.parameter || 'tds';
+  const targetValue = Number(target.value) || 0;
+
+  const tempC = hasValue(inputs.tempC) ? Number(inputs.tempC) : 25;
+  const parsedRawIons = Object.fromEntries(Object.entries(feedIons).map(([ion, val]) => [ion, Number(val) || 0]));
+  const rawIons = Number(inputs.feedPh) > 0 ? speciateCarbonateIons(parsedRawIons, Number(inputs.feedPh), tempC).ions : parsedRawIons;
+  const permIons = Object.fromEntries(Object.entries(permeateIons).map(([ion, val]) => [ion, Number(val) || 0]));
+  const rawValue = blendTargetValue(rawIons, parameter);
+  const permValue = blendTargetValue(permIons, parameter);
+
+  // x = share of the product that is raw water: x*Craw + (1 - x)*Cperm = target
+  let share = rawValue - permValue > 1e-9 ? (targetValue - permValue) / (rawValue - permValue) : 0;
+  let limit = null;
+  if (share <= 0) {
+    share = 0;
+    limit = 'permeate';
+  } else if (share >= 1) {
+    share = 1;
+    limit = 'raw';
+  }
+
+  const productM3h = (Number(inputs.productFlow) || 0) * unitFactor;
+  const bypassM3h = productM3h * share;
+  const roPermeateM3h = productM3h - bypassM3h;
+  const recFrac = (Number(inputs.recovery) || 50) / 100;
+  const roFeedM3h = roPermeateM3h / recFrac;
+  const blended = blendStreams([{ flow: bypassM3h, ions: rawIons }, { flow: roPermeateM3h, ions: permIons }]);
+  const blendedIons = productM3h > 0 ? blended.ions : permIons;
+  const blendedPh = equilibrateCarbonateIons(blendedIons, tempC).ph;
+
+  const toDisplayFlow = (q) => (q / unitFactor).toFixed(getFlowDecimals(flowUnit));
+
+  return {
+    parameter,
+    targetValue: targetValue.toFixed(2),
+    achievedValue: blendTargetValue(blendedIons, parameter).toFixed(2),
+    limit,
+    bypassPercent: (share * 100).toFixed(2),
+    flowUnit,
+    bypassFlow: toDisplayFlow(bypassM3h),
+    roPermeateFlow: toDisplayFlow(roPermeateM3h),
+    roFeedFlow: toDisplayFlow(roFeedM3h),
+    rawFeedFlow: toDisplayFlow(roFeedM3h + bypassM3h),
+    totalProductFlow: toDisplayFlow(productM3h),
+    roSizeFactor: (1 - share).toFixed(3),
+    vesselsRequired: Math.ceil((Number(inputs.vessels) || 0) * (1 - share)),
+    blendedTds: sumIons(blendedIons).toFixed(2),
+    blendedHardness: blendTargetValue(blendedIons, 'hardness').toFixed(2),
+    blendedPh: blendedPh != null ? blendedPh.toFixed(2) : null,
+    blendedConcentration: Object.fromEntries(
+      Object.entries(blendedIons).map(([ion, val]) => [ion, val.toFixed(3)])
     )
   };
 };
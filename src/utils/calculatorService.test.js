@@ -0,0 +1,827 @@
+import { calculateSystem, calculateTwoPassSystem, calculateRecycleSystem, applyCausticDose, calculateBypassBlend, calculateEnergyRecoverySystem, applyChemicalDose, solveChemicalDose, solveMaxRecovery, checkScalingLimits, DEFAULT_SCALING_LIMITS, solvePermeateBoron, calculateTemperatureEnvelope, calculateAgingProjection, calibrateMembrane } from './calculatorService';
+import { createCustomMembrane, applyCalibration } from '../engines/membraneEngine';
+
+const brackishIons = {
+  ca: 60, mg: 20, na: 250, k: 15,
+  hco3: 250, so4: 100, cl: 300, sio2: 20
+};
+
+const baseInputs = {
+  feedFlow: 100,
+  flowUnit: 'gpm',
+  recovery: 50,
+  vessels: 4,
+  elementsPerVessel: 6,
+  feedIons: brackishIons,
+  stages: [{ membraneModel: 'cpa3', elementsPerVessel: 6, vessels: 4 }]
+};
+
+describe('calculateSystem - element-by-element solver', () => {
+  it('should report one element row per element position', () => {
+    const result = calculateSystem(baseInputs);
+    const elements = result.stageResults[0].elementResults;
+
+    expect(elements).toHaveLength(6);
+    expect(elements.map(e => e.position)).toEqual([1, 2, 3, 4, 5, 6]);
+  });
+
+  it('should feed each element with the concentrate of the previous one', () => {
+    const { elementResults } = calculateSystem(baseInputs).stageResults[0];
+
+    for (let i = 1; i < elementResults.length; i++) {
+      expect(Number(elementResults[i].feedFlow)).toBeCloseTo(Number(elementResults[i - 1].concFlow), 1);
+      expect(Number(elementResults[i].feedPressure)).toBeCloseTo(Number(elementResults[i - 1].concPressure), 1);
+      expect(Number(elementResults[i].feedTds)).toBeGreaterThan(Number(elementResults[i - 1].feedTds));
+    }
+  });
+
+  it('should produce the vessel permeate flow set by recovery', () => {
+    const { elementResults } = calculateSystem(baseInputs).stageResults[0];
+    const permeateGpm = elementResults.reduce((sum, e) => sum + Number(e.permeateFlow), 0);
+
+    // 100 gpm * 50% / 4 vessels
+    expect(permeateGpm).toBeCloseTo(12.5, 1);
+  });
+
+  it('should take highest flux from the lead element and highest beta from the elements', () => {
+    const result = calculateSystem(baseInputs);
+    const stage = result.stageResults[0];
+    const fluxes = stage.elementResults.map(e => Number(e.flux));
+    const betas = stage.elementResults.map(e => Number(e.beta));
+
+    expect(fluxes[0]).toBe(Math.max(...fluxes));
+    expect(Number(stage.highestFlux)).toBeCloseTo(fluxes[0], 1);
+    expect(Number(stage.highestBeta)).toBeCloseTo(Math.max(...betas), 2);
+    expect(Number(stage.highestFlux)).toBeGreaterThan(Number(stage.flux));
+  });
+
+  it('should report the osmotic pressures of the element march', () => {
+    const { results, stageResults, concentrateParameters } = calculateSystem(baseInputs);
+    const elementPi = stageResults[0].elementResults.map(e => Number(e.osmoticPressure));
+    const average = elementPi.reduce((sum, pi) => sum + pi, 0) / elementPi.length;
+
+    expect(Number(results.osmoticPressure)).toBeCloseTo(0.00072 * Number(stageResults[0].elementResults[0].feedTds) * 14.5038, 1);
+    expect(Number(results.effectiveOsmoticPressure)).toBeCloseTo(average, 1);
+    expect(Number(concentrateParameters.osmoticPressure)).toBeCloseTo(0.00072 * Number(concentrateParameters.tds) * 14.5038, 1);
+  });
+});
+
+describe('calculateSystem - multi-stage cascade', () => {
+  const twoStage = {
+    ...baseInputs,
+    recovery: 75,
+    vessels: 6,
+    stages: [
+      { membraneModel: 'cpa3', elementsPerVessel: 6, vessels: 4 },
+      { membraneModel: 'cpa3', elementsPerVessel: 6, vessels: 2 }
+    ]
+  };
+
+  it('should feed stage 2 with the concentrate of stage 1', () => {
+    const [stage1, stage2] = calculateSystem(twoStage).stageResults;
+
+    expect(Number(stage2.feedFlow)).toBeCloseTo(Number(stage1.concFlow) * stage1.vessels, 1);
+    expect(Number(stage2.feedPressure)).toBeCloseTo(Number(stage1.concPressure), 1);
+    expect(Number(stage2.elementResults[0].feedTds)).toBeGreaterThan(Number(stage1.elementResults[0].feedTds));
+  });
+
+  it('should report distinct per-stage permeate flow, TDS, flux and recovery', () => {
+    const result = calculateSystem(twoStage);
+    const [stage1, stage2] = result.stageResults;
+
+    expect(stage1.permeateTds).not.toEqual(stage2.permeateTds);
+    expect(Number(stage2.permeateTds)).toBeGreaterThan(Number(stage1.permeateTds));
+    expect(stage1.flux).not.toEqual(stage2.flux);
+    expect(Number(stage1.permeateFlow) + Number(stage2.permeateFlow)).toBeCloseTo(75, 0);
+    expect(Number(result.trainInfo.permeateFlow)).toBeCloseTo(75, 1);
+  });
+
+  it('should use the membrane configured on each stage', () => {
+    const result = calculateSystem({
+      ...twoStage,
+      stages: [
+        { membraneModel: 'cpa3', elementsPerVessel: 6, vessels: 4 },
+        { membraneModel: 'espa2ld', elementsPerVessel: 6, vessels: 2 }
+      ]
+    });
+
+    // espa2ld is the id older projects used for the registry's ESPA2-LD-4040
+    expect(result.stageResults.map(s => s.membraneModel)).toEqual(['cpa3', 'espa2ld4040']);
+    expect(result.stageResults[1].elementResults[0].membraneModel).toBe('espa2ld4040');
+  });
+
+  it('should compute unedited catalog models saved in older projects with the registry data', () => {
+    const legacyCopy = { id: 'cpa3', name: 'CPA3', area: 400, areaM2: 37.16, aValue: 3.16, rejection: 99.7 };
+    const fromRegistry = calculateSystem(twoStage);
+    const fromProject = calculateSystem({ ...twoStage, membranes: [legacyCopy] });
+
+    expect(fromProject.results.feedPressure).toBe(fromRegistry.results.feedPressure);
+    expect(fromProject.permeateParameters).toEqual(fromRegistry.permeateParameters);
+  });
+
+  it('should compute a catalog model an older project edited with the edited data', () => {
+    const editedCopy = { id: 'cpa3', name: 'CPA3', area: 400, areaM2: 37.16, aValue: 2.5, rejection: 99.7 };
+    const fromRegistry = calculateSystem(twoStage);
+    const fromProject = calculateSystem({ ...twoStage, membranes: [editedCopy] });
+
+    expect(Number(fromProject.results.feedPressure)).toBeGreaterThan(Number(fromRegistry.results.feedPressure));
+  });
+});
+
+describe('calculateTwoPassSystem', () => {
+  const twoPass = {
+    ...baseInputs,
+    recovery: 75,
+    stages: [
+      { membraneModel: 'cpa3', elementsPerVessel: 6, vessels: 4 },
+      { membraneModel: 'cpa3', elementsPerVessel: 6, vessels: 2 }
+    ],
+    pass2: {
+      stages: [{ membraneModel: 'cpa3', elementsPerVessel: 6, vessels: 2 }],
+      recovery: 85,
+      causticDose: 0,
+      concRecycle: true
+    }
+  };
+
+  it('should feed pass 2 with pass 1 permeate', () => {
+    const result = calculateTwoPassSystem(twoPass);
+
+    expect(result.pass2.streams.feed.flowM3h).toBeCloseTo(result.pass1.streams.permeate.flowM3h, 6);
+    expect(Number(result.system.productTds)).toBeLessThan(Number(result.pass1.permeateParameters.tds));
+  });
+
+  it('should converge the pass 2 concentrate recycle and close the mass balance', () => {
+    const result = calculateTwoPassSystem(twoPass);
+    const { pass1, pass2 } = result;
+
+    expect(result.recycle.converged).toBe(true);
+    expect(pass1.streams.feed.flowM3h).toBeCloseTo(100 * 0.2271247 + pass2.streams.concentrate.flowM3h, 4);
+    expect(Number(result.system.productFlow) + Number(result.system.concentrateFlow)).toBeCloseTo(100, 1);
+  });
+
+  it('should discharge pass 2 concentrate when recycle is off', () => {
+    const result = calculateTwoPassSystem({ ...twoPass, pass2: { ...twoPass.pass2, concRecycle: false } });
+
+    expect(Number(result.recycle.flow)).toBe(0);
+    expect(result.pass1.streams.feed.flowM3h).toBeCloseTo(100 * 0.2271247, 6);
+    expect(Number(result.system.recovery)).toBeCloseTo(75 * 0.85, 1);
+  });
+
+  it('should refuse a pass 2 without vessels', () => {
+    const noVessels = { ...twoPass.pass2, stages: [{ membraneModel: 'cpa3', elementsPerVessel: 6, vessels: 0 }] };
+
+    expect(() => calculateTwoPassSystem({ ...twoPass, pass2: noVessels })).toThrow(/vessels/);
+    expect(() => calculateTwoPassSystem({ ...twoPass, pass2: { ...twoPass.pass2, stages: [] } })).toThrow(/vessels/);
+  });
+
+  it('should convert CO2 to bicarbonate and add sodium with interpass caustic', () => {
+    const { ions, ph } = applyCausticDose({ na: 5, hco3: 3, co2: 10 }, 4);
+
+    expect(ions.na).toBeCloseTo(5 + 4 * 22.99 / 40, 3);
+    expect(ions.co2).toBeLessThan(10);
+    expect(ions.hco3).toBeGreaterThan(3);
+    expect(ph).toBeGreaterThan(6.35 + Math.log10((3 / 61.02) / (10 / 44.01)));
+  });
+});
+
+describe('calculateSystem - carbonate system', () => {
+  const carbonateInputs = { ...baseInputs, feedPH: 7.5, tempF: 77 };
+
+  it('should pass feed CO2 to the permeate and lower its pH', () => {
+    const result = calculateSystem(carbonateInputs);
+
+    expect(result.streams.feed.ions.co2).toBeGreaterThan(0);
+    expect(Number(result.permeateParameters.ph)).toBeLessThan(7.5);
+    expect(Number(result.concentrateParameters.ph)).toBeGreaterThan(7.5);
+    // Nearly all the permeate carbonate is CO2 that crossed the membrane unrejected
+    expect(result.streams.permeate.ions.co2).toBeGreaterThan(result.streams.feed.ions.co2 * 0.8);
+  });
+
+  it('should conserve total carbonate and alkalinity across the array', () => {
+    const { streams } = calculateSystem(carbonateInputs);
+    const carbonate = (ions) => ions.co2 / 44.01 + ions.hco3 / 61.02 + ions.co3 / 60.01;
+    const alkalinity = (ions) => ions.hco3 / 61.02 + 2 * ions.co3 / 60.01;
+    const load = (fn) => streams.permeate.flowM3h * fn(streams.permeate.ions) + streams.concentrate.flowM3h * fn(streams.concentrate.ions);
+
+    expect(load(carbonate)).toBeCloseTo(streams.feed.flowM3h * carbonate(streams.feed.ions), 2);
+    expect(load(alkalinity)).toBeCloseTo(streams.feed.flowM3h * alkalinity(streams.feed.ions), 2);
+  });
+
+  it('should report the Stiff & Davis index and pick it for seawater', () => {
+    const brackish = calculateSystem(carbonateInputs);
+    const seawater = calculateSystem({ ...carbonateInputs, waterType: 'Sea Well' });
+
+    expect(Number.isFinite(Number(brackish.concentrateParameters.stiffDavis))).toBe(true);
+    expect(brackish.concentrateParameters.scalingIndex).toBe('lsi');
+    expect(seawater.concentrateParameters.scalingIndex).toBe('sdsi');
+  });
+
+  it('should report activity-based concentrate saturations that rise with recovery', () => {
+    const low = calculateSystem({ ...carbonateInputs, recovery: 50 });
+    const high = calculateSystem({ ...carbonateInputs, recovery: 75 });
+
+    expect(Number(high.concentrateSaturation.caSo4)).toBeGreaterThan(Number(low.concentrateSaturation.caSo4));
+    expect(Number(high.concentrateSaturation.sio2)).toBeGreaterThan(Number(low.concentrateSaturation.sio2));
+  });
+});
+
+describe('calculateRecycleSystem', () => {
+  const recycleInputs = {
+    ...baseInputs,
+    recovery: 75,
+    vessels: 2,
+    stages: [{ membraneModel: 'cpa3', elementsPerVessel: 6, vessels: 2 }],
+    concRecyclePercent: 50
+  };
+
+  it('should match calculateSystem when no concentrate is recycled', () => {
+    const plain = calculateSystem(baseInputs);
+    const recycled = calculateRecycleSystem({ ...baseInputs, concRecyclePercent: 0 });
+
+    expect(recycled.results).toEqual(plain.results);
+    expect(recycled.recycle).toBeUndefined();
+  });
+
+  it('should close the flow balance around the recycle loop', () => {
+    const { recycle } = calculateRecycleSystem(recycleInputs);
+
+    // Waste = 25 gpm, recycle = 50% of array concentrate = 25 gpm
+    expect(Number(recycle.flow)).toBeCloseTo(25, 1);
+    expect(Number(recycle.arrayFeedFlow)).toBeCloseTo(125, 1);
+    expect(Number(recycle.arrayRecovery)).toBeCloseTo(60, 1);
+    expect(Number(recycle.systemRecovery)).toBeCloseTo(75, 1);
+  });
+
+  it('should converge to a blended feed richer than the fresh feed', () => {
+    const result = calculateRecycleSystem(recycleInputs);
+    const freshTds = Object.values(brackishIons).reduce((a, b) => a + b, 0);
+
+    expect(result.recycle.converged).toBe(true);
+    expect(Number(result.recycle.blendedFeedTds)).toBeGreaterThan(freshTds);
+    // Blend of fresh feed and concentrate at the converged composition
+    // CO2 is a dissolved gas and is not part of TDS
+    const concTds = Object.entries(result.streams.concentrate.ions)
+      .reduce((sum, [ion, val]) => sum + (ion === 'co2' ? 0 : val), 0);
+    expect(Number(result.recycle.blendedFeedTds)).toBeCloseTo((100 * freshTds + 25 * concTds) / 125, 0);
+  });
+});
+
+describe('calculateSystem - interstage booster and permeate throttling', () => {
+  const twoStage = {
+    ...baseInputs,
+    recovery: 75,
+    vessels: 6,
+    stages: [
+      { membraneModel: 'cpa3', elementsPerVessel: 6, vessels: 4 },
+      { membraneModel: 'cpa3', elementsPerVessel: 6, vessels: 2 }
+    ]
+  };
+
+  it('should raise the stage 2 inlet pressure by the booster pressure', () => {
+    const result = calculateSystem({
+      ...twoStage,
+      stages: [twoStage.stages[0], { ...twoStage.stages[1], boosterPressure: 30, boosterEfficiency: 70 }]
+    });
+    const [stage1, stage2] = result.stageResults;
+
+    expect(Number(stage2.feedPressure) - Number(stage1.concPressure)).toBeCloseTo(30, 1);
+    expect(Number(stage2.boosterPowerKw)).toBeGreaterThan(0);
+    expect(Number(result.results.boosterPowerKw)).toBeCloseTo(Number(stage2.boosterPowerKw), 2);
+  });
+
+  it('should shift flux toward stage 2 when boosting stage 2 or throttling stage 1', () => {
+    const base = calculateSystem(twoStage).stageResults;
+    const boosted = calculateSystem({
+      ...twoStage,
+      stages: [twoStage.stages[0], { ...twoStage.stages[1], boosterPressure: 30 }]
+    }).stageResults;
+    const throttled = calculateSystem({
+      ...twoStage,
+      stages: [{ ...twoStage.stages[0], permeatePressure: 20 }, twoStage.stages[1]]
+    }).stageResults;
+
+    expect(Number(boosted[1].flux)).toBeGreaterThan(Number(base[1].flux));
+    expect(Number(boosted[0].highestFlux)).toBeLessThan(Number(base[0].highestFlux));
+    expect(Number(throttled[0].permeatePressure)).toBeCloseTo(20, 2);
+    expect(Number(throttled[1].flux)).toBeGreaterThan(Number(base[1].flux));
+  });
+});
+
+describe('calculateSystem - split-partial permeate', () => {
+  const split = {
+    ...baseInputs,
+    stages: [{ membraneModel: 'cpa3', elementsPerVessel: 6, vessels: 4, splitElements: 2 }]
+  };
+
+  it('should report front and rear permeate that add up to the total permeate', () => {
+    const result = calculateSystem(split);
+    const { front, rear } = result.splitPermeate;
+    const { elementResults } = result.stageResults[0];
+    const frontGpm = (Number(elementResults[0].permeateFlow) + Number(elementResults[1].permeateFlow)) * 4;
+
+    expect(Number(front.flow)).toBeCloseTo(frontGpm, 1);
+    expect(Number(front.flow) + Number(rear.flow)).toBeCloseTo(50, 1);
+    expect(Number(front.tds)).toBeLessThan(Number(result.permeateParameters.tds));
+    expect(Number(rear.tds)).toBeGreaterThan(Number(result.permeateParameters.tds));
+    expect(Object.keys(front.permeateConcentration)).toEqual(expect.arrayContaining(Object.keys(brackishIons)));
+  });
+
+  it('should not report a split when no front elements are set', () => {
+    expect(calculateSystem(baseInputs).splitPermeate).toBeNull();
+  });
+
+  it('should send only the rear permeate to pass 2 and blend the front permeate into product', () => {
+    const result = calculateTwoPassSystem({
+      ...split,
+      pass2: {
+        stages: [{ membraneModel: 'cpa3', elementsPerVessel: 6, vessels: 1 }],
+        recovery: 85,
+        concRecycle: false,
+        feedSource: 'rear'
+      }
+    });
+    const { frontPermeate, rearPermeate } = result.pass1.streams;
+
+    expect(result.pass2.streams.feed.flowM3h).toBeCloseTo(rearPermeate.flowM3h, 6);
+    expect(result.streams.product.flowM3h).toBeCloseTo(frontPermeate.flowM3h + result.pass2.streams.permeate.flowM3h, 6);
+    expect(Number(result.interpass.bypassFlow)).toBeGreaterThan(0);
+  });
+});
+
+describe('calculateSystem - internally staged (hybrid) vessels', () => {
+  const seawater = { na: 11000, k: 400, ca: 420, mg: 1300, cl: 19700, so4: 2700, hco3: 140 };
+  const swInputs = {
+    feedFlow: 28,
+    flowUnit: 'm3/h',
+    recovery: 45,
+    feedIons: seawater,
+    stages: [{ membraneModel: 'swc68040', elementsPerVessel: 6, vessels: 4 }]
+  };
+  const isd = {
+    ...swInputs,
+    stages: [{
+      ...swInputs.stages[0],
+      elementMembranes: ['swc4ld8040', 'swc4ld8040']
+    }]
+  };
+
+  it('should solve each position with its own membrane', () => {
+    const stage = calculateSystem(isd).stageResults[0];
+
+    expect(stage.hybrid).toBe(true);
+    expect(stage.elementResults.map(e => e.membraneModel)).toEqual([
+      'swc4ld8040', 'swc4ld8040', 'swc68040', 'swc68040', 'swc68040', 'swc68040'
+    ]);
+  });
+
+  it('should move flux from the lead elements to the tail elements', () => {
+    const uniform = calculateSystem(swInputs).stageResults[0].elementResults;
+    const hybrid = calculateSystem(isd).stageResults[0].elementResults;
+
+    expect(Number(hybrid[0].flux)).toBeLessThan(Number(uniform[0].flux));
+    expect(Number(hybrid[5].flux)).toBeGreaterThan(Number(uniform[5].flux));
+    expect(Number(hybrid[0].permeateTds)).toBeLessThan(Number(uniform[0].permeateTds));
+  });
+
+  it('should not flag a stage with one membrane as hybrid', () => {
+    expect(calculateSystem(swInputs).stageResults[0].hybrid).toBe(false);
+  });
+});
+
+describe('calculateSystem - feed-pressure mode', () => {
+  it('should reproduce the recovery-mode design when given its feed pressure', () => {
+    const byRecovery = calculateSystem(baseInputs);
+    const byPressure = calculateSystem({ ...baseInputs, recovery: 30, feedPressure: byRecovery.results.feedPressure });
+
+    expect(byPressure.results.operatingMode).toBe('pressure');
+    expect(Number(byPressure.results.recovery)).toBeCloseTo(50, 0);
+    expect(Number(byPressure.trainInfo.permeateFlow)).toBeCloseTo(50, 0);
+    expect(Number(byPressure.stageResults[0].highestFlux)).toBeCloseTo(Number(byRecovery.stageResults[0].highestFlux), 0);
+    expect(byPressure.stageResults[0].elementResults).toHaveLength(6);
+  });
+
+  it('should raise recovery with feed pressure', () => {
+    const low = calculateSystem({ ...baseInputs, feedPressure: 120 });
+    const high = calculateSystem({ ...baseInputs, feedPressure: 160 });
+
+    expect(Number(high.results.recovery)).toBeGreaterThan(Number(low.results.recovery));
+    expect(Number(high.results.feedPressure)).toBeCloseTo(160, 1);
+  });
+
+  it('should solve the recycle loop flows at a fixed feed pressure', () => {
+    const { recycle, streams } = calculateRecycleSystem({ ...baseInputs, feedPressure: 140, concRecyclePercent: 50 });
+    const wasteGpm = Number(recycle.freshFeedFlow) - streams.permeate.flowM3h / 0.2271247;
+
+    expect(recycle.converged).toBe(true);
+    expect(Number(recycle.flow)).toBeCloseTo(wasteGpm, 1);
+    expect(Number(recycle.systemRecovery)).toBeGreaterThan(Number(recycle.arrayRecovery));
+  });
+});
+
+describe('applyChemicalDose', () => {
+  const carbonate = (ions) => ions.co2 / 44.01 + ions.hco3 / 61.02 + ions.co3 / 60.01;
+
+  it('should convert bicarbonate to CO2 and add sulfate with sulfuric acid', () => {
+    const raw = applyChemicalDose(brackishIons, { ph: 7.5, tempC: 25 });
+    const dosed = applyChemicalDose(brackishIons, { chemical: 'H2SO4', doseMgL: 50, ph: 7.5, tempC: 25 });
+
+    expect(dosed.ph).toBeLessThan(7.5);
+    expect(dosed.ions.hco3).toBeLessThan(raw.ions.hco3);
+    expect(dosed.ions.co2).toBeGreaterThan(raw.ions.co2);
+    expect(dosed.ions.so4 - raw.ions.so4).toBeCloseTo(50 * 96.06 / 98.08, 2);
+    expect(carbonate(dosed.ions)).toBeCloseTo(carbonate(raw.ions), 4);
+  });
+
+  it('should raise pH and add sodium with caustic', () => {
+    const dosed = applyChemicalDose(brackishIons, { chemical: 'Caustic', doseMgL: 10, ph: 7.5, tempC: 25 });
+
+    expect(dosed.ph).toBeGreaterThan(7.5);
+    expect(dosed.ions.na).toBeGreaterThan(brackishIons.na);
+  });
+});
+
+describe('solveChemicalDose', () => {
+  it('should solve the acid dose that meets a feed pH target', () => {
+    const result = solveChemicalDose(brackishIons, { chemical: 'HCl', ph: 7.5, tempC: 25, recovery: 75, target: { parameter: 'ph', value: 6.5 } });
+    const check = applyChemicalDose(brackishIons, { chemical: 'HCl', doseMgL: result.doseMgL, ph: 7.5, tempC: 25 });
+
+    expect(result.limit).toBeNull();
+    expect(result.feedPh).toBeCloseTo(6.5, 2);
+    expect(check.ph).toBeCloseTo(6.5, 2);
+  });
+
+  it('should solve the acid dose that meets a concentrate LSI target', () => {
+    const result = solveChemicalDose(brackishIons, { chemical: 'Acid', ph: 7.8, tempC: 25, recovery: 75, target: { parameter: 'lsi', value: 0 } });
+
+    expect(result.limit).toBeNull();
+    expect(result.doseMgL).toBeGreaterThan(0);
+    expect(result.concentrateLsi).toBeCloseTo(0, 1);
+  });
+
+  it('should not dose when the raw water already meets the target', () => {
+    const result = solveChemicalDose(brackishIons, { chemical: 'H2SO4', ph: 6.0, tempC: 25, recovery: 75, target: { parameter: 'ph', value: 7 } });
+
+    expect(result.doseMgL).toBe(0);
+    expect(result.limit).toBe('no-dose');
+  });
+});
+
+describe('calculateBypassBlend', () => {
+  const permeateIons = calculateSystem(baseInputs).streams.permeate.ions;
+  const blendInputs = {
+    flowUnit: 'gpm',
+    productFlow: 50,
+    recovery: 50,
+    vessels: 4,
+    feedIons: brackishIons,
+    permeateIons
+  };
+
+  it('should solve the bypass share that meets a product TDS target', () => {
+    const result = calculateBypassBlend({ ...blendInputs, target: { parameter: 'tds', value: 300 } });
+
+    expect(Number(result.blendedTds)).toBeCloseTo(300, 1);
+    expect(Number(result.bypassFlow) + Number(result.roPermeateFlow)).toBeCloseTo(50, 2);
+    expect(Number(result.roFeedFlow)).toBeCloseTo(Number(result.roPermeateFlow) * 2, 2);
+    expect(result.vesselsRequired).toBeLessThan(4);
+    expect(result.limit).toBeNull();
+  });
+
+  it('should solve for a single ion or hardness target', () => {
+    const sodium = calculateBypassBlend({ ...blendInputs, target: { parameter: 'na', value: 40 } });
+    const hardness = calculateBypassBlend({ ...blendInputs, target: { parameter: 'hardness', value: 60 } });
+
+    expect(Number(sodium.blendedConcentration.na)).toBeCloseTo(40, 2);
+    expect(Number(hardness.blendedHardness)).toBeCloseTo(60, 1);
+  });
+
+  it('should not bypass when the target is tighter than the permeate', () => {
+    const result = calculateBypassBlend({ ...blendInputs, target: { parameter: 'tds', value: 0.01 } });
+
+    expect(Number(result.bypassPercent)).toBe(0);
+    expect(result.limit).toBe('permeate');
+    expect(result.vesselsRequired).toBe(4);
+  });
+
+  it('should speciate a 0 °C bypass stream at 0 °C, not at the 25 °C default', () => {
+    const blendAt = (tempC) => calculateBypassBlend({ ...blendInputs, feedPh: 7.5, tempC, target: { parameter: 'tds', value: 300 } });
+
+    // Colder water holds more of the alkalinity as CO2 at the same pH
+    expect(Number(blendAt(0).blendedConcentration.co2)).toBeGreaterThan(Number(blendAt(25).blendedConcentration.co2));
+    expect(blendAt('').blendedConcentration).toEqual(blendAt(25).blendedConcentration);
+  });
+});
+
+describe('calculateEnergyRecoverySystem', () => {
+  const seawater = { na: 11000, k: 400, ca: 420, mg: 1300, cl: 19700, so4: 2700, hco3: 140 };
+  const swro = {
+    feedFlow: 28,
+    flowUnit: 'm3/h',
+    recovery: 45,
+    feedIons: seawater,
+    stages: [{ membraneModel: 'swc4ld8040', elementsPerVessel: 7, vessels: 4 }]
+  };
+  const px = { type: 'px', efficiency: 96, leakagePercent: 2, mixingPercent: 6, boosterEfficiency: 80 };
+
+  it('should match calculateRecycleSystem without an ERD', () => {
+    const plain = calculateRecycleSystem(swro);
+    const result = calculateEnergyRecoverySystem({ ...swro, erd: { type: 'none' } });
+
+    expect(result.results).toEqual(plain.results);
+    expect(result.energyRecovery).toBeUndefined();
+  });
+
+  it('should feed the membranes a saltier blend and raise the feed pressure with PX mixing', () => {
+    const plain = calculateSystem(swro);
+    const result = calculateEnergyRecoverySystem({ ...swro, erd: px });
+    const rawTds = Object.values(seawater).reduce((a, b) => a + b, 0);
+
+    expect(result.energyRecovery.converged).toBe(true);
+    expect(Number(result.energyRecovery.salinityIncreasePercent)).toBeGreaterThan(0);
+    expect(Number(result.feedTds)).toBeGreaterThan(rawTds);
+    expect(Number(result.results.feedPressure)).toBeGreaterThan(Number(plain.results.feedPressure));
+  });
+
+  it('should pump only the permeate-equivalent flow with the HP pump', () => {
+    const { energyRecovery } = calculateEnergyRecoverySystem({ ...swro, erd: px });
+
+    expect(Number(energyRecovery.hpPumpFlow) + Number(energyRecovery.erdFlow)).toBeCloseTo(28, 1);
+    expect(Number(energyRecovery.erdFlow)).toBeCloseTo(28 * 0.55 * 0.98, 1);
+    expect(Number(energyRecovery.savedPowerKw)).toBeGreaterThan(Number(energyRecovery.totalPowerKw) * 0.5);
+  });
+  it('should report the HP pump at the permeate-equivalent duty and add the ERD booster', () => {
+    const { pumpDuties, energyRecovery } = calculateEnergyRecoverySystem({ ...swro, erd: px });
+    const hp = pumpDuties.find(d => d.id === 'hp');
+
+    expect(hp.flowM3h).toBeCloseTo(Number(energyRecovery.hpPumpFlow), 1);
+    expect(pumpDuties.some(d => d.id === 'erd-booster' && d.service === 'booster')).toBe(true);
+  });
+});
+
+describe('solveMaxRecovery', () => {
+  const inputs = { ...baseInputs, feedIons: { ...brackishIons, ba: 0.05, sr: 1 }, feedPH: 7.5, tempF: 77 };
+
+  it('should stop at the first scaling limit and name the limiting salt', () => {
+    const result = solveMaxRecovery(inputs, { limits: { ...DEFAULT_SCALING_LIMITS.antiscalant, sio2: 100 } });
+    const check = checkScalingLimits(result.result, { sio2: 100 });
+
+    expect(result.bound).toBeNull();
+    expect(result.limiting).toBe('sio2');
+    expect(result.recovery).toBeGreaterThan(70);
+    expect(result.recovery).toBeLessThan(90);
+    expect(check.exceeded).toHaveLength(0);
+    expect(checkScalingLimits(calculateSystem({ ...inputs, recovery: result.recovery + 1 }), { sio2: 100 }).exceeded).toContain('sio2');
+  });
+
+  it('should allow more recovery when silica is the limit and the water is warmer', () => {
+    const cold = solveMaxRecovery({ ...inputs, tempF: 50 }, { limits: { sio2: 100 } });
+    const warm = solveMaxRecovery({ ...inputs, tempF: 86 }, { limits: { sio2: 100 } });
+
+    expect(warm.recovery).toBeGreaterThan(cold.recovery);
+  });
+
+  it('should report a limit that is already exceeded at the lowest recovery', () => {
+    const result = solveMaxRecovery(inputs, { limits: DEFAULT_SCALING_LIMITS.none });
+
+    expect(result.bound).toBe('min-recovery');
+    expect(result.limiting).toBe('baSo4');
+  });
+});
+
+describe('boron transport', () => {
+  const seawaterMembrane = {
+    id: 'sw-test', name: 'SW test', area: 400, areaM2: 37.16, aValue: 1.6, rejection: 99.7,
+    boronRejection: 92.0, co2Rejection: 0, type: 'Seawater'
+  };
+  const seawaterInputs = {
+    feedFlow: 100,
+    flowUnit: 'm3/h',
+    recovery: 45,
+    feedPH: 8,
+    tempF: 77,
+    membranes: [seawaterMembrane],
+    feedIons: { ca: 410, mg: 1290, na: 10770, k: 400, hco3: 142, so4: 2710, cl: 19350, b: 5 },
+    stages: [{ membraneModel: 'sw-test', elementsPerVessel: 7, vessels: 12 }]
+  };
+  const permeateBoron = (inputs) => calculateSystem(inputs).streams.permeate.ions.b;
+
+  it('should pass less boron as the feed pH converts boric acid to borate', () => {
+    expect(permeateBoron({ ...seawaterInputs, feedPH: 9.5 })).toBeLessThan(permeateBoron(seawaterInputs) * 0.5);
+    expect(permeateBoron({ ...seawaterInputs, feedPH: 7 })).toBeGreaterThan(permeateBoron(seawaterInputs));
+  });
+
+  it('should pass more boron in warmer water', () => {
+    expect(permeateBoron({ ...seawaterInputs, tempF: 95 })).toBeGreaterThan(permeateBoron(seawaterInputs));
+  });
+
+  it('should solve the feed caustic dose for a permeate boron limit', () => {
+    const base = permeateBoron(seawaterInputs);
+    const result = solvePermeateBoron(seawaterInputs, { limit: base * 0.7 });
+
+    expect(result.point).toBe('feed');
+    expect(result.limit).toBeNull();
+    expect(result.doseMgL).toBeGreaterThan(0);
+    expect(result.boron).toBeLessThanOrEqual(base * 0.7);
+    expect(result.boron).toBeGreaterThan(base * 0.65);
+  });
+
+  it('should solve the interpass caustic dose when a second pass is fitted', () => {
+    const twoPass = {
+      ...seawaterInputs,
+      pass2: {
+        stages: [{ membraneModel: 'cpa3', elementsPerVessel: 6, vessels: 4 }],
+        recovery: 85,
+        causticDose: 0,
+        concRecycle: false
+      }
+    };
+    const undosed = solvePermeateBoron(twoPass, { limit: 1 });
+    expect(undosed.limit).toBe('no-dose');
+
+    const result = solvePermeateBoron(twoPass, { limit: undosed.boron * 0.95 });
+    expect(result.point).toBe('interpass');
+    expect(result.limit).toBeNull();
+    expect(result.boron).toBeLessThanOrEqual(undosed.boron * 0.95);
+    expect(result.ph).toBeGreaterThan(undosed.ph);
+  });
+});
+
+describe('ammonia transport', () => {
+  const effluentInputs = {
+    feedFlow: 100,
+    flowUnit: 'm3/h',
+    recovery: 75,
+    feedPH: 7,
+    tempF: 77,
+    feedIons: { ca: 60, mg: 20, na: 200, k: 20, nh4: 25, hco3: 250, so4: 120, cl: 250, no3: 30, sio2: 20 },
+    stages: [
+      { membraneModel: 'cpa3', elementsPerVessel: 6, vessels: 10 },
+      { membraneModel: 'cpa3', elementsPerVessel: 6, vessels: 5 }
+    ]
+  };
+  const totalAmmonia = (ions) => ions.nh4 / 18.04 + (ions.nh3 || 0) / 17.03; // mmol/L
+
+  it('should let more ammonia through as the feed pH rises', () => {
+    const low = calculateSystem({ ...effluentInputs, feedPH: 6.5 });
+    const high = calculateSystem({ ...effluentInputs, feedPH: 8 });
+
+    expect(Number(high.permeateConcentration.nh4)).toBeGreaterThan(Number(low.permeateConcentration.nh4));
+    expect(Number(high.permeateConcentration.nh3)).toBeGreaterThan(0);
+    expect(totalAmmonia(high.streams.permeate.ions)).toBeGreaterThan(2 * totalAmmonia(low.streams.permeate.ions));
+  });
+
+  it('should raise the permeate pH with the free ammonia that passes', () => {
+    const withAmmonia = calculateSystem(effluentInputs);
+    const withoutAmmonia = calculateSystem({ ...effluentInputs, feedIons: { ...effluentInputs.feedIons, nh4: 0 } });
+
+    expect(Number(withAmmonia.permeateParameters.ph)).toBeGreaterThan(Number(withoutAmmonia.permeateParameters.ph));
+  });
+
+  it('should conserve total ammonia across the array', () => {
+    const { streams } = calculateSystem(effluentInputs);
+    const load = streams.permeate.flowM3h * totalAmmonia(streams.permeate.ions)
+      + streams.concentrate.flowM3h * totalAmmonia(streams.concentrate.ions);
+
+    expect(load).toBeCloseTo(streams.feed.flowM3h * totalAmmonia(streams.feed.ions), 4);
+  });
+});
+
+describe('calculateTemperatureEnvelope', () => {
+  const envelope = calculateTemperatureEnvelope(baseInputs, {
+    minTemp: 5,
+    designTemp: 25,
+    maxTemp: 50,
+    extraTemps: [15, 25]
+  });
+
+  it('should evaluate each distinct temperature once, coldest first', () => {
+    expect(envelope.points.map(p => p.tempC)).toEqual([5, 15, 25, 50]);
+    expect(envelope.points.map(p => p.label)).toEqual(['min', 'extra', 'design', 'max']);
+  });
+
+  it('should take the design point from the feed temperature like calculateSystem, 0 °F included', () => {
+    const fromFeed = calculateTemperatureEnvelope({ ...baseInputs, tempF: 0 }, { maxTemp: 25 });
+
+    expect(fromFeed.points[0].label).toBe('design');
+    expect(fromFeed.points[0].tempC).toBeCloseTo(-160 / 9, 6);
+  });
+
+  it('should need the most pressure cold and pass the most salt warm', () => {
+    expect(envelope.worst.feedPressure.tempC).toBe(5);
+    expect(envelope.worst.permeateTds.tempC).toBe(50);
+    expect(envelope.points[0].feedPressureBar).toBeGreaterThan(envelope.points[3].feedPressureBar);
+  });
+
+  it('should run a 0 °C point at 0 °C', () => {
+    const freezing = calculateTemperatureEnvelope(baseInputs, { minTemp: 0, designTemp: 5 });
+
+    expect(freezing.points.map(p => p.tempC)).toEqual([0, 5]);
+    expect(freezing.points[0].feedPressureBar).toBeGreaterThan(freezing.points[1].feedPressureBar);
+  });
+
+  it('should flag temperatures above the membrane limit', () => {
+    const tempViolations = envelope.violations.filter(v => v.type === 'membrane-temp');
+
+    expect(tempViolations.map(v => v.tempC)).toEqual([50]);
+  });
+
+  it('should flag points that exceed the high-pressure pump rating', () => {
+    const limited = calculateTemperatureEnvelope(baseInputs, {
+      minTemp: 5,
+      maxTemp: 25,
+      pumpMaxPressureBar: 5
+    });
+
+    expect(limited.violations.some(v => v.type === 'pump-pressure' && v.tempC === 5)).toBe(true);
+  });
+});
+
+describe('calculateAgingProjection', () => {
+  const agingInputs = { ...baseInputs, fluxDeclinePerYear: 5, spIncreasePerYear: 7, foulingFactor: 1 };
+
+  it('should match the design projection for new membranes', () => {
+    const projection = calculateAgingProjection(agingInputs, { years: 3 });
+    const design = calculateEnergyRecoverySystem(agingInputs);
+
+    expect(projection.rows.map(row => row.year)).toEqual([0, 1, 2, 3]);
+    expect(projection.rows[0].feedPressureBar).toBeCloseTo(design.streams.feed.pressureBar, 6);
+    expect(projection.rows[0].permeateTds).toBeCloseTo(Number(design.permeateParameters.tds), 1);
+  });
+
+  it('should raise feed pressure, power and salt passage at constant flux', () => {
+    const { rows } = calculateAgingProjection(agingInputs, { years: 5, energyCostPerKwh: 0.1 });
+
+    for (let i = 1; i < rows.length; i++) {
+      expect(rows[i].permeateFlowM3h).toBeCloseTo(rows[0].permeateFlowM3h, 3);
+      expect(rows[i].feedPressureBar).toBeGreaterThan(rows[i - 1].feedPressureBar);
+      expect(rows[i].powerKw).toBeGreaterThan(rows[i - 1].powerKw);
+      expect(rows[i].permeateIons.na).toBeGreaterThan(rows[i - 1].permeateIons.na);
+    }
+    expect(rows[5].monthlyEnergyCost).toBeCloseTo(rows[5].powerKw * 720 * 0.1, 6);
+  });
+
+  it('should hold the year-0 pressure and lose product flow at constant pressure', () => {
+    const projection = calculateAgingProjection(agingInputs, { years: 5, mode: 'constant-pressure' });
+    const { rows } = projection;
+
+    expect(projection.heldPressure).toBeCloseTo(rows[0].feedPressureBar * 14.5038, 6);
+    for (let i = 1; i < rows.length; i++) {
+      expect(rows[i].feedPressureBar).toBeCloseTo(rows[0].feedPressureBar, 6);
+      expect(rows[i].permeateFlowM3h).toBeLessThan(rows[i - 1].permeateFlowM3h);
+    }
+  });
+});
+
+describe('calibrateMembrane', () => {
+  // 4040 brackish datasheet: 1900 gpd at 150 psi, 1500 mg/L NaCl, 15% recovery, 25°C
+  const element = createCustomMembrane({ id: 'bw-vendor-4040', name: 'BW Vendor 4040', category: '4040', areaM2: 7.432 });
+  const datasheet = {
+    pressureBar: 150 / 14.5038,
+    tds: 1500,
+    recovery: 15,
+    temperatureC: 25,
+    permeateFlowM3d: 1900 * 0.00378541,
+    rejection: 99.6,
+    soluteRejections: { divalent: 99.7, silica: 98, boron: 90 }
+  };
+  const naclIons = { na: 1500 * 22.99 / 58.44, cl: 1500 * (1 - 22.99 / 58.44) };
+
+  it('should fit A, B and the solute factors that reproduce the datasheet point', () => {
+    const fit = calibrateMembrane(element, datasheet);
+
+    expect(fit.bound).toBeNull();
+    expect(fit.permeateFlowM3d).toBeCloseTo(datasheet.permeateFlowM3d, 6);
+    expect(fit.rejection).toBeCloseTo(99.6, 6);
+    expect(fit.soluteRejections.divalent).toBeCloseTo(99.7, 6);
+    expect(fit.soluteRejections.silica).toBeCloseTo(98, 6);
+    expect(fit.soluteRejections.boron).toBeCloseTo(90, 6);
+    expect(fit.aValueRef).toBeGreaterThan(3);
+    expect(fit.aValueRef).toBeLessThan(6);
+    expect(fit.soluteBFactors.co2).toBe(999);
+  });
+
+  it('should design the calibrated element at the datasheet pressure and permeate TDS', () => {
+    const calibrated = applyCalibration(element, datasheet, calibrateMembrane(element, datasheet));
+    const result = calculateSystem({
+      feedFlow: 1900 / 1440 / 0.15,
+      flowUnit: 'gpm',
+      recovery: 15,
+      vessels: 1,
+      elementsPerVessel: 1,
+      feedIons: naclIons,
+      membranes: [calibrated],
+      stages: [{ membraneModel: 'bw-vendor-4040', elementsPerVessel: 1, vessels: 1 }]
+    });
+
+    expect(Number(result.results.feedPressure)).toBeCloseTo(150, 1);
+    expect(Number(result.permeateParameters.tds)).toBeCloseTo(1500 * 0.004, 2);
+  });
+
+  it('should report a datasheet flow the test pressure cannot reach', () => {
+    const fit = calibrateMembrane(element, { ...datasheet, pressureBar: 1 });
+
+    expect(fit.bound).toBe('aValue');
+    expect(fit.permeateFlowM3d).toBeLessThan(datasheet.permeateFlowM3d);
+  });
+});
@@ -1,8 +1,6 @@
 import { getWaterTypeInfo, isMembraneCompatible } from './waterTypeConfig';
 import { isGpmInput } from './calculatorService';
-import * as MembraneEngine from '../engines/membraneEngine.js';
-
-const { getMembrane, MEMBRANES } = MembraneEngine;
+import { resolveMembrane } from '../engines/membraneEngine.js';
 
 export const MEMBRANE_SPECIFIC_CONSTRAINTS = {
   'lfc3ld4040': {
@@ -152,14 +150,15 @@ export const validateDesignWithWaterType = (inputs, results, waterType) => {
     temp = 25,
     feedPh = 7.0,
     recovery = 50,
-    flowUnit = 'gpm'
+    flowUnit = 'gpm',
+    membranes = []
   } = inputs;
 
   const avgFlux = parseFloat(results?.avgFlux) || 0;
   const feedPressure = parseFloat(results?.feedPressure) || 0;
   const displayPressure = isGpmInput(flowUnit) ? feedPressure : feedPressure * 14.5038;
 
-  const activeMembrane = getMembrane(membraneModel);
+  const activeMembrane = resolveMembrane(membraneModel, membranes);
   const membraneId = (activeMembrane?.id || membraneModel || '').toLowerCase();
   const membraneConstraints = MEMBRANE_SPECIFIC_CONSTRAINTS[membraneId];
   const waterTypeConstraints = DESIGN_CONSTRAINTS_BY_WATER_TYPE[waterType];
@@ -209,22 +208,23 @@ export const validateDesignWithWaterType = (inputs, results, waterType) => {
   }
 
   if (activeMembrane) {
-    if (activeMembrane.maxTds && tds > activeMembrane.maxTds) {
-      validation.errors.push(`TDS exceeds membrane maximum operating TDS (${tds} > ${activeMembrane.maxTds} mg/L)`);
+    const limits = activeMembrane.limits || {};
+    if (limits.maxTds && tds > limits.maxTds) {
+      validation.errors.push(`TDS exceeds membrane maximum operating TDS (${tds} > ${limits.maxTds} mg/L)`);
       validation.isValid = false;
     }
 
-    if (activeMembrane.maxTemp && temp > activeMembrane.maxTemp) {
-      validation.errors.push(`Temperature (${temp}°C) exceeds membrane maximum (${activeMembrane.maxTemp}°C)`);
+    if (limits.maxTemp && temp > limits.maxTemp) {
+      validation.errors.push(`Temperature (${temp}°C) exceeds membrane maximum (${limits.maxTemp}°C)`);
       validation.isValid = false;
     }
 
-    if (activeMembrane.maxPressure && displayPressure > activeMembrane.maxPressure) {
-      validation.errors.push(`Pressure (${displayPressure.toFixed(0)} psi) exceeds membrane maximum (${activeMembrane.maxPressure} psi)`);
+    if (limits.maxPressure && displayPressure > limits.maxPressure) {
+      validation.errors.push(`Pressure (${displayPressure.toFixed(0)} psi) exceeds membrane maximum (${limits.maxPressure} psi)`);
       validation.isValid = false;
     }
 
-    const isCompatible = isMembraneCompatible(membraneModel, waterType);
+    const isCompatible = isMembraneCompatible(membraneModel, waterType, membranes);
     if (!isCompatible) {
       validation.recommendations.push(`${activeMembrane.name} is not recommended for ${waterType}. Consider: ${getRecommendedMembraneName(waterType)}`);
     }
@@ -243,7 +243,7 @@ export const getRecommendedMembraneName = (waterType) => {
   if (!waterInfo?.recommended) return 'contact supplier';
   
   return waterInfo.recommended
-    .map(id => getMembrane(id)?.name)
+    .map(id => resolveMembrane(id)?.name)
     .filter(Boolean)
     .slice(0, 3)
     .join(', ');
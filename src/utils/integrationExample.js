@@ -25,7 +25,7 @@
  * 4. Configuration Layer (waterTypeConfig.js)
  *    - WATER_TYPES: enumerated water source types
  *    - WATER_TYPE_TO_MEMBRANES: maps water types to suitable membranes
- *    - MEMBRANE_SPECIFICATIONS: membrane properties and constraints
+ *    - getMembraneBrief(): membrane properties and constraints from the membrane registry
  */
 
 import { calculateSystem } from './calculatorService';
@@ -1,3 +1,5 @@
+import { resolveMembrane } from '../engines/membraneEngine';
+
 export const WATER_TYPES = {
   BRACKISH_WELL_NON_FOULING: 'Brackish Well Non-Fouling',
   BRACKISH_WELL_HIGH_FOULING: 'Brackish Well High-Fouling',
@@ -92,97 +94,6 @@ export const WATER_TYPE_TO_MEMBRANES = {
   }
 };
 
-export const MEMBRANE_SPECIFICATIONS = {
-  cpa3: {
-    name: 'CPA3-8040',
-    size: '8"',
-    area: 400,
-    areaM2: 37.17,
-    ratedFlow: 2.1,
-    ratedFlowM3h: 7.95,
-    saltRejection: 99.7,
-    classification: MEMBRANE_CATEGORIES.BRACKISH,
-    suitableFor: [WATER_TYPES.BRACKISH_WELL_NON_FOULING, WATER_TYPES.WELL_WATER, WATER_TYPES.RO_PERMEATE],
-    constraints: {
-      maxTds: 2000,
-      maxTemp: 45,
-      maxPressure: 600,
-      maxFlow: 70
-    }
-  },
-  lfc3ld4040: {
-    name: 'LFC3-LD-4040',
-    size: '4"',
-    area: 80,
-    areaM2: 7.43,
-    ratedFlow: 0.5,
-    ratedFlowM3h: 1.89,
-    saltRejection: 99.7,
-    classification: MEMBRANE_CATEGORIES.LOW_FOULING,
-    suitableFor: [WATER_TYPES.BRACKISH_WELL_HIGH_FOULING, WATER_TYPES.BRACKISH_SURFACE, WATER_TYPES.MUNICIPAL_WASTE, WATER_TYPES.INDUSTRIAL_WASTE],
-    constraints: {
-      maxTds: 1500,
-      maxTemp: 45,
-      maxPressure: 600,
-      maxFlow: 16,
-      minBrineFlow: 3,
-      maxPressureDrop: 15
-    }
-  },
-  bwtds2k8040: {
-    name: 'BW-TDS-2K-8040',
-    size: '8"',
-    area: 400,
-    areaM2: 37.16,
-    ratedFlow: 2.1,
-    ratedFlowM3h: 7.95,
-    saltRejection: 99.35,
-    classification: MEMBRANE_CATEGORIES.BRACKISH,
-    suitableFor: [WATER_TYPES.BRACKISH_WELL_NON_FOULING, WATER_TYPES.WELL_WATER],
-    constraints: {
-      maxTds: 2000,
-      maxTemp: 45,
-      maxPressure: 600,
-      maxFlow: 85
-    }
-  },
-  bwtds5k8040: {
-    name: 'BW-TDS-5K-8040',
-    size: '8"',
-    area: 400,
-    areaM2: 37.16,
-    ratedFlow: 2.1,
-    ratedFlowM3h: 7.95,
-    saltRejection: 99.35,
-    classification: MEMBRANE_CATEGORIES.BRACKISH,
-    suitableFor: [WATER_TYPES.BRACKISH_WELL_NON_FOULING, WATER_TYPES.BRACKISH_SURFACE, WATER_TYPES.WELL_WATER],
-    constraints: {
-      maxTds: 5000,
-      maxTemp: 45,
-      maxPressure: 600,
-      maxFlow: 85
-    }
-  },
-  bwtds10kfr8040: {
-    name: 'BW-TDS-10K-FR-8040',
-    size: '8"',
-    area: 400,
-    areaM2: 37.16,
-    ratedFlow: 2.1,
-    ratedFlowM3h: 7.95,
-    saltRejection: 99.35,
-    classification: MEMBRANE_CATEGORIES.LOW_FOULING,
-    suitableFor: [WATER_TYPES.BRACKISH_WELL_HIGH_FOULING, WATER_TYPES.BRACKISH_SURFACE, WATER_TYPES.MUNICIPAL_WASTE, WATER_TYPES.INDUSTRIAL_WASTE],
-    constraints: {
-      maxTds: 10000,
-      maxTemp: 45,
-      maxPressure: 600,
-      maxFlow: 85,
-      maxCod: 250
-    }
-  },
-};
-
 export const getMembranesByWaterType = (waterType) => {
   const config = WATER_TYPE_TO_MEMBRANES[waterType];
   if (!config) return [];
@@ -193,12 +104,27 @@ export const getWaterTypeInfo = (waterType) => {
   return WATER_TYPE_TO_MEMBRANES[waterType] || null;
 };
 
-export const getMembraneBrief = (membraneId) => {
-  return MEMBRANE_SPECIFICATIONS[membraneId] || null;
+/**
+ * Water-type view of a membrane model from the membrane registry
+ * @param {string} membraneId - Membrane ID
+ * @param {array} membranes - The project's own membranes
+ * @returns {object|null} { name, areaM2, saltRejection, classification, suitableFor, constraints }
+ */
+export const getMembraneBrief = (membraneId, membranes = []) => {
+  const membrane = resolveMembrane(membraneId, membranes);
+  if (!membrane) return null;
+  return {
+    name: membrane.name,
+    areaM2: membrane.areaM2,
+    saltRejection: membrane.rejection,
+    classification: membrane.type,
+    suitableFor: membrane.compatibleWaterTypes || [],
+    constraints: membrane.limits || {}
+  };
 };
 
-export const isMembraneCompatible = (membraneId, waterType) => {
-  const membrane = MEMBRANE_SPECIFICATIONS[membraneId];
+export const isMembraneCompatible = (membraneId, waterType, membranes = []) => {
+  const membrane = getMembraneBrief(membraneId, membranes);
   if (!membrane) return false;
   return membrane.suitableFor.includes(waterType);
 };